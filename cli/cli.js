@@ -8,6 +8,12 @@ const packageRoot = path.join(__dirname, '..');
 const ProviderManager = require(path.join(packageRoot, 'providers', 'providerManager'));
 const TextExtractor = require(path.join(packageRoot, 'services', 'textExtractor'));
 const ConfigManager = require(path.join(packageRoot, 'cli', 'config'));
+const ExportManager = require(path.join(packageRoot, 'exporters', 'exportManager'));
+const ExamBuilder = require(path.join(packageRoot, 'utils', 'examBuilder'));
+const QuestionValidator = require(path.join(packageRoot, 'utils', 'questionValidator'));
+const NumericalValidator = require(path.join(packageRoot, 'utils', 'numericalValidator'));
+const DocumentStructure = require(path.join(packageRoot, 'utils', 'documentStructure'));
+const ErrorHandler = require(path.join(packageRoot, 'utils', 'errorHandler'));
 const { ensureUploadsDirectory, cleanupFiles } = require(path.join(packageRoot, 'utils', 'fileUtils'));
 const cliUI = require(path.join(packageRoot, 'cli', 'ascii'));
 
@@ -18,11 +24,13 @@ class NLPQGCLI {
     constructor() {
         this.providerManager = null;
         this.textExtractor = null;
+        this.exportManager = new ExportManager();
         this.config = null;
         this.commands = {
             'config': this.configCommand,
             'generate': this.generateCommand,
             'generate-from-files': this.generateFromFilesCommand,
+            'build-exam': this.buildExamCommand,
             'test': this.testCommand,
             'providers': this.providersCommand,
             'help': this.helpCommand,
@@ -131,16 +139,52 @@ COMMANDS:
   config                          Open configuration menu
   generate <text>                 Generate questions from text
   generate-from-files <files...>  Generate questions from files
+  build-exam <questions.json>     Build shuffled exam forms from exported JSON
   test                            Test all provider connections
   providers                       List available providers
   help, -h, --help               Show this help message
 
+OPTIONS:
+  --provider=<name>               Provider to use
+  --num-questions=<n>             Number of questions to generate
+  --question-type=<type>          multiple_choice, true_false, multi_select, cloze, short_answer,
+                                  essay, matching, ordering or numerical (default: multiple_choice)
+  --num-options=<n>               Options per question, 3-5 (default: 4, or 5 for multi_select);
+                                  pairs/steps for matching/ordering, 3-8 (default: 4/5)
+  --format=<format>               Export format: ${this.exportManager.listFormats().map(f => f.name).join(', ')}
+  --out=<path>                    Output file for --format (default: questions-<timestamp>.<ext>)
+  --category=<name>               Root question bank category for moodle/gift exports
+  --title=<title>                 Assessment or exam title
+  --deck=<name>                   Deck name for anki exports (default: title)
+  --forms=<n>                     Number of exam forms for build-exam (default: 1, max: 26)
+  --seed=<seed>                   Seed for reproducible exam shuffling
+  --sections=<list>               Generate from these sections only, comma-separated:
+                                  "chapter 3", "3.2", "pages 10-20", "slides 4-8" or a title
+  --strict-grounding              Ask only for questions answerable from the source material itself
+  --verify-answers                Check each answer key with a second model call (extra API calls)
+  --keep-partial                  On Ctrl-C, keep the questions generated so far instead of discarding them
+
 EXAMPLES:
   # Generate questions from text
   nlp-qg "Machine learning is a subset of artificial intelligence"
   
   # Generate questions from files
   nlp-qg generate-from-files document.pdf text.txt
+
+  # Generate questions from one chapter and a page range
+  nlp-qg generate-from-files textbook.pdf --sections="chapter 3,pages 40-45"
+
+  # Export questions for Moodle
+  nlp-qg generate-from-files chapter1.pdf --format=moodle --out=chapter1.xml
+
+  # Generate select-all-that-apply questions with four options
+  nlp-qg generate "The water cycle..." --question-type=multi_select --num-options=4
+
+  # Export an Anki deck for spaced repetition
+  nlp-qg generate "Photosynthesis converts light energy..." --format=anki --deck=Biology
+
+  # Build three printable exam forms from saved questions
+  nlp-qg build-exam questions.json --forms=3 --seed=midterm --format=pdf
   
   # Open configuration
   nlp-qg config
@@ -183,14 +227,19 @@ For more information: https://github.com/your-repo/nlp-question-generator
             process.exit(1);
         }
 
-        const text = args.join(' ');
+        const text = args.filter(arg => !arg.startsWith('--')).join(' ');
         const options = this.parseOptions(args);
+        this.validateFormatOption(options);
+        this.validateQuestionTypeOption(options);
 
         console.log('Generating questions...\n');
 
         try {
-            const result = await this.providerManager.generateQuestions(text, options);
-            this.displayResults(result);
+            const document = DocumentStructure.createDocument([
+                { name: 'input', type: 'text', sections: DocumentStructure.segmentText(text) }
+            ]);
+            const result = await this.generateFromDocument(document, text, options);
+            await this.outputResults(result, options);
         } catch (error) {
             console.error('❌ Generation failed:', error.message);
             process.exit(1);
@@ -209,6 +258,8 @@ For more information: https://github.com/your-repo/nlp-question-generator
 
         const filePaths = args.filter(arg => !arg.startsWith('--'));
         const options = this.parseOptions(args);
+        this.validateFormatOption(options);
+        this.validateQuestionTypeOption(options);
 
         console.log('Processing files...\n');
 
@@ -220,7 +271,11 @@ For more information: https://github.com/your-repo/nlp-question-generator
                 console.error(`❌ File not found: ${filePath}`);
                 continue;
             }
-            validFiles.push(fullPath);
+            validFiles.push({
+                path: fullPath,
+                originalname: path.basename(fullPath),
+                size: fs.statSync(fullPath).size
+            });
         }
 
         if (validFiles.length === 0) {
@@ -230,19 +285,19 @@ For more information: https://github.com/your-repo/nlp-question-generator
 
         try {
             // Extract text from files
-            const extractedText = await this.textExtractor.processFiles(validFiles);
+            const { combinedText, document } = await this.textExtractor.processFiles(validFiles);
 
-            if (!extractedText.trim()) {
+            if (!combinedText.trim()) {
                 console.error('❌ No text could be extracted from the files');
                 process.exit(1);
             }
 
-            console.log(`Extracted text length: ${extractedText.length} characters`);
+            console.log(`Extracted text length: ${combinedText.length} characters (${document.sections.length} sections)`);
             console.log('Generating questions...\n');
 
             // Generate questions
-            const result = await this.providerManager.generateQuestions(extractedText, options);
-            this.displayResults(result);
+            const result = await this.generateFromDocument(document, combinedText, options);
+            await this.outputResults(result, options);
 
         } catch (error) {
             console.error('❌ File processing failed:', error.message);
@@ -250,6 +305,131 @@ For more information: https://github.com/your-repo/nlp-question-generator
         }
     }
 
+    /**
+     * Generate questions from a document, limited to the sections --sections names
+     */
+    async generateFromDocument(document, text, options) {
+        if (!options.sections) {
+            return await this.generateCancellable(text, options);
+        }
+
+        let selection;
+        try {
+            selection = DocumentStructure.select(document, options.sections);
+        } catch (error) {
+            console.error(`❌ ${error.message}`);
+            process.exit(1);
+        }
+
+        console.log(`Using ${selection.sections.length} section(s): ${selection.sections.map(section => section.title).join(', ')}\n`);
+
+        const result = await this.generateCancellable(selection.text, options);
+        return {
+            ...result,
+            metadata: {
+                ...result.metadata,
+                sectionSelector: options.sections,
+                sections: DocumentStructure.getOutline(selection.sections)
+            }
+        };
+    }
+
+    /**
+     * Generate questions, stopping the provider request on Ctrl-C (a second Ctrl-C quits).
+     * With --keep-partial, a cancelled run returns the questions generated so far.
+     */
+    async generateCancellable(text, options) {
+        const controller = new AbortController();
+        const drafts = [];
+        const onInterrupt = () => {
+            if (controller.signal.aborted) {
+                process.exit(130);
+            }
+            console.log('\n⚠ Cancelling generation (press Ctrl-C again to quit)...');
+            controller.abort();
+        };
+        process.on('SIGINT', onInterrupt);
+
+        try {
+            return await this.providerManager.generateQuestions(text, {
+                ...options,
+                signal: controller.signal,
+                ...(options.keepPartial ? { onQuestion: question => drafts.push(question) } : {})
+            });
+        } catch (error) {
+            if (!ErrorHandler.isCancellation(error)) {
+                throw error;
+            }
+            if (options.keepPartial && drafts.length > 0) {
+                console.log(`⚠ Generation cancelled, keeping ${drafts.length} questions\n`);
+                return { questions: drafts, metadata: { num_questions: drafts.length, cancelled: true } };
+            }
+            console.error('❌ Generation cancelled');
+            process.exit(130);
+        } finally {
+            process.removeListener('SIGINT', onInterrupt);
+        }
+    }
+
+    /**
+     * Build shuffled exam forms from a saved question set
+     */
+    async buildExamCommand(args) {
+        const [filePath] = args.filter(arg => !arg.startsWith('--'));
+        if (!filePath) {
+            console.error('❌ Questions file is required');
+            console.log('Usage: nlp-qg build-exam <questions.json> [--forms=3] [--seed=abc] [--format=html|pdf|json]');
+            process.exit(1);
+        }
+
+        const fullPath = path.resolve(filePath);
+        if (!fs.existsSync(fullPath)) {
+            console.error(`❌ File not found: ${filePath}`);
+            process.exit(1);
+        }
+
+        const options = this.parseOptions(args);
+        const examBuilder = new ExamBuilder();
+        const numFormsValidation = examBuilder.validateNumForms(options.forms || 1);
+        if (!numFormsValidation.valid) {
+            console.error(`❌ ${numFormsValidation.error}`);
+            process.exit(1);
+        }
+
+        const format = options.format || 'html';
+        if (!['json', 'html', 'pdf'].includes(format)) {
+            console.error(`❌ Unsupported exam format: '${format}'. Supported formats: json, html, pdf`);
+            process.exit(1);
+        }
+
+        try {
+            const source = JSON.parse(fs.readFileSync(fullPath, 'utf8'));
+            // Accept a raw result, an API response ({ success, data }) or a bare questions array
+            const exam = examBuilder.build(source.data || source, {
+                numForms: numFormsValidation.value,
+                seed: options.seed,
+                title: options.title
+            });
+
+            let exported;
+            if (format === 'json') {
+                exported = {
+                    content: JSON.stringify(exam, null, 2),
+                    filename: `exam-${exam.seed}.json`
+                };
+            } else {
+                exported = await this.exportManager.export(exam, format, { filename: `exam-${exam.seed}` });
+            }
+
+            const outputPath = path.resolve(options.out || exported.filename);
+            fs.writeFileSync(outputPath, exported.content);
+            console.log(`✓ Built ${exam.numForms} form(s) of ${exam.numQuestions} questions (seed: ${exam.seed}) to ${outputPath}`);
+        } catch (error) {
+            console.error('❌ Exam build failed:', error.message);
+            process.exit(1);
+        }
+    }
+
     /**
      * Test provider connections
      */
@@ -331,6 +511,14 @@ For more information: https://github.com/your-repo/nlp-question-generator
                     case 'numQuestions':
                         options.numQuestions = parseInt(value) || 10;
                         break;
+                    case 'question-type':
+                    case 'questionType':
+                        options.questionType = value;
+                        break;
+                    case 'num-options':
+                    case 'numOptions':
+                        options.numOptions = value;
+                        break;
                     case 'model':
                         options.model = value;
                         break;
@@ -341,6 +529,39 @@ For more information: https://github.com/your-repo/nlp-question-generator
                     case 'format':
                         options.format = value;
                         break;
+                    case 'out':
+                        options.out = value;
+                        break;
+                    case 'category':
+                        options.category = value;
+                        break;
+                    case 'title':
+                        options.title = value;
+                        break;
+                    case 'deck':
+                        options.deck = value;
+                        break;
+                    case 'forms':
+                        options.forms = parseInt(value) || 1;
+                        break;
+                    case 'seed':
+                        options.seed = value;
+                        break;
+                    case 'sections':
+                        options.sections = value;
+                        break;
+                    case 'strict-grounding':
+                    case 'strictGrounding':
+                        options.strictGrounding = value !== 'false';
+                        break;
+                    case 'verify-answers':
+                    case 'verifyAnswers':
+                        options.verifyAnswers = value !== 'false';
+                        break;
+                    case 'keep-partial':
+                    case 'keepPartial':
+                        options.keepPartial = value !== 'false';
+                        break;
                 }
             }
         }
@@ -348,6 +569,57 @@ For more information: https://github.com/your-repo/nlp-question-generator
         return options;
     }
 
+    /**
+     * Exit early if --format names an unsupported export format
+     */
+    validateFormatOption(options) {
+        if (!options.format) return;
+
+        const validation = this.exportManager.validateFormat(options.format);
+        if (!validation.valid) {
+            console.error(`❌ ${validation.error}`);
+            process.exit(1);
+        }
+    }
+
+    /**
+     * Exit early if --question-type/--num-options are invalid, otherwise resolve their defaults
+     */
+    validateQuestionTypeOption(options) {
+        const validation = QuestionValidator.validateGenerationOptions(options);
+        if (!validation.valid) {
+            console.error(`❌ ${validation.error}`);
+            process.exit(1);
+        }
+
+        options.questionType = validation.questionType;
+        options.numOptions = validation.numOptions;
+    }
+
+    /**
+     * Display results, or write them to a file when --format is given
+     */
+    async outputResults(result, options) {
+        if (!options.format) {
+            this.displayResults(result);
+            return;
+        }
+
+        let exported;
+        if (this.exportManager.isNativeFormat(options.format)) {
+            exported = {
+                content: JSON.stringify(result, null, 2),
+                filename: `questions-${Date.now()}.json`
+            };
+        } else {
+            exported = await this.exportManager.export(result, options.format, options);
+        }
+
+        const outputPath = path.resolve(options.out || exported.filename);
+        fs.writeFileSync(outputPath, exported.content);
+        console.log(`✓ Exported ${result.questions?.length || 0} questions (${options.format}) to ${outputPath}`);
+    }
+
     /**
      * Display generation results
      */
@@ -369,11 +641,13 @@ For more information: https://github.com/your-repo/nlp-question-generator
 
                     questions.forEach((question, index) => {
                         console.log(`${index + 1}. ${question.questiontext}`);
-                        console.log(`   A) ${question.optiona}`);
-                        console.log(`   B) ${question.optionb}`);
-                        console.log(`   C) ${question.optionc}`);
-                        console.log(`   D) ${question.optiond}`);
-                        console.log(`   ✓ Correct: ${question.correctanswer}`);
+                        QuestionValidator.getOptionList(question).forEach(option => {
+                            console.log(`   ${option.key}) ${option.text}`);
+                        });
+                        if (NumericalValidator.isTemplate(question)) {
+                            console.log(`   Parameters: ${NumericalValidator.formatParameters(question.parameters)}`);
+                        }
+                        console.log(`   ✓ Correct: ${QuestionValidator.getAnswerText(question)}`);
                         console.log();
                     });
                 }
@@ -0,0 +1,26 @@
+const multer = require('multer');
+const path = require('path');
+
+/**
+ * Multer configuration for question set imports
+ * Spreadsheets are small, so they are kept in memory rather than written to uploads/
+ */
+const importUpload = multer({
+    storage: multer.memoryStorage(),
+    limits: {
+        fileSize: 5 * 1024 * 1024, // 5MB max spreadsheet size
+        files: 1
+    },
+    fileFilter: (req, file, cb) => {
+        const allowedExtensions = ['.csv', '.xlsx'];
+        const ext = path.extname(file.originalname).toLowerCase();
+
+        if (allowedExtensions.includes(ext)) {
+            cb(null, true);
+        } else {
+            cb(new Error(`File type not supported: ${file.originalname}. Allowed: CSV, XLSX`));
+        }
+    }
+});
+
+module.exports = importUpload;
@@ -0,0 +1,86 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * OpenAI-Compatible Provider Definitions
+ * Loads the providers listed in OPENAI_COMPATIBLE_PROVIDERS: the path to a JSON file (relative
+ * to the project root) or the JSON itself. Each definition is an object such as:
+ *
+ * {
+ *   "name": "openrouter",                       // Provider name used in requests (unique)
+ *   "description": "OpenRouter",
+ *   "baseURL": "https://openrouter.ai/api/v1",  // POSTs go to {baseURL}/chat/completions
+ *   "apiKeyEnv": "OPENROUTER_API_KEY",          // Environment variable holding the key
+ *   "authHeader": "Authorization",              // Header the key is sent in (default: bearer token)
+ *   "headers": { "X-Title": "NLP Question Generator" },
+ *   "query": { "api-version": "2024-10-21" },   // Query string added to every request
+ *   "models": ["meta-llama/llama-3.1-70b-instruct"],
+ *   "responseFormat": "json_object",            // json_schema, json_object or none
+ *   "pricing": { "input": 0.0004, "output": 0.0004 },  // USD per 1K tokens
+ *   "characteristics": { "speed": "fast", "quality": "good", "cost": "low", "bestFor": ["bulk"] },
+ *   "priority": 75,
+ *   "fallbackChain": ["gemini", "openai"],
+ *   "useCases": ["cost-sensitive"]
+ * }
+ *
+ * See openaiCompatibleProviders.example.json for vLLM, LM Studio, OpenRouter and Azure OpenAI.
+ */
+module.exports = {
+    /**
+     * Read the provider definitions
+     * @param {string} source - File path or JSON (default: OPENAI_COMPATIBLE_PROVIDERS)
+     * @param {Array<string>} reserved - Names already taken by other providers
+     * @returns {Array<Object>} - Definitions, with API keys resolved from their environment variables
+     */
+    load(source = process.env.OPENAI_COMPATIBLE_PROVIDERS, reserved = []) {
+        if (!source || !source.trim()) {
+            return [];
+        }
+
+        let definitions;
+        try {
+            const json = source.trim().startsWith('[')
+                ? source
+                : fs.readFileSync(path.resolve(__dirname, '..', source), 'utf8');
+            definitions = JSON.parse(json);
+        } catch (error) {
+            console.warn(`⚠ Could not read OpenAI-compatible providers from OPENAI_COMPATIBLE_PROVIDERS: ${error.message}`);
+            return [];
+        }
+
+        if (!Array.isArray(definitions)) {
+            console.warn('⚠ OPENAI_COMPATIBLE_PROVIDERS must list an array of provider definitions');
+            return [];
+        }
+
+        return this.resolve(definitions, reserved);
+    },
+
+    /**
+     * Check definitions and resolve their API keys, skipping any without a usable name
+     * @param {Array<Object>} definitions - Raw definitions
+     * @param {Array<string>} reserved - Names already taken by other providers
+     * @returns {Array<Object>}
+     */
+    resolve(definitions, reserved = []) {
+        const names = new Set(reserved);
+
+        return definitions.filter(definition => {
+            const name = (definition && definition.name || '').toString().toLowerCase();
+            if (!/^[a-z0-9_-]+$/.test(name)) {
+                console.warn(`⚠ Skipping OpenAI-compatible provider with invalid name: ${JSON.stringify(definition && definition.name)}`);
+                return false;
+            }
+            if (names.has(name)) {
+                console.warn(`⚠ Skipping OpenAI-compatible provider '${name}': the name is already taken`);
+                return false;
+            }
+            names.add(name);
+            return true;
+        }).map(definition => ({
+            ...definition,
+            name: definition.name.toLowerCase(),
+            apiKey: definition.apiKey || (definition.apiKeyEnv ? process.env[definition.apiKeyEnv] : undefined)
+        }));
+    }
+};
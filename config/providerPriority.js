@@ -94,6 +94,27 @@ module.exports = {
         'development': ['gemini', 'deepseek', 'kimi']
     },
 
+    /**
+     * Add a provider configured at runtime (e.g. an OpenAI-compatible endpoint)
+     * @param {string} provider - Provider name
+     * @param {Object} definition - { priority, characteristics, fallbackChain, useCases }
+     */
+    registerProvider(provider, definition = {}) {
+        const name = provider.toLowerCase();
+        if (definition.priority !== undefined) {
+            this.priorities[name] = definition.priority;
+        }
+        if (definition.characteristics) {
+            this.characteristics[name] = definition.characteristics;
+        }
+        if (definition.fallbackChain) {
+            this.fallbackChains[name] = definition.fallbackChain;
+        }
+        (definition.useCases || []).forEach(useCase => {
+            this.useCaseMapping[useCase] = [...(this.useCaseMapping[useCase] || []).filter(entry => entry !== name), name];
+        });
+    },
+
     /**
      * Get provider priority
      * @param {string} provider - Provider name
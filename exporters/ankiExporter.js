@@ -0,0 +1,431 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sqlite3 = require('sqlite3');
+const JSZip = require('jszip');
+const BaseExporter = require('./baseExporter');
+const QuestionValidator = require('../utils/questionValidator');
+
+const COLLECTION_SCHEMA = `
+    CREATE TABLE col (
+        id integer primary key, crt integer not null, mod integer not null, scm integer not null,
+        ver integer not null, dty integer not null, usn integer not null, ls integer not null,
+        conf text not null, models text not null, decks text not null, dconf text not null, tags text not null
+    );
+    CREATE TABLE notes (
+        id integer primary key, guid text not null, mid integer not null, mod integer not null,
+        usn integer not null, tags text not null, flds text not null, sfld integer not null,
+        csum integer not null, flags integer not null, data text not null
+    );
+    CREATE TABLE cards (
+        id integer primary key, nid integer not null, did integer not null, ord integer not null,
+        mod integer not null, usn integer not null, type integer not null, queue integer not null,
+        due integer not null, ivl integer not null, factor integer not null, reps integer not null,
+        lapses integer not null, left integer not null, odue integer not null, odid integer not null,
+        flags integer not null, data text not null
+    );
+    CREATE TABLE revlog (
+        id integer primary key, cid integer not null, usn integer not null, ivl integer not null,
+        lastIvl integer not null, factor integer not null, time integer not null, type integer not null
+    );
+    CREATE TABLE graves (usn integer not null, oid integer not null, type integer not null);
+    CREATE INDEX ix_notes_usn on notes (usn);
+    CREATE INDEX ix_cards_usn on cards (usn);
+    CREATE INDEX ix_revlog_usn on revlog (usn);
+    CREATE INDEX ix_cards_nid on cards (nid);
+    CREATE INDEX ix_cards_sched on cards (did, queue, due);
+    CREATE INDEX ix_revlog_cid on revlog (cid);
+    CREATE INDEX ix_notes_csum on notes (csum);
+`;
+
+const CARD_CSS = `.card { font-family: arial; font-size: 20px; text-align: left; color: black; background-color: white; }
+.options { list-style-type: upper-alpha; }
+.instruction { font-style: italic; font-size: 0.9em; }
+.answer { font-weight: bold; }
+.alternatives { font-size: 16px; color: #444; }
+.rationale { margin-top: 1em; font-size: 16px; color: #444; }`;
+
+/**
+ * Anki Deck Exporter
+ * Packages question sets as an Anki .apkg deck (a zipped legacy collection database)
+ */
+class AnkiExporter extends BaseExporter {
+    constructor(config = {}) {
+        super(config);
+        this.name = 'anki';
+        this.description = 'Anki flashcard deck (.apkg) for spaced repetition';
+        this.extension = 'apkg';
+        this.contentType = 'application/octet-stream';
+    }
+
+    /**
+     * Build the .apkg package
+     * @param {Object} result - Generation result
+     * @param {Object} options - Export options
+     * @param {string} options.deck - Deck name (default: title or 'NLP Question Generator')
+     * @returns {Promise<Buffer>} - Zip archive
+     */
+    async export(result, options = {}) {
+        const questions = this.getQuestions(result);
+        const deckName = options.deck || this.config.deck || options.title || 'NLP Question Generator';
+        const tempDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'nlp-qg-anki-'));
+        const dbPath = path.join(tempDir, 'collection.anki2');
+
+        try {
+            await this.writeCollection(dbPath, questions, result, { ...options, deck: deckName });
+
+            const zip = new JSZip();
+            zip.file('collection.anki2', await fs.promises.readFile(dbPath));
+            zip.file('media', '{}');
+
+            return await zip.generateAsync({
+                type: 'nodebuffer',
+                compression: 'DEFLATE'
+            });
+        } finally {
+            await fs.promises.rm(tempDir, { recursive: true, force: true });
+        }
+    }
+
+    /**
+     * Write the collection database with one note and card per question
+     * @param {string} dbPath - Database file path
+     * @param {Array} questions - Standardized questions
+     * @param {Object} result - Generation result
+     * @param {Object} options - Export options (with resolved deck name)
+     */
+    async writeCollection(dbPath, questions, result, options) {
+        const now = Date.now();
+        // Stable ids let re-imported decks update existing notes instead of duplicating them
+        const modelId = this.stableId(`model:${this.name}`);
+        const deckId = this.stableId(`deck:${options.deck}`);
+        const db = await this.openDatabase(dbPath);
+
+        try {
+            await this.exec(db, COLLECTION_SCHEMA);
+            await this.run(db,
+                'INSERT INTO col VALUES (1, ?, ?, ?, 11, 0, 0, 0, ?, ?, ?, ?, ?)',
+                [
+                    Math.floor(now / 1000), now, now,
+                    JSON.stringify(this.buildCollectionConfig(modelId, deckId)),
+                    JSON.stringify(this.buildModels(modelId, deckId, now)),
+                    JSON.stringify(this.buildDecks(deckId, options.deck, now)),
+                    JSON.stringify(this.buildDeckConfigs(now)),
+                    '{}'
+                ]
+            );
+
+            await this.exec(db, 'BEGIN');
+            for (let index = 0; index < questions.length; index++) {
+                // Cards show fixed numbers, so numerical templates become one instance
+                const question = this.getNumericalInstance(questions[index]);
+                const noteId = now + index;
+                const front = this.renderFront(question);
+                const tags = this.getTags(question, result, options)
+                    .map(tag => tag.replace(/:/g, '::').replace(/\s+/g, '_'));
+
+                await this.run(db,
+                    'INSERT INTO notes VALUES (?, ?, ?, ?, -1, ?, ?, ?, ?, 0, \'\')',
+                    [
+                        noteId,
+                        this.buildGuid(question),
+                        modelId,
+                        Math.floor(now / 1000),
+                        ` ${tags.join(' ')} `,
+                        [front, this.renderBack(question)].join('\x1f'),
+                        question.questiontext || '',
+                        this.checksum(question.questiontext || '')
+                    ]
+                );
+
+                await this.run(db,
+                    'INSERT INTO cards VALUES (?, ?, ?, 0, ?, -1, 0, 0, ?, 0, 0, 0, 0, 0, 0, 0, 0, \'\')',
+                    [noteId, noteId, deckId, Math.floor(now / 1000), index + 1]
+                );
+            }
+            await this.exec(db, 'COMMIT');
+        } finally {
+            await this.close(db);
+        }
+    }
+
+    /**
+     * Render the front of a card: stem and lettered options (or the premises and scrambled
+     * responses/steps of matching and ordering questions)
+     * @param {Object} question - Standardized question
+     * @returns {string} - HTML
+     */
+    renderFront(question) {
+        const arrangement = this.getArrangement(question);
+        const choices = arrangement ? arrangement.choices : this.getOptions(question);
+        const options = choices
+            .map(option => `<li>${this.toHTML(option.text)}</li>`)
+            .join('');
+        const premises = arrangement
+            ? arrangement.premises.map(premise => `<li>${this.toHTML(premise)}</li>`).join('')
+            : '';
+
+        const instruction = this.getAnswerInstruction(question);
+        const hint = instruction ? `<div class="instruction">${instruction}</div>` : '';
+        const list = (premises ? `<ol class="premises">${premises}</ol>` : '')
+            + (options ? `<ol class="options">${options}</ol>` : '');
+
+        return `<div class="stem">${this.toHTML(question.questiontext)}</div>${hint}${list}`;
+    }
+
+    /**
+     * Render the back of a card: correct answer (accepted alternatives, model answer and key ideas,
+     * the correct pairs/sequence, or the number and its formula) and rationale
+     * @param {Object} question - Standardized question
+     * @returns {string} - HTML
+     */
+    renderBack(question) {
+        let back;
+        if (QuestionValidator.isArrangement(question)) {
+            const arrangement = this.getArrangement(question);
+            const items = question.questionType === 'matching'
+                ? question.pairs.map(pair => `<li>${this.toHTML(pair.premise)} → ${this.toHTML(pair.response)}</li>`)
+                : question.sequence.map(step => `<li>${this.toHTML(step)}</li>`);
+            back = `<div class="answer">${this.toHTML(arrangement.key)}</div><ol class="sequence">${items.join('')}</ol>`;
+        } else if (QuestionValidator.isNumerical(question)) {
+            back = `<div class="answer">${this.toHTML(QuestionValidator.getAnswerText(question))}</div>`;
+            if (question.formula) {
+                back += `<div class="alternatives">Formula: ${this.toHTML(question.formula)}</div>`;
+            }
+        } else if (QuestionValidator.isOpenResponse(question)) {
+            const keyIdeas = (question.keyIdeas || []).map(idea => `<li>${this.toHTML(idea)}</li>`).join('');
+            back = `<div class="answer">${this.toHTML(question.modelAnswer)}</div><ul class="key-ideas">${keyIdeas}</ul>`;
+        } else if (QuestionValidator.isFreeResponse(question)) {
+            const [answer, ...alternatives] = QuestionValidator.getAcceptedAnswers(question);
+            back = `<div class="answer">${this.toHTML(answer)}</div>`;
+            if (alternatives.length > 0) {
+                back += `<div class="alternatives">Also accepted: ${alternatives.map(text => this.toHTML(text)).join(', ')}</div>`;
+            }
+        } else {
+            const answer = this.getOptions(question)
+                .filter(option => option.correct)
+                .map(option => `${option.key}. ${this.toHTML(option.text)}`)
+                .join('<br>');
+            back = `<div class="answer">${answer}</div>`;
+        }
+
+        if (question.rationale && question.rationale.trim() !== '') {
+            back += `<div class="rationale">${this.toHTML(question.rationale)}</div>`;
+        }
+
+        return back;
+    }
+
+    /**
+     * Escape text for a card field, keeping line breaks
+     * @param {string} text - Plain text
+     * @returns {string} - HTML
+     */
+    toHTML(text) {
+        return this.escapeXML(text).replace(/\r?\n/g, '<br>');
+    }
+
+    /**
+     * Derive a stable note GUID from the question stem
+     * @param {Object} question - Standardized question
+     * @returns {string}
+     */
+    buildGuid(question) {
+        return crypto.createHash('sha256')
+            .update(`${question.questiontext || ''}\x1f${question.correctanswer || ''}`)
+            .digest('base64')
+            .slice(0, 10);
+    }
+
+    /**
+     * Anki's duplicate-detection checksum: first 8 hex digits of the SHA1 of the sort field
+     * @param {string} text - Sort field
+     * @returns {number}
+     */
+    checksum(text) {
+        return parseInt(crypto.createHash('sha1').update(text).digest('hex').slice(0, 8), 16);
+    }
+
+    /**
+     * Derive a stable numeric id in Anki's recommended range [2^30, 2^31)
+     * @param {string} key - Identity key
+     * @returns {number}
+     */
+    stableId(key) {
+        const value = crypto.createHash('sha256').update(key).digest().readUInt32LE(0);
+        return (1 << 30) + (value % (1 << 30));
+    }
+
+    /**
+     * Collection-level configuration
+     * @param {number} modelId - Note type id
+     * @param {number} deckId - Deck id
+     * @returns {Object}
+     */
+    buildCollectionConfig(modelId, deckId) {
+        return {
+            nextPos: 1,
+            estTimes: true,
+            activeDecks: [1],
+            sortType: 'noteFld',
+            timeLim: 0,
+            sortBackwards: false,
+            addToCur: true,
+            curDeck: deckId,
+            newBury: true,
+            newSpread: 0,
+            dueCounts: true,
+            curModel: String(modelId),
+            collapseTime: 1200
+        };
+    }
+
+    /**
+     * Note type with Front/Back fields and a single card template
+     * @param {number} modelId - Note type id
+     * @param {number} deckId - Deck id
+     * @param {number} now - Timestamp (ms)
+     * @returns {Object}
+     */
+    buildModels(modelId, deckId, now) {
+        const field = (name, ord) => ({
+            name, ord, sticky: false, rtl: false, font: 'Arial', size: 20, media: []
+        });
+
+        return {
+            [modelId]: {
+                id: modelId,
+                name: 'NLP-QG Multiple Choice',
+                type: 0,
+                mod: Math.floor(now / 1000),
+                usn: -1,
+                sortf: 0,
+                did: deckId,
+                tmpls: [{
+                    name: 'Card 1',
+                    ord: 0,
+                    qfmt: '{{Front}}',
+                    afmt: '{{FrontSide}}<hr id="answer">{{Back}}',
+                    did: null,
+                    bqfmt: '',
+                    bafmt: ''
+                }],
+                flds: [field('Front', 0), field('Back', 1)],
+                css: CARD_CSS,
+                latexPre: '\\documentclass[12pt]{article}\n\\special{papersize=3in,5in}\n\\usepackage[utf8]{inputenc}\n\\usepackage{amssymb,amsmath}\n\\pagestyle{empty}\n\\setlength{\\parindent}{0in}\n\\begin{document}\n',
+                latexPost: '\\end{document}',
+                tags: [],
+                vers: [],
+                req: [[0, 'all', [0]]]
+            }
+        };
+    }
+
+    /**
+     * Default deck plus the export deck
+     * @param {number} deckId - Deck id
+     * @param {string} deckName - Deck name
+     * @param {number} now - Timestamp (ms)
+     * @returns {Object}
+     */
+    buildDecks(deckId, deckName, now) {
+        const deck = (id, name) => ({
+            id,
+            name,
+            desc: '',
+            mod: Math.floor(now / 1000),
+            usn: -1,
+            collapsed: false,
+            newToday: [0, 0],
+            revToday: [0, 0],
+            lrnToday: [0, 0],
+            timeToday: [0, 0],
+            dyn: 0,
+            extendNew: 10,
+            extendRev: 50,
+            conf: 1
+        });
+
+        return {
+            1: deck(1, 'Default'),
+            [deckId]: deck(deckId, deckName)
+        };
+    }
+
+    /**
+     * Default deck options group
+     * @param {number} now - Timestamp (ms)
+     * @returns {Object}
+     */
+    buildDeckConfigs(now) {
+        return {
+            1: {
+                id: 1,
+                name: 'Default',
+                mod: Math.floor(now / 1000),
+                usn: 0,
+                maxTaken: 60,
+                autoplay: true,
+                timer: 0,
+                replayq: true,
+                dyn: false,
+                new: { delays: [1, 10], ints: [1, 4, 7], initialFactor: 2500, order: 1, perDay: 20, bury: true, separate: true },
+                rev: { perDay: 100, ease4: 1.3, fuzz: 0.05, ivlFct: 1, maxIvl: 36500, bury: true, minSpace: 1 },
+                lapse: { delays: [10], mult: 0, minInt: 1, leechFails: 8, leechAction: 0 }
+            }
+        };
+    }
+
+    /**
+     * Open a new database file
+     * @param {string} dbPath - Database file path
+     * @returns {Promise<sqlite3.Database>}
+     */
+    openDatabase(dbPath) {
+        return new Promise((resolve, reject) => {
+            const db = new sqlite3.Database(dbPath, (err) => {
+                if (err) {
+                    reject(new Error(`Failed to create Anki collection: ${err.message}`));
+                    return;
+                }
+                resolve(db);
+            });
+        });
+    }
+
+    /**
+     * Execute one or more SQL statements
+     * @param {sqlite3.Database} db - Database
+     * @param {string} sql - SQL
+     */
+    exec(db, sql) {
+        return new Promise((resolve, reject) => {
+            db.exec(sql, (err) => (err ? reject(err) : resolve()));
+        });
+    }
+
+    /**
+     * Run a parameterized statement
+     * @param {sqlite3.Database} db - Database
+     * @param {string} sql - SQL
+     * @param {Array} params - Parameters
+     */
+    run(db, sql, params = []) {
+        return new Promise((resolve, reject) => {
+            db.run(sql, params, (err) => (err ? reject(err) : resolve()));
+        });
+    }
+
+    /**
+     * Close a database
+     * @param {sqlite3.Database} db - Database
+     */
+    close(db) {
+        return new Promise((resolve, reject) => {
+            db.close((err) => (err ? reject(err) : resolve()));
+        });
+    }
+}
+
+module.exports = AnkiExporter;
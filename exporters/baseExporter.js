@@ -0,0 +1,331 @@
+const ExamBuilder = require('../utils/examBuilder');
+const QuestionValidator = require('../utils/questionValidator');
+const OpenResponseValidator = require('../utils/openResponseValidator');
+const ArrangementValidator = require('../utils/arrangementValidator');
+const NumericalValidator = require('../utils/numericalValidator');
+
+/**
+ * Base Question Set Exporter
+ * All export formats must implement these methods
+ */
+
+class BaseExporter {
+    constructor(config = {}) {
+        this.config = config;
+        this.name = 'base';
+        this.description = 'Base Exporter';
+        this.extension = 'txt';
+        this.contentType = 'text/plain; charset=utf-8';
+    }
+
+    /**
+     * Render a generation result in this format
+     * @param {Object} result - Result from MultiProviderQuestionGenerator.generateQuestions
+     * @param {Object} options - Export options
+     * @returns {Promise<string|Buffer>} - Rendered content
+     */
+    async export(result, options = {}) {
+        throw new Error('export() must be implemented by exporter');
+    }
+
+    /**
+     * Get exporter information
+     * @returns {Object} - Exporter metadata
+     */
+    getExporterInfo() {
+        return {
+            name: this.name,
+            description: this.description,
+            extension: this.extension,
+            contentType: this.contentType
+        };
+    }
+
+    /**
+     * Extract and validate the questions array from a generation result
+     * @param {Object} result - Generation result (or bare questions array)
+     * @returns {Array} - Questions to export
+     */
+    getQuestions(result) {
+        const questions = Array.isArray(result) ? result : result?.questions;
+
+        if (!Array.isArray(questions)) {
+            throw new Error('Invalid result: Expected questions array');
+        }
+
+        if (questions.length === 0) {
+            throw new Error('No questions to export');
+        }
+
+        return questions;
+    }
+
+    /**
+     * Get the lettered answer options of a standardized question
+     * @param {Object} question - Standardized question
+     * @returns {Array<Object>} - Array of { key, text, correct }
+     */
+    getOptions(question) {
+        return QuestionValidator.getOptionList(question);
+    }
+
+    /**
+     * Whether learners may pick more than one option
+     * @param {Object} question - Standardized question
+     * @returns {boolean}
+     */
+    isMultipleAnswer(question) {
+        return question.questionType === 'multi_select'
+            || this.getOptions(question).filter(option => option.correct).length > 1;
+    }
+
+    /**
+     * Answering instruction shown with multi-answer, matching, ordering and numerical (with a unit)
+     * questions on printed and study exports
+     * @param {Object} question - Standardized question
+     * @returns {string|null}
+     */
+    getAnswerInstruction(question) {
+        if (QuestionValidator.isNumerical(question)) {
+            return question.unit ? `Give your answer in ${question.unit}.` : null;
+        }
+        if (question.questionType === 'matching') {
+            return 'Match each numbered item with a lettered response.';
+        }
+        if (question.questionType === 'ordering') {
+            return 'Put the lettered steps in the correct order.';
+        }
+        return this.isMultipleAnswer(question) ? 'Select all that apply.' : null;
+    }
+
+    /**
+     * What learners see for a matching or ordering question: numbered premises, lettered
+     * (scrambled) responses or steps, and the key (see ArrangementValidator.getPresentation)
+     * @param {Object} question - Standardized question
+     * @returns {Object|null} - { premises, choices, key }, or null for other types
+     */
+    getArrangement(question) {
+        return QuestionValidator.isArrangement(question) ? ArrangementValidator.getPresentation(question) : null;
+    }
+
+    /**
+     * Get a numerical question with concrete numbers. Templates are filled with values drawn
+     * from a stream seeded by the template text, so repeated exports show the same numbers;
+     * exam forms draw their own (see ExamBuilder.build).
+     * @param {Object} question - Standardized numerical question
+     * @returns {Object} - Concrete numerical question
+     */
+    getNumericalInstance(question) {
+        if (!NumericalValidator.isTemplate(question)) {
+            return question;
+        }
+        return NumericalValidator.instantiate(question, new ExamBuilder().createRandom(question.questiontext));
+    }
+
+    /**
+     * Expand a numerical template into distinct instances, seeded like getNumericalInstance
+     * (so the first instance is the one other exports show)
+     * @param {Object} question - Standardized numerical template
+     * @param {number} count - Number of instances wanted
+     * @returns {Array<Object>}
+     */
+    getNumericalVariants(question, count) {
+        return NumericalValidator.expand(question, count, new ExamBuilder().createRandom(question.questiontext));
+    }
+
+    /**
+     * Answer blank printed under a numerical question
+     * @param {Object} question - Standardized question
+     * @returns {string|null} - e.g. "Answer: ______________ km/h", or null for other types
+     */
+    getNumericalBlank(question) {
+        if (!QuestionValidator.isNumerical(question)) {
+            return null;
+        }
+        return `Answer: ______________${question.unit ? ` ${question.unit}` : ''}`;
+    }
+
+    /**
+     * Number of ruled answer lines to leave under an open-response question on printed exams
+     * @param {Object} question - Standardized question
+     * @returns {number} - 0 for questions answered by choosing options
+     */
+    getResponseLines(question) {
+        return OpenResponseValidator.TYPES[question.questionType]?.responseLines || 0;
+    }
+
+    /**
+     * Render the grading guide of an open-response question (model answer, key ideas, rubric) as XHTML
+     * @param {Object} question - Standardized short-answer or essay question
+     * @returns {string}
+     */
+    renderGradingGuide(question) {
+        const keyIdeas = (question.keyIdeas || [])
+            .map(idea => `<li>${this.escapeXML(idea)}</li>`)
+            .join('');
+        const rubric = (question.rubric || [])
+            .map(entry => `<li><strong>${this.escapeXML(entry.criterion)}</strong> (${entry.points} pts)${entry.description ? `: ${this.escapeXML(entry.description)}` : ''}</li>`)
+            .join('');
+
+        return [
+            `<p><strong>Model answer:</strong> ${this.escapeXML(question.modelAnswer)}</p>`,
+            `<p><strong>Key ideas:</strong></p><ul>${keyIdeas}</ul>`,
+            `<p><strong>Rubric (${question.maxPoints} pts):</strong></p><ul>${rubric}</ul>`
+        ].join('');
+    }
+
+    /**
+     * Moodle answer fraction (percent): correct options share 100%, and on multi-answer
+     * questions wrong options share -100% so ticking everything scores zero
+     * @param {Object} option - Option { key, text, correct }
+     * @param {Array<Object>} options - All options of the question
+     * @param {boolean} multiple - Whether the question accepts several answers
+     * @returns {string}
+     */
+    getFraction(option, options, multiple) {
+        if (!multiple) {
+            return option.correct ? '100' : '0';
+        }
+
+        const group = options.filter(other => other.correct === option.correct).length;
+        return this.formatFraction((option.correct ? 100 : -100) / group);
+    }
+
+    /**
+     * Format a fraction the way Moodle's own exports do (up to 5 decimals, no trailing zeros)
+     * @param {number} value - Percentage
+     * @returns {string}
+     */
+    formatFraction(value) {
+        return parseFloat(value.toFixed(5)).toString();
+    }
+
+    /**
+     * Resolve the Bloom's taxonomy level a question was generated for
+     * @param {Object} question - Standardized question
+     * @param {Object} result - Generation result
+     * @param {Object} options - Export options
+     * @returns {string|null} - Bloom level
+     */
+    getBloomLevel(question, result, options = {}) {
+        const level = question.bloomLevel || result?.metadata?.bloomLevel || options.bloomLevel;
+        return level ? level.toString().toLowerCase() : null;
+    }
+
+    /**
+     * Get the difficulty and Bloom level tags to attach to a question
+     * @param {Object} question - Standardized question
+     * @param {Object} result - Generation result
+     * @param {Object} options - Export options
+     * @returns {Array<string>} - Tags such as "difficulty:medium", "bloom:apply"
+     */
+    getTags(question, result, options = {}) {
+        const tags = [`difficulty:${question.difficulty || 'medium'}`];
+        const bloomLevel = this.getBloomLevel(question, result, options);
+
+        if (bloomLevel) {
+            tags.push(`bloom:${bloomLevel}`);
+        }
+
+        return tags;
+    }
+
+    /**
+     * Build the question bank category path for a question
+     * @param {string} rootCategory - Root category name
+     * @param {Object} question - Standardized question
+     * @param {Object} result - Generation result
+     * @param {Object} options - Export options
+     * @returns {string} - Category path, e.g. "$course$/top/NLP-QG/Apply/Medium"
+     */
+    buildCategoryPath(rootCategory, question, result, options) {
+        const segments = ['$course$', 'top', rootCategory];
+        const bloomLevel = this.getBloomLevel(question, result, options);
+
+        if (bloomLevel) {
+            segments.push(this.capitalize(bloomLevel));
+        }
+        segments.push(this.capitalize(question.difficulty || 'medium'));
+
+        return segments.join('/');
+    }
+
+    /**
+     * Build a short question name from its index and stem
+     * @param {Object} question - Standardized question
+     * @param {number} index - Question index
+     * @returns {string}
+     */
+    buildName(question, index) {
+        const stem = (question.questiontext || '').replace(/\s+/g, ' ').trim();
+        const excerpt = stem.length > 60 ? `${stem.substring(0, 57)}...` : stem;
+        return `Q${index + 1} - ${excerpt}`;
+    }
+
+    /**
+     * Get an exam (forms + answer keys) to render
+     * Accepts an exam built by ExamBuilder, or builds one from a plain generation result
+     * @param {Object} result - Exam or generation result
+     * @param {Object} options - Export options (numForms, seed, title, shuffle)
+     * @returns {Object} - Exam
+     */
+    getExam(result, options = {}) {
+        if (result && Array.isArray(result.forms)) {
+            return result;
+        }
+
+        const numForms = parseInt(options.numForms || options.num_forms) || 1;
+        // A single printable copy keeps the generated order unless shuffling is requested
+        const shuffle = this.parseBoolean(options.shuffle, numForms > 1);
+
+        return new ExamBuilder().build(this.getQuestions(result), {
+            numForms,
+            seed: options.seed,
+            title: options.title,
+            shuffleQuestions: shuffle,
+            shuffleOptions: shuffle
+        });
+    }
+
+    /**
+     * Parse a boolean option that may arrive as a query string
+     * @param {boolean|string} value - Raw value
+     * @param {boolean} defaultValue - Value when unset
+     * @returns {boolean}
+     */
+    parseBoolean(value, defaultValue = false) {
+        if (value === undefined || value === null || value === '') {
+            return defaultValue;
+        }
+        return value === true || value === 'true' || value === '1';
+    }
+
+    /**
+     * Capitalize first letter (used for category names)
+     * @param {string} value - Value to capitalize
+     * @returns {string}
+     */
+    capitalize(value) {
+        if (!value) return '';
+        return value.charAt(0).toUpperCase() + value.slice(1);
+    }
+
+    /**
+     * Escape text for inclusion in XML
+     * @param {string} text - Raw text
+     * @returns {string} - Escaped text
+     */
+    escapeXML(text) {
+        return (text || '')
+            .toString()
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&apos;')
+            // Strip characters that are illegal in XML 1.0
+            .replace(/[\x00-\x08\x0B\x0C\x0E-\x1F]/g, '');
+    }
+}
+
+module.exports = BaseExporter;
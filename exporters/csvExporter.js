@@ -0,0 +1,50 @@
+const BaseExporter = require('./baseExporter');
+const QuestionValidator = require('../utils/questionValidator');
+
+/**
+ * CSV Exporter
+ * One row per question and one column per standardized field, for spreadsheet review
+ */
+class CsvExporter extends BaseExporter {
+    constructor(config = {}) {
+        super(config);
+        this.name = 'csv';
+        this.description = 'CSV spreadsheet, one column per question field (re-importable via POST /import)';
+        this.extension = 'csv';
+        this.contentType = 'text/csv; charset=utf-8';
+    }
+
+    /**
+     * Render questions as CSV
+     * @param {Object} result - Generation result
+     * @param {Object} options - Export options
+     * @returns {Promise<string>} - CSV document
+     */
+    async export(result, options = {}) {
+        const questions = this.getQuestions(result);
+        const rows = [
+            QuestionValidator.FIELDS,
+            ...questions.map(question => QuestionValidator.FIELDS.map(field => QuestionValidator.formatField(question, field)))
+        ];
+
+        // Byte order mark so Excel opens the file as UTF-8
+        return '\uFEFF' + rows.map(row => row.map(value => this.escapeCSV(value)).join(',')).join('\r\n') + '\r\n';
+    }
+
+    /**
+     * Quote a CSV value when it contains separators, quotes or line breaks
+     * @param {*} value - Cell value
+     * @returns {string}
+     */
+    escapeCSV(value) {
+        const text = value === undefined || value === null ? '' : String(value);
+
+        if (/[",\r\n]/.test(text) || text !== text.trim()) {
+            return `"${text.replace(/"/g, '""')}"`;
+        }
+
+        return text;
+    }
+}
+
+module.exports = CsvExporter;
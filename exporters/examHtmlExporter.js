@@ -0,0 +1,180 @@
+const BaseExporter = require('./baseExporter');
+
+/**
+ * Printable Exam HTML Exporter
+ * Renders exam forms and answer keys as a print-ready HTML document
+ */
+class ExamHtmlExporter extends BaseExporter {
+    constructor(config = {}) {
+        super(config);
+        this.name = 'html';
+        this.description = 'Printable exam (HTML) with answer keys';
+        this.extension = 'html';
+        this.contentType = 'text/html; charset=utf-8';
+    }
+
+    /**
+     * Render an exam as HTML
+     * @param {Object} result - Exam from ExamBuilder, or a generation result
+     * @param {Object} options - Export options
+     * @param {boolean|string} options.includeAnswerKey - Append answer keys (default: true)
+     * @returns {Promise<string>} - HTML document
+     */
+    async export(result, options = {}) {
+        const exam = this.getExam(result, options);
+        const includeAnswerKey = this.parseBoolean(options.includeAnswerKey, true);
+        const sections = [];
+
+        exam.forms.forEach(form => {
+            sections.push(this.renderForm(exam, form));
+        });
+
+        if (includeAnswerKey) {
+            exam.forms.forEach(form => {
+                sections.push(this.renderAnswerKey(exam, form));
+            });
+        }
+
+        return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${this.escapeXML(exam.title)}</title>
+<style>
+  body { font-family: Georgia, 'Times New Roman', serif; font-size: 12pt; line-height: 1.4; margin: 2cm; color: #000; }
+  section { page-break-after: always; }
+  section:last-child { page-break-after: auto; }
+  header { border-bottom: 2px solid #000; margin-bottom: 1em; padding-bottom: 0.5em; }
+  header h1 { font-size: 18pt; margin: 0; }
+  .form-label { float: right; font-weight: bold; font-size: 14pt; }
+  .fields { margin-top: 0.75em; }
+  .fields span { display: inline-block; margin-right: 2em; }
+  .question { margin-bottom: 1em; page-break-inside: avoid; }
+  .options { list-style-type: upper-alpha; margin: 0.3em 0 0 0; }
+  .premises { list-style-type: decimal; margin: 0.3em 0 0 0; }
+  .blank { display: inline-block; width: 2.5em; border-bottom: 1px solid #000; margin-right: 0.5em; }
+  .instruction { font-style: italic; font-size: 0.9em; }
+  .response { margin-top: 0.3em; border-bottom: 1px solid #000; height: 1.6em; }
+  td.text { text-align: left; }
+  table { border-collapse: collapse; }
+  th, td { border: 1px solid #000; padding: 0.2em 0.8em; text-align: center; }
+  .seed { margin-top: 1em; font-size: 9pt; color: #555; }
+</style>
+</head>
+<body>
+${sections.join('\n')}
+</body>
+</html>
+`;
+    }
+
+    /**
+     * Render one exam form
+     * @param {Object} exam - Exam
+     * @param {Object} form - Form
+     * @returns {string}
+     */
+    renderForm(exam, form) {
+        const questions = form.questions.map(question => {
+            const options = this.getOptions(question)
+                .map(option => `      <li>${this.escapeXML(option.text)}</li>`)
+                .join('\n');
+
+            const instruction = this.getAnswerInstruction(question);
+
+            const list = options ? `
+    <ol class="options">
+${options}
+    </ol>` : '';
+            const response = '\n    <div class="response"></div>'.repeat(this.getResponseLines(question));
+            const blank = this.getNumericalBlank(question);
+            const numerical = blank ? `
+    <div class="fields"><span>${this.escapeXML(blank)}</span></div>` : '';
+
+            return `  <li class="question">
+    <div class="stem">${this.escapeXML(question.questiontext)}</div>${instruction ? `
+    <div class="instruction">${instruction}</div>` : ''}${list}${this.renderArrangement(question)}${numerical}${response}
+  </li>`;
+        });
+
+        return `<section class="form">
+<header>
+  <span class="form-label">Form ${this.escapeXML(form.form)}</span>
+  <h1>${this.escapeXML(exam.title)}</h1>
+  <div class="fields"><span>Name: ______________________</span><span>Date: ____________</span></div>
+</header>
+<ol class="questions">
+${questions.join('\n')}
+</ol>
+</section>`;
+    }
+
+    /**
+     * Render the items of a matching question (numbered premises with a blank for the letter,
+     * then lettered responses) or an ordering question (lettered steps and a line for the order)
+     * @param {Object} question - Standardized question
+     * @returns {string} - Empty for other question types
+     */
+    renderArrangement(question) {
+        const arrangement = this.getArrangement(question);
+        if (!arrangement) {
+            return '';
+        }
+
+        const choices = arrangement.choices
+            .map(choice => `      <li>${this.escapeXML(choice.text)}</li>`)
+            .join('\n');
+
+        if (arrangement.premises.length === 0) {
+            return `
+    <ol class="options">
+${choices}
+    </ol>
+    <div class="fields"><span>Order: ______________________</span></div>`;
+        }
+
+        const premises = arrangement.premises
+            .map(premise => `      <li><span class="blank"></span>${this.escapeXML(premise)}</li>`)
+            .join('\n');
+
+        return `
+    <ol class="premises">
+${premises}
+    </ol>
+    <ol class="options">
+${choices}
+    </ol>`;
+    }
+
+    /**
+     * Render the answer key for one form
+     * @param {Object} exam - Exam
+     * @param {Object} form - Form
+     * @returns {string}
+     */
+    renderAnswerKey(exam, form) {
+        const rows = form.answerKey
+            .map(entry => {
+                const points = entry.points ? ` (${entry.points} pts)` : '';
+                const cell = entry.points ? '<td class="text">' : '<td>';
+                return `    <tr><td>${entry.number}</td>${cell}${this.escapeXML(entry.answer)}${points}</td></tr>`;
+            })
+            .join('\n');
+
+        return `<section class="answer-key">
+<header>
+  <span class="form-label">Form ${this.escapeXML(form.form)}</span>
+  <h1>${this.escapeXML(exam.title)} - Answer Key</h1>
+</header>
+<table>
+  <thead><tr><th>#</th><th>Answer</th></tr></thead>
+  <tbody>
+${rows}
+  </tbody>
+</table>
+<p class="seed">Seed: ${this.escapeXML(exam.seed)}</p>
+</section>`;
+    }
+}
+
+module.exports = ExamHtmlExporter;
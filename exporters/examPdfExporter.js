@@ -0,0 +1,145 @@
+const PDFDocument = require('pdfkit');
+const BaseExporter = require('./baseExporter');
+
+/**
+ * Printable Exam PDF Exporter
+ * Renders exam forms and answer keys as a PDF document
+ */
+class ExamPdfExporter extends BaseExporter {
+    constructor(config = {}) {
+        super(config);
+        this.name = 'pdf';
+        this.description = 'Printable exam (PDF) with answer keys';
+        this.extension = 'pdf';
+        this.contentType = 'application/pdf';
+        this.pageSize = config.pageSize || 'A4';
+    }
+
+    /**
+     * Render an exam as PDF
+     * @param {Object} result - Exam from ExamBuilder, or a generation result
+     * @param {Object} options - Export options
+     * @param {boolean|string} options.includeAnswerKey - Append answer keys (default: true)
+     * @returns {Promise<Buffer>} - PDF document
+     */
+    async export(result, options = {}) {
+        const exam = this.getExam(result, options);
+        const includeAnswerKey = this.parseBoolean(options.includeAnswerKey, true);
+
+        const doc = new PDFDocument({
+            size: this.pageSize,
+            margin: 50,
+            autoFirstPage: false,
+            info: { Title: exam.title }
+        });
+
+        const chunks = [];
+        const finished = new Promise((resolve, reject) => {
+            doc.on('data', chunk => chunks.push(chunk));
+            doc.on('end', () => resolve(Buffer.concat(chunks)));
+            doc.on('error', reject);
+        });
+
+        exam.forms.forEach(form => this.renderForm(doc, exam, form));
+
+        if (includeAnswerKey) {
+            exam.forms.forEach(form => this.renderAnswerKey(doc, exam, form));
+        }
+
+        doc.end();
+        return await finished;
+    }
+
+    /**
+     * Render the page header for a form
+     * @param {PDFDocument} doc - PDF document
+     * @param {string} title - Heading
+     * @param {string} form - Form label
+     */
+    renderHeader(doc, title, form) {
+        doc.addPage();
+        doc.font('Helvetica-Bold').fontSize(12).text(`Form ${form}`, { align: 'right' });
+        doc.fontSize(18).text(title);
+        doc.moveDown(0.5);
+    }
+
+    /**
+     * Render one exam form
+     * @param {PDFDocument} doc - PDF document
+     * @param {Object} exam - Exam
+     * @param {Object} form - Form
+     */
+    renderForm(doc, exam, form) {
+        this.renderHeader(doc, exam.title, form.form);
+        doc.font('Helvetica').fontSize(11)
+            .text('Name: ______________________        Date: ____________');
+        doc.moveDown(1.5);
+
+        form.questions.forEach(question => {
+            doc.font('Helvetica-Bold').fontSize(11).text(`${question.number}. `, { continued: true })
+                .font('Helvetica').text(question.questiontext);
+            const instruction = this.getAnswerInstruction(question);
+            if (instruction) {
+                doc.font('Helvetica-Oblique').fontSize(10).text(instruction)
+                    .font('Helvetica').fontSize(11);
+            }
+            doc.moveDown(0.3);
+
+            this.getOptions(question).forEach(option => {
+                doc.text(`${option.key}) ${option.text}`, { indent: 20 });
+            });
+
+            // Matching: numbered premises with a blank for the letter; ordering: a line for the sequence
+            const arrangement = this.getArrangement(question);
+            if (arrangement) {
+                arrangement.premises.forEach((premise, index) => {
+                    doc.text(`____ ${index + 1}. ${premise}`, { indent: 20 });
+                });
+                if (arrangement.premises.length > 0) {
+                    doc.moveDown(0.3);
+                }
+                arrangement.choices.forEach(choice => {
+                    doc.text(`${choice.key}) ${choice.text}`, { indent: 20 });
+                });
+                if (arrangement.premises.length === 0) {
+                    doc.moveDown(0.3).text('Order: ______________________', { indent: 20 });
+                }
+            }
+
+            const blank = this.getNumericalBlank(question);
+            if (blank) {
+                doc.text(blank, { indent: 20 });
+            }
+
+            // Ruled lines for written answers
+            for (let line = 0; line < this.getResponseLines(question); line++) {
+                doc.moveDown(0.9);
+                const y = doc.y;
+                doc.moveTo(doc.page.margins.left + 20, y)
+                    .lineTo(doc.page.width - doc.page.margins.right, y)
+                    .strokeColor('#999999').stroke().strokeColor('#000000');
+            }
+            doc.moveDown(0.8);
+        });
+    }
+
+    /**
+     * Render the answer key for one form
+     * @param {PDFDocument} doc - PDF document
+     * @param {Object} exam - Exam
+     * @param {Object} form - Form
+     */
+    renderAnswerKey(doc, exam, form) {
+        this.renderHeader(doc, `${exam.title} - Answer Key`, form.form);
+        doc.font('Helvetica').fontSize(11);
+
+        form.answerKey.forEach(entry => {
+            doc.text(`${entry.number}. ${entry.answer}${entry.points ? ` (${entry.points} pts)` : ''}`);
+        });
+
+        doc.moveDown(1);
+        doc.fontSize(8).fillColor('#555555').text(`Seed: ${exam.seed}`).fillColor('#000000');
+    }
+}
+
+module.exports = ExamPdfExporter;
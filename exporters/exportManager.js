@@ -0,0 +1,131 @@
+const MoodleXmlExporter = require('./moodleXmlExporter');
+const GiftExporter = require('./giftExporter');
+const QtiExporter = require('./qtiExporter');
+const CsvExporter = require('./csvExporter');
+const XlsxExporter = require('./xlsxExporter');
+const AnkiExporter = require('./ankiExporter');
+const ExamHtmlExporter = require('./examHtmlExporter');
+const ExamPdfExporter = require('./examPdfExporter');
+
+/**
+ * Export Manager - Renders generated question sets into LMS/import formats
+ */
+class ExportManager {
+    constructor(config = {}) {
+        this.config = config;
+        this.exporters = new Map();
+        // Formats answered with the regular JSON response instead of an export
+        this.nativeFormats = ['json'];
+
+        this.register(new MoodleXmlExporter(config.moodle || {}));
+        this.register(new GiftExporter(config.gift || {}));
+        this.register(new QtiExporter({ ...(config.qti || {}), version: '2.1' }));
+        this.register(new QtiExporter({ ...(config.qti || {}), version: '3.0' }));
+        this.register(new CsvExporter(config.csv || {}));
+        this.register(new XlsxExporter(config.xlsx || {}));
+        this.register(new AnkiExporter(config.anki || {}));
+        this.register(new ExamHtmlExporter(config.html || {}));
+        this.register(new ExamPdfExporter(config.pdf || {}));
+    }
+
+    /**
+     * Register an exporter
+     * @param {BaseExporter} exporter - Exporter instance
+     */
+    register(exporter) {
+        this.exporters.set(exporter.name, exporter);
+    }
+
+    /**
+     * Normalize a requested format name
+     * @param {string} format - Requested format
+     * @returns {string}
+     */
+    normalizeFormat(format) {
+        return (format || '').toString().trim().toLowerCase();
+    }
+
+    /**
+     * Check whether a format is served as the regular JSON response
+     * @param {string} format - Requested format (empty means JSON)
+     * @returns {boolean}
+     */
+    isNativeFormat(format) {
+        const normalized = this.normalizeFormat(format);
+        return normalized === '' || this.nativeFormats.includes(normalized);
+    }
+
+    /**
+     * Check if an export format is available
+     * @param {string} format - Format name
+     * @returns {boolean}
+     */
+    hasFormat(format) {
+        return this.exporters.has(this.normalizeFormat(format));
+    }
+
+    /**
+     * Validate a requested format
+     * @param {string} format - Requested format
+     * @returns {Object} - Validation result
+     */
+    validateFormat(format) {
+        if (this.isNativeFormat(format) || this.hasFormat(format)) {
+            return { valid: true, format: this.normalizeFormat(format) || 'json' };
+        }
+
+        return {
+            valid: false,
+            error: `Unsupported export format: '${format}'. Supported formats: ${this.listFormats().map(f => f.name).join(', ')}`
+        };
+    }
+
+    /**
+     * List all supported formats
+     * @returns {Array} - Array of format info
+     */
+    listFormats() {
+        const formats = this.nativeFormats.map(name => ({
+            name,
+            description: 'Standard JSON response',
+            extension: 'json',
+            contentType: 'application/json'
+        }));
+
+        for (const exporter of this.exporters.values()) {
+            formats.push(exporter.getExporterInfo());
+        }
+
+        return formats;
+    }
+
+    /**
+     * Export a generation result
+     * @param {Object} result - Generation result
+     * @param {string} format - Target format
+     * @param {Object} options - Exporter options
+     * @returns {Promise<Object>} - { content, contentType, extension, filename, format }
+     */
+    async export(result, format, options = {}) {
+        const normalized = this.normalizeFormat(format);
+        const exporter = this.exporters.get(normalized);
+
+        if (!exporter) {
+            throw new Error(this.validateFormat(format).error);
+        }
+
+        const content = await exporter.export(result, options);
+        const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+        const basename = options.filename || `questions-${timestamp}`;
+
+        return {
+            content,
+            contentType: exporter.contentType,
+            extension: exporter.extension,
+            filename: `${basename}.${exporter.extension}`,
+            format: normalized
+        };
+    }
+}
+
+module.exports = ExportManager;
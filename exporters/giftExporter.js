@@ -0,0 +1,189 @@
+const BaseExporter = require('./baseExporter');
+const QuestionValidator = require('../utils/questionValidator');
+const NumericalValidator = require('../utils/numericalValidator');
+
+/**
+ * GIFT Exporter
+ * Renders question sets in Moodle's GIFT plain-text format
+ */
+class GiftExporter extends BaseExporter {
+    constructor(config = {}) {
+        super(config);
+        this.name = 'gift';
+        this.description = 'Moodle GIFT plain-text format';
+        this.extension = 'gift';
+        this.contentType = 'text/plain; charset=utf-8';
+    }
+
+    /**
+     * Render questions as a GIFT document
+     * @param {Object} result - Generation result
+     * @param {Object} options - Export options
+     * @param {string} options.category - Root question bank category (default: 'NLP-QG')
+     * @param {string} options.bloomLevel - Bloom level to use when questions don't carry one
+     * @returns {Promise<string>} - GIFT document
+     */
+    async export(result, options = {}) {
+        const questions = this.getQuestions(result);
+        const rootCategory = options.category || this.config.category || 'NLP-QG';
+        const blocks = [];
+        let currentCategory = null;
+
+        questions.forEach((question, index) => {
+            const category = this.buildCategoryPath(rootCategory, question, result, options);
+
+            // Only emit a category directive when it changes
+            if (category !== currentCategory) {
+                blocks.push(`$CATEGORY: ${category}`);
+                currentCategory = category;
+            }
+
+            blocks.push(this.renderQuestion(question, index, result, options));
+        });
+
+        return blocks.join('\n\n') + '\n';
+    }
+
+    /**
+     * Render a single multiple choice question
+     * @param {Object} question - Standardized question
+     * @param {number} index - Question index in the set
+     * @param {Object} result - Generation result
+     * @param {Object} options - Export options
+     * @returns {string}
+     */
+    renderQuestion(question, index, result, options) {
+        // Moodle reads [tag:...] markers from the comment preceding a question
+        const tags = this.getTags(question, result, options)
+            .map(tag => `[tag:${tag.replace(/[\s\]]/g, '_')}]`)
+            .join(' ');
+
+        if (question.questionType === 'cloze') {
+            return this.renderCloze(question, index, tags);
+        }
+        if (QuestionValidator.isArrangement(question)) {
+            return this.renderMatching(question, index, tags);
+        }
+        if (QuestionValidator.isNumerical(question)) {
+            return this.renderNumerical(question, index, tags);
+        }
+        if (QuestionValidator.isOpenResponse(question)) {
+            // An empty answer block makes an essay question; GIFT has no field for the rubric
+            const feedback = question.rationale && question.rationale.trim() !== ''
+                ? `####${this.escapeGIFT(question.rationale)}`
+                : '';
+            return [
+                `// ${tags}`,
+                `::${this.escapeGIFT(this.buildName(question, index))}::${this.escapeGIFT(question.questiontext)} {${feedback}}`
+            ].join('\n');
+        }
+
+        // Multi-answer questions use weighted ~%n% answers instead of a single =
+        const answerOptions = this.getOptions(question);
+        const multiple = this.isMultipleAnswer(question);
+        const answers = answerOptions.map(option => (multiple
+            ? `~%${this.getFraction(option, answerOptions, true)}%${this.escapeGIFT(option.text)}`
+            : `${option.correct ? '=' : '~'}${this.escapeGIFT(option.text)}`));
+
+        const lines = [
+            `// ${tags}`,
+            `::${this.escapeGIFT(this.buildName(question, index))}::${this.escapeGIFT(question.questiontext)} {`,
+            ...answers.map(answer => `\t${answer}`)
+        ];
+
+        if (question.rationale && question.rationale.trim() !== '') {
+            lines.push(`\t####${this.escapeGIFT(question.rationale)}`);
+        }
+
+        lines.push('}');
+        return lines.join('\n');
+    }
+
+    /**
+     * Render a cloze question in GIFT's missing-word form: the answer block replaces the blank
+     * @param {Object} question - Standardized cloze question
+     * @param {number} index - Question index in the set
+     * @param {string} tags - Rendered [tag:...] markers
+     * @returns {string}
+     */
+    renderCloze(question, index, tags) {
+        const [before, after = ''] = question.questiontext.split(QuestionValidator.BLANK);
+        const answers = QuestionValidator.getAcceptedAnswers(question)
+            .map(answer => `=${this.escapeGIFT(answer)}`)
+            .join(' ');
+        const feedback = question.rationale && question.rationale.trim() !== ''
+            ? ` ####${this.escapeGIFT(question.rationale)}`
+            : '';
+
+        return [
+            `// ${tags}`,
+            `::${this.escapeGIFT(this.buildName(question, index))}::${this.escapeGIFT(before)}{${answers}${feedback}}${this.escapeGIFT(after)}`
+        ].join('\n');
+    }
+
+    /**
+     * Render a matching question as GIFT "premise -> response" pairs. GIFT has no ordering type,
+     * so ordering questions become matching questions that pair each step with its position.
+     * @param {Object} question - Standardized matching or ordering question
+     * @param {number} index - Question index in the set
+     * @param {string} tags - Rendered [tag:...] markers
+     * @returns {string}
+     */
+    renderMatching(question, index, tags) {
+        const pairs = question.questionType === 'ordering'
+            ? question.sequence.map((step, position) => ({ premise: step, response: String(position + 1) }))
+            : question.pairs;
+
+        const lines = [
+            `// ${tags}`,
+            `::${this.escapeGIFT(this.buildName(question, index))}::${this.escapeGIFT(question.questiontext)} {`,
+            ...pairs.map(pair => `\t=${this.escapeGIFT(pair.premise)} -> ${this.escapeGIFT(pair.response)}`)
+        ];
+
+        if (question.rationale && question.rationale.trim() !== '') {
+            lines.push(`\t####${this.escapeGIFT(question.rationale)}`);
+        }
+
+        lines.push('}');
+        return lines.join('\n');
+    }
+
+    /**
+     * Render a numerical question as a GIFT "{#answer:tolerance}" block. GIFT has no
+     * parameters, so templates are exported as one instance (see getNumericalInstance),
+     * and the unit goes into the question text.
+     * @param {Object} question - Standardized numerical question
+     * @param {number} index - Question index in the set
+     * @param {string} tags - Rendered [tag:...] markers
+     * @returns {string}
+     */
+    renderNumerical(question, index, tags) {
+        const instance = this.getNumericalInstance(question);
+        const instruction = this.getAnswerInstruction(instance);
+        const text = instruction ? `${instance.questiontext} ${instruction}` : instance.questiontext;
+        const answer = NumericalValidator.formatNumber(instance.correctanswer, NumericalValidator.getDecimals(instance));
+        const feedback = instance.rationale && instance.rationale.trim() !== ''
+            ? ` ####${this.escapeGIFT(instance.rationale)}`
+            : '';
+
+        return [
+            `// ${tags}`,
+            `::${this.escapeGIFT(this.buildName(instance, index))}::${this.escapeGIFT(text)} {#${answer}:${NumericalValidator.getAbsoluteTolerance(instance)}${feedback}}`
+        ].join('\n');
+    }
+
+    /**
+     * Escape GIFT control characters and flatten line breaks
+     * @param {string} text - Raw text
+     * @returns {string} - Escaped text
+     */
+    escapeGIFT(text) {
+        return (text || '')
+            .toString()
+            .replace(/\\/g, '\\\\')
+            .replace(/([~=#{}:])/g, '\\$1')
+            .replace(/\r?\n/g, '\\n');
+    }
+}
+
+module.exports = GiftExporter;
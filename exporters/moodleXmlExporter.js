@@ -0,0 +1,459 @@
+const BaseExporter = require('./baseExporter');
+const QuestionValidator = require('../utils/questionValidator');
+const OpenResponseValidator = require('../utils/openResponseValidator');
+const NumericalValidator = require('../utils/numericalValidator');
+const ExpressionEvaluator = require('../utils/expressionEvaluator');
+
+/**
+ * Moodle XML Exporter
+ * Renders question sets in Moodle's native XML question bank format
+ */
+class MoodleXmlExporter extends BaseExporter {
+    constructor(config = {}) {
+        super(config);
+        this.name = 'moodle';
+        this.description = 'Moodle XML question bank format';
+        this.extension = 'xml';
+        this.contentType = 'application/xml; charset=utf-8';
+    }
+
+    /**
+     * Render questions as a Moodle XML quiz
+     * @param {Object} result - Generation result
+     * @param {Object} options - Export options
+     * @param {string} options.category - Root question bank category (default: 'NLP-QG')
+     * @param {string} options.bloomLevel - Bloom level to use when questions don't carry one
+     * @param {number} options.variants - Dataset items per numerical template (default: 20)
+     * @returns {Promise<string>} - Moodle XML document
+     */
+    async export(result, options = {}) {
+        const questions = this.getQuestions(result);
+        const rootCategory = options.category || this.config.category || 'NLP-QG';
+
+        // Group questions by category so each category element is emitted once
+        const groups = new Map();
+        questions.forEach((question, index) => {
+            const category = this.buildCategoryPath(rootCategory, question, result, options);
+            if (!groups.has(category)) {
+                groups.set(category, []);
+            }
+            groups.get(category).push({ question, index });
+        });
+
+        const parts = ['<?xml version="1.0" encoding="UTF-8"?>', '<quiz>'];
+
+        for (const [category, entries] of groups) {
+            parts.push(this.renderCategory(category));
+            entries.forEach(({ question, index }) => {
+                parts.push(this.renderQuestion(question, index, result, options));
+            });
+        }
+
+        parts.push('</quiz>', '');
+        return parts.join('\n');
+    }
+
+    /**
+     * Render a category switch pseudo-question
+     * @param {string} category - Category path
+     * @returns {string}
+     */
+    renderCategory(category) {
+        return `  <question type="category">
+    <category>
+      <text>${this.escapeXML(category)}</text>
+    </category>
+  </question>`;
+    }
+
+    /**
+     * Render a single multiple choice question
+     * @param {Object} question - Standardized question
+     * @param {number} index - Question index in the set
+     * @param {Object} result - Generation result
+     * @param {Object} options - Export options
+     * @returns {string}
+     */
+    renderQuestion(question, index, result, options) {
+        if (question.questionType === 'cloze') {
+            return this.renderShortAnswer(question, index, result, options);
+        }
+        if (QuestionValidator.isOpenResponse(question)) {
+            return this.renderEssay(question, index, result, options);
+        }
+        if (question.questionType === 'matching') {
+            return this.renderMatching(question, index, result, options);
+        }
+        if (question.questionType === 'ordering') {
+            return this.renderOrdering(question, index, result, options);
+        }
+        if (NumericalValidator.isTemplate(question)) {
+            return this.renderCalculated(question, index, result, options);
+        }
+        if (QuestionValidator.isNumerical(question)) {
+            return this.renderNumerical(question, index, result, options);
+        }
+
+        const answerOptions = this.getOptions(question);
+        const multiple = this.isMultipleAnswer(question);
+        const answers = answerOptions.map(option => `    <answer fraction="${this.getFraction(option, answerOptions, multiple)}" format="html">
+      <text>${this.escapeXML(option.text)}</text>
+      <feedback format="html">
+        <text></text>
+      </feedback>
+    </answer>`);
+
+        return `  <question type="multichoice">
+    <name>
+      <text>${this.escapeXML(this.buildName(question, index))}</text>
+    </name>
+    <questiontext format="html">
+      <text>${this.escapeXML(question.questiontext)}</text>
+    </questiontext>
+    <generalfeedback format="html">
+      <text>${this.escapeXML(question.rationale)}</text>
+    </generalfeedback>
+    <defaultgrade>1.0000000</defaultgrade>
+    <penalty>0.3333333</penalty>
+    <hidden>0</hidden>
+    <single>${multiple ? 'false' : 'true'}</single>
+    <shuffleanswers>true</shuffleanswers>
+    <answernumbering>ABCD</answernumbering>
+${answers.join('\n')}
+${this.renderTags(question, result, options)}
+  </question>`;
+    }
+
+    /**
+     * Render a cloze question as a short-answer question; every accepted answer earns full marks
+     * @param {Object} question - Standardized cloze question
+     * @param {number} index - Question index in the set
+     * @param {Object} result - Generation result
+     * @param {Object} options - Export options
+     * @returns {string}
+     */
+    renderShortAnswer(question, index, result, options) {
+        const answers = QuestionValidator.getAcceptedAnswers(question).map(answer => `    <answer fraction="100" format="moodle_auto_format">
+      <text>${this.escapeXML(answer)}</text>
+      <feedback format="html">
+        <text></text>
+      </feedback>
+    </answer>`);
+
+        return `  <question type="shortanswer">
+    <name>
+      <text>${this.escapeXML(this.buildName(question, index))}</text>
+    </name>
+    <questiontext format="html">
+      <text>${this.escapeXML(question.questiontext)}</text>
+    </questiontext>
+    <generalfeedback format="html">
+      <text>${this.escapeXML(question.rationale)}</text>
+    </generalfeedback>
+    <defaultgrade>1.0000000</defaultgrade>
+    <penalty>0.3333333</penalty>
+    <hidden>0</hidden>
+    <usecase>0</usecase>
+${answers.join('\n')}
+${this.renderTags(question, result, options)}
+  </question>`;
+    }
+
+    /**
+     * Render a short-answer or essay question as a manually graded Moodle essay;
+     * the model answer and rubric go into the grader information
+     * @param {Object} question - Standardized open-response question
+     * @param {number} index - Question index in the set
+     * @param {Object} result - Generation result
+     * @param {Object} options - Export options
+     * @returns {string}
+     */
+    renderEssay(question, index, result, options) {
+        const lines = OpenResponseValidator.TYPES[question.questionType].responseLines;
+
+        return `  <question type="essay">
+    <name>
+      <text>${this.escapeXML(this.buildName(question, index))}</text>
+    </name>
+    <questiontext format="html">
+      <text>${this.escapeXML(question.questiontext)}</text>
+    </questiontext>
+    <generalfeedback format="html">
+      <text>${this.escapeXML(question.rationale)}</text>
+    </generalfeedback>
+    <defaultgrade>${Number(question.maxPoints || 1).toFixed(7)}</defaultgrade>
+    <penalty>0.0000000</penalty>
+    <hidden>0</hidden>
+    <responseformat>editor</responseformat>
+    <responserequired>1</responserequired>
+    <responsefieldlines>${lines}</responsefieldlines>
+    <attachments>0</attachments>
+    <attachmentsrequired>0</attachmentsrequired>
+    <graderinfo format="html">
+      <text>${this.escapeXML(this.renderGradingGuide(question))}</text>
+    </graderinfo>
+    <responsetemplate format="html">
+      <text></text>
+    </responsetemplate>
+${this.renderTags(question, result, options)}
+  </question>`;
+    }
+
+    /**
+     * Render a matching question; Moodle shuffles the responses into a drop-down per premise
+     * @param {Object} question - Standardized matching question
+     * @param {number} index - Question index in the set
+     * @param {Object} result - Generation result
+     * @param {Object} options - Export options
+     * @returns {string}
+     */
+    renderMatching(question, index, result, options) {
+        const subquestions = question.pairs.map(pair => `    <subquestion format="html">
+      <text>${this.escapeXML(pair.premise)}</text>
+      <answer>
+        <text>${this.escapeXML(pair.response)}</text>
+      </answer>
+    </subquestion>`);
+
+        return `  <question type="matching">
+    <name>
+      <text>${this.escapeXML(this.buildName(question, index))}</text>
+    </name>
+    <questiontext format="html">
+      <text>${this.escapeXML(question.questiontext)}</text>
+    </questiontext>
+    <generalfeedback format="html">
+      <text>${this.escapeXML(question.rationale)}</text>
+    </generalfeedback>
+    <defaultgrade>1.0000000</defaultgrade>
+    <penalty>0.3333333</penalty>
+    <hidden>0</hidden>
+    <shuffleanswers>true</shuffleanswers>
+${subquestions.join('\n')}
+${this.renderTags(question, result, options)}
+  </question>`;
+    }
+
+    /**
+     * Render an ordering question for Moodle's ordering question type (core since Moodle 4.4);
+     * each answer's fraction is its position in the correct sequence
+     * @param {Object} question - Standardized ordering question
+     * @param {number} index - Question index in the set
+     * @param {Object} result - Generation result
+     * @param {Object} options - Export options
+     * @returns {string}
+     */
+    renderOrdering(question, index, result, options) {
+        const answers = question.sequence.map((step, position) => `    <answer fraction="${(position + 1).toFixed(7)}" format="moodle_auto_format">
+      <text>${this.escapeXML(step)}</text>
+      <feedback format="html">
+        <text></text>
+      </feedback>
+    </answer>`);
+
+        return `  <question type="ordering">
+    <name>
+      <text>${this.escapeXML(this.buildName(question, index))}</text>
+    </name>
+    <questiontext format="html">
+      <text>${this.escapeXML(question.questiontext)}</text>
+    </questiontext>
+    <generalfeedback format="html">
+      <text>${this.escapeXML(question.rationale)}</text>
+    </generalfeedback>
+    <defaultgrade>1.0000000</defaultgrade>
+    <penalty>0.3333333</penalty>
+    <hidden>0</hidden>
+    <layouttype>VERTICAL</layouttype>
+    <selecttype>ALL</selecttype>
+    <selectcount>0</selectcount>
+    <gradingtype>ABSOLUTE_POSITION</gradingtype>
+    <showgrading>SHOW</showgrading>
+    <numberingstyle>none</numberingstyle>
+${answers.join('\n')}
+${this.renderTags(question, result, options)}
+  </question>`;
+    }
+
+    /**
+     * Render a numerical question; answers within the tolerance earn full marks
+     * @param {Object} question - Standardized numerical question with fixed numbers
+     * @param {number} index - Question index in the set
+     * @param {Object} result - Generation result
+     * @param {Object} options - Export options
+     * @returns {string}
+     */
+    renderNumerical(question, index, result, options) {
+        return `  <question type="numerical">
+    <name>
+      <text>${this.escapeXML(this.buildName(question, index))}</text>
+    </name>
+    <questiontext format="html">
+      <text>${this.escapeXML(question.questiontext)}</text>
+    </questiontext>
+    <generalfeedback format="html">
+      <text>${this.escapeXML(question.rationale)}</text>
+    </generalfeedback>
+    <defaultgrade>1.0000000</defaultgrade>
+    <penalty>0.3333333</penalty>
+    <hidden>0</hidden>
+    <answer fraction="100" format="moodle_auto_format">
+      <text>${NumericalValidator.formatNumber(question.correctanswer, NumericalValidator.getDecimals(question))}</text>
+      <feedback format="html">
+        <text></text>
+      </feedback>
+      <tolerance>${NumericalValidator.getAbsoluteTolerance(question)}</tolerance>
+    </answer>
+${this.renderUnits(question)}
+${this.renderTags(question, result, options)}
+  </question>`;
+    }
+
+    /**
+     * Render a numerical template as a Moodle calculated question, so every attempt draws its
+     * own numbers. The dataset items are instances drawn ahead of time (see
+     * NumericalValidator.expand), which keeps Moodle to values the template allows.
+     * @param {Object} question - Standardized numerical template
+     * @param {number} index - Question index in the set
+     * @param {Object} result - Generation result
+     * @param {Object} options - Export options
+     * @returns {string}
+     */
+    renderCalculated(question, index, result, options) {
+        const count = Math.min(parseInt(options.variants || this.config.variants, 10) || 20, NumericalValidator.MAX_VARIANTS);
+        const instances = this.getNumericalVariants(question, count);
+
+        const datasets = question.parameters.map(parameter => {
+            const values = Array.isArray(parameter.values) ? parameter.values : [parameter.min, parameter.max];
+            const decimals = Math.max(...[...values, parameter.step || 0].map(value => NumericalValidator.countDecimals(value)));
+            const items = instances.map((instance, position) => `          <dataset_item>
+            <number>${position + 1}</number>
+            <value>${instance.values[parameter.name]}</value>
+          </dataset_item>`);
+
+            return `      <dataset_definition>
+        <status><text>private</text></status>
+        <name><text>${this.escapeXML(parameter.name)}</text></name>
+        <type>calculated</type>
+        <distribution><text>uniform</text></distribution>
+        <minimum><text>${Math.min(...values)}</text></minimum>
+        <maximum><text>${Math.max(...values)}</text></maximum>
+        <decimals><text>${decimals}</text></decimals>
+        <itemcount>${instances.length}</itemcount>
+        <dataset_items>
+${items.join('\n')}
+        </dataset_items>
+        <number_of_items>${instances.length}</number_of_items>
+      </dataset_definition>`;
+        });
+
+        return `  <question type="calculated">
+    <name>
+      <text>${this.escapeXML(this.buildName(question, index))}</text>
+    </name>
+    <questiontext format="html">
+      <text>${this.escapeXML(question.questiontext)}</text>
+    </questiontext>
+    <generalfeedback format="html">
+      <text>${this.escapeXML(question.rationale)}</text>
+    </generalfeedback>
+    <defaultgrade>1.0000000</defaultgrade>
+    <penalty>0.3333333</penalty>
+    <hidden>0</hidden>
+    <synchronize>0</synchronize>
+    <single>0</single>
+    <answernumbering>abc</answernumbering>
+    <shuffleanswers>0</shuffleanswers>
+    <answer fraction="100">
+      <text>${this.escapeXML(this.renderFormula(ExpressionEvaluator.parse(question.formula)))}</text>
+      <tolerance>${question.tolerance || 0}</tolerance>
+      <tolerancetype>${question.toleranceType === 'relative' ? 1 : 2}</tolerancetype>
+      <correctanswerformat>1</correctanswerformat>
+      <correctanswerlength>${NumericalValidator.getDecimals(question)}</correctanswerlength>
+      <feedback format="html">
+        <text></text>
+      </feedback>
+    </answer>
+${this.renderUnits(question)}
+    <dataset_definitions>
+${datasets.join('\n')}
+    </dataset_definitions>
+${this.renderTags(question, result, options)}
+  </question>`;
+    }
+
+    /**
+     * Write a parsed formula in Moodle's calculated-question syntax: {name} for variables,
+     * pow() and fmod() for ^ and %, PHP function names for logarithms, pi() and exp(1)
+     * @param {Object} node - Formula node (see ExpressionEvaluator.parse)
+     * @param {boolean} nested - Whether the node is an operand (and so needs parentheses)
+     * @returns {string}
+     */
+    renderFormula(node, nested = false) {
+        switch (node.type) {
+        case 'number':
+            return String(node.value);
+        case 'variable':
+            return `{${node.name}}`;
+        case 'constant':
+            return node.name === 'pi' ? 'pi()' : 'exp(1)';
+        case 'unary':
+            return `-${this.renderFormula(node.argument, true)}`;
+        case 'call': {
+            const args = node.args.map(arg => this.renderFormula(arg));
+            if (node.name === 'ln') return `log(${args[0]})`;
+            if (node.name === 'log') return `log10(${args[0]})`;
+            if (node.name === 'log2') return `(log(${args[0]}) / log(2))`;
+            return `${node.name}(${args.join(', ')})`;
+        }
+        default: {
+            const left = this.renderFormula(node.left, true);
+            const right = this.renderFormula(node.right, true);
+            if (node.operator === '^') return `pow(${left}, ${right})`;
+            if (node.operator === '%') return `fmod(${left}, ${right})`;
+            const expression = `${left} ${node.operator} ${right}`;
+            return nested ? `(${expression})` : expression;
+        }
+        }
+    }
+
+    /**
+     * Render the unit settings of a numerical or calculated question. The unit is optional
+     * for learners; without one, Moodle hides the unit field.
+     * @param {Object} question - Standardized numerical question
+     * @returns {string}
+     */
+    renderUnits(question) {
+        const units = question.unit ? `    <units>
+      <unit>
+        <multiplier>1</multiplier>
+        <unit_name>${this.escapeXML(question.unit)}</unit_name>
+      </unit>
+    </units>
+` : '';
+
+        return `${units}    <unitgradingtype>0</unitgradingtype>
+    <unitpenalty>0.1000000</unitpenalty>
+    <showunits>${question.unit ? 0 : 3}</showunits>
+    <unitsleft>0</unitsleft>`;
+    }
+
+    /**
+     * Render a question's tags block
+     * @param {Object} question - Standardized question
+     * @param {Object} result - Generation result
+     * @param {Object} options - Export options
+     * @returns {string}
+     */
+    renderTags(question, result, options) {
+        const tags = this.getTags(question, result, options).map(tag => `      <tag>
+        <text>${this.escapeXML(tag)}</text>
+      </tag>`);
+
+        return `    <tags>
+${tags.join('\n')}
+    </tags>`;
+    }
+}
+
+module.exports = MoodleXmlExporter;
@@ -0,0 +1,512 @@
+const JSZip = require('jszip');
+const BaseExporter = require('./baseExporter');
+const QuestionValidator = require('../utils/questionValidator');
+const OpenResponseValidator = require('../utils/openResponseValidator');
+const NumericalValidator = require('../utils/numericalValidator');
+
+/**
+ * IMS QTI Exporter
+ * Packages question sets as IMS QTI 2.1 or 3.0 content packages (zip)
+ */
+class QtiExporter extends BaseExporter {
+    constructor(config = {}) {
+        super(config);
+        this.version = config.version === '3.0' ? '3.0' : '2.1';
+        this.name = this.version === '3.0' ? 'qti3' : 'qti';
+        this.description = `IMS QTI ${this.version} content package (zip)`;
+        this.extension = 'zip';
+        this.contentType = 'application/zip';
+    }
+
+    /**
+     * Version-specific namespaces and resource types
+     * @returns {Object}
+     */
+    getSpec() {
+        if (this.version === '3.0') {
+            return {
+                namespace: 'http://www.imsglobal.org/xsd/imsqtiasi_v3p0',
+                schemaLocation: 'https://purl.imsglobal.org/spec/qti/v3p0/schema/xsd/imsqti_asiv3p0_v1p0.xsd',
+                manifestNamespace: 'http://www.imsglobal.org/xsd/qti/qtiv3p0/imscp_v1p1',
+                itemType: 'imsqti_item_xmlv3p0',
+                testType: 'imsqti_test_xmlv3p0',
+                schema: 'QTI Package',
+                schemaVersion: '3.0.0'
+            };
+        }
+
+        return {
+            namespace: 'http://www.imsglobal.org/xsd/imsqti_v2p1',
+            schemaLocation: 'http://www.imsglobal.org/xsd/qti/qtiv2p1/imsqti_v2p1.xsd',
+            manifestNamespace: 'http://www.imsglobal.org/xsd/imscp_v1p1',
+            itemType: 'imsqti_item_xmlv2p1',
+            testType: 'imsqti_test_xmlv2p1',
+            schema: 'QTIv2.1 Package',
+            schemaVersion: '1.0.0'
+        };
+    }
+
+    /**
+     * Build the content package
+     * @param {Object} result - Generation result
+     * @param {Object} options - Export options
+     * @param {string} options.title - Assessment title (default: 'Generated Quiz')
+     * @returns {Promise<Buffer>} - Zip archive
+     */
+    async export(result, options = {}) {
+        const questions = this.getQuestions(result);
+        const title = options.title || this.config.title || 'Generated Quiz';
+        const zip = new JSZip();
+
+        const items = questions.map((question, index) => {
+            const identifier = `item-${index + 1}`;
+            const href = `items/${identifier}.xml`;
+            // QTI items have fixed numbers, so numerical templates are packaged as one instance
+            zip.file(href, this.renderItem(this.getNumericalInstance(question), index, identifier));
+            return { identifier, href, question };
+        });
+
+        zip.file('assessment.xml', this.renderTest(items, title));
+        zip.file('imsmanifest.xml', this.renderManifest(items, result, options));
+
+        return await zip.generateAsync({
+            type: 'nodebuffer',
+            compression: 'DEFLATE'
+        });
+    }
+
+    /**
+     * Render an assessmentItem with response processing and rationale feedback
+     * @param {Object} question - Standardized question
+     * @param {number} index - Question index
+     * @param {string} identifier - Item identifier
+     * @returns {string} - Item XML document
+     */
+    renderItem(question, index, identifier) {
+        const hasRationale = question.rationale && question.rationale.trim() !== '';
+        let interaction;
+        if (question.questionType === 'cloze') {
+            interaction = this.renderTextEntry(question);
+        } else if (QuestionValidator.isOpenResponse(question)) {
+            interaction = this.renderExtendedText(question);
+        } else if (question.questionType === 'matching') {
+            interaction = this.renderMatch(question);
+        } else if (question.questionType === 'ordering') {
+            interaction = this.renderOrder(question);
+        } else if (QuestionValidator.isNumerical(question)) {
+            interaction = this.renderNumericEntry(question);
+        } else {
+            interaction = this.renderChoice(question);
+        }
+
+        const responseProcessing = [...interaction.scoring];
+
+        if (hasRationale) {
+            responseProcessing.push(this.element('setOutcomeValue', { identifier: 'FEEDBACK' }, [
+                this.element('baseValue', { baseType: 'identifier' }, 'RATIONALE')
+            ]));
+        }
+
+        const children = [
+            interaction.declaration,
+            this.element('outcomeDeclaration', {
+                identifier: 'SCORE',
+                cardinality: 'single',
+                baseType: 'float',
+                ...(interaction.scoreAttributes || {})
+            }, [
+                this.element('defaultValue', {}, [this.element('value', {}, '0')])
+            ]),
+            this.element('outcomeDeclaration', { identifier: 'FEEDBACK', cardinality: 'single', baseType: 'identifier' }),
+            this.element('itemBody', {}, [interaction.body]),
+            this.element('responseProcessing', {}, responseProcessing)
+        ];
+
+        if (hasRationale) {
+            children.push(this.element('modalFeedback', {
+                outcomeIdentifier: 'FEEDBACK',
+                identifier: 'RATIONALE',
+                showHide: 'show'
+            }, this.escapeXML(question.rationale)));
+        }
+
+        return this.document(this.element('assessmentItem', {
+            ...this.getRootAttributes(),
+            identifier,
+            title: this.buildName(question, index),
+            adaptive: 'false',
+            timeDependent: 'false'
+        }, children));
+    }
+
+    /**
+     * Render a choiceInteraction, scored 1 for exactly the correct option(s)
+     * @param {Object} question - Standardized question
+     * @returns {Object} - { declaration, body, scoring }
+     */
+    renderChoice(question) {
+        const options = this.getOptions(question);
+        const correct = options.filter(option => option.correct).map(option => option.key);
+        const multiple = this.isMultipleAnswer(question);
+
+        return {
+            declaration: this.element('responseDeclaration', {
+                identifier: 'RESPONSE',
+                cardinality: multiple ? 'multiple' : 'single',
+                baseType: 'identifier'
+            }, [
+                this.element('correctResponse', {}, correct.map(key => this.element('value', {}, key)))
+            ]),
+            body: this.element('choiceInteraction', {
+                responseIdentifier: 'RESPONSE',
+                shuffle: 'true',
+                maxChoices: multiple ? '0' : '1'
+            }, [
+                this.element('prompt', {}, this.escapeXML(question.questiontext)),
+                ...options.map(option => this.element('simpleChoice', { identifier: option.key }, this.escapeXML(option.text)))
+            ]),
+            scoring: this.renderMatchCorrect()
+        };
+    }
+
+    /**
+     * Response processing that scores 1 when the response equals the correct response, else 0
+     * @param {string} comparison - Condition to test instead of an exact match (e.g. an equal with a tolerance)
+     * @returns {Array<string>}
+     */
+    renderMatchCorrect(comparison = null) {
+        const setScore = (value) => this.element('setOutcomeValue', { identifier: 'SCORE' }, [
+            this.element('baseValue', { baseType: 'float' }, value)
+        ]);
+
+        return [
+            this.element('responseCondition', {}, [
+                this.element('responseIf', {}, [
+                    comparison || this.element('match', {}, [
+                        this.element('variable', { identifier: 'RESPONSE' }),
+                        this.element('correct', { identifier: 'RESPONSE' })
+                    ]),
+                    setScore('1')
+                ]),
+                this.element('responseElse', {}, [setScore('0')])
+            ])
+        ];
+    }
+
+    /**
+     * Render a matching question as a matchInteraction between premises (P1..) and responses (R1..);
+     * each correct pair earns an equal share of one point
+     * @param {Object} question - Standardized matching question
+     * @returns {Object} - { declaration, body, scoring }
+     */
+    renderMatch(question) {
+        const arrangement = this.getArrangement(question);
+        const pairs = question.pairs.map((_, index) => `P${index + 1} R${index + 1}`);
+        const share = this.formatFraction(1 / pairs.length);
+        const associable = (identifier, text) => this.element('simpleAssociableChoice', {
+            identifier,
+            matchMax: '1'
+        }, this.escapeXML(text));
+
+        return {
+            declaration: this.element('responseDeclaration', {
+                identifier: 'RESPONSE',
+                cardinality: 'multiple',
+                baseType: 'directedPair'
+            }, [
+                this.element('correctResponse', {}, pairs.map(pair => this.element('value', {}, pair))),
+                this.element('mapping', { defaultValue: '0', lowerBound: '0', upperBound: '1' },
+                    pairs.map(pair => this.element('mapEntry', { mapKey: pair, mappedValue: share })))
+            ]),
+            body: this.element('matchInteraction', {
+                responseIdentifier: 'RESPONSE',
+                shuffle: 'true',
+                maxAssociations: String(pairs.length)
+            }, [
+                this.element('prompt', {}, this.escapeXML(question.questiontext)),
+                this.element('simpleMatchSet', {},
+                    arrangement.premises.map((premise, index) => associable(`P${index + 1}`, premise))),
+                this.element('simpleMatchSet', {},
+                    arrangement.choices.map(choice => associable(`R${choice.index + 1}`, choice.text)))
+            ]),
+            scoring: [
+                this.element('setOutcomeValue', { identifier: 'SCORE' }, [
+                    this.element('mapResponse', { identifier: 'RESPONSE' })
+                ])
+            ]
+        };
+    }
+
+    /**
+     * Render an ordering question as an orderInteraction, scored 1 for exactly the correct sequence
+     * @param {Object} question - Standardized ordering question
+     * @returns {Object} - { declaration, body, scoring }
+     */
+    renderOrder(question) {
+        const arrangement = this.getArrangement(question);
+
+        return {
+            declaration: this.element('responseDeclaration', {
+                identifier: 'RESPONSE',
+                cardinality: 'ordered',
+                baseType: 'identifier'
+            }, [
+                this.element('correctResponse', {},
+                    question.sequence.map((_, index) => this.element('value', {}, `S${index + 1}`)))
+            ]),
+            body: this.element('orderInteraction', {
+                responseIdentifier: 'RESPONSE',
+                shuffle: 'true'
+            }, [
+                this.element('prompt', {}, this.escapeXML(question.questiontext)),
+                ...arrangement.choices.map(choice => this.element('simpleChoice', {
+                    identifier: `S${choice.index + 1}`
+                }, this.escapeXML(choice.text)))
+            ]),
+            scoring: this.renderMatchCorrect()
+        };
+    }
+
+    /**
+     * Render a cloze question as an inline textEntryInteraction; the answer and every
+     * alternative map to full marks, case-insensitively
+     * @param {Object} question - Standardized cloze question
+     * @returns {Object} - { declaration, body, scoring }
+     */
+    renderTextEntry(question) {
+        const answers = QuestionValidator.getAcceptedAnswers(question);
+        const [before, after = ''] = question.questiontext.split(QuestionValidator.BLANK);
+        const longest = Math.max(...answers.map(answer => answer.length));
+
+        const entry = this.element('textEntryInteraction', {
+            responseIdentifier: 'RESPONSE',
+            expectedLength: String(longest)
+        });
+
+        return {
+            declaration: this.element('responseDeclaration', {
+                identifier: 'RESPONSE',
+                cardinality: 'single',
+                baseType: 'string'
+            }, [
+                this.element('correctResponse', {}, [this.element('value', {}, this.escapeXML(answers[0]))]),
+                this.element('mapping', { defaultValue: '0', upperBound: '1' },
+                    answers.map(answer => this.element('mapEntry', {
+                        mapKey: answer,
+                        mappedValue: '1',
+                        caseSensitive: 'false'
+                    })))
+            ]),
+            // Plain XHTML paragraph (not renamed for QTI 3.0) with the interaction in place of the blank
+            body: `<p>${this.escapeXML(before)}${entry}${this.escapeXML(after)}</p>`,
+            scoring: [
+                this.element('setOutcomeValue', { identifier: 'SCORE' }, [
+                    this.element('mapResponse', { identifier: 'RESPONSE' })
+                ])
+            ]
+        };
+    }
+
+    /**
+     * Render a numerical question as a float textEntryInteraction, scored 1 when the response
+     * is within the question's tolerance of the answer
+     * @param {Object} question - Standardized numerical question with fixed numbers
+     * @returns {Object} - { declaration, body, scoring }
+     */
+    renderNumericEntry(question) {
+        const answer = NumericalValidator.formatNumber(question.correctanswer, NumericalValidator.getDecimals(question));
+        const tolerance = String(NumericalValidator.getAbsoluteTolerance(question));
+        const entry = this.element('textEntryInteraction', {
+            responseIdentifier: 'RESPONSE',
+            expectedLength: String(Math.max(answer.length + 2, 6))
+        });
+        const unit = question.unit ? ` ${this.escapeXML(question.unit)}` : '';
+
+        return {
+            declaration: this.element('responseDeclaration', {
+                identifier: 'RESPONSE',
+                cardinality: 'single',
+                baseType: 'float'
+            }, [
+                this.element('correctResponse', {}, [this.element('value', {}, answer)])
+            ]),
+            // Plain XHTML paragraphs (not renamed for QTI 3.0) around the inline interaction
+            body: `<p>${this.escapeXML(question.questiontext)}</p>\n<p>${entry}${unit}</p>`,
+            scoring: this.renderMatchCorrect(this.element('equal', {
+                toleranceMode: 'absolute',
+                tolerance: `${tolerance} ${tolerance}`
+            }, [
+                this.element('variable', { identifier: 'RESPONSE' }),
+                this.element('correct', { identifier: 'RESPONSE' })
+            ]))
+        };
+    }
+
+    /**
+     * Render a short-answer or essay question as an extendedTextInteraction. These are scored
+     * by a person, so the model answer and rubric go into a scorer-only rubricBlock.
+     * @param {Object} question - Standardized open-response question
+     * @returns {Object} - { declaration, body, scoring, scoreAttributes }
+     */
+    renderExtendedText(question) {
+        const guide = this.renderGradingGuide(question);
+        // QTI 3.0 rubric blocks wrap their content in qti-content-body
+        const rubricContent = this.version === '3.0' ? [this.element('contentBody', {}, [guide])] : [guide];
+        const rubricAttributes = this.version === '3.0' ? { use: 'scoring', view: 'scorer' } : { view: 'scorer' };
+
+        return {
+            declaration: this.element('responseDeclaration', {
+                identifier: 'RESPONSE',
+                cardinality: 'single',
+                baseType: 'string'
+            }),
+            body: [
+                this.element('rubricBlock', rubricAttributes, rubricContent),
+                this.element('extendedTextInteraction', {
+                    responseIdentifier: 'RESPONSE',
+                    expectedLines: String(OpenResponseValidator.TYPES[question.questionType].responseLines)
+                }, [
+                    this.element('prompt', {}, this.escapeXML(question.questiontext))
+                ])
+            ].join('\n'),
+            scoring: [],
+            scoreAttributes: { normalMaximum: String(question.maxPoints) }
+        };
+    }
+
+    /**
+     * Render an assessmentTest referencing every item in one section
+     * @param {Array} items - Packaged items
+     * @param {string} title - Test title
+     * @returns {string} - Test XML document
+     */
+    renderTest(items, title) {
+        return this.document(this.element('assessmentTest', {
+            ...this.getRootAttributes(),
+            identifier: 'assessment',
+            title
+        }, [
+            this.element('outcomeDeclaration', { identifier: 'SCORE', cardinality: 'single', baseType: 'float' }),
+            this.element('testPart', { identifier: 'part-1', navigationMode: 'linear', submissionMode: 'individual' }, [
+                this.element('assessmentSection', { identifier: 'section-1', title, visible: 'true' },
+                    items.map(item => this.element('assessmentItemRef', { identifier: item.identifier, href: item.href })))
+            ]),
+            this.element('outcomeProcessing', {}, [
+                this.element('setOutcomeValue', { identifier: 'SCORE' }, [
+                    this.element('sum', {}, [this.element('testVariables', { variableIdentifier: 'SCORE' })])
+                ])
+            ])
+        ]));
+    }
+
+    /**
+     * Render the imsmanifest.xml listing the test and item resources
+     * @param {Array} items - Packaged items
+     * @param {Object} result - Generation result
+     * @param {Object} options - Export options
+     * @returns {string} - Manifest XML document
+     */
+    renderManifest(items, result, options) {
+        const spec = this.getSpec();
+
+        const itemResources = items.map(item => `    <resource identifier="${item.identifier}" type="${spec.itemType}" href="${item.href}">
+      <metadata>
+        <imsmd:lom>
+          <imsmd:general>
+${this.getTags(item.question, result, options).map(tag => `            <imsmd:keyword><imsmd:string>${this.escapeXML(tag)}</imsmd:string></imsmd:keyword>`).join('\n')}
+          </imsmd:general>
+        </imsmd:lom>
+      </metadata>
+      <file href="${item.href}"/>
+    </resource>`);
+
+        const dependencies = items.map(item => `      <dependency identifierref="${item.identifier}"/>`);
+
+        return `<?xml version="1.0" encoding="UTF-8"?>
+<manifest xmlns="${spec.manifestNamespace}" xmlns:imsmd="http://ltsc.ieee.org/xsd/LOM" identifier="manifest-${Date.now()}">
+  <metadata>
+    <schema>${spec.schema}</schema>
+    <schemaversion>${spec.schemaVersion}</schemaversion>
+  </metadata>
+  <organizations/>
+  <resources>
+    <resource identifier="assessment" type="${spec.testType}" href="assessment.xml">
+      <file href="assessment.xml"/>
+${dependencies.join('\n')}
+    </resource>
+${itemResources.join('\n')}
+  </resources>
+</manifest>
+`;
+    }
+
+    /**
+     * Namespace attributes for root elements
+     * @returns {Object}
+     */
+    getRootAttributes() {
+        const spec = this.getSpec();
+        return {
+            xmlns: spec.namespace,
+            'xmlns:xsi': 'http://www.w3.org/2001/XMLSchema-instance',
+            'xsi:schemaLocation': `${spec.namespace} ${spec.schemaLocation}`
+        };
+    }
+
+    /**
+     * Map a QTI 2.1 name to the current version (QTI 3.0 uses qti-kebab-case elements and kebab-case attributes)
+     * @param {string} name - QTI 2.1 element or attribute name
+     * @param {boolean} isElement - Whether the name is an element
+     * @returns {string}
+     */
+    qtiName(name, isElement = false) {
+        if (this.version !== '3.0' || name.includes(':') || name === 'xmlns') {
+            return name;
+        }
+
+        const kebab = name.replace(/([A-Z])/g, '-$1').toLowerCase();
+        return isElement ? `qti-${kebab}` : kebab;
+    }
+
+    /**
+     * Render an XML element
+     * @param {string} name - QTI 2.1 element name
+     * @param {Object} attributes - Attributes (QTI 2.1 names)
+     * @param {Array<string>|string} children - Child elements, or already-escaped text content
+     * @returns {string}
+     */
+    element(name, attributes = {}, children = []) {
+        const tag = this.qtiName(name, true);
+        const attrs = Object.entries(attributes)
+            .map(([key, value]) => ` ${this.qtiName(key)}="${this.escapeXML(value)}"`)
+            .join('');
+
+        if (typeof children === 'string') {
+            // Encode line breaks so re-indenting parent elements can't alter text content
+            return `<${tag}${attrs}>${children.replace(/\r?\n/g, '&#10;')}</${tag}>`;
+        }
+
+        if (children.length === 0) {
+            return `<${tag}${attrs}/>`;
+        }
+
+        const body = children
+            .join('\n')
+            .split('\n')
+            .map(line => `  ${line}`)
+            .join('\n');
+
+        return `<${tag}${attrs}>\n${body}\n</${tag}>`;
+    }
+
+    /**
+     * Wrap a root element in an XML document
+     * @param {string} root - Root element
+     * @returns {string}
+     */
+    document(root) {
+        return `<?xml version="1.0" encoding="UTF-8"?>\n${root}\n`;
+    }
+}
+
+module.exports = QtiExporter;
@@ -0,0 +1,68 @@
+const ExcelJS = require('exceljs');
+const BaseExporter = require('./baseExporter');
+const QuestionValidator = require('../utils/questionValidator');
+
+/**
+ * XLSX Exporter
+ * One row per question and one column per standardized field, for spreadsheet review
+ */
+class XlsxExporter extends BaseExporter {
+    constructor(config = {}) {
+        super(config);
+        this.name = 'xlsx';
+        this.description = 'Excel workbook, one column per question field (re-importable via POST /import)';
+        this.extension = 'xlsx';
+        this.contentType = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+    }
+
+    /**
+     * Render questions as an Excel workbook
+     * @param {Object} result - Generation result
+     * @param {Object} options - Export options
+     * @param {string} options.title - Worksheet name (default: 'Questions')
+     * @returns {Promise<Buffer>} - Workbook
+     */
+    async export(result, options = {}) {
+        const questions = this.getQuestions(result);
+        const workbook = new ExcelJS.Workbook();
+        // Worksheet names are limited to 31 characters and may not contain []:*?/\
+        const sheetName = (options.title || 'Questions').replace(/[[\]:*?/\\]/g, ' ').slice(0, 31);
+        const sheet = workbook.addWorksheet(sheetName);
+
+        sheet.columns = QuestionValidator.FIELDS.map(field => ({
+            header: field,
+            key: field,
+            width: ['questiontext', 'rationale', 'sourceSentence'].includes(field) ? 60 : 20
+        }));
+        sheet.getRow(1).font = { bold: true };
+        sheet.views = [{ state: 'frozen', ySplit: 1 }];
+
+        questions.forEach(question => {
+            const row = {};
+            QuestionValidator.FIELDS.forEach(field => {
+                row[field] = QuestionValidator.formatField(question, field);
+            });
+            sheet.addRow(row);
+        });
+
+        // Keep reviewers to valid question types and difficulties; answers may list several keys ("A,C")
+        const typeColumn = QuestionValidator.FIELDS.indexOf('questionType') + 1;
+        const difficultyColumn = QuestionValidator.FIELDS.indexOf('difficulty') + 1;
+        for (let rowNumber = 2; rowNumber <= questions.length + 1; rowNumber++) {
+            sheet.getCell(rowNumber, typeColumn).dataValidation = {
+                type: 'list',
+                allowBlank: true,
+                formulae: [`"${Object.keys(QuestionValidator.QUESTION_TYPES).join(',')}"`]
+            };
+            sheet.getCell(rowNumber, difficultyColumn).dataValidation = {
+                type: 'list',
+                allowBlank: true,
+                formulae: [`"${QuestionValidator.DIFFICULTIES.join(',')}"`]
+            };
+        }
+
+        return Buffer.from(await workbook.xlsx.writeBuffer());
+    }
+}
+
+module.exports = XlsxExporter;
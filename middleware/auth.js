@@ -2,6 +2,7 @@
  * API Authentication Middleware
  * Supports both public and private modes
  */
+const crypto = require('crypto');
 
 /**
  * Check if API is in private mode
@@ -10,18 +11,60 @@ function isPrivateMode() {
     return process.env.API_MODE === 'private';
 }
 
+/**
+ * API keys the server accepts: SERVER_API_KEY, plus SERVER_API_KEYS (comma-separated, one per client)
+ */
+function getServerApiKeys() {
+    return [process.env.SERVER_API_KEY, ...(process.env.SERVER_API_KEYS || '').split(',')]
+        .map(key => (key || '').trim())
+        .filter(Boolean);
+}
+
 /**
  * Validate API key
  */
 function isValidApiKey(providedKey) {
-    const serverApiKey = process.env.SERVER_API_KEY;
+    const serverApiKeys = getServerApiKeys();
     
     // If no server API key is set, authentication is disabled
-    if (!serverApiKey || serverApiKey.trim() === '') {
+    if (serverApiKeys.length === 0) {
         return true;
     }
     
-    return providedKey === serverApiKey;
+    return serverApiKeys.includes(providedKey);
+}
+
+/**
+ * API key of a request, from the X-API-Key or Authorization header
+ */
+function getApiKey(req) {
+    return req.headers['x-api-key'] || req.headers['authorization']?.replace('Bearer ', '');
+}
+
+/**
+ * Short ID of an API key, stored with jobs in place of the key: their default tenant and the
+ * key their webhooks are signed for ('public' without a key)
+ */
+function getKeyId(apiKey) {
+    return apiKey
+        ? crypto.createHash('sha256').update(apiKey).digest('hex').slice(0, 16)
+        : 'public';
+}
+
+/**
+ * Tenant a request's jobs are scheduled under (see JobQueue): the ID of its API key when the key is
+ * one of the server's keys, otherwise 'public', so made-up keys in public mode share one tenant
+ * rather than each getting their own share of the workers
+ */
+function getTenantId(apiKey) {
+    return apiKey && getServerApiKeys().includes(apiKey) ? getKeyId(apiKey) : 'public';
+}
+
+/**
+ * Whether a value has the form of a key ID (see getKeyId)
+ */
+function isKeyId(value) {
+    return value === 'public' || /^[0-9a-f]{16}$/.test(value);
 }
 
 /**
@@ -34,7 +77,7 @@ function authenticate(req, res, next) {
     }
     
     // In private mode, check for API key
-    const apiKey = req.headers['x-api-key'] || req.headers['authorization']?.replace('Bearer ', '');
+    const apiKey = getApiKey(req);
     
     if (!apiKey) {
         return res.status(401).json({
@@ -56,11 +99,49 @@ function authenticate(req, res, next) {
     next();
 }
 
+/**
+ * Admin middleware (for endpoints that change server-wide settings)
+ * Requires ADMIN_API_KEY in both modes; admin endpoints are unavailable while it isn't set
+ */
+function requireAdmin(req, res, next) {
+    const adminKey = process.env.ADMIN_API_KEY;
+
+    if (!adminKey || adminKey.trim() === '') {
+        return res.status(403).json({
+            error: 'Admin access disabled',
+            message: 'Set ADMIN_API_KEY on the server to use admin endpoints.',
+            statusCode: 403
+        });
+    }
+
+    const apiKey = getApiKey(req);
+
+    if (!apiKey) {
+        return res.status(401).json({
+            error: 'Authentication required',
+            message: 'The admin API key is required in the X-API-Key header or Authorization header.',
+            statusCode: 401
+        });
+    }
+
+    // Compare digests so the comparison takes the same time whatever the key's length
+    const digest = value => crypto.createHash('sha256').update(value).digest();
+    if (!crypto.timingSafeEqual(digest(apiKey), digest(adminKey))) {
+        return res.status(403).json({
+            error: 'Invalid API key',
+            message: 'The provided API key is not the admin API key.',
+            statusCode: 403
+        });
+    }
+
+    next();
+}
+
 /**
  * Optional authentication middleware (for endpoints that work in both modes)
  */
 function optionalAuth(req, res, next) {
-    const apiKey = req.headers['x-api-key'] || req.headers['authorization']?.replace('Bearer ', '');
+    const apiKey = getApiKey(req);
     
     // Mark request as authenticated if valid key provided
     if (apiKey && isValidApiKey(apiKey)) {
@@ -75,6 +156,12 @@ function optionalAuth(req, res, next) {
 module.exports = {
     authenticate,
     optionalAuth,
+    requireAdmin,
     isPrivateMode,
-    isValidApiKey
+    isValidApiKey,
+    getServerApiKeys,
+    getApiKey,
+    getKeyId,
+    getTenantId,
+    isKeyId
 };
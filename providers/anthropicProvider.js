@@ -1,9 +1,19 @@
 const BaseAIProvider = require('./baseProvider');
+const ErrorHandler = require('../utils/errorHandler');
 
 /**
  * Anthropic Claude Provider Implementation
  */
 class AnthropicProvider extends BaseAIProvider {
+    static definition = {
+        name: 'anthropic',
+        label: 'Anthropic',
+        description: 'Anthropic Claude Provider',
+        config: () => ({ apiKey: process.env.ANTHROPIC_API_KEY }),
+        capabilities: { streaming: true, structuredOutput: 'tool_use', maxContext: 200000 },
+        pricing: { input: 0.0008, output: 0.0024 } // Claude Haiku
+    };
+
     constructor(config = {}) {
         super(config);
         this.name = 'anthropic';
@@ -71,7 +81,7 @@ class AnthropicProvider extends BaseAIProvider {
     createClient() {
         return {
             messages: {
-                create: async (options) => {
+                create: async (options, requestOptions = {}) => {
                     const response = await fetch('https://api.anthropic.com/v1/messages', {
                         method: 'POST',
                         headers: {
@@ -79,15 +89,19 @@ class AnthropicProvider extends BaseAIProvider {
                             'Content-Type': 'application/json',
                             'anthropic-version': '2023-06-01'
                         },
-                        body: JSON.stringify(options)
+                        body: JSON.stringify(options),
+                        signal: requestOptions.signal
                     });
 
                     if (!response.ok) {
                         const errorData = await response.json().catch(() => ({}));
-                        throw new Error(`Anthropic API error: ${response.status} ${response.statusText}. ${errorData.error?.message || ''}`);
+                        const error = new Error(`Anthropic API error: ${response.status} ${response.statusText}. ${errorData.error?.message || ''}`);
+                        error.status = response.status;
+                        throw error;
                     }
 
-                    return await response.json();
+                    // Streamed messages arrive as server-sent events
+                    return options.stream ? this.readServerSentEvents(response.body) : await response.json();
                 }
             }
         };
@@ -150,10 +164,14 @@ class AnthropicProvider extends BaseAIProvider {
         const promptOptions = {
             numQuestions,
             bloomLevel: options.bloomLevel || 'apply',
-            difficulty: options.difficulty || 'mixed'
+            difficulty: options.difficulty || 'mixed',
+            questionType: options.questionType,
+            numOptions: options.numOptions,
+            strictGrounding: options.strictGrounding
         };
 
         for (let attempt = 1; attempt <= this.maxRetries; attempt++) {
+            const schema = this.getResponseSchema(promptOptions);
             try {
                 const messages = this.buildClaudePrompt(text, promptOptions);
 
@@ -161,16 +179,19 @@ class AnthropicProvider extends BaseAIProvider {
                     model: this.currentModel,
                     messages: messages,
                     max_tokens: 2000,
-                    temperature: 0.7
-                });
-
-                const generatedText = this.parseResponse(response);
+                    temperature: 0.7,
+                    ...(schema ? this.getToolOptions(schema, 'submit_questions', 'Submit the generated questions') : {})
+                }, { signal: options.signal });
 
-                // Use robust JSON parser from base class
-                const parsedResponse = this.safeJSONParse(generatedText);
+                // With a schema the questions arrive as the tool call's input, otherwise as text
+                // parsed as-is and repaired with the base class only if needed
+                const parsedResponse = this.parseJSONResponse(
+                    schema ? this.parseToolResponse(response) : this.parseResponse(response),
+                    Boolean(schema)
+                );
 
                 // Standardize and return response
-                const standardized = this.standardizeResponse(parsedResponse, numQuestions);
+                const standardized = this.standardizeResponse(parsedResponse, numQuestions, promptOptions);
                 
                 // Trim to requested number of questions (AI sometimes generates more)
                 if (standardized.questions.length > numQuestions) {
@@ -184,7 +205,18 @@ class AnthropicProvider extends BaseAIProvider {
                 return standardized;
                 
             } catch (error) {
+                // Cancelled - no retries or fallbacks
+                if (ErrorHandler.isCancellation(error)) {
+                    throw error;
+                }
+
                 const isLastAttempt = attempt === this.maxRetries;
+
+                // Models without tool use - retry without it
+                if (schema && this.disableStructuredOutput(error)) {
+                    attempt--;
+                    continue;
+                }
                 
                 // Check if it's a 404 error (model not found) - try fallback immediately
                 if (error.message && error.message.includes('404')) {
@@ -206,7 +238,7 @@ class AnthropicProvider extends BaseAIProvider {
                     
                     if (!isLastAttempt) {
                         console.log(`⚠ Anthropic API: Attempt ${attempt}/${this.maxRetries} - ${this.currentModel} rate limited. Retrying in ${delay/1000}s...`);
-                        await this.sleep(delay);
+                        await this.sleep(delay, options.signal);
                         continue;
                     } else {
                         console.warn(`⚠ ${this.currentModel} rate limited after ${this.maxRetries} attempts.`);
@@ -220,7 +252,7 @@ class AnthropicProvider extends BaseAIProvider {
                     
                     if (!isLastAttempt) {
                         console.log(`⚠ Anthropic API: Attempt ${attempt}/${this.maxRetries} - ${this.currentModel} overloaded. Retrying in ${delay/1000}s...`);
-                        await this.sleep(delay);
+                        await this.sleep(delay, options.signal);
                         continue;
                     } else {
                         console.warn(`⚠ ${this.currentModel} overloaded after ${this.maxRetries} attempts.`);
@@ -240,6 +272,106 @@ class AnthropicProvider extends BaseAIProvider {
         throw new Error('Failed to generate questions after all retries');
     }
 
+    /**
+     * Send a free-form prompt and return the raw completion text, or the parsed response
+     * when a response schema is given
+     * @param {string} prompt - Prompt text
+     * @param {Object} options - Completion options ({ system, temperature, maxTokens, responseSchema })
+     * @returns {Promise<string|Object>} - Completion text, or the parsed response with a schema
+     */
+    async complete(prompt, options = {}) {
+        const schema = options.responseSchema;
+        const { request, native } = this.buildCompletionRequest(prompt, options);
+
+        let response;
+        try {
+            response = await this.client.messages.create(request, { signal: options.signal });
+        } catch (error) {
+            if (native && this.disableStructuredOutput(error)) {
+                return await this.complete(prompt, options);
+            }
+            throw error;
+        }
+
+        if (native) {
+            return this.parseStructured(this.parseToolResponse(response), schema, true);
+        }
+        const text = this.parseResponse(response);
+        return schema ? this.parseStructured(text, schema) : text;
+    }
+
+    /**
+     * Stream a completion's text as it is generated (see BaseAIProvider.stream); with a schema
+     * this is the tool call's input, which Claude streams as partial JSON
+     * @param {string} prompt - Prompt text
+     * @param {Object} options - Completion options ({ system, temperature, maxTokens, responseSchema, signal })
+     * @returns {AsyncIterable<string>}
+     */
+    async *stream(prompt, options = {}) {
+        const { request } = this.buildCompletionRequest(prompt, options);
+        const events = await this.client.messages.create({ ...request, stream: true }, { signal: options.signal });
+
+        for await (const event of events) {
+            if (event.type !== 'content_block_delta') {
+                continue;
+            }
+            const delta = event.delta.type === 'input_json_delta' ? event.delta.partial_json : event.delta.text;
+            if (delta) {
+                yield delta;
+            }
+        }
+    }
+
+    /**
+     * Messages request for a free-form prompt
+     * @param {string} prompt - Prompt text
+     * @param {Object} options - Completion options ({ system, temperature, maxTokens, responseSchema })
+     * @returns {Object} - { request, native } where native says the schema is enforced through a tool
+     */
+    buildCompletionRequest(prompt, options = {}) {
+        const schema = options.responseSchema;
+        const native = Boolean(schema) && this.structuredOutput;
+
+        const request = {
+            model: this.currentModel,
+            messages: [{ role: 'user', content: schema && !native ? this.buildSchemaPrompt(prompt, schema) : prompt }],
+            ...(options.system ? { system: options.system } : {}),
+            max_tokens: options.maxTokens || 1000,
+            temperature: options.temperature ?? 0.2,
+            ...(native ? this.getToolOptions(schema, 'respond', 'Submit the response') : {})
+        };
+
+        return { request, native };
+    }
+
+    /**
+     * Request options that make Claude answer through a single tool whose input is the schema
+     * @param {Object} schema - JSON Schema (object at the root)
+     * @param {string} name - Tool name
+     * @param {string} description - Tool description
+     * @returns {Object} - { tools, tool_choice }
+     */
+    getToolOptions(schema, name, description) {
+        return {
+            tools: [{ name, description, input_schema: schema }],
+            tool_choice: { type: 'tool', name }
+        };
+    }
+
+    /**
+     * Extract the tool call input from a Claude response
+     * @param {Object} response - Anthropic API response
+     * @returns {Object} - Tool input
+     */
+    parseToolResponse(response) {
+        const call = (response.content || []).find(block => block.type === 'tool_use');
+        if (!call || !call.input) {
+            throw new Error('No tool call in Anthropic response');
+        }
+
+        return call.input;
+    }
+
     /**
      * Test Anthropic connection with automatic fallback
      * @returns {Promise<Object>} - Test result
@@ -1,14 +1,28 @@
+const QuestionValidator = require('../utils/questionValidator');
+const ExpressionEvaluator = require('../utils/expressionEvaluator');
+const SchemaValidator = require('../utils/schemaValidator');
+const QuestionSchemas = require('../utils/questionSchemas');
+const IncrementalJSONParser = require('../utils/incrementalJsonParser');
+const ErrorHandler = require('../utils/errorHandler');
+
 /**
  * Base AI Provider Interface with Advanced NLP Patterns
  * All AI providers must implement these methods
  */
 
 class BaseAIProvider {
+    static GENERATION_SYSTEM_PROMPT = 'You are an expert educator creating quiz questions. Respond with only valid JSON in the exact format requested.';
+
     constructor(config = {}) {
         this.config = config;
         this.name = 'base';
         this.description = 'Base AI Provider';
         this.supportedModels = [];
+        // Enforce response schemas through the provider's API where it supports it; turned off
+        // for the session if the API rejects them (see disableStructuredOutput)
+        this.structuredOutput = config.structuredOutput ?? process.env.STRUCTURED_OUTPUT_ENABLED !== 'false';
+        // How responses were parsed: as-is, or only after the legacy repair path (see parseJSONResponse)
+        this.parseStats = { responses: 0, structured: 0, clean: 0, repaired: 0, failed: 0 };
     }
 
     /**
@@ -41,6 +55,300 @@ class BaseAIProvider {
         throw new Error('generateQuestions() must be implemented by provider');
     }
 
+    /**
+     * Send a free-form prompt to the provider and return the raw completion text.
+     * Used for auxiliary tasks (scoring, grading, verification) that don't produce questions.
+     * With a response schema the provider enforces it natively where it can (or asks for it in
+     * the prompt, see buildSchemaPrompt) and resolves to the parsed object instead (see parseStructured).
+     * @param {string} prompt - Prompt text
+     * @param {Object} options - Completion options
+     * @param {string} options.system - Optional system instruction
+     * @param {number} options.temperature - Sampling temperature (default: 0.2)
+     * @param {number} options.maxTokens - Maximum tokens to generate (default: 1000)
+     * @param {Object} options.responseSchema - JSON Schema (with an object at the root) the response must follow
+     * @returns {Promise<string|Object>} - Completion text, or the parsed response with a schema
+     */
+    async complete(prompt, options = {}) {
+        throw new Error('complete() must be implemented by provider');
+    }
+
+    /**
+     * Stream a completion as it is generated, as an async iterator of text deltas.
+     * Takes the options of complete() plus an AbortSignal. A response schema constrains the output
+     * the same way, but the text is left to the caller to parse (see streamQuestions).
+     * Providers without a streaming API yield the whole completion at once.
+     * @param {string} prompt - Prompt text
+     * @param {Object} options - Completion options ({ system, temperature, maxTokens, responseSchema, signal })
+     * @returns {AsyncIterable<string>}
+     */
+    async *stream(prompt, options = {}) {
+        const { signal, ...completeOptions } = options;
+        const output = await this.complete(prompt, completeOptions);
+        yield typeof output === 'string' ? output : JSON.stringify(output);
+    }
+
+    /**
+     * Stream the text deltas of an OpenAI-style chat completion; the client's create() resolves
+     * to an async iterable of chunks when asked to stream
+     * @param {Object} request - Chat completion request
+     * @param {AbortSignal} signal - Cancels the request
+     * @returns {AsyncIterable<string>}
+     */
+    async *streamChatCompletion(request, signal) {
+        const chunks = await this.client.chat.completions.create({ ...request, stream: true }, signal ? { signal } : undefined);
+        for await (const chunk of chunks) {
+            const delta = chunk.choices?.[0]?.delta?.content;
+            if (delta) {
+                yield delta;
+            }
+        }
+    }
+
+    /**
+     * Read a streamed HTTP response body line by line
+     * @param {AsyncIterable<Uint8Array>} body - Response body
+     * @returns {AsyncIterable<string>}
+     */
+    async *readLines(body) {
+        const decoder = new TextDecoder();
+        let buffer = '';
+        for await (const bytes of body) {
+            buffer += decoder.decode(bytes, { stream: true });
+            const lines = buffer.split('\n');
+            buffer = lines.pop();
+            yield* lines;
+        }
+        buffer += decoder.decode();
+        if (buffer) {
+            yield buffer;
+        }
+    }
+
+    /**
+     * Read the JSON data events of a server-sent event stream, up to [DONE]
+     * @param {AsyncIterable<Uint8Array>} body - Response body
+     * @returns {AsyncIterable<Object>}
+     */
+    async *readServerSentEvents(body) {
+        for await (const line of this.readLines(body)) {
+            if (!line.startsWith('data:')) {
+                continue;
+            }
+            const data = line.slice(5).trim();
+            if (data === '[DONE]') {
+                return;
+            }
+            if (data) {
+                yield JSON.parse(data);
+            }
+        }
+    }
+
+    /**
+     * Generate questions as a stream, handing each one to onQuestion as soon as its object closes
+     * in the model's output (see IncrementalJSONParser). If the stream fails before any question
+     * arrives, falls back to generateQuestions() with its retries.
+     * @param {string} text - Input text
+     * @param {Object} options - Generation options, plus signal (AbortSignal) to stop the stream
+     * @param {Function} onQuestion - Called with (question, index) for each standardized question
+     * @returns {Promise<Object>} - Standardized questions, as generateQuestions() returns them
+     */
+    async streamQuestions(text, options = {}, onQuestion = null) {
+        const numQuestions = options.numQuestions || 10;
+        const promptOptions = {
+            numQuestions,
+            bloomLevel: options.bloomLevel || 'apply',
+            difficulty: options.difficulty || 'mixed',
+            questionType: options.questionType,
+            numOptions: options.numOptions,
+            strictGrounding: options.strictGrounding
+        };
+
+        const questions = [];
+        const emit = (raw) => {
+            if (questions.length >= numQuestions) {
+                return;
+            }
+            let question;
+            try {
+                question = this.standardizeQuestion(raw, questions.length, promptOptions);
+            } catch (error) {
+                // Already-sent questions can't be taken back, so an invalid one is dropped rather than failing the set
+                console.warn(`⚠ Skipping streamed question: ${error.message}`);
+                return;
+            }
+            questions.push(question);
+            if (onQuestion) {
+                onQuestion(question, questions.length - 1);
+            }
+        };
+
+        const schema = this.getResponseSchema(promptOptions);
+        const parser = new IncrementalJSONParser(json => {
+            try {
+                return JSON.parse(json);
+            } catch {
+                return this.safeJSONParse(json);
+            }
+        });
+
+        try {
+            const deltas = this.stream(this.buildPrompt(text, promptOptions), {
+                system: BaseAIProvider.GENERATION_SYSTEM_PROMPT,
+                temperature: 0.7,
+                // Each question needs ~350-400 tokens, plus the analysis and JSON structure
+                maxTokens: Math.max(2000, numQuestions * 400 + 500),
+                responseSchema: schema,
+                signal: options.signal
+            });
+            for await (const delta of deltas) {
+                parser.feed(delta).forEach(emit);
+            }
+        } catch (error) {
+            if (questions.length > 0 || ErrorHandler.isCancellation(error) || (options.signal && options.signal.aborted)) {
+                throw error;
+            }
+            console.warn(`⚠ ${this.name} streaming failed, falling back to a regular request: ${error.message}`);
+            const result = await this.generateQuestions(text, options);
+            result.questions.forEach((question, index) => onQuestion && onQuestion(question, index));
+            return result;
+        }
+
+        // The whole response, for the analysis; a truncated one keeps the questions already streamed
+        let parsed = null;
+        try {
+            parsed = this.parseJSONResponse(parser.getText(), Boolean(schema));
+        } catch (error) {
+            if (questions.length === 0) {
+                throw error;
+            }
+        }
+
+        // No questions array was recognized while streaming (e.g. an unexpected wrapper object)
+        if (questions.length === 0) {
+            const raw = Array.isArray(parsed) ? parsed : parsed.questions;
+            if (!Array.isArray(raw) || raw.length === 0) {
+                throw new Error('No questions found in provider response');
+            }
+            raw.forEach(emit);
+        }
+
+        const result = this.buildResult(questions, parsed && parsed.analysis, numQuestions);
+        result.metadata.model = this.currentModel;
+        result.metadata.streamed = true;
+        return result;
+    }
+
+    /**
+     * Add a response schema to a prompt, for providers without a native way to enforce it
+     * @param {string} prompt - Prompt text
+     * @param {Object} schema - JSON Schema the response must follow
+     * @returns {string}
+     */
+    buildSchemaPrompt(prompt, schema) {
+        return `${prompt}
+
+Respond with only a JSON object (no markdown, no other text) that matches this JSON Schema:
+${JSON.stringify(schema)}`;
+    }
+
+    /**
+     * Parse a structured completion and check it against its schema
+     * @param {string|Object} output - Completion text, or the object a tool call returned
+     * @param {Object} schema - JSON Schema the response must follow
+     * @param {boolean} structured - Whether the provider enforced the schema natively
+     * @returns {Object} - Parsed response
+     * @throws {Error} - If the text isn't JSON or doesn't match the schema
+     */
+    parseStructured(output, schema, structured = false) {
+        const parsed = this.parseJSONResponse(output, structured);
+        const errors = SchemaValidator.validate(parsed, schema);
+        if (errors.length > 0) {
+            throw new Error(`Response does not match the schema: ${errors.slice(0, 3).join('; ')}`);
+        }
+        return parsed;
+    }
+
+    /**
+     * Response schema for a generation request (see QuestionSchemas)
+     * @param {Object} options - Generation options ({ questionType, numOptions })
+     * @returns {Object|null} - JSON Schema, or null when structured output is off
+     */
+    getResponseSchema(options = {}) {
+        return this.structuredOutput
+            ? QuestionSchemas.getResponseSchema(options.questionType, options.numOptions)
+            : null;
+    }
+
+    /**
+     * Parse a JSON response as-is, falling back to the legacy repair path (safeJSONParse) only
+     * when that fails, and count which it took
+     * @param {string|Object} output - Response text, or the object a tool call returned
+     * @param {boolean} structured - Whether the provider enforced a schema natively
+     * @returns {Object} - Parsed response
+     */
+    parseJSONResponse(output, structured = false) {
+        this.parseStats.responses++;
+        if (structured) {
+            this.parseStats.structured++;
+        }
+
+        if (output && typeof output === 'object') {
+            this.parseStats.clean++;
+            return output;
+        }
+
+        try {
+            const parsed = JSON.parse(output);
+            if (parsed && typeof parsed === 'object') {
+                this.parseStats.clean++;
+                return parsed;
+            }
+        } catch {
+            // Not plain JSON (markdown fences, stray text, truncation): repair it below
+        }
+
+        try {
+            const parsed = this.safeJSONParse(output);
+            this.parseStats.repaired++;
+            return parsed;
+        } catch (error) {
+            this.parseStats.failed++;
+            throw error;
+        }
+    }
+
+    /**
+     * Turn native structured output off after the API rejects a schema (e.g. an older model
+     * without JSON schema support), so requests fall back to prompt-only JSON
+     * @param {Error} error - Error from the provider's API
+     * @returns {boolean} - True if it was a schema rejection and the request should be retried
+     */
+    disableStructuredOutput(error) {
+        const message = error.message || '';
+        const badRequest = error.status === 400 || /\b400\b/.test(message);
+        if (!this.structuredOutput || !badRequest || !/response_format|json_schema|schema|tool|format/i.test(message)) {
+            return false;
+        }
+
+        console.warn(`⚠ ${this.name} rejected structured output for ${this.currentModel || 'this model'}, falling back to JSON repair: ${message}`);
+        this.structuredOutput = false;
+        return true;
+    }
+
+    /**
+     * How often responses needed the legacy JSON repair path
+     * @returns {Object} - { structuredOutput, responses, structured, clean, repaired, failed, repairRate }
+     */
+    getParseStats() {
+        const { responses, repaired } = this.parseStats;
+        return {
+            structuredOutput: this.structuredOutput,
+            ...this.parseStats,
+            repairRate: responses > 0 ? Math.round((repaired / responses) * 100) / 100 : 0
+        };
+    }
+
     /**
      * Get available models for this provider
      * @returns {Array} - Array of supported model names
@@ -186,10 +494,31 @@ class BaseAIProvider {
     /**
      * Sleep utility for retry logic and rate limiting
      * @param {number} ms - Milliseconds to sleep
+     * @param {AbortSignal} signal - Cuts the sleep short with a cancellation error
      * @returns {Promise<void>}
      */
-    sleep(ms) {
-        return new Promise(resolve => setTimeout(resolve, ms));
+    sleep(ms, signal) {
+        return this.abortable(new Promise(resolve => setTimeout(resolve, ms)), signal);
+    }
+
+    /**
+     * Stop waiting for a promise when a signal aborts, for SDK calls that can't be cancelled
+     * themselves (the request is abandoned rather than stopped)
+     * @param {Promise} promise - Pending work
+     * @param {AbortSignal} signal - Signal (may be undefined)
+     * @returns {Promise} - Settles with the promise, or rejects with a cancellation error on abort
+     */
+    abortable(promise, signal) {
+        if (!signal) {
+            return promise;
+        }
+        ErrorHandler.throwIfCancelled(signal);
+
+        return new Promise((resolve, reject) => {
+            const onAbort = () => reject(ErrorHandler.createCancellationError());
+            signal.addEventListener('abort', onAbort, { once: true });
+            promise.then(resolve, reject).finally(() => signal.removeEventListener('abort', onAbort));
+        });
     }
 
     /**
@@ -374,8 +703,9 @@ Ensure all questions target this cognitive level specifically.`;
         }
 
         const chunks = [];
-        // Split by sentence boundaries (., !, ?) followed by space or newline
-        const sentences = text.match(/[^.!?]+[.!?]+[\s\n]*/g) || [text];
+        // Split by sentence boundaries (., !, ?) followed by space or newline; a trailing
+        // fragment without end punctuation is kept as its own sentence
+        const sentences = text.match(/[^.!?]+(?:[.!?]+|$)[\s\n]*/g) || [text];
         
         let currentChunk = '';
 
@@ -427,9 +757,12 @@ Ensure all questions target this cognitive level specifically.`;
      * Standardize question format across providers with enhanced validation
      * @param {Object} response - Raw provider response (can be string or object)
      * @param {number} numQuestions - Expected number of questions
+     * @param {Object} options - Generation options
+     * @param {string} options.questionType - Requested question type (default: 'multiple_choice')
+     * @param {number} options.numOptions - Exact number of options each question must have
      * @returns {Object} - Standardized questions object
      */
-    standardizeResponse(response, numQuestions = 10) {
+    standardizeResponse(response, numQuestions = 10, options = {}) {
         // If response is a string, parse it first
         let parsedResponse = response;
         if (typeof response === 'string') {
@@ -463,60 +796,409 @@ Ensure all questions target this cognitive level specifically.`;
         }
 
         // Validate and standardize each question
-        const standardizedQuestions = questions.map((q, index) => {
-            const standardized = {
-                questiontext: q.questiontext || q.question || q.text || '',
-                optiona: q.optiona || q.optionA || q.A || q.options?.A || '',
-                optionb: q.optionb || q.optionB || q.B || q.options?.B || '',
-                optionc: q.optionc || q.optionC || q.C || q.options?.C || '',
-                optiond: q.optiond || q.optionD || q.D || q.options?.D || '',
-                correctanswer: (q.correctanswer || q.correct_answer || q.answer || 'A').toString().toUpperCase(),
-                difficulty: (q.difficulty || q.level || 'medium').toLowerCase(),
-                rationale: q.rationale || q.explanation || ''
-            };
+        const standardizedQuestions = questions.map((q, index) => this.standardizeQuestion(q, index, options));
 
-            // Validate required fields
-            const requiredFields = ['questiontext', 'optiona', 'optionb', 'optionc', 'optiond', 'correctanswer'];
-            requiredFields.forEach(field => {
-                if (!standardized[field] || standardized[field].toString().trim() === '') {
-                    throw new Error(`Question ${index + 1} missing required field: ${field}`);
-                }
-            });
+        return this.buildResult(standardizedQuestions, analysis, numQuestions);
+    }
 
-            // Validate correct answer
-            if (!['A', 'B', 'C', 'D'].includes(standardized.correctanswer)) {
-                throw new Error(
-                    `Question ${index + 1} has invalid correct answer: "${standardized.correctanswer}". Must be A, B, C, or D.`
-                );
-            }
+    /**
+     * Validate and standardize one question
+     * @param {Object} q - Question as the model wrote it
+     * @param {number} index - Position in the set, for error messages
+     * @param {Object} options - Generation options ({ questionType, numOptions })
+     * @returns {Object} - Standardized question
+     * @throws {Error} - If the question is invalid
+     */
+    standardizeQuestion(q, index, options = {}) {
+        // The requested type wins over whatever label the model put on the question
+        const standardized = QuestionValidator.normalize(
+            options.questionType ? { ...q, questionType: options.questionType } : q
+        );
+        const { errors, warnings } = QuestionValidator.validate(standardized, { numOptions: options.numOptions });
+
+        if (errors.length > 0) {
+            throw new Error(`Question ${index + 1} ${errors[0].message}`);
+        }
 
-            // Validate difficulty
-            if (!['easy', 'medium', 'hard'].includes(standardized.difficulty)) {
-                console.warn(`Question ${index + 1} has invalid difficulty "${standardized.difficulty}", defaulting to "medium"`);
-                standardized.difficulty = 'medium';
-            }
+        warnings.forEach(warning => console.warn(`Question ${index + 1} ${warning.message}`));
 
-            // Warn if rationale is missing (not required but recommended)
-            if (!standardized.rationale || standardized.rationale.trim() === '') {
-                console.warn(`Question ${index + 1} is missing a rationale`);
-            }
+        // Fall back to medium for unrecognized difficulties
+        if (!QuestionValidator.DIFFICULTIES.includes(standardized.difficulty)) {
+            standardized.difficulty = 'medium';
+        }
 
-            return standardized;
-        });
+        // The passage quoted as support; SourceLocator turns it into a verified source citation
+        const evidence = q.evidence ?? q.sourceQuote ?? q.source_quote;
+        if (typeof evidence === 'string' && evidence.trim() !== '') {
+            standardized.evidence = evidence.trim();
+        }
+
+        return standardized;
+    }
 
+    /**
+     * Wrap standardized questions in the result format providers return
+     * @param {Array<Object>} questions - Standardized questions
+     * @param {string} analysis - The model's analysis, if any
+     * @param {number} numQuestions - Expected number of questions
+     * @returns {Object}
+     */
+    buildResult(questions, analysis, numQuestions) {
         return {
-            questions: standardizedQuestions,
+            questions,
             provider: this.name,
             analysis: analysis || 'No analysis provided',
             metadata: {
                 generated_at: new Date().toISOString(),
-                num_questions: standardizedQuestions.length,
+                num_questions: questions.length,
                 expected_questions: numQuestions,
                 source: this.name
             }
         };
     }
 
+    /**
+     * Get question-type specific prompt sections
+     * @param {string} questionType - 'multiple_choice', 'true_false', 'multi_select', 'cloze', 'short_answer', 'essay',
+     *   'matching', 'ordering' or 'numerical'
+     * @param {number} numOptions - Options per question (pairs for matching, steps for ordering)
+     * @returns {Object} - { noun, draft, distractors, validate, examples, outputExample }
+     */
+    getQuestionTypeInstructions(questionType = 'multiple_choice', numOptions) {
+        const rules = QuestionValidator.getTypeRules(questionType) || QuestionValidator.getTypeRules(QuestionValidator.DEFAULT_TYPE);
+        const optionCount = numOptions || rules.defaultOptions;
+        const keys = QuestionValidator.OPTION_KEYS.slice(0, optionCount);
+
+        if (questionType === 'true_false') {
+            return {
+                noun: 'true/false questions',
+                draft: `- Write the question as a single declarative statement that is unambiguously true or false according to the text
+- Base false statements on common misconceptions, not on trivial word changes
+- Avoid absolutes ("always", "never") unless the text states them`,
+                distractors: '',
+                validate: `- Has options exactly ["True", "False"]
+- Has "correctanswer" "A" (True) or "B" (False); aim for a balanced mix of true and false statements`,
+                examples: `✓ **GOOD QUESTION EXAMPLE:**
+{
+  "questiontext": "In a Node.js application, a large object that is still referenced by a long-lived closure cannot be reclaimed by the garbage collector.",
+  "options": ["True", "False"],
+  "correctanswer": "A",
+  "difficulty": "medium",
+  "rationale": "True: closures keep references to variables in their scope, so the object stays reachable and is never collected."
+}`,
+                outputExample: `{
+      "questiontext": "A declarative statement about the text...",
+      "options": ["True", "False"],
+      "correctanswer": "B",
+      "difficulty": "medium",
+      "rationale": "Explanation of why the statement is true or false"
+    }`
+            };
+        }
+
+        if (questionType === 'short_answer' || questionType === 'essay') {
+            const essay = questionType === 'essay';
+            return {
+                noun: essay ? 'essay questions with grading rubrics' : 'short-answer questions with grading rubrics',
+                draft: essay
+                    ? `- Pose an open question that requires explaining, comparing, evaluating or arguing from the text
+- Make the expected scope clear (e.g. "In two or three paragraphs, ...")
+- Target the specified Bloom's taxonomy level`
+                    : `- Ask a focused question that can be answered in 1-3 sentences
+- Make the expected answer specific enough to grade consistently
+- Target the specified Bloom's taxonomy level`,
+                distractors: `**STEP 3: WRITE THE MODEL ANSWER AND RUBRIC**
+For each question:
+- Write a model answer that would earn full marks
+- List the key ideas a complete response must contain
+- Build a point-based rubric: ${essay ? '3-5' : '1-3'} criteria, each with a name, positive integer points and a description of what earns them`,
+                validate: `- Has a "modelAnswer" grounded in the text
+- Has ${essay ? '3-6' : '2-4'} "keyIdeas"
+- Has a "rubric" whose points add up to the question's total (${essay ? 'about 10' : 'about 3-5'} points)
+- Includes a rationale explaining what the question assesses`,
+                examples: `✓ **GOOD QUESTION EXAMPLE:**
+{
+  "questiontext": "A Node.js service's memory keeps growing even though no code explicitly stores data globally. Explain how closures can cause this and how you would fix it.",
+  "modelAnswer": "Closures keep references to variables in their enclosing scope, so a long-lived closure (for example an event listener or timer callback) keeps those objects reachable and the garbage collector cannot free them. Fix it by removing listeners and timers when they are no longer needed, and by not capturing large objects in long-lived callbacks.",
+  "keyIdeas": ["Closures retain references to their enclosing scope", "Reachable objects are never garbage collected", "Remove listeners/timers or avoid capturing large objects"],
+  "rubric": [
+    { "criterion": "Mechanism", "points": 2, "description": "Explains that closures keep captured variables reachable" },
+    { "criterion": "Consequence", "points": 1, "description": "Connects reachability to garbage collection" },
+    { "criterion": "Fix", "points": 2, "description": "Proposes a concrete fix such as removing listeners" }
+  ],
+  "difficulty": "hard",
+  "rationale": "Assesses whether the learner can apply garbage collection principles to diagnose a leak."
+}`,
+                outputExample: `{
+      "questiontext": "Open question about the text...",
+      "modelAnswer": "A full-marks answer",
+      "keyIdeas": ["Key idea 1", "Key idea 2"],
+      "rubric": [
+        { "criterion": "Criterion name", "points": 2, "description": "What earns these points" }
+      ],
+      "difficulty": "medium",
+      "rationale": "What the question assesses"
+    }`
+            };
+        }
+
+        if (questionType === 'matching') {
+            return {
+                noun: `matching questions with ${optionCount} pairs each`,
+                draft: `- Pick a set of ${optionCount} related concepts from the text that share one kind of relationship (term and definition, cause and effect, event and date, component and function)
+- Write an instruction stem that names the relationship, e.g. "Match each process with its outcome"
+- Put the concepts in "premise" and what they match to in "response"
+- Target the specified Bloom's taxonomy level`,
+                distractors: `**STEP 3: MAKE THE RESPONSES HOMOGENEOUS**
+Every response is a distractor for the other premises, so:
+- Keep responses the same kind of thing and a similar length and grammatical form
+- Make sure each premise matches exactly one response and no response fits two premises
+- Don't repeat words between a premise and its own response that give the match away`,
+                validate: `- Has exactly ${optionCount} "pairs", each with a "premise" and a "response"
+- Has no repeated premises or responses
+- Includes a rationale explaining the relationship behind each match`,
+                examples: `✓ **GOOD QUESTION EXAMPLE:**
+{
+  "questiontext": "Match each memory problem in a Node.js service with its most likely cause.",
+  "pairs": [
+    { "premise": "Heap grows with every request and never shrinks", "response": "Event listeners registered per request and never removed" },
+    { "premise": "Memory spikes while a large file is processed, then recovers", "response": "Reading the whole file into a buffer instead of streaming it" },
+    { "premise": "Memory grows slowly as more distinct users visit", "response": "A module-level cache with no eviction policy" }
+  ],
+  "difficulty": "hard",
+  "rationale": "Listeners keep request objects reachable; buffering holds the whole file only while it is processed; an unbounded cache grows with the number of keys."
+}`,
+                outputExample: `{
+      "questiontext": "Match each ... with its ...",
+      "pairs": [
+        { "premise": "Concept from the text", "response": "What it matches to" }
+      ],
+      "difficulty": "medium",
+      "rationale": "Why each premise matches its response"
+    }`
+            };
+        }
+
+        if (questionType === 'ordering') {
+            return {
+                noun: `ordering (sequence) questions with ${optionCount} steps each`,
+                draft: `- Pick a procedure, process, lifecycle or timeline from the text with ${optionCount} stages in a single correct order
+- Write an instruction stem that says what to order and in which direction, e.g. "Put these stages in order, from first to last"
+- List the steps in "sequence" in the CORRECT order; they will be shuffled for learners
+- Only use sequences the text fixes; avoid steps that could reasonably happen in either order`,
+                distractors: '',
+                validate: `- Has exactly ${optionCount} distinct steps in "sequence", in the correct order
+- Phrases every step so it doesn't reveal its position (no "First", "Finally" or step numbers)
+- Includes a rationale explaining why each step comes where it does`,
+                examples: `✓ **GOOD QUESTION EXAMPLE:**
+{
+  "questiontext": "Put the stages of handling an HTTP request in Express in order, from first to last.",
+  "sequence": [
+    "The server receives the request on its listening port",
+    "Application-level middleware such as body parsing runs",
+    "The router matches the path and method to a route handler",
+    "The route handler builds the response",
+    "The response is sent back to the client"
+  ],
+  "difficulty": "medium",
+  "rationale": "Middleware registered with app.use runs before routing, and the handler must run before a response can be sent."
+}`,
+                outputExample: `{
+      "questiontext": "Put these ... in order, from first to last.",
+      "sequence": ["First step", "Second step", "Third step"],
+      "difficulty": "medium",
+      "rationale": "Why the steps happen in this order"
+    }`
+            };
+        }
+
+        if (questionType === 'numerical') {
+            const functions = Object.keys(ExpressionEvaluator.FUNCTIONS).join(', ');
+            return {
+                noun: 'numerical calculation questions with varying parameters',
+                draft: `- Pick a relationship, law or formula from the text that learners should be able to apply to numbers
+- Write "questiontext" as a template: put each input number in curly braces as a named parameter, e.g. "A car travels {d} km in {t} h"
+- Define every parameter in "parameters" with a realistic "min", "max" and "step", or a list of "values"
+- Write the answer as a "formula" over the parameter names; you do NOT calculate the answer, it is computed from the formula for each set of numbers`,
+                distractors: `**STEP 3: SET THE ANSWER FORMAT**
+For each question:
+- Use only numbers, parameter names, + - * / ^ %, parentheses and these functions: ${functions}; constants pi and e
+- Choose parameter ranges that always give a sensible answer (no division by zero, no negative lengths or times)
+- Set "decimals" (rounding of the answer), "unit" (or "" if the answer has none) and a "tolerance": an absolute margin like 0.5, or a percentage like "2%"`,
+                validate: `- Uses every parameter in "questiontext" as {name} and defines it in "parameters"
+- Has a "formula" that uses only the defined parameters
+- States the unit the answer is expected in, if any
+- Includes a rationale that explains the method with the parameter names, e.g. "speed = {d} / {t}"`,
+                examples: `✓ **GOOD QUESTION EXAMPLE:**
+{
+  "questiontext": "A Node.js service handles {r} requests per second and each request allocates {m} KB that survives until the next garbage collection. If a collection runs every {s} seconds, how much memory, in MB, is allocated between collections?",
+  "parameters": [
+    { "name": "r", "min": 100, "max": 1000, "step": 50 },
+    { "name": "m", "min": 2, "max": 20, "step": 2 },
+    { "name": "s", "values": [2, 5, 10] }
+  ],
+  "formula": "r * m * s / 1024",
+  "unit": "MB",
+  "decimals": 1,
+  "tolerance": "1%",
+  "difficulty": "medium",
+  "rationale": "Memory between collections = requests per second x KB per request x seconds, divided by 1024 to convert KB to MB."
+}`,
+                outputExample: `{
+      "questiontext": "Scenario with {a} and {b} as named numbers...",
+      "parameters": [
+        { "name": "a", "min": 10, "max": 100, "step": 5 },
+        { "name": "b", "values": [2, 4, 8] }
+      ],
+      "formula": "a / b",
+      "unit": "unit of the answer",
+      "decimals": 2,
+      "tolerance": 0.01,
+      "difficulty": "medium",
+      "rationale": "The method, using the parameter names"
+    }`
+            };
+        }
+
+        if (questionType === 'cloze') {
+            const blank = QuestionValidator.BLANK;
+            return {
+                noun: 'cloze (fill-in-the-blank) questions',
+                draft: `- Choose a sentence that defines or uses a key term, and copy it EXACTLY as it appears in the source text
+- Replace ONE key term or short phrase (1-4 words) with ${blank}; the removed words must appear verbatim in that sentence
+- Blank out terminology, names or values a learner should know, not filler words like "the" or "is"
+- Leave enough context that only the removed term (or a close synonym) fits`,
+                distractors: '',
+                validate: `- Has exactly one ${blank} in "questiontext"
+- Has "sourceSentence" copied word for word from the source text, and "correctanswer" with the exact words removed from it
+- Lists other acceptable answers (synonyms, abbreviations, singular/plural forms) in "alternativeAnswers", or [] if there are none
+- Uses a different sentence or term for every question`,
+                examples: `✓ **GOOD QUESTION EXAMPLE:**
+{
+  "questiontext": "Closures keep references to variables in their enclosing scope, which prevents ${blank} from reclaiming those objects.",
+  "sourceSentence": "Closures keep references to variables in their enclosing scope, which prevents garbage collection from reclaiming those objects.",
+  "correctanswer": "garbage collection",
+  "alternativeAnswers": ["GC", "the garbage collector"],
+  "difficulty": "medium",
+  "rationale": "Garbage collection only frees unreachable objects; a closure keeps them reachable."
+}
+
+✗ **BAD QUESTION EXAMPLE:**
+{
+  "questiontext": "Closures keep references to variables in ${blank} enclosing scope.",
+  "sourceSentence": "Closures keep references to variables in their enclosing scope.",
+  "correctanswer": "their",
+  "alternativeAnswers": [],
+  "difficulty": "easy",
+  "rationale": "Grammar."
+}
+(Blanks a filler word, tests nothing)`,
+                outputExample: `{
+      "questiontext": "Sentence copied from the text with one key term replaced by ${blank}",
+      "sourceSentence": "The same sentence, copied exactly from the text",
+      "correctanswer": "key term",
+      "alternativeAnswers": ["acceptable synonym"],
+      "difficulty": "medium",
+      "rationale": "Why this term completes the sentence"
+    }`
+            };
+        }
+
+        if (questionType === 'multi_select') {
+            const exampleOptions = keys.map((key, index) => (index % 2 === 0
+                ? `"Correct option ${key}"`
+                : `"Plausible but incorrect option ${key}"`));
+            const exampleAnswer = keys.filter((_, index) => index % 2 === 0).map(key => `"${key}"`);
+
+            return {
+                noun: `"select all that apply" questions with ${optionCount} options each`,
+                draft: `- Create a scenario where several statements or choices can be correct at once
+- End the stem with "(Select all that apply)"
+- Target the specified Bloom's taxonomy level`,
+                distractors: `**STEP 3: ENGINEER PLAUSIBLE DISTRACTORS**
+For each incorrect option:
+- Base it on common misconceptions or partial understanding
+- Make it tempting to someone with incomplete knowledge
+- Ensure it's clearly wrong to someone who fully understands`,
+                validate: `- Has exactly ${optionCount} options, labelled ${keys[0]}-${keys[keys.length - 1]} in order
+- Has at least one and fewer than ${optionCount} correct options, listed as an array in "correctanswer"
+- Includes a detailed rationale explaining why each option is correct or incorrect`,
+                examples: `✓ **GOOD QUESTION EXAMPLE:**
+{
+  "questiontext": "A Node.js service's memory usage grows until the process crashes. Which of the following could keep objects from being garbage collected? (Select all that apply)",
+  "options": [
+    "A long-lived closure that references a large buffer",
+    "An event listener that is registered on every request and never removed",
+    "A local variable inside a function that has already returned",
+    "A module-level cache with no eviction policy"
+  ],
+  "correctanswer": ["A", "B", "D"],
+  "difficulty": "hard",
+  "rationale": "A, B and D keep objects reachable, so they are never collected. C is incorrect: locals of a returned function are collectable unless captured by a closure."
+}`,
+                outputExample: `{
+      "questiontext": "Complete question with scenario/context... (Select all that apply)",
+      "options": [${exampleOptions.join(', ')}],
+      "correctanswer": [${exampleAnswer.join(', ')}],
+      "difficulty": "medium",
+      "rationale": "Why each correct option is right and each incorrect option is wrong"
+    }`
+            };
+        }
+
+        const correctIndex = Math.min(2, optionCount - 1);
+        const exampleOptions = keys.map((key, index) => (index === correctIndex
+            ? '"Correct answer with proper reasoning"'
+            : `"Plausible distractor based on misconception ${key}"`));
+
+        return {
+            noun: `multiple choice questions with ${optionCount} options each`,
+            draft: `- Create a scenario or context that requires applying the concept
+- Ensure the question stem is clear and unambiguous
+- Target the specified Bloom's taxonomy level
+- Avoid "What is..." questions unless at 'remember' level`,
+            distractors: `**STEP 3: ENGINEER PLAUSIBLE DISTRACTORS**
+For each wrong answer (distractor):
+- Base it on common misconceptions or partial understanding
+- Make it tempting to someone with incomplete knowledge
+- Ensure it's clearly wrong to someone who fully understands
+- Avoid obviously absurd or unrelated options`,
+            validate: `- Has exactly one clearly correct answer
+- Has exactly ${optionCount} options: one correct answer and ${optionCount - 1} plausible but incorrect distractors
+- Includes a detailed rationale explaining the reasoning`,
+            examples: `✓ **GOOD QUESTION EXAMPLE:**
+{
+  "questiontext": "A development team notices their Node.js application's memory usage grows continuously until the process crashes. They've confirmed no memory leaks in their code. Based on garbage collection principles, which scenario most likely explains this behavior?",
+  "options": [
+    "The V8 engine's garbage collector is disabled by default in production",
+    "Large objects are being held in closures, preventing garbage collection",
+    "JavaScript automatically clears memory every 60 seconds",
+    "The heap size is too large, causing collection delays"
+  ],
+  "correctanswer": "B",
+  "difficulty": "hard",
+  "rationale": "Option B is correct: closures maintain references to variables in their scope, preventing garbage collection even when objects are no longer needed elsewhere. Option A is false (GC is always active). Option C is false (no automatic 60s cycle). Option D is backwards (larger heap would delay crashes, not cause them)."
+}
+
+✗ **BAD QUESTION EXAMPLE:**
+{
+  "questiontext": "What is garbage collection?",
+  "options": ["Deleting files", "Automatic memory management", "Code optimization", "Error handling"],
+  "correctanswer": "B",
+  "difficulty": "easy",
+  "rationale": "It's the definition."
+}
+(Too simple, just recall, weak distractors)`,
+            outputExample: `{
+      "questiontext": "Complete question with scenario/context...",
+      "options": [${exampleOptions.join(', ')}],
+      "correctanswer": "${keys[correctIndex]}",
+      "difficulty": "medium",
+      "rationale": "Detailed explanation of why the correct answer is right and why each distractor is wrong"
+    }`
+        };
+    }
+
     /**
      * Build advanced prompt with Chain of Thought (CoT) reasoning
      * @param {string} text - Input text
@@ -524,23 +1206,35 @@ Ensure all questions target this cognitive level specifically.`;
      * @param {number} options.numQuestions - Number of questions (default: 10)
      * @param {string} options.bloomLevel - Bloom's taxonomy level (default: 'apply')
      * @param {string} options.difficulty - Question difficulty: 'easy', 'medium', 'hard', 'mixed' (default: 'mixed')
+     * @param {string} options.questionType - 'multiple_choice', 'true_false', 'multi_select', 'cloze', 'short_answer', 'essay',
+     *   'matching', 'ordering' or 'numerical' (default: 'multiple_choice')
+     * @param {number} options.numOptions - Options per question, or pairs/steps for matching/ordering (default depends on questionType)
+     * @param {boolean} options.strictGrounding - Keep questions to facts the text states, with no outside applications
      * @returns {string} - Formatted prompt with CoT instructions
      */
     buildPrompt(text, options = {}) {
         const {
             numQuestions = 10,
             bloomLevel = 'apply',
-            difficulty = 'mixed'
+            difficulty = 'mixed',
+            questionType = QuestionValidator.DEFAULT_TYPE,
+            numOptions,
+            strictGrounding = false
         } = options;
 
         const bloomInstructions = this.getBloomInstructions(bloomLevel);
+        const typeInstructions = this.getQuestionTypeInstructions(questionType, numOptions);
+        const validateStep = typeInstructions.distractors ? 'STEP 4' : 'STEP 3';
 
         return `You are an Expert Instructional Designer and Assessment Specialist with expertise in cognitive science and learning theory.
 
-Your task is to create ${numQuestions} high-quality multiple choice questions that test deep understanding, NOT simple recall.
+Your task is to create ${numQuestions} high-quality ${typeInstructions.noun} that test deep understanding, NOT simple recall.
 
 ${bloomInstructions}
-
+${strictGrounding ? `
+**STRICT GROUNDING:**
+Every question and its correct answer must be answerable from the source text alone. Do not bring in facts, names, numbers, examples or applications the text does not state. Scenarios may only restate situations the text itself describes.
+` : ''}
 **SOURCE TEXT:**
 ${text}
 
@@ -553,57 +1247,24 @@ Before creating questions, identify:
 - Key concepts, principles, and relationships in the text
 - Important processes, mechanisms, or procedures described
 - Potential misconceptions or common errors learners might have
-- Real-world applications or scenarios where this knowledge applies
+${strictGrounding
+        ? '- Examples, cases or situations the text itself describes'
+        : '- Real-world applications or scenarios where this knowledge applies'}
 
 **STEP 2: DRAFT QUESTIONS**
 For each question:
-- Create a scenario or context that requires applying the concept
-- Ensure the question stem is clear and unambiguous
-- Target the specified Bloom's taxonomy level
-- Avoid "What is..." questions unless at 'remember' level
-
-**STEP 3: ENGINEER PLAUSIBLE DISTRACTORS**
-For each wrong answer (distractor):
-- Base it on common misconceptions or partial understanding
-- Make it tempting to someone with incomplete knowledge
-- Ensure it's clearly wrong to someone who fully understands
-- Avoid obviously absurd or unrelated options
-
-**STEP 4: VALIDATE QUALITY**
+${typeInstructions.draft}
+${typeInstructions.distractors ? `\n${typeInstructions.distractors}\n` : ''}
+**${validateStep}: VALIDATE QUALITY**
 Ensure each question:
-- Has exactly one clearly correct answer
-- Has three plausible but incorrect distractors
-- Includes a detailed rationale explaining the reasoning
+${typeInstructions.validate}
 - Aligns with the difficulty level: ${difficulty}
 
 ---
 
 **QUALITY STANDARDS:**
 
-✓ **GOOD QUESTION EXAMPLE:**
-{
-  "questiontext": "A development team notices their Node.js application's memory usage grows continuously until the process crashes. They've confirmed no memory leaks in their code. Based on garbage collection principles, which scenario most likely explains this behavior?",
-  "optiona": "The V8 engine's garbage collector is disabled by default in production",
-  "optionb": "Large objects are being held in closures, preventing garbage collection",
-  "optionc": "JavaScript automatically clears memory every 60 seconds",
-  "optiond": "The heap size is too large, causing collection delays",
-  "correctanswer": "B",
-  "difficulty": "hard",
-  "rationale": "Option B is correct: closures maintain references to variables in their scope, preventing garbage collection even when objects are no longer needed elsewhere. Option A is false (GC is always active). Option C is false (no automatic 60s cycle). Option D is backwards (larger heap would delay crashes, not cause them)."
-}
-
-✗ **BAD QUESTION EXAMPLE:**
-{
-  "questiontext": "What is garbage collection?",
-  "optiona": "Deleting files",
-  "optionb": "Automatic memory management",
-  "optionc": "Code optimization",
-  "optiond": "Error handling",
-  "correctanswer": "B",
-  "difficulty": "easy",
-  "rationale": "It's the definition."
-}
-(Too simple, just recall, weak distractors)
+${typeInstructions.examples}
 
 ---
 
@@ -614,19 +1275,12 @@ Required structure:
 {
   "analysis": "Your Step 1 analysis of key concepts and potential question areas (2-3 sentences)",
   "questions": [
-    {
-      "questiontext": "Complete question with scenario/context...",
-      "optiona": "Plausible distractor based on misconception A",
-      "optionb": "Plausible distractor based on misconception B",
-      "optionc": "Correct answer with proper reasoning",
-      "optiond": "Plausible distractor based on misconception D",
-      "correctanswer": "C",
-      "difficulty": "medium",
-      "rationale": "Detailed explanation of why the correct answer is right and why each distractor is wrong"
-    }
+    ${typeInstructions.outputExample}
   ]
 }
 
+Every question must also have an "evidence" field: the passage of the source text (one or two sentences) that supports the correct answer, copied word for word.
+
 Generate exactly ${numQuestions} questions now.`;
     }
 }
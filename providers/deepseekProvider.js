@@ -1,10 +1,21 @@
 const BaseAIProvider = require('./baseProvider');
+const ErrorHandler = require('../utils/errorHandler');
+const QuestionValidator = require('../utils/questionValidator');
 
 /**
  * DeepSeek Provider Implementation
  * DeepSeek API: https://api.deepseek.com/
  */
 class DeepSeekProvider extends BaseAIProvider {
+    static definition = {
+        name: 'deepseek',
+        label: 'DeepSeek',
+        description: 'DeepSeek AI Provider',
+        config: () => ({ apiKey: process.env.DEEPSEEK_API_KEY }),
+        capabilities: { streaming: true, structuredOutput: 'json_object', maxContext: 64000 },
+        pricing: { input: 0.00014, output: 0.00028 } // Very cheap
+    };
+
     constructor(config = {}) {
         super(config);
         this.name = 'deepseek';
@@ -71,22 +82,26 @@ class DeepSeekProvider extends BaseAIProvider {
         return {
             chat: {
                 completions: {
-                    create: async (options) => {
+                    create: async (options, requestOptions = {}) => {
                         const response = await fetch(`${this.baseURL}/chat/completions`, {
                             method: 'POST',
                             headers: {
                                 'Authorization': `Bearer ${this.config.apiKey}`,
                                 'Content-Type': 'application/json'
                             },
-                            body: JSON.stringify(options)
+                            body: JSON.stringify(options),
+                            signal: requestOptions.signal
                         });
 
                         if (!response.ok) {
                             const errorData = await response.json().catch(() => ({}));
-                            throw new Error(`DeepSeek API error: ${response.status} ${response.statusText}. ${errorData.message || errorData.error?.message || ''}`);
+                            const error = new Error(`DeepSeek API error: ${response.status} ${response.statusText}. ${errorData.message || errorData.error?.message || ''}`);
+                            error.status = response.status;
+                            throw error;
                         }
 
-                        return await response.json();
+                        // Streamed completions arrive as server-sent events, one chunk each
+                        return options.stream ? this.readServerSentEvents(response.body) : await response.json();
                     }
                 }
             }
@@ -122,38 +137,36 @@ class DeepSeekProvider extends BaseAIProvider {
     /**
      * Build DeepSeek-specific prompt
      * @param {string} text - Input text
-     * @param {number} numQuestions - Number of questions
+     * @param {Object} options - Generation options
+     * @param {number} options.numQuestions - Number of questions (default: 10)
+     * @param {string} options.questionType - 'multiple_choice', 'true_false', 'multi_select', 'cloze', 'short_answer' or 'essay'
+     * @param {number} options.numOptions - Options per question
+     * @param {boolean} options.strictGrounding - Keep questions to facts the text states
      * @returns {string} - Formatted prompt
      */
-    buildPrompt(text, numQuestions = 10) {
-        return `You are an expert educator creating multiple choice quiz questions using DeepSeek AI.
+    buildPrompt(text, options = {}) {
+        const { numQuestions = 10, questionType, numOptions, strictGrounding = false } = options;
+        const typeInstructions = this.getQuestionTypeInstructions(questionType, numOptions);
 
-Based on the following text, generate exactly ${numQuestions} multiple choice questions.
+        return `You are an expert educator creating quiz questions using DeepSeek AI.
+
+Based on the following text, generate exactly ${numQuestions} ${typeInstructions.noun}.
 
 TEXT:
 ${text}
 
 REQUIREMENTS:
 - Generate exactly ${numQuestions} questions
-- Each question must have 4 options (A, B, C, D)
-- Mark the correct answer as A, B, C, or D
+${typeInstructions.validate}
 - Assign difficulty level as "easy", "medium", or "hard"
 - Questions should test understanding, not just recall
-- Options should be plausible and well-distributed
-- Ensure questions are educational and accurate
-
+${QuestionValidator.isFreeResponse(questionType) || QuestionValidator.isArrangement(questionType) ? '' : '- Options should be plausible and well-distributed\n'}- Ensure questions are educational and accurate
+- Give each question an "evidence" field: the passage of the text that supports the correct answer, copied word for word
+${strictGrounding ? '- Use only facts the text states: no outside facts, names, numbers, examples or applications\n' : ''}
 Return ONLY a valid JSON object with this exact structure (no markdown, no code blocks, just raw JSON):
 {
   "questions": [
-    {
-      "questiontext": "What is...?",
-      "optiona": "First option",
-      "optionb": "Second option",
-      "optionc": "Third option",
-      "optiond": "Fourth option",
-      "correctanswer": "A",
-      "difficulty": "medium"
-    }
+    ${typeInstructions.outputExample}
   ]
 }`;
     }
@@ -166,17 +179,25 @@ Return ONLY a valid JSON object with this exact structure (no markdown, no code
      */
     async generateQuestions(text, options = {}) {
         const numQuestions = options.numQuestions || 10;
+        const promptOptions = {
+            numQuestions,
+            questionType: options.questionType,
+            numOptions: options.numOptions,
+            strictGrounding: options.strictGrounding
+        };
 
         for (let attempt = 1; attempt <= this.maxRetries; attempt++) {
+            // No JSON schema support, but JSON mode keeps the reply to a single JSON object
+            const jsonMode = this.structuredOutput;
             try {
-                const prompt = this.buildPrompt(text, numQuestions);
+                const prompt = this.buildPrompt(text, promptOptions);
 
                 const response = await this.client.chat.completions.create({
                     model: this.currentModel,
                     messages: [
                         {
                             role: 'system',
-                            content: 'You are an expert educator creating multiple choice quiz questions. Respond with only valid JSON in the exact format requested.'
+                            content: 'You are an expert educator creating quiz questions. Respond with only valid JSON in the exact format requested.'
                         },
                         {
                             role: 'user',
@@ -185,16 +206,17 @@ Return ONLY a valid JSON object with this exact structure (no markdown, no code
                     ],
                     temperature: 0.7,
                     max_tokens: 2000,
-                    top_p: 0.9
-                });
+                    top_p: 0.9,
+                    ...(jsonMode ? { response_format: { type: 'json_object' } } : {})
+                }, { signal: options.signal });
 
                 const generatedText = this.parseResponse(response);
 
-                // Use robust JSON parser from base class
-                const parsedResponse = this.safeJSONParse(generatedText);
+                // Parse as-is, repairing with the base class only if needed
+                const parsedResponse = this.parseJSONResponse(generatedText);
 
                 // Standardize and return response
-                const standardized = this.standardizeResponse(parsedResponse, numQuestions);
+                const standardized = this.standardizeResponse(parsedResponse, numQuestions, promptOptions);
                 
                 // Trim to requested number of questions (AI sometimes generates more)
                 if (standardized.questions.length > numQuestions) {
@@ -208,7 +230,18 @@ Return ONLY a valid JSON object with this exact structure (no markdown, no code
                 return standardized;
                 
             } catch (error) {
+                // Cancelled - no retries or fallbacks
+                if (ErrorHandler.isCancellation(error)) {
+                    throw error;
+                }
+
                 const isLastAttempt = attempt === this.maxRetries;
+
+                // APIs or models without JSON mode - retry without it
+                if (jsonMode && this.disableStructuredOutput(error)) {
+                    attempt--;
+                    continue;
+                }
                 
                 // Check if it's a 404 error (model not found) - try fallback immediately
                 if (error.message && error.message.includes('404')) {
@@ -230,7 +263,7 @@ Return ONLY a valid JSON object with this exact structure (no markdown, no code
                     
                     if (!isLastAttempt) {
                         console.log(`⚠ DeepSeek API: Attempt ${attempt}/${this.maxRetries} - ${this.currentModel} rate limited. Retrying in ${delay/1000}s...`);
-                        await this.sleep(delay);
+                        await this.sleep(delay, options.signal);
                         continue;
                     } else {
                         console.warn(`⚠ ${this.currentModel} rate limited after ${this.maxRetries} attempts.`);
@@ -244,7 +277,7 @@ Return ONLY a valid JSON object with this exact structure (no markdown, no code
                     
                     if (!isLastAttempt) {
                         console.log(`⚠ DeepSeek API: Attempt ${attempt}/${this.maxRetries} - ${this.currentModel} overloaded. Retrying in ${delay/1000}s...`);
-                        await this.sleep(delay);
+                        await this.sleep(delay, options.signal);
                         continue;
                     } else {
                         console.warn(`⚠ ${this.currentModel} overloaded after ${this.maxRetries} attempts.`);
@@ -264,6 +297,55 @@ Return ONLY a valid JSON object with this exact structure (no markdown, no code
         throw new Error('Failed to generate questions after all retries');
     }
 
+    /**
+     * Send a free-form prompt and return the raw completion text, or the parsed response
+     * when a response schema is given
+     * @param {string} prompt - Prompt text
+     * @param {Object} options - Completion options ({ system, temperature, maxTokens, responseSchema })
+     * @returns {Promise<string|Object>} - Completion text, or the parsed response with a schema
+     */
+    async complete(prompt, options = {}) {
+        const schema = options.responseSchema;
+        const response = await this.client.chat.completions.create(this.buildCompletionRequest(prompt, options), { signal: options.signal });
+
+        const text = this.parseResponse(response);
+        return schema ? this.parseStructured(text, schema) : text;
+    }
+
+    /**
+     * Stream a completion's text as it is generated (see BaseAIProvider.stream)
+     * @param {string} prompt - Prompt text
+     * @param {Object} options - Completion options ({ system, temperature, maxTokens, responseSchema, signal })
+     * @returns {AsyncIterable<string>}
+     */
+    async *stream(prompt, options = {}) {
+        yield* this.streamChatCompletion(this.buildCompletionRequest(prompt, options), options.signal);
+    }
+
+    /**
+     * Chat completion request for a free-form prompt
+     * @param {string} prompt - Prompt text
+     * @param {Object} options - Completion options ({ system, temperature, maxTokens, responseSchema })
+     * @returns {Object}
+     */
+    buildCompletionRequest(prompt, options = {}) {
+        const schema = options.responseSchema;
+        const messages = [];
+        if (options.system) {
+            messages.push({ role: 'system', content: options.system });
+        }
+        messages.push({ role: 'user', content: schema ? this.buildSchemaPrompt(prompt, schema) : prompt });
+
+        return {
+            model: this.currentModel,
+            messages,
+            temperature: options.temperature ?? 0.2,
+            max_tokens: options.maxTokens || 1000,
+            // JSON mode keeps the reply to a single JSON object
+            ...(schema && this.structuredOutput ? { response_format: { type: 'json_object' } } : {})
+        };
+    }
+
     /**
      * Test DeepSeek connection with automatic fallback
      * @returns {Promise<Object>} - Test result
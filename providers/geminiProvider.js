@@ -1,10 +1,20 @@
 const { GoogleGenerativeAI } = require('@google/generative-ai');
 const BaseAIProvider = require('./baseProvider');
+const ErrorHandler = require('../utils/errorHandler');
 
 /**
  * Gemini AI Provider Implementation
  */
 class GeminiProvider extends BaseAIProvider {
+    static definition = {
+        name: 'gemini',
+        label: 'Gemini',
+        description: 'Google Gemini AI Provider',
+        config: () => ({ apiKey: process.env.GEMINI_API_KEY }),
+        capabilities: { streaming: true, structuredOutput: 'json_schema', maxContext: 1048576 },
+        pricing: { input: 0.00015, output: 0.0006 } // Gemini Flash - very cheap
+    };
+
     constructor(config = {}) {
         super(config);
         this.name = 'gemini';
@@ -109,22 +119,30 @@ class GeminiProvider extends BaseAIProvider {
         const promptOptions = {
             numQuestions,
             bloomLevel: options.bloomLevel || 'apply',
-            difficulty: options.difficulty || 'mixed'
+            difficulty: options.difficulty || 'mixed',
+            questionType: options.questionType,
+            numOptions: options.numOptions,
+            strictGrounding: options.strictGrounding
         };
 
         for (let attempt = 1; attempt <= this.maxRetries; attempt++) {
+            const schema = this.getResponseSchema(promptOptions);
             try {
                 const prompt = this.buildPrompt(text, promptOptions);
 
-                const result = await this.model.generateContent(prompt);
+                // The signal aborts the request; abortable reports it as a cancellation
+                const result = await this.abortable(this.model.generateContent({
+                    contents: [{ role: 'user', parts: [{ text: prompt }] }],
+                    ...(schema ? { generationConfig: this.getSchemaConfig(schema) } : {})
+                }, { signal: options.signal }), options.signal);
                 const response = await result.response;
                 const generatedText = response.text();
 
-                // Use robust JSON parser from base class
-                const parsedResponse = this.safeJSONParse(generatedText);
+                // Parse as-is, repairing with the base class only if needed
+                const parsedResponse = this.parseJSONResponse(generatedText, Boolean(schema));
 
                 // Standardize and return response
-                const standardized = this.standardizeResponse(parsedResponse, numQuestions);
+                const standardized = this.standardizeResponse(parsedResponse, numQuestions, promptOptions);
                 
                 // Trim to requested number of questions (AI sometimes generates more)
                 if (standardized.questions.length > numQuestions) {
@@ -138,7 +156,18 @@ class GeminiProvider extends BaseAIProvider {
                 return standardized;
                 
             } catch (error) {
+                // Cancelled - no retries or fallbacks
+                if (ErrorHandler.isCancellation(error)) {
+                    throw error;
+                }
+
                 const isLastAttempt = attempt === this.maxRetries;
+
+                // Models without response schema support - retry without it
+                if (schema && this.disableStructuredOutput(error)) {
+                    attempt--;
+                    continue;
+                }
                 
                 // Check if it's a 404 error (model not found) - try fallback immediately
                 if (error.message && error.message.includes('404')) {
@@ -160,7 +189,7 @@ class GeminiProvider extends BaseAIProvider {
                     
                     if (!isLastAttempt) {
                         console.log(`⚠ Gemini API: Attempt ${attempt}/${this.maxRetries} - ${this.currentModel} overloaded. Retrying in ${delay/1000}s...`);
-                        await this.sleep(delay);
+                        await this.sleep(delay, options.signal);
                         continue; // Retry with same model
                     } else {
                         // On last attempt, just throw - don't fallback for 503 as the model works
@@ -181,6 +210,119 @@ class GeminiProvider extends BaseAIProvider {
         throw new Error('Failed to generate questions after all retries');
     }
 
+    /**
+     * Send a free-form prompt and return the raw completion text, or the parsed response
+     * when a response schema is given
+     * @param {string} prompt - Prompt text
+     * @param {Object} options - Completion options ({ system, temperature, maxTokens, responseSchema })
+     * @returns {Promise<string|Object>} - Completion text, or the parsed response with a schema
+     */
+    async complete(prompt, options = {}) {
+        const schema = options.responseSchema;
+        const { request, native } = this.buildCompletionRequest(prompt, options);
+
+        let result;
+        try {
+            result = await this.abortable(this.model.generateContent(request, { signal: options.signal }), options.signal);
+        } catch (error) {
+            if (native && this.disableStructuredOutput(error)) {
+                return await this.complete(prompt, options);
+            }
+            throw error;
+        }
+        const response = await result.response;
+        return schema ? this.parseStructured(response.text(), schema, native) : response.text();
+    }
+
+    /**
+     * Stream a completion's text as it is generated (see BaseAIProvider.stream)
+     * @param {string} prompt - Prompt text
+     * @param {Object} options - Completion options ({ system, temperature, maxTokens, responseSchema, signal })
+     * @returns {AsyncIterable<string>}
+     */
+    async *stream(prompt, options = {}) {
+        const { request } = this.buildCompletionRequest(prompt, options);
+        const result = await this.abortable(this.model.generateContentStream(request, { signal: options.signal }), options.signal);
+
+        for await (const chunk of result.stream) {
+            ErrorHandler.throwIfCancelled(options.signal);
+            const delta = chunk.text();
+            if (delta) {
+                yield delta;
+            }
+        }
+    }
+
+    /**
+     * Content request for a free-form prompt
+     * @param {string} prompt - Prompt text
+     * @param {Object} options - Completion options ({ system, temperature, maxTokens, responseSchema })
+     * @returns {Object} - { request, native } where native says the schema is enforced by the API
+     */
+    buildCompletionRequest(prompt, options = {}) {
+        const schema = options.responseSchema;
+        const native = Boolean(schema) && this.structuredOutput;
+        const text = schema && !native ? this.buildSchemaPrompt(prompt, schema) : prompt;
+
+        const request = {
+            contents: [{ role: 'user', parts: [{ text }] }],
+            ...(options.system ? { systemInstruction: options.system } : {}),
+            generationConfig: {
+                temperature: options.temperature ?? 0.2,
+                maxOutputTokens: options.maxTokens || 1000,
+                ...(native ? this.getSchemaConfig(schema) : {})
+            }
+        };
+
+        return { request, native };
+    }
+
+    /**
+     * Generation config that makes Gemini answer in JSON matching a schema
+     * @param {Object} schema - JSON Schema
+     * @returns {Object} - { responseMimeType, responseSchema }
+     */
+    getSchemaConfig(schema) {
+        return {
+            responseMimeType: 'application/json',
+            responseSchema: this.toGeminiSchema(schema)
+        };
+    }
+
+    /**
+     * Convert a JSON Schema to the OpenAPI subset Gemini accepts: one type per field (nullable
+     * instead of a null type, string where a field can be a string or a number) and no
+     * additionalProperties or numeric bounds
+     * @param {Object} schema - JSON Schema
+     * @returns {Object} - Gemini response schema
+     */
+    toGeminiSchema(schema) {
+        const converted = {};
+        const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+        const nonNull = types.filter(type => type !== 'null');
+
+        converted.type = nonNull.length > 1 && nonNull.includes('string') ? 'string' : nonNull[0];
+        if (nonNull.length < types.length) {
+            converted.nullable = true;
+        }
+        if (schema.enum) {
+            converted.enum = schema.enum;
+        }
+        if (schema.items) {
+            converted.items = this.toGeminiSchema(schema.items);
+        }
+        if (schema.properties) {
+            converted.properties = Object.fromEntries(
+                Object.entries(schema.properties).map(([key, property]) => [key, this.toGeminiSchema(property)])
+            );
+            if (schema.required) {
+                converted.required = schema.required;
+            }
+        }
+
+        return converted;
+    }
+
     /**
      * Test Gemini connection with automatic fallback
      * @returns {Promise<Object>} - Test result
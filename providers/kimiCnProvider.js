@@ -1,10 +1,20 @@
 const BaseAIProvider = require('./baseProvider');
+const ErrorHandler = require('../utils/errorHandler');
 
 /**
  * Kimi AI China (Moonshot CN) Provider Implementation
  * API: https://platform.moonshot.cn/
  */
 class KimiCnProvider extends BaseAIProvider {
+    static definition = {
+        name: 'kimicn',
+        label: 'Kimi CN',
+        description: 'Kimi AI China (Moonshot CN) Provider',
+        config: () => ({ apiKey: process.env.KIMICN_API_KEY }),
+        capabilities: { streaming: true, structuredOutput: 'json_object', maxContext: 8192 },
+        pricing: { input: 0.0002, output: 0.0006 }
+    };
+
     constructor(config = {}) {
         super(config);
         this.name = 'kimicn';
@@ -53,22 +63,26 @@ class KimiCnProvider extends BaseAIProvider {
         return {
             chat: {
                 completions: {
-                    create: async (options) => {
+                    create: async (options, requestOptions = {}) => {
                         const response = await fetch(`${this.baseURL}/chat/completions`, {
                             method: 'POST',
                             headers: {
                                 'Authorization': `Bearer ${this.config.apiKey}`,
                                 'Content-Type': 'application/json'
                             },
-                            body: JSON.stringify(options)
+                            body: JSON.stringify(options),
+                            signal: requestOptions.signal
                         });
 
                         if (!response.ok) {
                             const errorData = await response.json().catch(() => ({}));
-                            throw new Error(`Kimi API error: ${response.status} ${response.statusText}. ${errorData.message || errorData.error?.message || ''}`);
+                            const error = new Error(`Kimi API error: ${response.status} ${response.statusText}. ${errorData.message || errorData.error?.message || ''}`);
+                            error.status = response.status;
+                            throw error;
                         }
 
-                        return await response.json();
+                        // Streamed completions arrive as server-sent events, one chunk each
+                        return options.stream ? this.readServerSentEvents(response.body) : await response.json();
                     }
                 }
             }
@@ -126,10 +140,15 @@ class KimiCnProvider extends BaseAIProvider {
         const promptOptions = {
             numQuestions,
             bloomLevel: options.bloomLevel || 'apply',
-            difficulty: options.difficulty || 'mixed'
+            difficulty: options.difficulty || 'mixed',
+            questionType: options.questionType,
+            numOptions: options.numOptions,
+            strictGrounding: options.strictGrounding
         };
 
         for (let attempt = 1; attempt <= this.maxRetries; attempt++) {
+            // No JSON schema support, but JSON mode keeps the reply to a single JSON object
+            const jsonMode = this.structuredOutput;
             try {
                 const prompt = this.buildPrompt(text, promptOptions);
 
@@ -150,15 +169,16 @@ class KimiCnProvider extends BaseAIProvider {
                             content: prompt
                         }
                     ],
-                    temperature: 0.7
+                    temperature: 0.7,
                     // max_tokens: maxTokens  // Commented out to allow unlimited tokens for large requests
-                });
+                    ...(jsonMode ? { response_format: { type: 'json_object' } } : {})
+                }, { signal: options.signal });
 
                 const generatedText = this.parseResponse(response);
                 
-                // Use robust JSON parser from base class
-                const parsedResponse = this.safeJSONParse(generatedText);
-                const standardized = this.standardizeResponse(parsedResponse, numQuestions);
+                // Parse as-is, repairing with the base class only if needed
+                const parsedResponse = this.parseJSONResponse(generatedText);
+                const standardized = this.standardizeResponse(parsedResponse, numQuestions, promptOptions);
                 
                 // Trim to requested number of questions
                 if (standardized.questions.length > numQuestions) {
@@ -170,7 +190,18 @@ class KimiCnProvider extends BaseAIProvider {
                 return standardized;
                 
             } catch (error) {
+                // Cancelled - no retries or fallbacks
+                if (ErrorHandler.isCancellation(error)) {
+                    throw error;
+                }
+
                 const isLastAttempt = attempt === this.maxRetries;
+
+                // APIs or models without JSON mode - retry without it
+                if (jsonMode && this.disableStructuredOutput(error)) {
+                    attempt--;
+                    continue;
+                }
                 
                 // Check if it's a 404 error (model not found)
                 if (error.message && error.message.includes('404')) {
@@ -192,7 +223,7 @@ class KimiCnProvider extends BaseAIProvider {
                     
                     if (!isLastAttempt) {
                         console.log(`⚠ Kimi API: Attempt ${attempt}/${this.maxRetries} - ${this.currentModel} rate limited. Retrying in ${delay/1000}s...`);
-                        await this.sleep(delay);
+                        await this.sleep(delay, options.signal);
                         continue;
                     } else {
                         console.warn(`⚠ ${this.currentModel} rate limited after ${this.maxRetries} attempts.`);
@@ -206,7 +237,7 @@ class KimiCnProvider extends BaseAIProvider {
                     
                     if (!isLastAttempt) {
                         console.log(`⚠ Kimi API: Attempt ${attempt}/${this.maxRetries} - ${this.currentModel} unavailable. Retrying in ${delay/1000}s...`);
-                        await this.sleep(delay);
+                        await this.sleep(delay, options.signal);
                         continue;
                     } else {
                         console.warn(`⚠ ${this.currentModel} unavailable after ${this.maxRetries} attempts.`);
@@ -225,6 +256,55 @@ class KimiCnProvider extends BaseAIProvider {
         throw new Error('Failed to generate questions after all retries');
     }
 
+    /**
+     * Send a free-form prompt and return the raw completion text, or the parsed response
+     * when a response schema is given
+     * @param {string} prompt - Prompt text
+     * @param {Object} options - Completion options ({ system, temperature, maxTokens, responseSchema })
+     * @returns {Promise<string|Object>} - Completion text, or the parsed response with a schema
+     */
+    async complete(prompt, options = {}) {
+        const schema = options.responseSchema;
+        const response = await this.client.chat.completions.create(this.buildCompletionRequest(prompt, options), { signal: options.signal });
+
+        const text = this.parseResponse(response);
+        return schema ? this.parseStructured(text, schema) : text;
+    }
+
+    /**
+     * Stream a completion's text as it is generated (see BaseAIProvider.stream)
+     * @param {string} prompt - Prompt text
+     * @param {Object} options - Completion options ({ system, temperature, maxTokens, responseSchema, signal })
+     * @returns {AsyncIterable<string>}
+     */
+    async *stream(prompt, options = {}) {
+        yield* this.streamChatCompletion(this.buildCompletionRequest(prompt, options), options.signal);
+    }
+
+    /**
+     * Chat completion request for a free-form prompt
+     * @param {string} prompt - Prompt text
+     * @param {Object} options - Completion options ({ system, temperature, maxTokens, responseSchema })
+     * @returns {Object}
+     */
+    buildCompletionRequest(prompt, options = {}) {
+        const schema = options.responseSchema;
+        const messages = [];
+        if (options.system) {
+            messages.push({ role: 'system', content: options.system });
+        }
+        messages.push({ role: 'user', content: schema ? this.buildSchemaPrompt(prompt, schema) : prompt });
+
+        return {
+            model: this.currentModel,
+            messages,
+            temperature: options.temperature ?? 0.2,
+            max_tokens: options.maxTokens || 1000,
+            // JSON mode keeps the reply to a single JSON object
+            ...(schema && this.structuredOutput ? { response_format: { type: 'json_object' } } : {})
+        };
+    }
+
     /**
      * Test Kimi connection with automatic fallback
      */
@@ -2,6 +2,18 @@ const BaseAIProvider = require('./baseProvider');
 const fetch = require('node-fetch');
 
 class LocalProvider extends BaseAIProvider {
+    static definition = {
+        name: 'local',
+        label: 'Local',
+        description: 'Local LLM (Ollama/LocalAI)',
+        config: () => ({
+            baseUrl: process.env.LOCAL_API_URL || 'http://localhost:11434',
+            model: process.env.LOCAL_MODEL || 'llama3'
+        }),
+        // No pricing: self-hosted, and left out of cost-based routing
+        capabilities: { streaming: true, structuredOutput: 'json_schema', maxContext: 8192 }
+    };
+
     constructor(config = {}) {
         super(config);
         this.name = 'local';
@@ -27,6 +39,8 @@ class LocalProvider extends BaseAIProvider {
 
         console.log(`Sending request to Local LLM at ${this.config.baseUrl}...`);
 
+        // Ollama constrains output to a JSON Schema given as format (0.5+); plain JSON mode otherwise
+        const schema = this.getResponseSchema(options);
         try {
             // Example for Ollama API
             const response = await fetch(`${this.config.baseUrl}/api/generate`, {
@@ -36,15 +50,16 @@ class LocalProvider extends BaseAIProvider {
                     model: this.config.model || 'llama3',
                     prompt: prompt,
                     stream: false,
-                    format: 'json', // Force JSON mode if supported
+                    format: schema || 'json', // Force JSON mode if supported
                     options: {
                         temperature: options.temperature || 0.7
                     }
-                })
+                }),
+                signal: options.signal
             });
 
             if (!response.ok) {
-                throw new Error(`Local API Error: ${response.status} ${response.statusText}`);
+                throw await this.buildResponseError(response);
             }
 
             const data = await response.json();
@@ -55,15 +70,130 @@ class LocalProvider extends BaseAIProvider {
             }
 
             // Parse and standardize
-            const json = this.safeJSONParse(rawText);
-            return this.standardizeResponse(json, numQuestions);
+            const json = this.parseJSONResponse(rawText, Boolean(schema));
+            return this.standardizeResponse(json, numQuestions, options);
+
+        } catch (error) {
+            // Older servers reject a schema as format - retry in plain JSON mode
+            if (schema && this.disableStructuredOutput(error)) {
+                return await this.generateQuestions(text, options);
+            }
+            if (error.code === 'ECONNREFUSED') {
+                throw new Error(`Could not connect to Local LLM at ${this.config.baseUrl}. Is Ollama running?`);
+            }
+            throw error;
+        }
+    }
+
+    async complete(prompt, options = {}) {
+        const schema = options.responseSchema;
+        const { request, native } = this.buildCompletionRequest(prompt, options);
+        try {
+            const response = await fetch(`${this.config.baseUrl}/api/generate`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(request),
+                signal: options.signal
+            });
+
+            if (!response.ok) {
+                throw await this.buildResponseError(response);
+            }
+
+            const data = await response.json();
+            if (!data.response) {
+                throw new Error('Empty response from Local LLM');
+            }
+
+            return schema ? this.parseStructured(data.response, schema, native) : data.response;
+        } catch (error) {
+            if (native && this.disableStructuredOutput(error)) {
+                return await this.complete(prompt, options);
+            }
+            if (error.code === 'ECONNREFUSED') {
+                throw new Error(`Could not connect to Local LLM at ${this.config.baseUrl}. Is Ollama running?`);
+            }
+            throw error;
+        }
+    }
 
+    /**
+     * Stream a completion's text as it is generated (see BaseAIProvider.stream);
+     * Ollama streams one JSON object per line
+     * @param {string} prompt - Prompt text
+     * @param {Object} options - Completion options ({ system, temperature, maxTokens, responseSchema, signal })
+     * @returns {AsyncIterable<string>}
+     */
+    async *stream(prompt, options = {}) {
+        const { request } = this.buildCompletionRequest(prompt, options);
+        let response;
+        try {
+            response = await fetch(`${this.config.baseUrl}/api/generate`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ ...request, stream: true }),
+                signal: options.signal
+            });
         } catch (error) {
             if (error.code === 'ECONNREFUSED') {
                 throw new Error(`Could not connect to Local LLM at ${this.config.baseUrl}. Is Ollama running?`);
             }
             throw error;
         }
+
+        if (!response.ok) {
+            throw await this.buildResponseError(response);
+        }
+
+        for await (const line of this.readLines(response.body)) {
+            if (!line.trim()) {
+                continue;
+            }
+            const data = JSON.parse(line);
+            if (data.error) {
+                throw new Error(`Local API Error: ${data.error}`);
+            }
+            if (data.response) {
+                yield data.response;
+            }
+        }
+    }
+
+    /**
+     * Generate request for a free-form prompt
+     * @param {string} prompt - Prompt text
+     * @param {Object} options - Completion options ({ system, temperature, maxTokens, responseSchema })
+     * @returns {Object} - { request, native } where native says the schema is passed as format
+     */
+    buildCompletionRequest(prompt, options = {}) {
+        const schema = options.responseSchema;
+        const native = Boolean(schema) && this.structuredOutput;
+
+        const request = {
+            model: this.config.model || 'llama3',
+            prompt: schema && !native ? this.buildSchemaPrompt(prompt, schema) : prompt,
+            ...(options.system ? { system: options.system } : {}),
+            ...(schema ? { format: native ? schema : 'json' } : {}),
+            stream: false,
+            options: {
+                temperature: options.temperature ?? 0.2,
+                num_predict: options.maxTokens || 1000
+            }
+        };
+
+        return { request, native };
+    }
+
+    /**
+     * Build an error for a failed API response, keeping its status and the server's message
+     * @param {Object} response - fetch Response
+     * @returns {Promise<Error>}
+     */
+    async buildResponseError(response) {
+        const body = await response.text().catch(() => '');
+        const error = new Error(`Local API Error: ${response.status} ${response.statusText}${body ? ` - ${body}` : ''}`);
+        error.status = response.status;
+        return error;
     }
 
     async testConnection() {
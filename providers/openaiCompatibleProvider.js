@@ -0,0 +1,385 @@
+const BaseAIProvider = require('./baseProvider');
+const ErrorHandler = require('../utils/errorHandler');
+
+/**
+ * OpenAI-Compatible Provider Implementation
+ * Any chat completions API that follows OpenAI's (vLLM, LM Studio, OpenRouter, Azure OpenAI...),
+ * configured rather than coded: each instance has its own name, base URL, headers, models,
+ * pricing and routing characteristics (see config/openaiCompatibleProviders.js)
+ */
+class OpenAICompatibleProvider extends BaseAIProvider {
+    static RESPONSE_FORMATS = ['json_schema', 'json_object', 'none'];
+
+    constructor(config = {}) {
+        super(config);
+        this.name = config.name;
+        this.description = config.description || `${config.name} (OpenAI-compatible)`;
+        // Models in order of preference (fallback order)
+        this.supportedModels = config.models || (config.model ? [config.model] : []);
+        this.baseURL = (config.baseURL || '').replace(/\/+$/, '');
+        // How the API constrains output: a JSON schema, JSON mode, or neither (prompt only)
+        this.responseFormat = config.responseFormat || 'json_object';
+        if (this.responseFormat === 'none') {
+            this.structuredOutput = false;
+        }
+        this.maxRetries = config.maxRetries || 3;
+        this.baseDelay = 2000;
+        this.currentModelIndex = 0;
+    }
+
+    /**
+     * Validate configuration
+     */
+    validateConfig() {
+        if (!this.config.name) {
+            throw new Error('OpenAI-compatible providers need a name');
+        }
+        if (!this.baseURL) {
+            throw new Error(`${this.config.name}: baseURL is required`);
+        }
+        if (this.supportedModels.length === 0) {
+            throw new Error(`${this.config.name}: at least one model is required`);
+        }
+        if (this.config.apiKeyEnv && !this.config.apiKey) {
+            throw new Error(`${this.config.name} API key is required. Set ${this.config.apiKeyEnv} environment variable.`);
+        }
+        if (!OpenAICompatibleProvider.RESPONSE_FORMATS.includes(this.responseFormat)) {
+            throw new Error(`${this.config.name}: unsupported responseFormat ${this.responseFormat}. Supported: ${OpenAICompatibleProvider.RESPONSE_FORMATS.join(', ')}`);
+        }
+    }
+
+    /**
+     * Initialize client
+     */
+    async initialize(config = {}) {
+        await super.initialize(config);
+        this.client = this.createClient();
+
+        const preferredModel = this.config.model || this.supportedModels[0];
+        this.currentModelIndex = Math.max(0, this.supportedModels.indexOf(preferredModel));
+        this.currentModel = preferredModel;
+        console.log(`✓ Initialized ${this.name} with model: ${this.currentModel}`);
+    }
+
+    /**
+     * Request headers: the API key (as a bearer token unless authHeader says otherwise)
+     * plus any headers from the configuration
+     * @returns {Object}
+     */
+    buildHeaders() {
+        const headers = { 'Content-Type': 'application/json' };
+        if (this.config.apiKey) {
+            const authHeader = this.config.authHeader || 'Authorization';
+            const authPrefix = this.config.authPrefix ?? (authHeader === 'Authorization' ? 'Bearer ' : '');
+            headers[authHeader] = `${authPrefix}${this.config.apiKey}`;
+        }
+
+        return { ...headers, ...(this.config.headers || {}) };
+    }
+
+    /**
+     * Create client using fetch
+     */
+    createClient() {
+        const query = new URLSearchParams(this.config.query || {}).toString();
+        const url = `${this.baseURL}/chat/completions${query ? `?${query}` : ''}`;
+
+        return {
+            chat: {
+                completions: {
+                    create: async (options, requestOptions = {}) => {
+                        const response = await fetch(url, {
+                            method: 'POST',
+                            headers: this.buildHeaders(),
+                            body: JSON.stringify(options),
+                            signal: requestOptions.signal
+                        });
+
+                        if (!response.ok) {
+                            const errorData = await response.json().catch(() => ({}));
+                            const error = new Error(`${this.name} API error: ${response.status} ${response.statusText}. ${errorData.message || errorData.error?.message || ''}`);
+                            error.status = response.status;
+                            throw error;
+                        }
+
+                        // Streamed completions arrive as server-sent events, one chunk each
+                        return options.stream ? this.readServerSentEvents(response.body) : await response.json();
+                    }
+                }
+            }
+        };
+    }
+
+    /**
+     * Try next available model in fallback list
+     * @returns {boolean} - True if fallback successful
+     */
+    async tryFallbackModel() {
+        this.currentModelIndex++;
+
+        if (this.currentModelIndex >= this.supportedModels.length) {
+            console.error(`⚠ All ${this.name} fallback models exhausted`);
+            return false;
+        }
+
+        this.currentModel = this.supportedModels[this.currentModelIndex];
+        console.log(`Falling back to ${this.name} model: ${this.currentModel}`);
+        return true;
+    }
+
+    /**
+     * Check if provider is configured
+     * @returns {boolean}
+     */
+    isConfigured() {
+        return !!this.baseURL && (!this.config.apiKeyEnv || !!this.config.apiKey);
+    }
+
+    /**
+     * Parse response to extract generated text
+     * @param {Object} response - Chat completions response
+     * @returns {string} - Extracted text
+     */
+    parseResponse(response) {
+        if (!response.choices || !response.choices.length) {
+            throw new Error(`No choices in ${this.name} response`);
+        }
+
+        const message = response.choices[0].message;
+        if (!message || !message.content) {
+            throw new Error(`No content in ${this.name} response`);
+        }
+
+        return message.content;
+    }
+
+    /**
+     * The response_format for a schema, as far as the API supports it
+     * @param {Object|null} schema - JSON Schema, or null without structured output
+     * @param {string} name - Schema name
+     * @param {boolean} strict - Whether the schema is in strict form (see QuestionSchemas)
+     * @returns {Object} - { response_format } or nothing
+     */
+    getResponseFormat(schema, name, strict) {
+        if (!schema || !this.structuredOutput) {
+            return {};
+        }
+        if (this.responseFormat === 'json_schema') {
+            return { response_format: { type: 'json_schema', json_schema: { name, schema, strict } } };
+        }
+        return { response_format: { type: 'json_object' } };
+    }
+
+    /**
+     * Generate questions with automatic model fallback
+     * @param {string} text - Input text
+     * @param {Object} options - Generation options
+     * @returns {Promise<Object>} - Standardized questions
+     */
+    async generateQuestions(text, options = {}) {
+        const numQuestions = options.numQuestions || 10;
+        const promptOptions = {
+            numQuestions,
+            bloomLevel: options.bloomLevel || 'apply',
+            difficulty: options.difficulty || 'mixed',
+            questionType: options.questionType,
+            numOptions: options.numOptions,
+            strictGrounding: options.strictGrounding
+        };
+
+        for (let attempt = 1; attempt <= this.maxRetries; attempt++) {
+            const schema = this.getResponseSchema(promptOptions);
+            try {
+                const prompt = this.buildPrompt(text, promptOptions);
+
+                const response = await this.client.chat.completions.create({
+                    model: this.currentModel,
+                    messages: [
+                        {
+                            role: 'system',
+                            content: 'You are an expert educator creating quiz questions. Respond with only valid JSON in the exact format requested.'
+                        },
+                        {
+                            role: 'user',
+                            content: prompt
+                        }
+                    ],
+                    temperature: this.config.temperature ?? 0.7,
+                    ...(this.config.maxTokens ? { max_tokens: this.config.maxTokens } : {}),
+                    ...this.getResponseFormat(schema, 'questions', true)
+                }, { signal: options.signal });
+
+                const generatedText = this.parseResponse(response);
+                const parsedResponse = this.parseJSONResponse(generatedText, Boolean(schema) && this.responseFormat === 'json_schema');
+                const standardized = this.standardizeResponse(parsedResponse, numQuestions, promptOptions);
+
+                // Trim to requested number of questions
+                if (standardized.questions.length > numQuestions) {
+                    standardized.questions = standardized.questions.slice(0, numQuestions);
+                    standardized.metadata.num_questions = numQuestions;
+                }
+
+                standardized.metadata.model = this.currentModel;
+                return standardized;
+
+            } catch (error) {
+                // Cancelled - no retries or fallbacks
+                if (ErrorHandler.isCancellation(error)) {
+                    throw error;
+                }
+
+                const isLastAttempt = attempt === this.maxRetries;
+                const status = error.status || 0;
+
+                // Servers or models without schema or JSON mode support - retry without it
+                if (schema && this.disableStructuredOutput(error)) {
+                    attempt--;
+                    continue;
+                }
+
+                if (status === 404) {
+                    console.warn(`⚠ ${this.name} model ${this.currentModel} not available (404)`);
+
+                    if (await this.tryFallbackModel()) {
+                        console.log(`✓ Retrying with fallback model: ${this.currentModel}`);
+                        attempt = 0;
+                        continue;
+                    }
+                    throw new Error(`All ${this.name} models unavailable. Please check the configured models.`);
+                }
+
+                if ((status === 429 || status === 503) && !isLastAttempt) {
+                    const delay = this.baseDelay * Math.pow(2, attempt - 1);
+                    console.log(`⚠ ${this.name} API: Attempt ${attempt}/${this.maxRetries} - ${this.currentModel} ${status === 429 ? 'rate limited' : 'unavailable'}. Retrying in ${delay / 1000}s...`);
+                    await this.sleep(delay, options.signal);
+                    continue;
+                }
+
+                console.error(`${this.name} API Error:`, error.message);
+
+                if (isLastAttempt) {
+                    throw new Error(`${this.name} generation failed: ${error.message}`);
+                }
+            }
+        }
+
+        throw new Error('Failed to generate questions after all retries');
+    }
+
+    /**
+     * Send a free-form prompt and return the raw completion text, or the parsed response
+     * when a response schema is given
+     * @param {string} prompt - Prompt text
+     * @param {Object} options - Completion options ({ system, temperature, maxTokens, responseSchema })
+     * @returns {Promise<string|Object>} - Completion text, or the parsed response with a schema
+     */
+    async complete(prompt, options = {}) {
+        const schema = options.responseSchema;
+        const { request, native } = this.buildCompletionRequest(prompt, options);
+
+        let response;
+        try {
+            response = await this.client.chat.completions.create(request, { signal: options.signal });
+        } catch (error) {
+            if (schema && this.disableStructuredOutput(error)) {
+                return await this.complete(prompt, options);
+            }
+            throw error;
+        }
+
+        const text = this.parseResponse(response);
+        return schema ? this.parseStructured(text, schema, native) : text;
+    }
+
+    /**
+     * Stream a completion's text as it is generated (see BaseAIProvider.stream)
+     * @param {string} prompt - Prompt text
+     * @param {Object} options - Completion options ({ system, temperature, maxTokens, responseSchema, signal })
+     * @returns {AsyncIterable<string>}
+     */
+    async *stream(prompt, options = {}) {
+        yield* this.streamChatCompletion(this.buildCompletionRequest(prompt, options).request, options.signal);
+    }
+
+    /**
+     * Chat completion request for a free-form prompt
+     * @param {string} prompt - Prompt text
+     * @param {Object} options - Completion options ({ system, temperature, maxTokens, responseSchema })
+     * @returns {Object} - { request, native } where native says the schema is enforced by the API
+     */
+    buildCompletionRequest(prompt, options = {}) {
+        const schema = options.responseSchema;
+        const native = Boolean(schema) && this.structuredOutput && this.responseFormat === 'json_schema';
+        const messages = [];
+        if (options.system) {
+            messages.push({ role: 'system', content: options.system });
+        }
+        messages.push({ role: 'user', content: schema && !native ? this.buildSchemaPrompt(prompt, schema) : prompt });
+
+        const request = {
+            model: this.currentModel,
+            messages,
+            temperature: options.temperature ?? 0.2,
+            max_tokens: options.maxTokens || 1000,
+            ...this.getResponseFormat(schema, 'response', false)
+        };
+
+        return { request, native };
+    }
+
+    /**
+     * Test connection with automatic fallback
+     */
+    async testConnection() {
+        try {
+            await this.initialize();
+            const testText = 'Machine learning is a subset of artificial intelligence.';
+            const result = await this.generateQuestions(testText, { numQuestions: 1 });
+
+            return {
+                success: true,
+                message: `${this.name} connection successful (using ${this.currentModel})`,
+                provider: this.name,
+                model: this.currentModel,
+                testResult: result.questions?.length === 1 ? 'pass' : 'unexpected response'
+            };
+        } catch (error) {
+            return {
+                success: false,
+                message: `${this.name} connection failed: ${error.message}`,
+                provider: this.name,
+                error: error.message
+            };
+        }
+    }
+
+    /**
+     * Get configuration options
+     */
+    getConfigSchema() {
+        return {
+            type: 'object',
+            properties: {
+                apiKey: {
+                    type: 'string',
+                    description: `${this.name} API key`,
+                    required: Boolean(this.config.apiKeyEnv),
+                    envVar: this.config.apiKeyEnv
+                },
+                model: {
+                    type: 'string',
+                    description: `${this.name} model to use`,
+                    enum: this.supportedModels,
+                    default: this.supportedModels[0]
+                },
+                baseURL: {
+                    type: 'string',
+                    description: `${this.name} API base URL`,
+                    default: this.baseURL
+                }
+            }
+        };
+    }
+}
+
+module.exports = OpenAICompatibleProvider;
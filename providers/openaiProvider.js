@@ -1,9 +1,19 @@
 const BaseAIProvider = require('./baseProvider');
+const ErrorHandler = require('../utils/errorHandler');
 
 /**
  * OpenAI Provider Implementation
  */
 class OpenAIProvider extends BaseAIProvider {
+    static definition = {
+        name: 'openai',
+        label: 'OpenAI',
+        description: 'OpenAI GPT Provider',
+        config: () => ({ apiKey: process.env.OPENAI_API_KEY }),
+        capabilities: { streaming: true, structuredOutput: 'json_schema', maxContext: 128000 },
+        pricing: { input: 0.0005, output: 0.0015 } // GPT-3.5 Turbo
+    };
+
     constructor(config = {}) {
         super(config);
         this.name = 'openai';
@@ -73,22 +83,26 @@ class OpenAIProvider extends BaseAIProvider {
         return {
             chat: {
                 completions: {
-                    create: async (options) => {
+                    create: async (options, requestOptions = {}) => {
                         const response = await fetch(`${this.baseURL}/chat/completions`, {
                             method: 'POST',
                             headers: {
                                 'Authorization': `Bearer ${this.config.apiKey}`,
                                 'Content-Type': 'application/json'
                             },
-                            body: JSON.stringify(options)
+                            body: JSON.stringify(options),
+                            signal: requestOptions.signal
                         });
 
                         if (!response.ok) {
                             const errorData = await response.json().catch(() => ({}));
-                            throw new Error(`OpenAI API error: ${response.status} ${response.statusText}. ${errorData.error?.message || ''}`);
+                            const error = new Error(`OpenAI API error: ${response.status} ${response.statusText}. ${errorData.error?.message || ''}`);
+                            error.status = response.status;
+                            throw error;
                         }
 
-                        return await response.json();
+                        // Streamed completions arrive as server-sent events, one chunk each
+                        return options.stream ? this.readServerSentEvents(response.body) : await response.json();
                     }
                 }
             }
@@ -134,10 +148,14 @@ class OpenAIProvider extends BaseAIProvider {
         const promptOptions = {
             numQuestions,
             bloomLevel: options.bloomLevel || 'apply',
-            difficulty: options.difficulty || 'mixed'
+            difficulty: options.difficulty || 'mixed',
+            questionType: options.questionType,
+            numOptions: options.numOptions,
+            strictGrounding: options.strictGrounding
         };
 
         for (let attempt = 1; attempt <= this.maxRetries; attempt++) {
+            const schema = this.getResponseSchema(promptOptions);
             try {
                 const prompt = this.buildPrompt(text, promptOptions);
 
@@ -154,16 +172,17 @@ class OpenAIProvider extends BaseAIProvider {
                         }
                     ],
                     temperature: 0.7,
-                    max_tokens: 2000
-                });
+                    max_tokens: 2000,
+                    ...(schema ? { response_format: { type: 'json_schema', json_schema: { name: 'questions', schema, strict: true } } } : {})
+                }, { signal: options.signal });
 
                 const generatedText = this.parseResponse(response);
 
-                // Use robust JSON parser from base class
-                const parsedResponse = this.safeJSONParse(generatedText);
+                // Parse as-is, repairing with the base class only if needed
+                const parsedResponse = this.parseJSONResponse(generatedText, Boolean(schema));
 
                 // Standardize and return response
-                const standardized = this.standardizeResponse(parsedResponse, numQuestions);
+                const standardized = this.standardizeResponse(parsedResponse, numQuestions, promptOptions);
                 
                 // Trim to requested number of questions (AI sometimes generates more)
                 if (standardized.questions.length > numQuestions) {
@@ -177,7 +196,18 @@ class OpenAIProvider extends BaseAIProvider {
                 return standardized;
                 
             } catch (error) {
+                // Cancelled - no retries or fallbacks
+                if (ErrorHandler.isCancellation(error)) {
+                    throw error;
+                }
+
                 const isLastAttempt = attempt === this.maxRetries;
+
+                // Models without JSON schema support - retry without it
+                if (schema && this.disableStructuredOutput(error)) {
+                    attempt--;
+                    continue;
+                }
                 
                 // Check if it's a 404 error (model not found) - try fallback immediately
                 if (error.message && error.message.includes('404')) {
@@ -199,7 +229,7 @@ class OpenAIProvider extends BaseAIProvider {
                     
                     if (!isLastAttempt) {
                         console.log(`⚠ OpenAI API: Attempt ${attempt}/${this.maxRetries} - ${this.currentModel} rate limited. Retrying in ${delay/1000}s...`);
-                        await this.sleep(delay);
+                        await this.sleep(delay, options.signal);
                         continue;
                     } else {
                         console.warn(`⚠ ${this.currentModel} rate limited after ${this.maxRetries} attempts.`);
@@ -213,7 +243,7 @@ class OpenAIProvider extends BaseAIProvider {
                     
                     if (!isLastAttempt) {
                         console.log(`⚠ OpenAI API: Attempt ${attempt}/${this.maxRetries} - ${this.currentModel} unavailable. Retrying in ${delay/1000}s...`);
-                        await this.sleep(delay);
+                        await this.sleep(delay, options.signal);
                         continue;
                     } else {
                         console.warn(`⚠ ${this.currentModel} unavailable after ${this.maxRetries} attempts.`);
@@ -233,6 +263,72 @@ class OpenAIProvider extends BaseAIProvider {
         throw new Error('Failed to generate questions after all retries');
     }
 
+    /**
+     * Send a free-form prompt and return the raw completion text, or the parsed response
+     * when a response schema is given
+     * @param {string} prompt - Prompt text
+     * @param {Object} options - Completion options ({ system, temperature, maxTokens, responseSchema })
+     * @returns {Promise<string|Object>} - Completion text, or the parsed response with a schema
+     */
+    async complete(prompt, options = {}) {
+        const schema = options.responseSchema;
+        const { request, native } = this.buildCompletionRequest(prompt, options);
+
+        let response;
+        try {
+            response = await this.client.chat.completions.create(request, { signal: options.signal });
+        } catch (error) {
+            if (native && this.disableStructuredOutput(error)) {
+                return await this.complete(prompt, options);
+            }
+            throw error;
+        }
+
+        const text = this.parseResponse(response);
+        return schema ? this.parseStructured(text, schema, native) : text;
+    }
+
+    /**
+     * Stream a completion's text as it is generated (see BaseAIProvider.stream)
+     * @param {string} prompt - Prompt text
+     * @param {Object} options - Completion options ({ system, temperature, maxTokens, responseSchema, signal })
+     * @returns {AsyncIterable<string>}
+     */
+    async *stream(prompt, options = {}) {
+        yield* this.streamChatCompletion(this.buildCompletionRequest(prompt, options).request, options.signal);
+    }
+
+    /**
+     * Chat completion request for a free-form prompt
+     * @param {string} prompt - Prompt text
+     * @param {Object} options - Completion options ({ system, temperature, maxTokens, responseSchema })
+     * @returns {Object} - { request, native } where native says the schema is enforced by the API
+     */
+    buildCompletionRequest(prompt, options = {}) {
+        const schema = options.responseSchema;
+        const native = Boolean(schema) && this.structuredOutput;
+        const messages = [];
+        if (options.system) {
+            messages.push({ role: 'system', content: options.system });
+        }
+        messages.push({ role: 'user', content: schema && !native ? this.buildSchemaPrompt(prompt, schema) : prompt });
+
+        const request = {
+            model: this.currentModel,
+            messages,
+            temperature: options.temperature ?? 0.2,
+            max_tokens: options.maxTokens || 1000,
+            // The schema itself where the model supports it, otherwise JSON mode
+            ...(schema ? {
+                response_format: native
+                    ? { type: 'json_schema', json_schema: { name: 'response', schema, strict: false } }
+                    : { type: 'json_object' }
+            } : {})
+        };
+
+        return { request, native };
+    }
+
     /**
      * Test OpenAI connection with automatic fallback
      * @returns {Promise<Object>} - Test result
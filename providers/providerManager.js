@@ -1,14 +1,13 @@
 const fs = require('fs');
 const path = require('path');
 const BaseAIProvider = require('./baseProvider');
-const GeminiProvider = require('./geminiProvider');
-const OpenAIProvider = require('./openaiProvider');
-const AnthropicProvider = require('./anthropicProvider');
-const DeepSeekProvider = require('./deepseekProvider');
-const KimiProvider = require('./kimiProvider');
-const KimiCnProvider = require('./kimiCnProvider');
-const LocalProvider = require('./localProvider');
+const ProviderRegistry = require('./providerRegistry');
+const OpenAICompatibleProvider = require('./openaiCompatibleProvider');
 const ProviderRouter = require('../utils/providerRouter');
+const ClozeGrounding = require('../utils/clozeGrounding');
+const ErrorHandler = require('../utils/errorHandler');
+const providerPriority = require('../config/providerPriority');
+const openaiCompatibleProviders = require('../config/openaiCompatibleProviders');
 
 /**
  * AI Provider Manager - Handles multiple AI providers with smart routing
@@ -16,11 +15,13 @@ const ProviderRouter = require('../utils/providerRouter');
 class ProviderManager {
     constructor(config = {}) {
         this.providers = new Map();
+        this.registry = new ProviderRegistry();
         // Read default provider from environment variable or config
         this.defaultProvider = process.env.DEFAULT_PROVIDER || config.defaultProvider || 'gemini';
         this.currentProvider = config.currentProvider || this.defaultProvider;
         this.config = config;
         this.initialized = false;
+        this.clozeGrounding = new ClozeGrounding();
 
         // Initialize smart router
         this.router = new ProviderRouter({
@@ -58,107 +59,71 @@ class ProviderManager {
     }
 
     /**
-     * Load all available providers
+     * Load all registered providers, after registering those from plugins
+     * (PROVIDER_PLUGINS or config.plugins) and OpenAI-compatible definitions
+     * @param {Object} config - Manager configuration; config[name] overrides a provider's defaults
      */
     async loadProviders(config = {}) {
-        // Load Gemini Provider
-        try {
-            const geminiConfig = {
-                apiKey: process.env.GEMINI_API_KEY,
-                ...(config.gemini || {})
-            };
-            const geminiProvider = new GeminiProvider(geminiConfig);
-            await geminiProvider.initialize(geminiConfig);
-            this.providers.set('gemini', geminiProvider);
-            console.log('✓ Gemini provider loaded');
-        } catch (error) {
-            console.warn('⚠ Gemini provider failed to load:', error.message);
-        }
-
-        // Load OpenAI Provider
-        try {
-            const openaiConfig = {
-                apiKey: process.env.OPENAI_API_KEY,
-                ...(config.openai || {})
-            };
-            const openaiProvider = new OpenAIProvider(openaiConfig);
-            await openaiProvider.initialize(openaiConfig);
-            this.providers.set('openai', openaiProvider);
-            console.log('✓ OpenAI provider loaded');
-        } catch (error) {
-            console.warn('⚠ OpenAI provider failed to load:', error.message);
-        }
-
-        // Load Anthropic Provider
-        try {
-            const anthropicConfig = {
-                apiKey: process.env.ANTHROPIC_API_KEY,
-                ...(config.anthropic || {})
-            };
-            const anthropicProvider = new AnthropicProvider(anthropicConfig);
-            await anthropicProvider.initialize(anthropicConfig);
-            this.providers.set('anthropic', anthropicProvider);
-            console.log('✓ Anthropic provider loaded');
-        } catch (error) {
-            console.warn('⚠ Anthropic provider failed to load:', error.message);
-        }
-
-        // Load DeepSeek Provider
-        try {
-            const deepseekConfig = {
-                apiKey: process.env.DEEPSEEK_API_KEY,
-                ...(config.deepseek || {})
-            };
-            const deepseekProvider = new DeepSeekProvider(deepseekConfig);
-            await deepseekProvider.initialize(deepseekConfig);
-            this.providers.set('deepseek', deepseekProvider);
-            console.log('✓ DeepSeek provider loaded');
-        } catch (error) {
-            console.warn('⚠ DeepSeek provider failed to load:', error.message);
-        }
+        const plugins = config.plugins || (process.env.PROVIDER_PLUGINS || '').split(',').map(entry => entry.trim()).filter(Boolean);
+        this.registry.loadPlugins(plugins);
+        this.registerCompatibleProviders(config);
 
-        // Load Kimi Global Provider
-        try {
-            const kimiConfig = {
-                apiKey: process.env.KIMI_API_KEY,
-                ...(config.kimi || {})
-            };
-            const kimiProvider = new KimiProvider(kimiConfig);
-            await kimiProvider.initialize(kimiConfig);
-            this.providers.set('kimi', kimiProvider);
-            console.log('✓ Kimi Global provider loaded');
-        } catch (error) {
-            console.warn('⚠ Kimi Global provider failed to load:', error.message);
+        for (const definition of this.registry.list()) {
+            await this.loadProvider(definition, config[definition.name]);
         }
+    }
 
-        // Load Kimi CN Provider
+    /**
+     * Create, initialize and register one provider for routing
+     * @param {Object} definition - Registry definition
+     * @param {Object} overrides - Configuration overriding the definition's defaults
+     */
+    async loadProvider(definition, overrides = {}) {
         try {
-            const kimiCnConfig = {
-                apiKey: process.env.KIMICN_API_KEY,
-                ...(config.kimicn || {})
-            };
-            const kimiCnProvider = new KimiCnProvider(kimiCnConfig);
-            await kimiCnProvider.initialize(kimiCnConfig);
-            this.providers.set('kimicn', kimiCnProvider);
-            console.log('✓ Kimi CN provider loaded');
+            const { provider, config } = this.registry.create(definition.name, overrides);
+            await provider.initialize(config);
+            this.providers.set(definition.name, provider);
+
+            if (definition.pricing) {
+                this.router.registerProvider(
+                    definition.name,
+                    definition.pricing,
+                    definition.characteristics || providerPriority.getCharacteristics(definition.name) || {}
+                );
+            }
+            if (definition.source !== 'built-in') {
+                providerPriority.registerProvider(definition.name, definition);
+            }
+            console.log(`✓ ${definition.label} provider loaded`);
         } catch (error) {
-            console.warn('⚠ Kimi CN provider failed to load:', error.message);
+            console.warn(`⚠ ${definition.label} provider failed to load:`, error.message);
         }
+    }
 
-        // Load Local Provider
-        try {
-            const localConfig = {
-                baseUrl: process.env.LOCAL_API_URL || 'http://localhost:11434',
-                model: process.env.LOCAL_MODEL || 'llama3',
-                ...(config.local || {})
-            };
-            const localProvider = new LocalProvider(localConfig);
-            await localProvider.initialize(localConfig);
-            this.providers.set('local', localProvider);
-            console.log('✓ Local provider loaded');
-        } catch (error) {
-            console.warn('⚠ Local provider failed to load:', error.message);
-        }
+    /**
+     * Register the OpenAI-compatible providers defined in OPENAI_COMPATIBLE_PROVIDERS (or
+     * config.openaiCompatible)
+     * @param {Object} config - Manager configuration
+     */
+    registerCompatibleProviders(config = {}) {
+        const reserved = this.registry.list().map(definition => definition.name);
+        const definitions = config.openaiCompatible
+            ? openaiCompatibleProviders.resolve(config.openaiCompatible, reserved)
+            : openaiCompatibleProviders.load(undefined, reserved);
+
+        definitions.forEach(definition => {
+            this.registry.register({
+                ...definition,
+                label: definition.description || definition.name,
+                Provider: OpenAICompatibleProvider,
+                config: definition,
+                capabilities: {
+                    streaming: true,
+                    structuredOutput: (definition.responseFormat || 'json_object') === 'none' ? null : (definition.responseFormat || 'json_object'),
+                    maxContext: definition.maxContext || null
+                }
+            });
+        });
     }
 
     /**
@@ -206,31 +171,27 @@ class ProviderManager {
      * @returns {Array} - Array of provider info
      */
     listProviders() {
-        const providers = [];
-
-        for (const [name, provider] of this.providers) {
-            providers.push({
-                name: name,
-                description: provider.description,
-                configured: provider.isConfigured(),
-                available: true
-            });
-        }
-
-        // Add unavailable providers
-        const allProviderNames = ['gemini', 'openai', 'anthropic', 'deepseek', 'kimi', 'kimicn', 'local'];
-        for (const name of allProviderNames) {
-            if (!providers.find(p => p.name === name)) {
-                providers.push({
-                    name: name,
-                    description: `${name.charAt(0).toUpperCase() + name.slice(1)} Provider`,
+        return this.registry.list().map(definition => {
+            const provider = this.providers.get(definition.name);
+            if (!provider) {
+                return {
+                    name: definition.name,
+                    description: definition.description,
                     configured: false,
-                    available: false
-                });
+                    available: false,
+                    capabilities: definition.capabilities
+                };
             }
-        }
 
-        return providers;
+            return {
+                name: definition.name,
+                description: provider.description,
+                configured: provider.isConfigured(),
+                available: true,
+                capabilities: definition.capabilities,
+                parsing: provider.getParseStats()
+            };
+        });
     }
 
     /**
@@ -286,8 +247,10 @@ class ProviderManager {
 
                         return result;
                     } catch (error) {
-                        // Record failure
-                        this.router.recordFailure(selectedProvider, error);
+                        // Record failure (a cancelled request says nothing about the provider)
+                        if (!ErrorHandler.isCancellation(error)) {
+                            this.router.recordFailure(selectedProvider, error);
+                        }
 
                         // Restore original provider
                         this.currentProvider = originalProvider;
@@ -299,27 +262,45 @@ class ProviderManager {
             // Regular generation without smart routing
             return await this._generateWithProvider(text, options);
         } catch (error) {
-            console.error(`Error generating questions with ${this.currentProvider}:`, error.message);
+            if (!ErrorHandler.isCancellation(error)) {
+                console.error(`Error generating questions with ${this.currentProvider}:`, error.message);
+            }
             throw error;
         }
     }
 
     /**
-     * Internal method to generate with current provider
+     * Internal method to generate with current provider. With options.onQuestion, providers
+     * that can stream hand over each question as it is generated; the others once all are done.
      * @param {string} text - Input text
-     * @param {Object} options - Generation options
+     * @param {Object} options - Generation options (onQuestion: called with (question, index), signal)
      * @returns {Promise<Object>}
      */
     async _generateWithProvider(text, options = {}) {
         const provider = this.getCurrentProvider();
+        const { onQuestion, ...generationOptions } = options;
 
         const enrichedOptions = {
-            ...options,
+            ...generationOptions,
             provider: this.currentProvider
         };
 
-        console.log(`Generating questions using ${this.currentProvider} provider...`);
-        const result = await provider.generateQuestions(text, enrichedOptions);
+        // Cloze questions are grounded against the text as a set, so they aren't streamed
+        const streaming = Boolean(onQuestion) && options.questionType !== 'cloze'
+            && Boolean(this.registry.get(this.currentProvider)?.capabilities.streaming);
+
+        console.log(`${streaming ? 'Streaming' : 'Generating'} questions using ${this.currentProvider} provider...`);
+        let result = streaming
+            ? await provider.streamQuestions(text, enrichedOptions, onQuestion)
+            : await provider.generateQuestions(text, enrichedOptions);
+
+        if (options.questionType === 'cloze') {
+            result = this.groundClozeQuestions(result, text);
+        }
+
+        if (onQuestion && !streaming) {
+            result.questions.forEach((question, index) => onQuestion(question, index));
+        }
 
         return {
             ...result,
@@ -332,6 +313,64 @@ class ProviderManager {
         };
     }
 
+    /**
+     * Run a free-form completion (scoring, grading, verification) with a provider
+     * @param {string} prompt - Prompt text
+     * @param {Object} options - Completion options ({ provider, system, temperature, maxTokens, responseSchema })
+     * @returns {Promise<Object>} - { text, provider, model }, or { data, provider, model } with the
+     *   parsed response when a responseSchema is given
+     */
+    async complete(prompt, options = {}) {
+        const providerName = options.provider || this.currentProvider;
+        const provider = this.getProvider(providerName);
+
+        if (!provider || !provider.isConfigured()) {
+            throw new Error(`Provider '${providerName}' is not available or not configured`);
+        }
+
+        const output = await provider.complete(prompt, options);
+
+        return {
+            ...(options.responseSchema ? { data: output } : { text: output }),
+            provider: providerName,
+            model: provider.currentModel || provider.config.model || null
+        };
+    }
+
+    /**
+     * Drop cloze questions whose answer or sentence can't be found in the source text
+     * @param {Object} result - Provider result
+     * @param {string} text - Text the questions were generated from
+     * @returns {Object} - Result with grounded questions and grounding metadata
+     */
+    groundClozeQuestions(result, text) {
+        const questions = result.questions || [];
+        const grounding = this.clozeGrounding.filter(questions, text);
+
+        if (questions.length > 0 && grounding.questions.length === 0) {
+            throw new Error(`No cloze questions were grounded in the source text (${grounding.rejected[0].reason})`);
+        }
+
+        if (grounding.rejected.length > 0) {
+            console.warn(`⚠ Dropped ${grounding.rejected.length}/${questions.length} cloze questions not found in the source text`);
+        }
+
+        return {
+            ...result,
+            questions: grounding.questions,
+            metadata: {
+                ...result.metadata,
+                num_questions: grounding.questions.length,
+                grounding: {
+                    checked: questions.length,
+                    rejected: grounding.rejected.length,
+                    repaired: grounding.repaired,
+                    rejections: grounding.rejected
+                }
+            }
+        };
+    }
+
     /**
      * Test all available providers
      * @returns {Promise<Object>} - Test results for all providers
@@ -393,10 +432,8 @@ class ProviderManager {
         };
 
         // Add provider-specific configurations
-        for (const [name, provider] of this.providers) {
-            if (provider.getConfigSchema) {
-                schema.properties[name] = provider.getConfigSchema();
-            }
+        for (const definition of this.registry.list()) {
+            schema.properties[definition.name] = this.registry.getConfigSchema(definition.name, this.providers.get(definition.name));
         }
 
         return schema;
@@ -454,6 +491,19 @@ class ProviderManager {
         return status;
     }
 
+    /**
+     * Get how each provider's responses were parsed: natively structured, clean JSON, or
+     * needing the legacy repair path
+     * @returns {Object} - Parse statistics by provider name
+     */
+    getParseStats() {
+        const stats = {};
+        for (const [name, provider] of this.providers) {
+            stats[name] = provider.getParseStats();
+        }
+        return stats;
+    }
+
     /**
      * Save configuration to file
      * @param {string} configPath - Path to save configuration
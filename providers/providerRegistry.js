@@ -0,0 +1,191 @@
+const path = require('path');
+const GeminiProvider = require('./geminiProvider');
+const OpenAIProvider = require('./openaiProvider');
+const AnthropicProvider = require('./anthropicProvider');
+const DeepSeekProvider = require('./deepseekProvider');
+const KimiProvider = require('./kimiProvider');
+const KimiCnProvider = require('./kimiCnProvider');
+const LocalProvider = require('./localProvider');
+
+/**
+ * Provider Registry
+ * The providers ProviderManager can load, each described by a definition:
+ *
+ * {
+ *   name: 'gemini',                   // Unique provider name (lowercase letters, digits, - and _)
+ *   label: 'Gemini',                  // Short name for logs (default: name)
+ *   description: 'Google Gemini AI Provider',
+ *   Provider: GeminiProvider,         // Class extending BaseAIProvider
+ *   config: () => ({ apiKey: ... }),  // Default configuration (object or function, e.g. read from env)
+ *   configSchema: { ... },            // Configuration schema (default: the provider's getConfigSchema())
+ *   capabilities: { streaming, structuredOutput, maxContext },
+ *   pricing: { input, output },       // USD per 1K tokens, for cost-based routing
+ *   characteristics, priority, fallbackChain, useCases  // Routing hints (see config/providerPriority.js)
+ * }
+ *
+ * Built-in providers declare theirs as a static `definition` on their class. Third-party providers
+ * are loaded from plugins: local paths or npm packages exporting a provider class with a static
+ * definition, a definition, or an array of either.
+ */
+class ProviderRegistry {
+    static BUILT_IN = [GeminiProvider, OpenAIProvider, AnthropicProvider, DeepSeekProvider, KimiProvider, KimiCnProvider, LocalProvider];
+
+    constructor() {
+        this.definitions = new Map();
+        ProviderRegistry.BUILT_IN.forEach(Provider => this.register(Provider, 'built-in'));
+    }
+
+    /**
+     * Register a provider
+     * @param {Object|Function} entry - Definition, or provider class with a static definition
+     * @param {string} source - Where it came from ('built-in', 'config' or the plugin specifier)
+     * @returns {Object} - Normalized definition
+     */
+    register(entry, source = 'config') {
+        const definition = typeof entry === 'function'
+            ? { ...entry.definition, Provider: entry }
+            : { ...entry };
+
+        if (!definition.name || !/^[a-z0-9_-]+$/.test(definition.name)) {
+            throw new Error(`Invalid provider name: ${JSON.stringify(definition.name)}`);
+        }
+        if (this.definitions.has(definition.name)) {
+            throw new Error(`Provider '${definition.name}' is already registered`);
+        }
+        if (typeof definition.Provider !== 'function' || typeof definition.Provider.prototype.generateQuestions !== 'function') {
+            throw new Error(`Provider '${definition.name}' has no provider class`);
+        }
+
+        const normalized = {
+            ...definition,
+            label: definition.label || definition.name,
+            description: definition.description || `${definition.name} Provider`,
+            capabilities: {
+                streaming: false,
+                structuredOutput: null,
+                maxContext: null,
+                ...(definition.capabilities || {})
+            },
+            pricing: definition.pricing || null,
+            source
+        };
+
+        this.definitions.set(normalized.name, normalized);
+        return normalized;
+    }
+
+    /**
+     * Load a plugin and register the providers it exports
+     * @param {string} specifier - Path (relative to the project root) or npm package name
+     * @returns {Array<string>} - Names of the providers registered (invalid entries are skipped)
+     */
+    loadPlugin(specifier) {
+        const isPath = specifier.startsWith('.') || path.isAbsolute(specifier);
+        const exported = require(isPath ? path.resolve(__dirname, '..', specifier) : specifier);
+        const entries = Array.isArray(exported) ? exported : [exported];
+
+        const names = [];
+        entries.forEach(entry => {
+            try {
+                names.push(this.register(entry, specifier).name);
+            } catch (error) {
+                console.warn(`⚠ Provider plugin ${specifier}: ${error.message}`);
+            }
+        });
+        return names;
+    }
+
+    /**
+     * Load plugins, warning about (and skipping) any that fail
+     * @param {Array<string>} specifiers - Paths or npm package names
+     */
+    loadPlugins(specifiers = []) {
+        specifiers.forEach(specifier => {
+            try {
+                const names = this.loadPlugin(specifier);
+                console.log(`✓ Provider plugin ${specifier} registered: ${names.join(', ')}`);
+            } catch (error) {
+                console.warn(`⚠ Provider plugin ${specifier} failed to load:`, error.message);
+            }
+        });
+    }
+
+    /**
+     * Check if a provider is registered
+     * @param {string} name - Provider name
+     * @returns {boolean}
+     */
+    has(name) {
+        return this.definitions.has(name);
+    }
+
+    /**
+     * Get a provider's definition
+     * @param {string} name - Provider name
+     * @returns {Object|null}
+     */
+    get(name) {
+        return this.definitions.get(name) || null;
+    }
+
+    /**
+     * List all definitions, in registration order
+     * @returns {Array<Object>}
+     */
+    list() {
+        return Array.from(this.definitions.values());
+    }
+
+    /**
+     * Default configuration of a provider
+     * @param {Object} definition - Provider definition
+     * @returns {Object}
+     */
+    getDefaultConfig(definition) {
+        return (typeof definition.config === 'function' ? definition.config() : definition.config) || {};
+    }
+
+    /**
+     * Create a provider from its definition
+     * @param {string} name - Provider name
+     * @param {Object} overrides - Configuration overriding the defaults
+     * @returns {Object} - { provider, config } (not yet initialized)
+     */
+    create(name, overrides = {}) {
+        const definition = this.get(name);
+        if (!definition) {
+            throw new Error(`Provider '${name}' is not registered`);
+        }
+
+        const config = { ...this.getDefaultConfig(definition), ...overrides };
+        return { provider: new definition.Provider(config), config };
+    }
+
+    /**
+     * Configuration schema of a provider: declared in its definition, or asked of the provider.
+     * Providers that can't be created without their configuration (e.g. a plugin requiring an API
+     * key) get an empty schema; plugins can declare configSchema to avoid that.
+     * @param {string} name - Provider name
+     * @param {Object} provider - Loaded instance, if any
+     * @returns {Object}
+     */
+    getConfigSchema(name, provider) {
+        const definition = this.get(name);
+        if (definition.configSchema) {
+            return definition.configSchema;
+        }
+
+        const empty = { type: 'object', properties: {} };
+        try {
+            const instance = provider || this.create(name).provider;
+            return typeof instance.getConfigSchema === 'function'
+                ? instance.getConfigSchema()
+                : empty;
+        } catch (error) {
+            console.warn(`⚠ Configuration schema of provider ${name} unavailable: ${error.message}`);
+            return empty;
+        }
+    }
+}
+
+module.exports = ProviderRegistry;
@@ -1,24 +1,43 @@
 const express = require('express');
 const upload = require('../config/upload');
+const importUpload = require('../config/importUpload');
 const { processFiles } = require('../services/textExtractor');
 const { cleanupFiles } = require('../utils/fileUtils');
 const GeminiQuestionGenerator = require('../services/questionGenerator');
-const { authenticate, optionalAuth } = require('../middleware/auth');
+const { authenticate, optionalAuth, getApiKey, getTenantId } = require('../middleware/auth');
+const ExportManager = require('../exporters/exportManager');
+const QuestionImporter = require('../utils/questionImporter');
+const QuestionValidator = require('../utils/questionValidator');
+const ResponseGrader = require('../utils/responseGrader');
+const NumericalValidator = require('../utils/numericalValidator');
+const ExamBuilder = require('../utils/examBuilder');
+const DocumentStructure = require('../utils/documentStructure');
 const {
     validateTextInput,
     validateNumQuestions,
+    parseBooleanField,
     createErrorResponse,
-    createSuccessResponse
+    createSuccessResponse,
+    sendExportResponse,
+    createDisconnectSignal
 } = require('../utils/fileUtils');
 
 const router = express.Router();
+const exportManager = new ExportManager();
+const questionImporter = new QuestionImporter();
 
 /**
  * POST endpoint to generate questions
- * Body: { text: string, num_questions?: number }
- * Requires authentication in private mode
+ * Body: { text: string, num_questions?: number, question_type?: string, num_options?: number,
+ *   sections?: string|Array (e.g. "chapter 3", headings are detected in the text),
+ *   strict_grounding?: boolean (only questions answerable from the text itself),
+ *   verify_answers?: boolean (check answer keys with a second model call) }
+ * Query: ?format=<format> (see GET /formats, default: json)
+ * Requires authentication in private mode; closing the connection cancels generation
  */
 router.post('/generate', authenticate, async (req, res) => {
+    const signal = createDisconnectSignal(res);
+
     try {
         // Get question generator from app.locals (initialized in server.js)
         const questionGenerator = req.app.locals.questionGenerator;
@@ -26,6 +45,10 @@ router.post('/generate', authenticate, async (req, res) => {
         // Accept both num_questions and numQuestions for flexibility
         const { text, num_questions, numQuestions } = req.body;
         const requestedQuestions = num_questions || numQuestions || 10;
+        const typeOptions = {
+            questionType: req.body.question_type || req.body.questionType,
+            numOptions: req.body.num_options ?? req.body.numOptions
+        };
 
         // Validate input
         const textValidation = validateTextInput(text);
@@ -38,12 +61,54 @@ router.post('/generate', authenticate, async (req, res) => {
             return res.status(400).json(createErrorResponse(numQuestionsValidation.error, 400));
         }
 
-        // Generate questions
-        const result = await questionGenerator.generateQuestions(text, { numQuestions: numQuestionsValidation.value });
+        const typeValidation = QuestionValidator.validateGenerationOptions(typeOptions);
+        if (!typeValidation.valid) {
+            return res.status(400).json(createErrorResponse(typeValidation.error, 400));
+        }
+
+        // Validate export format before spending provider calls
+        const formatValidation = exportManager.validateFormat(req.query.format);
+        if (!formatValidation.valid) {
+            return res.status(400).json(createErrorResponse(formatValidation.error, 400));
+        }
+
+        const generationOptions = {
+            numQuestions: numQuestionsValidation.value,
+            questionType: typeValidation.questionType,
+            numOptions: typeValidation.numOptions,
+            strictGrounding: parseBooleanField(req.body.strict_grounding ?? req.body.strictGrounding),
+            verifyAnswers: parseBooleanField(req.body.verify_answers ?? req.body.verifyAnswers),
+            signal
+        };
+
+        // Generate questions, from the requested sections only when given
+        let result;
+        if (req.body.sections) {
+            const document = DocumentStructure.createDocument([
+                { name: 'input', type: 'text', sections: DocumentStructure.segmentText(text) }
+            ]);
+            try {
+                DocumentStructure.select(document, req.body.sections);
+            } catch (selectionError) {
+                return res.status(400).json(createErrorResponse(selectionError.message, 400));
+            }
+            result = await questionGenerator.generateFromDocument(document, { ...generationOptions, sections: req.body.sections });
+        } else {
+            result = await questionGenerator.generateQuestions(text, generationOptions);
+        }
+
+        if (!exportManager.isNativeFormat(formatValidation.format)) {
+            const exported = await exportManager.export(result, formatValidation.format, req.query);
+            return sendExportResponse(res, exported);
+        }
 
         // Return success response
         res.json(createSuccessResponse(result));
     } catch (error) {
+        if (signal.aborted) {
+            console.log('Client disconnected, generation cancelled');
+            return;
+        }
         console.error('API Error:', error);
         res.status(500).json(createErrorResponse(`Failed to generate questions: ${error.message}`, 500));
     }
@@ -51,11 +116,14 @@ router.post('/generate', authenticate, async (req, res) => {
 
 /**
  * POST endpoint to generate questions from uploaded files
- * Body: files (multipart/form-data), num_questions (optional)
- * Requires authentication in private mode
+ * Body: files (multipart/form-data), num_questions, question_type, num_options, sections (optional;
+ *   e.g. "chapter 3", "pages 10-20", "slides 4-8", a heading, or a JSON array of these), strict_grounding, verify_answers
+ * Query: ?format=<format> (see GET /formats, default: json)
+ * Requires authentication in private mode; closing the connection cancels generation
  */
 router.post('/generate-from-files', authenticate, upload.array('files', 10), async (req, res) => {
     const uploadedFiles = req.files || [];
+    const signal = createDisconnectSignal(res);
 
     try {
         // Get question generator from app.locals (initialized in server.js)
@@ -78,10 +146,25 @@ router.post('/generate-from-files', authenticate, upload.array('files', 10), asy
             return res.status(400).json(createErrorResponse(numQuestionsValidation.error, 400));
         }
 
+        const typeValidation = QuestionValidator.validateGenerationOptions({
+            questionType: req.body.question_type || req.body.questionType,
+            numOptions: req.body.num_options ?? req.body.numOptions
+        });
+        if (!typeValidation.valid) {
+            await cleanupFiles(uploadedFiles.map(f => f.path));
+            return res.status(400).json(createErrorResponse(typeValidation.error, 400));
+        }
+
+        const formatValidation = exportManager.validateFormat(req.query.format);
+        if (!formatValidation.valid) {
+            await cleanupFiles(uploadedFiles.map(f => f.path));
+            return res.status(400).json(createErrorResponse(formatValidation.error, 400));
+        }
+
         console.log(`Processing ${uploadedFiles.length} file(s)...`);
 
         // Process files and extract text
-        const { extractedTexts, fileInfo, combinedText, totalTextLength } = await processFiles(uploadedFiles);
+        const { extractedTexts, fileInfo, combinedText, totalTextLength, document } = await processFiles(uploadedFiles);
 
         // Cleanup uploaded files
         await cleanupFiles(uploadedFiles.map(f => f.path));
@@ -96,15 +179,38 @@ router.post('/generate-from-files', authenticate, upload.array('files', 10), asy
 
         console.log(`Total extracted text: ${combinedText.length} characters from ${extractedTexts.length} file(s)`);
 
-        // Generate questions
-        const result = await questionGenerator.generateQuestions(combinedText, { numQuestions: numQuestionsValidation.value });
+        if (req.body.sections) {
+            try {
+                DocumentStructure.select(document, req.body.sections);
+            } catch (selectionError) {
+                return res.status(400).json(createErrorResponse(selectionError.message, 400));
+            }
+        }
+
+        // Generate questions from the whole document, or the requested sections
+        const result = await questionGenerator.generateFromDocument(document, {
+            numQuestions: numQuestionsValidation.value,
+            questionType: typeValidation.questionType,
+            numOptions: typeValidation.numOptions,
+            sections: req.body.sections || undefined,
+            strictGrounding: parseBooleanField(req.body.strict_grounding ?? req.body.strictGrounding),
+            verifyAnswers: parseBooleanField(req.body.verify_answers ?? req.body.verifyAnswers),
+            signal
+        });
+
+        if (!exportManager.isNativeFormat(formatValidation.format)) {
+            const exported = await exportManager.export(result, formatValidation.format, req.query);
+            return sendExportResponse(res, exported);
+        }
 
-        // Return response with file info
+        // Return response with file info and the document outline, for targeting sections next time
         res.json(createSuccessResponse(result, {
+            ...result.metadata,
             filesProcessed: uploadedFiles.length,
             filesWithText: extractedTexts.length,
             totalTextLength,
-            files: fileInfo
+            files: fileInfo,
+            outline: DocumentStructure.getOutline(document.sections)
         }));
     } catch (error) {
         // Cleanup files in case of error
@@ -112,11 +218,228 @@ router.post('/generate-from-files', authenticate, upload.array('files', 10), asy
             await cleanupFiles(uploadedFiles.map(f => f.path));
         }
 
+        if (signal.aborted) {
+            console.log('Client disconnected, generation cancelled');
+            return;
+        }
         console.error('API Error:', error);
         res.status(500).json(createErrorResponse(`Failed to generate questions from files: ${error.message}`, 500));
     }
 });
 
+/**
+ * POST endpoint to read the structure of uploaded files without generating questions
+ * Body: files (multipart/form-data)
+ * Returns the sections (title, level, file, page or slide numbers) to pick from with `sections`
+ * Requires authentication in private mode
+ */
+router.post('/outline', authenticate, upload.array('files', 10), async (req, res) => {
+    const uploadedFiles = req.files || [];
+
+    try {
+        if (uploadedFiles.length === 0) {
+            return res.status(400).json(createErrorResponse(
+                'No files uploaded. Please upload at least one file (PDF, DOC, DOCX, PPT, PPTX, or TXT)',
+                400
+            ));
+        }
+
+        const { fileInfo, totalTextLength, document } = await processFiles(uploadedFiles);
+        await cleanupFiles(uploadedFiles.map(f => f.path));
+
+        if (document.sections.length === 0) {
+            return res.status(400).json(createErrorResponse(
+                'No text extracted. Could not extract text from any of the uploaded files',
+                400
+            ));
+        }
+
+        res.json(createSuccessResponse({
+            files: fileInfo,
+            totalTextLength,
+            sections: DocumentStructure.getOutline(document.sections)
+        }));
+    } catch (error) {
+        if (uploadedFiles.length > 0) {
+            await cleanupFiles(uploadedFiles.map(f => f.path));
+        }
+
+        console.error('API Error:', error);
+        res.status(500).json(createErrorResponse(`Failed to read file structure: ${error.message}`, 500));
+    }
+});
+
+/**
+ * POST endpoint to import a reviewed question set from a spreadsheet
+ * Body: multipart/form-data with a single "file" (CSV or XLSX, as produced by ?format=csv|xlsx)
+ * Returns the valid questions plus per-row errors and warnings
+ * Requires authentication in private mode
+ */
+router.post('/import', authenticate, (req, res, next) => {
+    // Report rejected files (wrong type, too large) as bad requests
+    importUpload.single('file')(req, res, (error) => {
+        if (error) {
+            return res.status(400).json(createErrorResponse(error.message, 400));
+        }
+        next();
+    });
+}, async (req, res) => {
+    try {
+        if (!req.file) {
+            return res.status(400).json(createErrorResponse('No file uploaded. Please upload a CSV or XLSX file', 400));
+        }
+
+        let report;
+        try {
+            report = await questionImporter.import(req.file.buffer, req.file.originalname);
+        } catch (error) {
+            return res.status(400).json(createErrorResponse(error.message, 400));
+        }
+
+        res.json(createSuccessResponse({
+            valid: report.invalidRows === 0,
+            ...report
+        }, {
+            filename: req.file.originalname,
+            imported_at: new Date().toISOString()
+        }));
+    } catch (error) {
+        console.error('API Error:', error);
+        res.status(500).json(createErrorResponse(`Failed to import questions: ${error.message}`, 500));
+    }
+});
+
+/**
+ * POST endpoint to grade learner responses to short-answer and essay questions against their rubric
+ * Body: { question, response } | { question, responses: string[] } | { items: [{ question, response }] },
+ *       provider?: string, async?: boolean (queue as a job and return 202 with its id)
+ * Requires authentication in private mode
+ */
+router.post('/grade', authenticate, async (req, res) => {
+    try {
+        const validation = ResponseGrader.validateRequest(req.body);
+        if (!validation.valid) {
+            return res.status(400).json(createErrorResponse(validation.error, 400));
+        }
+
+        const providerManager = req.app.locals.providerManager;
+        const { provider } = req.body;
+        if (provider && !providerManager.hasProvider(provider)) {
+            return res.status(400).json(createErrorResponse(`Provider '${provider}' is not available or not configured`, 400));
+        }
+
+        if (req.body.async === true || req.body.async === 'true') {
+            const jobQueue = req.app.locals.jobQueue;
+            if (!jobQueue) {
+                return res.status(500).json(createErrorResponse('Job queue not initialized', 500));
+            }
+
+            const jobId = await jobQueue.createJob({
+                type: 'grade',
+                items: validation.items,
+                provider,
+                tenant: getTenantId(getApiKey(req))
+            });
+
+            return res.status(202).json(createSuccessResponse({
+                jobId,
+                message: `Grading of ${validation.items.length} response(s) queued for processing`,
+                statusUrl: `/api/jobs/${jobId}`,
+                resultUrl: `/api/jobs/${jobId}/result`
+            }));
+        }
+
+        const grader = new ResponseGrader(providerManager);
+
+        // A single response is graded directly so provider errors surface as a failed request
+        if (validation.items.length === 1) {
+            const { question, response } = validation.items[0];
+            const grade = await grader.grade(question, response, { provider });
+            return res.json(createSuccessResponse(grade, { graded_at: new Date().toISOString() }));
+        }
+
+        const batch = await grader.gradeBatch(validation.items, { provider });
+        res.json(createSuccessResponse(batch, { graded_at: new Date().toISOString() }));
+    } catch (error) {
+        console.error('API Error:', error);
+        res.status(500).json(createErrorResponse(`Failed to grade responses: ${error.message}`, 500));
+    }
+});
+
+/**
+ * POST endpoint to expand a numerical template into concrete questions with computed answers
+ * Body: { question: numerical template, count?: number (default: 10), seed?: string }
+ * Query: ?format=<format> (see GET /formats, default: json)
+ * Requires authentication in private mode
+ */
+router.post('/variants', authenticate, async (req, res) => {
+    try {
+        const { question, seed } = req.body;
+        if (!question || typeof question !== 'object' || Array.isArray(question)) {
+            return res.status(400).json(createErrorResponse('Invalid input: question must be a numerical question object', 400));
+        }
+
+        const template = QuestionValidator.normalize(question, { questionType: 'numerical' });
+        if (!QuestionValidator.isNumerical(template)) {
+            return res.status(400).json(createErrorResponse(
+                `Invalid input: only numerical questions have variants, got ${template.questionType}`,
+                400
+            ));
+        }
+
+        const validation = QuestionValidator.validate(template);
+        if (!validation.valid) {
+            return res.status(400).json(createErrorResponse(
+                `Invalid question: ${validation.errors.map(error => error.message).join('; ')}`,
+                400
+            ));
+        }
+
+        if (!NumericalValidator.isTemplate(template)) {
+            return res.status(400).json(createErrorResponse('Invalid input: question has no parameters to vary', 400));
+        }
+
+        const count = parseInt(req.body.count ?? 10, 10);
+        if (isNaN(count) || count < 1 || count > NumericalValidator.MAX_VARIANTS) {
+            return res.status(400).json(createErrorResponse(
+                `Invalid input: count must be between 1 and ${NumericalValidator.MAX_VARIANTS}`,
+                400
+            ));
+        }
+
+        const formatValidation = exportManager.validateFormat(req.query.format);
+        if (!formatValidation.valid) {
+            return res.status(400).json(createErrorResponse(formatValidation.error, 400));
+        }
+
+        // Same seed, same numbers: variants can be regenerated for regrading
+        const examBuilder = new ExamBuilder();
+        const variantSeed = seed !== undefined && seed !== null && seed !== '' ? String(seed) : examBuilder.generateSeed();
+        const questions = NumericalValidator.expand(template, count, examBuilder.createRandom(variantSeed));
+
+        const result = {
+            template,
+            seed: variantSeed,
+            questions,
+            metadata: {
+                questionType: 'numerical',
+                requested: count,
+                num_questions: questions.length
+            }
+        };
+
+        if (!exportManager.isNativeFormat(formatValidation.format)) {
+            const exported = await exportManager.export(result, formatValidation.format, req.query);
+            return sendExportResponse(res, exported);
+        }
+
+        res.json(createSuccessResponse(result, { generated_at: new Date().toISOString() }));
+    } catch (error) {
+        console.error('API Error:', error);
+        res.status(500).json(createErrorResponse(`Failed to expand variants: ${error.message}`, 500));
+    }
+});
+
 /**
  * GET endpoint to list available providers
  */
@@ -133,7 +456,9 @@ router.get('/providers', async (req, res) => {
                 description: p.description,
                 configured: p.configured,
                 available: p.available,
-                isCurrent: p.name === currentProvider
+                isCurrent: p.name === currentProvider,
+                capabilities: p.capabilities,
+                ...(p.parsing ? { parsing: p.parsing } : {})
             }))
         }));
     } catch (error) {
@@ -202,6 +527,15 @@ router.post('/switch-provider', authenticate, async (req, res) => {
     }
 });
 
+/**
+ * GET endpoint to list supported export formats
+ */
+router.get('/formats', (req, res) => {
+    res.json(createSuccessResponse({
+        formats: exportManager.listFormats()
+    }));
+});
+
 /**
  * Health check endpoint
  */
@@ -210,7 +544,7 @@ router.get('/health', (req, res) => {
         status: 'healthy',
         service: 'NLP Question Generator',
         version: '2.0.0',
-        features: ['text-input', 'file-upload', 'multi-file', 'multi-provider']
+        features: ['text-input', 'file-upload', 'multi-file', 'multi-provider', 'export', 'exams', 'import', 'grading', 'variants', 'sections']
     }));
 });
 
@@ -227,11 +561,23 @@ router.get('/', (req, res) => {
                 contentType: 'application/json',
                 body: {
                     text: 'string (required) - The text to generate questions from',
-                    num_questions: 'number (optional) - Number of questions to generate (default: 10, max: 50)'
+                    num_questions: 'number (optional) - Number of questions to generate (default: 10, max: 50)',
+                    question_type: 'string (optional) - multiple_choice, true_false, multi_select, cloze, short_answer, essay, matching, ordering or numerical (default: multiple_choice)',
+                    num_options: 'number (optional) - Options per question: 3-5 (default: 4, or 5 for multi_select); true_false always has 2; cloze, short_answer, essay and numerical have none; pairs/steps for matching/ordering: 3-8 (default: 4/5)',
+                    sections: 'string or string[] (optional) - Only use these sections of the text, found from its headings, e.g. "chapter 3" or "Photosynthesis"',
+                    strict_grounding: 'boolean (optional) - Only questions answerable from the text itself; ungrounded ones are rejected and regenerated (default: false)',
+                    verify_answers: 'boolean (optional) - Check each answer key by having a second model call answer blind; one extra call per batch of questions (default: false)'
+                },
+                query: {
+                    format: 'string (optional) - Response format, see GET /formats (default: json)',
+                    category: 'string (optional) - Root question bank category for moodle/gift exports',
+                    title: 'string (optional) - Assessment title for qti/qti3 packages',
+                    deck: 'string (optional) - Deck name for anki exports'
                 },
                 example: {
                     text: 'The mitochondria is the powerhouse of the cell...',
-                    num_questions: 5
+                    num_questions: 5,
+                    question_type: 'multi_select'
                 }
             },
             'POST /generate-from-files': {
@@ -239,16 +585,80 @@ router.get('/', (req, res) => {
                 contentType: 'multipart/form-data',
                 body: {
                     files: 'file[] (required) - One or more files to extract text from (max 10 files, 50MB each)',
-                    num_questions: 'number (optional) - Number of questions to generate (default: 10, max: 50)'
+                    num_questions: 'number (optional) - Number of questions to generate (default: 10, max: 50)',
+                    question_type: 'string (optional) - multiple_choice, true_false, multi_select, cloze, short_answer, essay, matching, ordering or numerical (default: multiple_choice)',
+                    num_options: 'number (optional) - Options per question: 3-5 (default: 4, or 5 for multi_select); true_false always has 2; cloze, short_answer, essay and numerical have none; pairs/steps for matching/ordering: 3-8 (default: 4/5)',
+                    sections: 'string or JSON array (optional) - Only use these sections, e.g. "chapter 3", "3.2", "pages 10-20", "slides 4-8", "file:notes.pdf" or a heading; comma-separate several',
+                    strict_grounding: 'boolean (optional) - Only questions answerable from the source material itself; ungrounded ones are rejected and regenerated (default: false)',
+                    verify_answers: 'boolean (optional) - As for POST /generate'
+                },
+                query: {
+                    format: 'string (optional) - Response format, see GET /formats (default: json)'
                 },
                 supportedFormats: ['PDF', 'DOC', 'DOCX', 'PPT', 'PPTX', 'TXT'],
                 features: [
                     'Multi-file upload',
                     'Automatic text extraction',
+                    'Section structure from headings, pages and slides',
                     'Combined question generation',
                     'Per-file status reporting'
                 ]
             },
+            'POST /stream/generate': {
+                description: 'Generate quiz questions from text, streaming each question as Server-Sent Events as soon as the provider writes it',
+                contentType: 'application/json',
+                body: {
+                    text: 'string (required) - The text to generate questions from',
+                    num_questions: 'number (optional) - Number of questions to generate (default: 10, max: 50)',
+                    question_type: 'string (optional) - As for POST /generate',
+                    num_options: 'number (optional) - As for POST /generate',
+                    strict_grounding: 'boolean (optional) - As for POST /generate',
+                    verify_answers: 'boolean (optional) - As for POST /generate'
+                },
+                response: 'text/event-stream: question { question, index, total, progress } per question, progress { stage, message, progress } per post-processing stage, then complete { questions, metadata, totalQuestions } with the final set, or error { error }. Closing the connection cancels generation'
+            },
+            'POST /outline': {
+                description: 'List the sections of uploaded files (title, level, file, page or slide numbers) without generating questions',
+                contentType: 'multipart/form-data',
+                body: {
+                    files: 'file[] (required) - One or more files to read (max 10 files, 50MB each)'
+                },
+                response: 'files plus sections [{ id, title, number, level, file, pageStart, pageEnd, slide, chars }]'
+            },
+            'POST /import': {
+                description: 'Import a reviewed question set from a CSV or XLSX spreadsheet with per-row validation',
+                contentType: 'multipart/form-data',
+                body: {
+                    file: 'file (required) - CSV or XLSX with a header row of question fields (see ?format=csv|xlsx exports)'
+                },
+                response: 'valid questions plus errors/warnings as { row, field, message }'
+            },
+            'POST /grade': {
+                description: 'Grade learner responses to short_answer or essay questions against their rubric',
+                contentType: 'application/json',
+                body: {
+                    question: 'object (with response or responses) - Question with questiontext and rubric [{ criterion, points, description }]; modelAnswer and keyIdeas are optional',
+                    response: 'string (with question) - Learner response to grade',
+                    responses: 'string[] (with question) - Several learner responses to the same question',
+                    items: 'array (instead of question) - [{ question, response }] pairs, max 50',
+                    provider: 'string (optional) - Provider to grade with (default: current provider)',
+                    async: 'boolean (optional) - Queue as a job and return its id (default: false)'
+                },
+                response: 'criteria [{ criterion, points, maxPoints, feedback }], total, maxPoints, percentage, feedback, confidence (0-1); batches return results plus a summary'
+            },
+            'POST /variants': {
+                description: 'Expand a numerical question template into concrete questions; answers are computed from its formula',
+                contentType: 'application/json',
+                body: {
+                    question: 'object (required) - Numerical template: questiontext with {name} placeholders, parameters [{ name, min, max, step } or { name, values }], formula, tolerance (e.g. 0.5 or "2%"), unit, decimals',
+                    count: `number (optional) - Number of variants (default: 10, max: ${NumericalValidator.MAX_VARIANTS})`,
+                    seed: 'string (optional) - Seed for reproducible numbers (random if omitted)'
+                },
+                query: {
+                    format: 'string (optional) - Response format, see GET /formats (default: json)'
+                },
+                response: 'template, seed and questions, each with its values and computed correctanswer; fewer than count when the parameters allow fewer combinations'
+            },
             'GET /providers': {
                 description: 'List all available AI providers and their status'
             },
@@ -265,6 +675,27 @@ router.get('/', (req, res) => {
                     provider: 'deepseek'
                 }
             },
+            'POST /exams': {
+                description: 'Assemble a printable exam with multiple shuffled forms and per-form answer keys',
+                contentType: 'application/json',
+                body: {
+                    questions: 'array (one of questions/result/jobId) - Standardized questions',
+                    result: 'object (one of questions/result/jobId) - A previous generation result',
+                    jobId: 'string (one of questions/result/jobId) - A completed job whose questions to use',
+                    num_forms: 'number (optional) - Number of forms (default: 1, max: 26)',
+                    seed: 'string (optional) - Seed for reproducible shuffling (random if omitted)',
+                    title: 'string (optional) - Exam title',
+                    shuffleQuestions: 'boolean (optional) - Shuffle question order per form (default: true)',
+                    shuffleOptions: 'boolean (optional) - Shuffle A-D options per form (default: true)'
+                },
+                query: {
+                    format: 'string (optional) - json, html or pdf (default: json)',
+                    includeAnswerKey: 'boolean (optional) - Append answer keys to html/pdf output (default: true)'
+                }
+            },
+            'GET /formats': {
+                description: 'List supported export formats for the ?format= query parameter'
+            },
             'GET /health': {
                 description: 'Check service health and available features'
             }
@@ -276,6 +707,10 @@ router.get('/', (req, res) => {
 const cacheRoutes = require('./cacheRoutes');
 router.use('/cache', cacheRoutes);
 
+// Exam assembly routes
+const examRoutes = require('./examRoutes');
+router.use('/exams', examRoutes);
+
 /**
  * GET /parallel/config
  * Get parallel processing configuration
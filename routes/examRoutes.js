@@ -0,0 +1,114 @@
+const express = require('express');
+const router = express.Router();
+const { authenticate } = require('../middleware/auth');
+const ExamBuilder = require('../utils/examBuilder');
+const ExportManager = require('../exporters/exportManager');
+const {
+    createErrorResponse,
+    createSuccessResponse,
+    sendExportResponse
+} = require('../utils/fileUtils');
+
+const examBuilder = new ExamBuilder();
+const exportManager = new ExportManager();
+// Formats that render every form and answer key
+const EXAM_FORMATS = ['json', 'html', 'pdf'];
+
+/**
+ * Exam Assembly Routes
+ * Build printable exams with multiple shuffled forms
+ */
+
+/**
+ * Resolve the question set for an exam request
+ * @param {Object} req - Express request
+ * @returns {Promise<Object>} - { questions } or { status, error }
+ */
+async function resolveQuestions(req) {
+    const { questions, result, jobId } = req.body;
+
+    if (Array.isArray(questions)) {
+        return { questions };
+    }
+
+    if (result && Array.isArray(result.questions)) {
+        return { questions: result.questions };
+    }
+
+    if (jobId) {
+        const jobQueue = req.app.locals.jobQueue;
+        if (!jobQueue) {
+            return { status: 500, error: 'Job queue not initialized' };
+        }
+
+        const job = await jobQueue.getJob(jobId);
+        if (!job) {
+            return { status: 404, error: 'Job not found' };
+        }
+
+        if (job.status !== 'completed') {
+            return { status: 400, error: `Job is ${job.status}, not completed` };
+        }
+
+        return { questions: job.result?.questions || [] };
+    }
+
+    return { status: 400, error: 'Invalid input: provide questions, result or jobId' };
+}
+
+/**
+ * POST /exams
+ * Assemble exam forms from a question set
+ * Body: { questions | result | jobId, num_forms?, seed?, title?, shuffleQuestions?, shuffleOptions? }
+ * Query: ?format=json|html|pdf (default: json)
+ */
+router.post('/', authenticate, async (req, res) => {
+    try {
+        const { num_forms, numForms, seed, title, shuffleQuestions, shuffleOptions } = req.body;
+
+        const numFormsValidation = examBuilder.validateNumForms(num_forms || numForms || 1);
+        if (!numFormsValidation.valid) {
+            return res.status(400).json(createErrorResponse(numFormsValidation.error, 400));
+        }
+
+        const formatValidation = exportManager.validateFormat(req.query.format);
+        if (!formatValidation.valid || !EXAM_FORMATS.includes(formatValidation.format)) {
+            return res.status(400).json(createErrorResponse(
+                `Unsupported exam format: '${req.query.format}'. Supported formats: ${EXAM_FORMATS.join(', ')}`,
+                400
+            ));
+        }
+
+        const source = await resolveQuestions(req);
+        if (source.error) {
+            return res.status(source.status).json(createErrorResponse(source.error, source.status));
+        }
+
+        if (source.questions.length === 0) {
+            return res.status(400).json(createErrorResponse('Invalid input: a non-empty questions array is required', 400));
+        }
+
+        const exam = examBuilder.build(source.questions, {
+            numForms: numFormsValidation.value,
+            seed,
+            title,
+            shuffleQuestions,
+            shuffleOptions
+        });
+
+        if (!exportManager.isNativeFormat(formatValidation.format)) {
+            const exported = await exportManager.export(exam, formatValidation.format, {
+                ...req.query,
+                filename: `exam-${exam.seed}`
+            });
+            return sendExportResponse(res, exported);
+        }
+
+        res.json(createSuccessResponse(exam));
+    } catch (error) {
+        console.error('Exam build error:', error);
+        res.status(500).json(createErrorResponse(`Failed to build exam: ${error.message}`, 500));
+    }
+});
+
+module.exports = router;
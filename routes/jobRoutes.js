@@ -1,6 +1,13 @@
 const express = require('express');
 const router = express.Router();
-const { authenticate } = require('../middleware/auth');
+const { authenticate, requireAdmin, getApiKey, getKeyId, getTenantId, isKeyId } = require('../middleware/auth');
+const ExportManager = require('../exporters/exportManager');
+const { sendExportResponse, parseBooleanField } = require('../utils/fileUtils');
+const QuestionValidator = require('../utils/questionValidator');
+const DocumentStructure = require('../utils/documentStructure');
+const JobQueue = require('../utils/jobQueue');
+
+const exportManager = new ExportManager();
 
 /**
  * Job Queue Routes
@@ -10,6 +17,10 @@ const { authenticate } = require('../middleware/auth');
 /**
  * POST /jobs
  * Submit a new job
+ * Body: keep_partial makes a cancelled job keep the questions generated so far as its result;
+ *   callback_url gets a signed POST with the result or error once the job finishes (see WebhookDispatcher);
+ *   priority (high, normal, low) orders the tenant's jobs and run_at holds the job until then. The job counts
+ *   against the calling API key's tenant for fair scheduling (see getTenantId); clients can't name another
  */
 router.post('/', authenticate, async (req, res) => {
     try {
@@ -22,6 +33,73 @@ router.post('/', authenticate, async (req, res) => {
             });
         }
 
+        const typeValidation = QuestionValidator.validateGenerationOptions({
+            questionType: req.body.questionType || req.body.question_type,
+            numOptions: req.body.numOptions ?? req.body.num_options
+        });
+        if (!typeValidation.valid) {
+            return res.status(400).json({
+                success: false,
+                error: typeValidation.error
+            });
+        }
+
+        // Check the section selector up front so a typo fails here rather than in the job
+        const sections = req.body.sections;
+        if (sections !== undefined && sections !== null && sections !== '') {
+            try {
+                DocumentStructure.select(
+                    DocumentStructure.createDocument([{ name: 'input', type: 'text', sections: DocumentStructure.segmentText(text) }]),
+                    sections
+                );
+            } catch (error) {
+                return res.status(400).json({
+                    success: false,
+                    error: error.message
+                });
+            }
+        }
+
+        const scheduling = JobQueue.validateSchedulingOptions({
+            priority: req.body.priority,
+            runAt: req.body.runAt ?? req.body.run_at
+        });
+        if (!scheduling.valid) {
+            return res.status(400).json({
+                success: false,
+                error: scheduling.error
+            });
+        }
+
+        let callbackUrl;
+        const requestedCallback = req.body.callbackUrl ?? req.body.callback_url;
+        if (requestedCallback !== undefined && requestedCallback !== null && requestedCallback !== '') {
+            const webhookDispatcher = req.app.locals.webhookDispatcher;
+            if (!webhookDispatcher || !webhookDispatcher.enabled) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Webhooks are disabled on this server'
+                });
+            }
+
+            // Callbacks are signed with a secret of the submitting key; without one nobody could verify them
+            if (!getApiKey(req)) {
+                return res.status(401).json({
+                    success: false,
+                    error: 'An API key is required to submit a job with callback_url'
+                });
+            }
+
+            const callbackValidation = webhookDispatcher.validateCallbackUrl(requestedCallback);
+            if (!callbackValidation.valid) {
+                return res.status(400).json({
+                    success: false,
+                    error: callbackValidation.error
+                });
+            }
+            callbackUrl = callbackValidation.url;
+        }
+
         const jobQueue = req.app.locals.jobQueue;
         if (!jobQueue) {
             return res.status(500).json({
@@ -30,11 +108,24 @@ router.post('/', authenticate, async (req, res) => {
             });
         }
 
+        const apiKey = getApiKey(req);
+        const keyId = getKeyId(apiKey);
         const jobId = await jobQueue.createJob({
             text,
             numQuestions: numQuestions || 10,
             difficulty: difficulty || 'mixed',
-            bloomLevel: bloomLevel || 'apply'
+            bloomLevel: bloomLevel || 'apply',
+            questionType: typeValidation.questionType,
+            numOptions: typeValidation.numOptions,
+            sections: sections || undefined,
+            strictGrounding: parseBooleanField(req.body.strictGrounding ?? req.body.strict_grounding),
+            verifyAnswers: parseBooleanField(req.body.verifyAnswers ?? req.body.verify_answers),
+            keepPartial: parseBooleanField(req.body.keepPartial ?? req.body.keep_partial),
+            // The key's ID rather than the key itself, to sign the callback with the key's secret
+            ...(callbackUrl ? { callbackUrl, callbackKeyId: keyId } : {}),
+            priority: scheduling.priority,
+            runAt: scheduling.runAt,
+            tenant: getTenantId(apiKey)
         });
 
         res.status(202).json({
@@ -52,9 +143,108 @@ router.post('/', authenticate, async (req, res) => {
     }
 });
 
+/**
+ * GET /jobs/webhook-secret
+ * Secret that signs the webhooks of jobs submitted with the calling API key. Requires a key even in
+ * public mode, since a secret shared by keyless callers would let anyone forge their webhooks.
+ */
+router.get('/webhook-secret', authenticate, (req, res) => {
+    const webhookDispatcher = req.app.locals.webhookDispatcher;
+    if (!webhookDispatcher || !webhookDispatcher.enabled) {
+        return res.status(404).json({
+            success: false,
+            error: 'Webhooks are disabled on this server'
+        });
+    }
+
+    const apiKey = getApiKey(req);
+    if (!apiKey) {
+        return res.status(401).json({
+            success: false,
+            error: 'An API key is required to get a webhook signing secret'
+        });
+    }
+
+    res.json({
+        success: true,
+        secret: webhookDispatcher.getSecret(getKeyId(apiKey)),
+        algorithm: 'sha256',
+        header: 'X-Webhook-Signature',
+        signedContent: '<X-Webhook-Timestamp>.<body>'
+    });
+});
+
+/**
+ * GET /jobs/tenants
+ * Tenants with queued or running jobs or a concurrency cap of their own (admin only)
+ */
+router.get('/tenants', requireAdmin, (req, res) => {
+    const jobQueue = req.app.locals.jobQueue;
+    if (!jobQueue) {
+        return res.status(500).json({
+            success: false,
+            error: 'Job queue not initialized'
+        });
+    }
+
+    res.json({
+        success: true,
+        defaultMaxConcurrent: jobQueue.tenantMaxConcurrent,
+        tenants: jobQueue.getTenants()
+    });
+});
+
+/**
+ * PUT /jobs/tenants/:tenant/limit
+ * Set how many jobs a tenant may run at once (admin only)
+ * Body: { max_concurrent: number } (null restores the default, QUEUE_TENANT_MAX_CONCURRENT)
+ */
+router.put('/tenants/:tenant/limit', requireAdmin, async (req, res) => {
+    try {
+        const jobQueue = req.app.locals.jobQueue;
+        if (!jobQueue) {
+            return res.status(500).json({
+                success: false,
+                error: 'Job queue not initialized'
+            });
+        }
+
+        if (!isKeyId(req.params.tenant)) {
+            return res.status(400).json({
+                success: false,
+                error: "tenant must be an API key ID (16 hex characters) or 'public'"
+            });
+        }
+
+        const requested = 'max_concurrent' in req.body ? req.body.max_concurrent : req.body.maxConcurrent;
+        const maxConcurrent = requested === null ? null : parseInt(requested, 10);
+        if (maxConcurrent !== null && !(maxConcurrent >= 1 && maxConcurrent <= jobQueue.maxConcurrent)) {
+            return res.status(400).json({
+                success: false,
+                error: `max_concurrent must be between 1 and ${jobQueue.maxConcurrent}, or null`
+            });
+        }
+
+        await jobQueue.setTenantLimit(req.params.tenant, maxConcurrent);
+        res.json({
+            success: true,
+            tenant: req.params.tenant,
+            maxConcurrent: jobQueue.getTenantLimit(req.params.tenant),
+            customLimit: maxConcurrent !== null
+        });
+    } catch (error) {
+        console.error('Tenant limit error:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
 /**
  * GET /jobs/:id
- * Get job status
+ * Get job status, the queue position and estimated start of pending jobs, and the webhook's
+ * delivery attempts when the job has a callback URL
  */
 router.get('/:id', async (req, res) => {
     try {
@@ -78,12 +268,20 @@ router.get('/:id', async (req, res) => {
             success: true,
             job: {
                 id: job.id,
+                type: job.data?.type || 'generate',
                 status: job.status,
                 progress: job.progress,
                 createdAt: new Date(job.createdAt).toISOString(),
                 startedAt: job.startedAt ? new Date(job.startedAt).toISOString() : null,
                 completedAt: job.completedAt ? new Date(job.completedAt).toISOString() : null,
-                error: job.error
+                error: job.error,
+                priority: job.data?.priority || 'normal',
+                tenant: jobQueue.getTenant(job),
+                runAt: job.data?.runAt ? new Date(job.data.runAt).toISOString() : null,
+                ...(job.status === 'pending' ? { queue: jobQueue.getQueueInfo(job.id) } : {}),
+                ...(job.data?.callbackUrl && req.app.locals.webhookDispatcher
+                    ? { webhook: await req.app.locals.webhookDispatcher.getStatus(job) }
+                    : {})
             }
         });
     } catch (error) {
@@ -97,7 +295,8 @@ router.get('/:id', async (req, res) => {
 
 /**
  * GET /jobs/:id/result
- * Get job result
+ * Get job result, or the partial result of a job cancelled with keep_partial
+ * Query: ?format=<format> (see GET /api/formats, default: json)
  */
 router.get('/:id/result', async (req, res) => {
     try {
@@ -117,7 +316,8 @@ router.get('/:id/result', async (req, res) => {
             });
         }
 
-        if (job.status !== 'completed') {
+        // Cancelled jobs have a result when they were submitted with keep_partial
+        if (job.status !== 'completed' && !(job.status === 'cancelled' && job.result)) {
             return res.status(400).json({
                 success: false,
                 error: `Job is ${job.status}, not completed`,
@@ -126,6 +326,30 @@ router.get('/:id/result', async (req, res) => {
             });
         }
 
+        const formatValidation = exportManager.validateFormat(req.query.format);
+        if (!formatValidation.valid) {
+            return res.status(400).json({
+                success: false,
+                error: formatValidation.error
+            });
+        }
+
+        if (!exportManager.isNativeFormat(formatValidation.format)) {
+            if (job.data?.type === 'grade') {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Grading results are only available as json'
+                });
+            }
+
+            const exported = await exportManager.export(job.result, formatValidation.format, {
+                ...req.query,
+                bloomLevel: job.data?.bloomLevel,
+                filename: `job-${job.id}`
+            });
+            return sendExportResponse(res, exported);
+        }
+
         res.json({
             success: true,
             result: job.result
@@ -164,6 +388,7 @@ router.get('/', async (req, res) => {
             success: true,
             jobs: jobs.map(job => ({
                 id: job.id,
+                type: job.data?.type || 'generate',
                 status: job.status,
                 progress: job.progress,
                 createdAt: new Date(job.createdAt).toISOString(),
@@ -182,7 +407,7 @@ router.get('/', async (req, res) => {
 
 /**
  * DELETE /jobs/:id
- * Cancel a job
+ * Cancel a pending or processing job
  */
 router.delete('/:id', authenticate, async (req, res) => {
     try {
@@ -204,7 +429,7 @@ router.delete('/:id', authenticate, async (req, res) => {
         } else {
             res.status(400).json({
                 success: false,
-                error: 'Job cannot be cancelled (not found or already processing)'
+                error: 'Job cannot be cancelled (not found or already finished)'
             });
         }
     } catch (error) {
@@ -1,211 +1,124 @@
-// const express = require('express');
-// const router = express.Router();
-// const StreamHandler = require('../utils/streamHandler');
-// const { authenticate } = require('../middleware/auth');
-// const { validateTextInput, validateNumQuestions } = require('../utils/fileUtils');
-
-// /**
-//  * Streaming Question Generation Routes
-//  * Uses Server-Sent Events (SSE) for real-time streaming
-//  */
-
-// /**
-//  * POST /stream/generate
-//  * Stream questions as they are generated
-//  * Body: { text: string, num_questions?: number, bloomLevel?: string, difficulty?: string }
-//  */
-// router.post('/generate', authenticate, async (req, res) => {
-//     try {
-//         const { text, num_questions, numQuestions, bloomLevel, difficulty, noCache } = req.body;
-//         const requestedQuestions = num_questions || numQuestions || 10;
-
-//         // Validate input
-//         const textValidation = validateTextInput(text);
-//         if (!textValidation.valid) {
-//             // For streaming, we need to initialize stream first, then send error
-//             StreamHandler.initializeStream(res);
-//             StreamHandler.sendError(res, textValidation.error);
-//             StreamHandler.sendComplete(res, { error: true });
-//             return;
-//         }
-
-//         const questionsValidation = validateNumQuestions(requestedQuestions);
-//         if (!questionsValidation.valid) {
-//             StreamHandler.initializeStream(res);
-//             StreamHandler.sendError(res, questionsValidation.error);
-//             StreamHandler.sendComplete(res, { error: true });
-//             return;
-//         }
-
-//         const generator = req.app.locals.questionGenerator;
-//         if (!generator) {
-//             StreamHandler.initializeStream(res);
-//             StreamHandler.sendError(res, 'Question generator not initialized');
-//             StreamHandler.sendComplete(res, { error: true });
-//             return;
-//         }
-
-//         // Build options
-//         const options = {
-//             numQuestions: requestedQuestions,
-//             noCache: noCache === true
-//         };
-
-//         if (bloomLevel) {
-//             options.bloomLevel = bloomLevel;
-//         }
-
-//         if (difficulty) {
-//             options.difficulty = difficulty;
-//         }
-
-//         // Check if parallel processing will be used
-//         const numQuestions = requestedQuestions;
-//         const useParallel = numQuestions >= 20;
-
-//         if (useParallel) {
-//             // Use parallel generation with progress streaming
-//             StreamHandler.initializeStream(res);
-//             StreamHandler.sendProgress(res, `Using parallel processing for ${numQuestions} questions...`, 0);
-
-//             try {
-//                 const result = await generator.generateQuestionsWithProgress(
-//                     textValidation.text,
-//                     options,
-//                     (progress) => {
-//                         if (progress.type === 'chunk_complete') {
-//                             // Stream questions from completed chunk
-//                             if (progress.questions) {
-//                                 progress.questions.forEach((q, idx) => {
-//                                     StreamHandler.sendQuestion(res, q, idx + 1, numQuestions);
-//                                 });
-//                             }
-//                             StreamHandler.sendProgress(
-//                                 res,
-//                                 `Completed chunk ${progress.completedChunks}/${progress.totalChunks}`,
-//                                 progress.progress
-//                             );
-//                         }
-//                     }
-//                 );
-
-//                 // Send metadata and complete
-//                 if (result.metadata) {
-//                     StreamHandler.sendMetadata(res, result.metadata);
-//                 }
-//                 StreamHandler.sendComplete(res, {
-//                     totalQuestions: result.questions.length,
-//                     parallel: true
-//                 });
-//             } catch (error) {
-//                 StreamHandler.sendError(res, error.message);
-//                 StreamHandler.sendComplete(res, { error: true });
-//             }
-//         } else {
-//             // Regular streaming for small batches
-//             await StreamHandler.streamGeneration(
-//                 res,
-//                 async () => {
-//                     return await generator.generateQuestions(textValidation.text, options);
-//                 },
-//                 options
-//             );
-//         }
-
-//     } catch (error) {
-//         console.error('Stream generation error:', error);
-        
-//         // If stream not started, send error response
-//         if (!res.headersSent) {
-//             StreamHandler.initializeStream(res);
-//         }
-        
-//         StreamHandler.sendError(res, error.message);
-//         StreamHandler.sendComplete(res, { error: true });
-//     }
-// });
-
-// /**
-//  * POST /stream/generate-from-files
-//  * Stream questions from uploaded files
-//  */
-// router.post('/generate-from-files', authenticate, async (req, res) => {
-//     try {
-//         const { filePaths, num_questions, numQuestions, bloomLevel, difficulty } = req.body;
-//         const requestedQuestions = num_questions || numQuestions || 10;
-
-//         if (!filePaths || !Array.isArray(filePaths) || filePaths.length === 0) {
-//             StreamHandler.initializeStream(res);
-//             StreamHandler.sendError(res, 'No file paths provided');
-//             StreamHandler.sendComplete(res, { error: true });
-//             return;
-//         }
-
-//         const generator = req.app.locals.questionGenerator;
-//         if (!generator) {
-//             StreamHandler.initializeStream(res);
-//             StreamHandler.sendError(res, 'Question generator not initialized');
-//             StreamHandler.sendComplete(res, { error: true });
-//             return;
-//         }
-
-//         // Build options
-//         const options = {
-//             numQuestions: requestedQuestions
-//         };
-
-//         if (bloomLevel) {
-//             options.bloomLevel = bloomLevel;
-//         }
-
-//         if (difficulty) {
-//             options.difficulty = difficulty;
-//         }
-
-//         // Initialize stream
-//         StreamHandler.initializeStream(res);
-//         StreamHandler.sendProgress(res, 'Extracting text from files...', 10);
-
-//         // Stream the generation
-//         await StreamHandler.streamGeneration(
-//             res,
-//             async () => {
-//                 return await generator.generateFromFiles(filePaths, options);
-//             },
-//             options
-//         );
-
-//     } catch (error) {
-//         console.error('Stream file generation error:', error);
-        
-//         if (!res.headersSent) {
-//             StreamHandler.initializeStream(res);
-//         }
-        
-//         StreamHandler.sendError(res, error.message);
-//         StreamHandler.sendComplete(res, { error: true });
-//     }
-// });
-
-// /**
-//  * GET /stream/test
-//  * Test streaming endpoint with mock data
-//  */
-// router.get('/test', (req, res) => {
-//     const numQuestions = parseInt(req.query.num) || 5;
-//     StreamHandler.mockStream(res, numQuestions);
-// });
-
-// /**
-//  * GET /stream/health
-//  * Check if streaming is available
-//  */
-// router.get('/health', (req, res) => {
-//     res.json({
-//         success: true,
-//         streaming: true,
-//         message: 'Streaming endpoints are available'
-//     });
-// });
-
-// module.exports = router;
+const express = require('express');
+const router = express.Router();
+const StreamHandler = require('../utils/streamHandler');
+const QuestionValidator = require('../utils/questionValidator');
+const { authenticate } = require('../middleware/auth');
+const {
+    validateTextInput,
+    validateNumQuestions,
+    parseBooleanField,
+    createErrorResponse
+} = require('../utils/fileUtils');
+
+/**
+ * Streaming Question Generation Routes
+ * Uses Server-Sent Events (SSE) for real-time streaming
+ */
+
+// Rough share of the work done when each generation stage starts
+const STAGE_PROGRESS = {
+    generating: 0,
+    quality: 60,
+    deduplication: 70,
+    balancing: 75,
+    citations: 80,
+    grounding: 85,
+    verification: 90
+};
+
+/**
+ * POST /stream/generate
+ * Stream questions as the provider generates them, then the final set once post-processing is done
+ * Body: { text: string, num_questions?: number, question_type?: string, num_options?: number,
+ *   bloomLevel?: string, difficulty?: string, strict_grounding?: boolean, verify_answers?: boolean, noCache?: boolean }
+ * Events: question { question, index, total, progress }, progress { stage, message, progress },
+ *   complete { questions, metadata, totalQuestions }, error { error }
+ * Closing the connection cancels generation
+ */
+router.post('/generate', authenticate, async (req, res) => {
+    const { text, num_questions, numQuestions, bloomLevel, difficulty, noCache } = req.body;
+    const requestedQuestions = num_questions || numQuestions || 10;
+
+    // Invalid requests are rejected before the stream starts
+    const textValidation = validateTextInput(text);
+    if (!textValidation.valid) {
+        return res.status(400).json(createErrorResponse(textValidation.error, 400));
+    }
+
+    const questionsValidation = validateNumQuestions(requestedQuestions);
+    if (!questionsValidation.valid) {
+        return res.status(400).json(createErrorResponse(questionsValidation.error, 400));
+    }
+
+    const typeValidation = QuestionValidator.validateGenerationOptions({
+        questionType: req.body.question_type || req.body.questionType,
+        numOptions: req.body.num_options ?? req.body.numOptions
+    });
+    if (!typeValidation.valid) {
+        return res.status(400).json(createErrorResponse(typeValidation.error, 400));
+    }
+
+    const generator = req.app.locals.questionGenerator;
+    if (!generator) {
+        return res.status(500).json(createErrorResponse('Question generator not initialized', 500));
+    }
+
+    const total = questionsValidation.value;
+    const controller = StreamHandler.createAbortController(res);
+    StreamHandler.initializeStream(res);
+
+    const options = {
+        numQuestions: total,
+        questionType: typeValidation.questionType,
+        numOptions: typeValidation.numOptions,
+        strictGrounding: parseBooleanField(req.body.strict_grounding ?? req.body.strictGrounding),
+        verifyAnswers: parseBooleanField(req.body.verify_answers ?? req.body.verifyAnswers),
+        noCache: noCache === true,
+        signal: controller.signal,
+        onQuestion: (question, index) => StreamHandler.sendQuestion(res, question, index, total),
+        onProgress: ({ stage, message }) => StreamHandler.sendProgress(res, stage, message, STAGE_PROGRESS[stage] ?? 0)
+    };
+
+    if (bloomLevel) {
+        options.bloomLevel = bloomLevel;
+    }
+
+    if (difficulty) {
+        options.difficulty = difficulty;
+    }
+
+    try {
+        const result = await generator.generateQuestions(text, options);
+        StreamHandler.sendComplete(res, result);
+    } catch (error) {
+        if (controller.signal.aborted) {
+            console.log('Stream generation cancelled');
+            return;
+        }
+        console.error('Stream generation error:', error);
+        StreamHandler.sendError(res, error.message);
+    }
+});
+
+/**
+ * GET /stream/test
+ * Test streaming endpoint with mock data
+ */
+router.get('/test', (req, res) => {
+    const numQuestions = Math.min(parseInt(req.query.num) || 5, 20);
+    StreamHandler.mockStream(res, numQuestions);
+});
+
+/**
+ * GET /stream/health
+ * Check if streaming is available
+ */
+router.get('/health', (req, res) => {
+    res.json({
+        success: true,
+        streaming: true,
+        message: 'Streaming endpoints are available'
+    });
+});
+
+module.exports = router;
@@ -7,6 +7,7 @@ const apiRoutes = require('./routes/api');
 const { ensureUploadsDirectory } = require('./utils/fileUtils');
 const ProviderManager = require('./providers/providerManager');
 const ErrorHandler = require('./utils/errorHandler');
+const { getServerApiKeys } = require('./middleware/auth');
 const cliUI = require('./cli/ascii');
 
 const app = express();
@@ -109,9 +110,23 @@ async function initializeServer() {
         const jobQueue = new JobQueue({
             enabled: process.env.QUEUE_ENABLED !== 'false',
             maxConcurrent: parseInt(process.env.QUEUE_WORKERS) || 3,
+            tenantMaxConcurrent: parseInt(process.env.QUEUE_TENANT_MAX_CONCURRENT) || undefined,
             jobStore: jobStore
         });
 
+        // Signed callbacks for jobs submitted with a callbackUrl
+        const WebhookDispatcher = require('./utils/webhookDispatcher');
+        const webhookDispatcher = new WebhookDispatcher({
+            enabled: process.env.WEBHOOKS_ENABLED !== 'false',
+            secret: process.env.WEBHOOK_SECRET,
+            maxRetries: parseInt(process.env.WEBHOOK_MAX_RETRIES) || 5,
+            timeout: parseInt(process.env.WEBHOOK_TIMEOUT) || 10000,
+            allowPrivate: process.env.WEBHOOK_ALLOW_PRIVATE === 'true',
+            jobStore: jobStore
+        });
+        await webhookDispatcher.attach(jobQueue);
+        app.locals.webhookDispatcher = webhookDispatcher;
+
         // Restore pending jobs from database
         await jobQueue.restore();
 
@@ -124,14 +139,18 @@ async function initializeServer() {
         app.locals.jobStore = jobStore;
         app.locals.jobProcessor = jobProcessor;
 
+        // Live job updates over WebSocket, attached once the server is listening
+        const JobSocket = require('./utils/jobSocket');
+        const jobSocket = new JobSocket(jobQueue);
+        app.locals.jobSocket = jobSocket;
+
         if (jobQueue.enabled) {
             cliUI.showSuccess(`Job queue initialized (${jobQueue.maxConcurrent} workers)`);
         }
 
-        // Add job routes after initialization
-        // Streaming routes are disabled (commented out in routes/streamRoutes.js)
-        // const streamRoutes = require('./routes/streamRoutes');
-        // app.use('/api/stream', streamRoutes);
+        // Add streaming and job routes after initialization
+        const streamRoutes = require('./routes/streamRoutes');
+        app.use('/api/stream', streamRoutes);
 
         const jobRoutes = require('./routes/jobRoutes');
         app.use('/api/jobs', jobRoutes);
@@ -162,13 +181,13 @@ async function initializeServer() {
         app.use(ErrorHandler.expressErrorHandler);
 
         // Start server
-        app.listen(PORT, () => {
+        const server = app.listen(PORT, () => {
             console.log(`\n${cliUI.colors.green}Server is ready!${cliUI.colors.reset}`);
             console.log(`${cliUI.colors.cyan}NLP Question Generator running on port ${PORT}${cliUI.colors.reset}`);
 
             // Show security status
             const apiMode = process.env.API_MODE || 'public';
-            const hasApiKey = process.env.SERVER_API_KEY && process.env.SERVER_API_KEY.trim() !== '';
+            const hasApiKey = getServerApiKeys().length > 0;
 
             if (apiMode === 'private' && hasApiKey) {
                 console.log(`\n${cliUI.colors.green}Security: PRIVATE MODE (API key required)${cliUI.colors.reset}`);
@@ -185,6 +204,7 @@ async function initializeServer() {
             console.log(`${cliUI.colors.gray}Use 'npm run config' for API key configuration${cliUI.colors.reset}`);
             cliUI.showSystemInfo();
         });
+        jobSocket.attach(server);
     } catch (error) {
         cliUI.printBanner();
         cliUI.showSection('Initialization Error');
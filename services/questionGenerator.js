@@ -4,10 +4,18 @@ const ParallelProcessor = require('../utils/parallelProcessor');
 const QualityScorer = require('../utils/qualityScorer');
 const Deduplicator = require('../utils/deduplicator');
 const DifficultyBalancer = require('../utils/difficultyBalancer');
+const QuestionValidator = require('../utils/questionValidator');
+const DocumentChunker = require('../utils/documentChunker');
+const DocumentStructure = require('../utils/documentStructure');
+const SourceLocator = require('../utils/sourceLocator');
+const AnswerVerifier = require('../utils/answerVerifier');
+const GroundednessChecker = require('../utils/groundednessChecker');
+const ErrorHandler = require('../utils/errorHandler');
 
 /**
  * Multi-Provider Question Generation Service
- * Supports multiple AI providers with caching, parallel processing, quality scoring, deduplication, and difficulty balancing
+ * Supports multiple AI providers with caching, parallel processing, long-document chunking, quality scoring,
+ * deduplication, difficulty balancing, source citations, groundedness checks, and answer-key verification
  */
 class MultiProviderQuestionGenerator {
     constructor(providerManagerOrConfig) {
@@ -35,6 +43,8 @@ class MultiProviderQuestionGenerator {
             threshold: parseInt(process.env.PARALLEL_THRESHOLD) || 20
         });
         this.qualityScorer = null; // Initialized later with provider
+        this.answerVerifier = null; // Initialized later with the provider manager
+        this.groundednessChecker = null; // Initialized later with the provider manager
         this.deduplicator = new Deduplicator({
             enabled: process.env.DEDUP_ENABLED !== 'false',
             threshold: parseInt(process.env.DEDUP_THRESHOLD) || 85,
@@ -46,6 +56,17 @@ class MultiProviderQuestionGenerator {
             tolerance: parseFloat(process.env.DIFFICULTY_BALANCE_TOLERANCE) || 0.10,
             maxRetries: parseInt(process.env.DIFFICULTY_BALANCE_MAX_RETRIES) || 2
         });
+        this.documentChunker = new DocumentChunker({
+            enabled: process.env.LONG_DOCUMENT_ENABLED !== 'false',
+            threshold: parseInt(process.env.LONG_DOCUMENT_THRESHOLD) || 20000,
+            chunkSize: parseInt(process.env.LONG_DOCUMENT_CHUNK_SIZE) || 12000,
+            maxWorkers: parseInt(process.env.LONG_DOCUMENT_MAX_WORKERS) || 3,
+            maxDocumentChars: parseInt(process.env.LONG_DOCUMENT_MAX_CHARS) || 500000
+        });
+        this.sourceLocator = new SourceLocator({
+            enabled: process.env.SOURCE_CITATIONS_ENABLED !== 'false',
+            threshold: parseInt(process.env.SOURCE_MATCH_THRESHOLD) || 70
+        });
         this.initialized = false;
     }
 
@@ -83,6 +104,24 @@ class MultiProviderQuestionGenerator {
                 useQuickScore: process.env.QUALITY_QUICK_SCORE === 'true'
             });
 
+            this.answerVerifier = new AnswerVerifier(this.providerManager, {
+                enabled: process.env.ANSWER_VERIFICATION_ENABLED !== 'false',
+                verifyByDefault: process.env.ANSWER_VERIFICATION_DEFAULT === 'true',
+                policy: process.env.ANSWER_VERIFICATION_POLICY || 'flag',
+                provider: process.env.ANSWER_VERIFICATION_PROVIDER || null,
+                minConfidence: parseFloat(process.env.ANSWER_VERIFICATION_MIN_CONFIDENCE) || 0.7,
+                maxRetries: parseInt(process.env.ANSWER_VERIFICATION_MAX_RETRIES) || 1
+            });
+
+            this.groundednessChecker = new GroundednessChecker(this.providerManager, {
+                enabled: process.env.GROUNDING_CHECK_ENABLED !== 'false',
+                strict: process.env.GROUNDING_STRICT === 'true',
+                minScore: parseFloat(process.env.GROUNDING_MIN_SCORE) || 0.6,
+                judge: process.env.GROUNDING_LLM_JUDGE === 'true',
+                judgeProvider: process.env.GROUNDING_JUDGE_PROVIDER || null,
+                maxRetries: parseInt(process.env.GROUNDING_MAX_RETRIES) || 1
+            });
+
             this.initialized = true;
             console.log('✓ Multi-provider question generator initialized');
             if (this.qualityScorer.enabled) {
@@ -97,24 +136,115 @@ class MultiProviderQuestionGenerator {
      * Generate questions using current provider with caching and parallel processing
      * @param {string} text - Input text
      * @param {Object} options - Generation options
-     * @returns {Promise<Object>} - Generated questions
+     * @param {string} options.questionType - 'multiple_choice', 'true_false', 'multi_select', 'cloze', 'short_answer' or 'essay' (default: 'multiple_choice')
+     * @param {number} options.numOptions - Options per question (default depends on questionType)
+     * @param {boolean} options.longDocument - Cover texts over the chunking threshold chunk by chunk (default: true);
+     *   when false they are truncated to the threshold, and metadata.truncated says so
+     * @param {boolean} options.citeSources - Cite each question's supporting passage in question.source (default: true)
+     * @param {boolean} options.strictGrounding - Reject (and replace) questions not grounded in the text, and tell
+     *   the model to use only facts the text states (default: GROUNDING_STRICT); otherwise they are marked
+     * @param {boolean} options.verifyAnswers - Have a second model answer each question blind and check its key
+     *   (default: ANSWER_VERIFICATION_DEFAULT, off unless set)
+     * @param {string} options.verificationPolicy - 'flag', 'correct' or 'regenerate' disputed answer keys
+     *   (default: ANSWER_VERIFICATION_POLICY)
+     * @param {string} options.verificationProvider - Provider that answers blind (default: ANSWER_VERIFICATION_PROVIDER)
+     * @param {Function} options.onQuestion - Called with (question, index) as each question is generated, streamed
+     *   from providers that support it; these are drafts, the returned set is final after post-processing
+     * @param {Function} options.onProgress - Called with { stage, message } as each post-processing stage starts
+     * @param {AbortSignal} options.signal - Stops generation, including provider requests in progress
+     * @param {boolean} options.keepPartial - When cancelled, resolve with the questions so far instead of throwing:
+     *   drafts if generation was still running, otherwise the set as of the stage that was cut short
+     *   (metadata.cancelled, metadata.cancelledAt)
+     * @returns {Promise<Object>} - Generated questions; chunked results tag each question with sourceChunk
+     *   and describe the chunks in metadata.chunking
      */
     async generateQuestions(text, options = {}) {
         if (!this.initialized) {
             await this.initialize();
         }
 
+        // The callbacks are for this request's first generation only, not the top-ups and replacements below
+        const { onQuestion, onProgress, keepPartial, ...generationOptions } = options;
+        options = generationOptions;
+        const drafts = [];
+        const emitOptions = onQuestion || keepPartial
+            ? {
+                onQuestion: (question) => {
+                    drafts.push(question);
+                    if (onQuestion) {
+                        onQuestion(question, drafts.length - 1);
+                    }
+                }
+            }
+            : {};
+        let stage = 'generating';
+        const report = (nextStage, message) => {
+            ErrorHandler.throwIfCancelled(options.signal);
+            stage = nextStage;
+            if (onProgress) {
+                onProgress({ stage, message });
+            }
+        };
+        // What a cancelled request resolves with under keepPartial
+        const partialResult = (partial) => ({
+            ...partial,
+            metadata: {
+                ...partial.metadata,
+                num_questions: partial.questions.length,
+                cancelled: true,
+                cancelledAt: stage
+            }
+        });
+
+        // Resolve type aliases, the default option count and strict grounding once, so every
+        // provider call agrees
+        const typeValidation = QuestionValidator.validateGenerationOptions(options);
+        if (!typeValidation.valid) {
+            throw new Error(typeValidation.error);
+        }
+        options = {
+            ...options,
+            questionType: typeValidation.questionType,
+            numOptions: typeValidation.numOptions,
+            strictGrounding: options.strictGrounding ?? (this.groundednessChecker ? this.groundednessChecker.strict : false),
+            verifyAnswers: options.verifyAnswers ?? (this.answerVerifier ? this.answerVerifier.verifyByDefault : false)
+        };
+
         const numQuestions = options.numQuestions || 10;
 
         // Check if text is too large for model context (rough estimate: 1 char ≈ 0.25 tokens)
-        // Kimi models have 8K token limit, so max ~20K characters for input (leaving room for output)
-        const MAX_TEXT_CHARS = 20000;
-        if (text.length > MAX_TEXT_CHARS) {
+        // Kimi models have 8K token limit, so max ~20K characters for input (leaving room for output).
+        // Longer documents are covered chunk by chunk, or truncated when chunking is turned off.
+        const MAX_TEXT_CHARS = this.documentChunker.threshold;
+        const chunked = options.longDocument !== false && this.documentChunker.shouldChunk(text);
+        let truncated = null;
+        if (!chunked && text.length > MAX_TEXT_CHARS) {
             console.warn(`⚠ Text too large (${text.length} chars). Truncating to ${MAX_TEXT_CHARS} chars.`);
+            truncated = { originalChars: text.length, keptChars: MAX_TEXT_CHARS };
             text = text.substring(0, MAX_TEXT_CHARS);
         }
 
-        const useParallel = options.parallel !== false && this.parallelProcessor.shouldUseParallel(numQuestions);
+        const chunks = chunked
+            ? this.documentChunker.split(text, (txt, maxChars) => this.providerManager.getCurrentProvider().splitTextIntoChunks(txt, maxChars))
+            : null;
+        if (chunked) {
+            console.log(`Long document (${text.length} chars): covering it in ${chunks.length} chunks`);
+        }
+
+        // Every provider call below goes through this, so top-ups and rebalancing draw from the
+        // whole document too; existing questions steer top-ups towards under-covered chunks
+        const generate = (generateOptions, existingQuestions = []) => (chunked
+            ? this.documentChunker.generate(
+                chunks,
+                generateOptions.numQuestions,
+                async (txt, opts) => await this.providerManager.generateQuestions(txt, opts),
+                generateOptions,
+                existingQuestions
+            )
+            : this.providerManager.generateQuestions(text, generateOptions));
+
+        // Chunks already run side by side, so they aren't split further by question count
+        const useParallel = !chunked && options.parallel !== false && this.parallelProcessor.shouldUseParallel(numQuestions);
 
         // Add provider to cache key
         const currentProvider = this.providerManager.getCurrentProvider();
@@ -129,6 +259,9 @@ class MultiProviderQuestionGenerator {
                 const cached = await this.cacheManager.get(text, cacheOptions);
                 if (cached) {
                     console.log(`✓ Cache hit (age: ${cached.cacheAge}min, uses: ${cached.accessCount})`);
+                    if (onQuestion) {
+                        cached.questions.forEach((question, index) => onQuestion(question, index));
+                    }
                     return cached;
                 }
             } catch (cacheError) {
@@ -137,30 +270,42 @@ class MultiProviderQuestionGenerator {
             }
         }
 
+        report('generating', `Generating ${numQuestions} questions`);
+
         // Use parallel processing for large batches
         let result;
-        if (useParallel) {
-            try {
-                result = await this.parallelProcessor.generateParallel(
-                    text,
-                    numQuestions,
-                    async (txt, opts) => {
-                        return await this.providerManager.generateQuestions(txt, opts);
-                    },
-                    options
-                );
-
-                console.log(`Parallel generation returned ${result.questions.length} questions`);
-            } catch (error) {
-                console.error('Parallel generation failed:', error.message);
-                throw error;
+        try {
+            if (useParallel) {
+                try {
+                    result = await this.parallelProcessor.generateParallel(
+                        text,
+                        numQuestions,
+                        async (txt, opts) => {
+                            return await this.providerManager.generateQuestions(txt, opts);
+                        },
+                        { ...options, ...emitOptions }
+                    );
+
+                    console.log(`Parallel generation returned ${result.questions.length} questions`);
+                } catch (error) {
+                    if (!ErrorHandler.isCancellation(error)) {
+                        console.error('Parallel generation failed:', error.message);
+                    }
+                    throw error;
+                }
+            } else {
+                // Regular generation for small batches
+                if (!chunked && options.parallel !== false && this.parallelProcessor.enabled) {
+                    console.log(`Parallel generation skipped (requested ${numQuestions} < threshold ${this.parallelProcessor.threshold})`);
+                }
+                result = await generate({ ...options, ...emitOptions, numQuestions });
             }
-        } else {
-            // Regular generation for small batches
-            if (options.parallel !== false && this.parallelProcessor.enabled) {
-                console.log(`Parallel generation skipped (requested ${numQuestions} < threshold ${this.parallelProcessor.threshold})`);
+        } catch (error) {
+            if (keepPartial && ErrorHandler.isCancellation(error)) {
+                console.log(`Generation cancelled, keeping ${drafts.length} draft questions`);
+                return partialResult({ questions: drafts, metadata: { questionType: options.questionType } });
             }
-            result = await this.providerManager.generateQuestions(text, options);
+            throw error;
         }
 
         // Apply post-processing to all results (parallel and non-parallel)
@@ -168,16 +313,19 @@ class MultiProviderQuestionGenerator {
 
             // Apply quality scoring if enabled and not disabled for this request
             if (options.qualityCheck !== false && this.qualityScorer && this.qualityScorer.enabled) {
+                report('quality', 'Scoring question quality');
                 const scoringResult = await this.qualityScorer.scoreAndImprove(
                     result.questions,
                     async (count) => {
                         // Regenerate function for low-quality questions
-                        const regenResult = await this.providerManager.generateQuestions(text, {
+                        const regenResult = await generate({
                             ...options,
                             numQuestions: count
-                        });
+                        }, result.questions);
                         return regenResult.questions;
-                    }
+                    },
+                    1,
+                    options.signal
                 );
 
                 // Update result with scored questions
@@ -200,6 +348,7 @@ class MultiProviderQuestionGenerator {
 
             // Apply deduplication if enabled and not disabled for this request
             if (options.deduplicate !== false && this.deduplicator && this.deduplicator.enabled) {
+                report('deduplication', 'Removing duplicate questions');
                 let dedupResult = this.deduplicator.deduplicate(
                     result.questions,
                     result.metadata?.qualityScoring?.statistics ? result.questions.map((_, i) => ({ score: 7 })) : null
@@ -242,12 +391,12 @@ class MultiProviderQuestionGenerator {
                         console.log(`Replenishment attempt ${attempts}/${MAX_REPLENISH_ATTEMPTS}: Generating ${toGenerate} questions...`);
 
                         try {
-                            const replenishResult = await this.providerManager.generateQuestions(text, {
+                            const replenishResult = await generate({
                                 ...options,
                                 numQuestions: toGenerate,
                                 qualityCheck: false, // Skip quality check for speed during replenishment
                                 deduplicate: false // We'll dedup manually
-                            });
+                            }, currentQuestions);
 
                             if (replenishResult.questions && replenishResult.questions.length > 0) {
                                 // Add new questions
@@ -260,6 +409,9 @@ class MultiProviderQuestionGenerator {
                                 console.log(`Replenishment attempt ${attempts} result: Total now ${currentQuestions.length}/${numQuestions}`);
                             }
                         } catch (err) {
+                            if (ErrorHandler.isCancellation(err)) {
+                                throw err;
+                            }
                             console.warn(`Replenishment attempt ${attempts} failed:`, err.message);
                         }
                     }
@@ -286,21 +438,24 @@ class MultiProviderQuestionGenerator {
                 this.difficultyBalancer &&
                 this.difficultyBalancer.enabled &&
                 requestedDifficulty === 'mixed') {
-
+                report('balancing', 'Balancing difficulty');
 
                 const balanceResult = await this.difficultyBalancer.balance(
                     result.questions,
-                    async (count, difficulty) => {
+                    async (count, difficulty, questionType) => {
                         // Regenerate function for specific difficulty
-                        const regenResult = await this.providerManager.generateQuestions(text, {
+                        const regenResult = await generate({
                             ...options,
                             numQuestions: count,
                             difficulty: difficulty,
+                            questionType: questionType || options.questionType,
                             qualityCheck: false, // Skip quality check for rebalancing
                             deduplicate: false // Skip dedup for rebalancing
-                        });
+                        }, result.questions);
                         return regenResult.questions;
-                    }
+                    },
+                    1,
+                    options.signal
                 );
 
 
@@ -328,6 +483,96 @@ class MultiProviderQuestionGenerator {
                 };
             }
 
+            // Cite the passage each question comes from, flagging evidence that isn't in the text
+            const citeSources = options.citeSources !== false && this.sourceLocator.enabled;
+            if (citeSources) {
+                report('citations', 'Citing source passages');
+                result = { ...result, questions: this.sourceLocator.cite(result.questions, text).questions };
+            }
+
+            // Score each question and its answer against the text, rejecting outside content in strict mode
+            if (options.checkGrounding !== false && this.groundednessChecker && this.groundednessChecker.enabled) {
+                report('grounding', 'Checking questions against the text');
+                const grounding = await this.groundednessChecker.check(
+                    result.questions,
+                    text,
+                    async (count) => {
+                        // Replacements for rejected questions
+                        const regenResult = await generate({
+                            ...options,
+                            numQuestions: count,
+                            qualityCheck: false,
+                            deduplicate: false
+                        }, result.questions);
+                        return citeSources
+                            ? this.sourceLocator.cite(regenResult.questions, text).questions
+                            : regenResult.questions;
+                    },
+                    { strict: options.strictGrounding, signal: options.signal }
+                );
+
+                result = {
+                    ...result,
+                    questions: grounding.questions,
+                    metadata: {
+                        ...result.metadata,
+                        groundedness: grounding.summary
+                    }
+                };
+            }
+
+            // Answer each question blind with a second model call and check it against the key
+            if (options.verifyAnswers === true && this.answerVerifier && this.answerVerifier.enabled) {
+                report('verification', 'Verifying answer keys');
+                const verification = await this.answerVerifier.verify(
+                    result.questions,
+                    text,
+                    async (count) => {
+                        // Replacements for questions with disputed keys
+                        const regenResult = await generate({
+                            ...options,
+                            numQuestions: count,
+                            qualityCheck: false,
+                            deduplicate: false
+                        }, result.questions);
+                        return citeSources
+                            ? this.sourceLocator.cite(regenResult.questions, text).questions
+                            : regenResult.questions;
+                    },
+                    { policy: options.verificationPolicy, provider: options.verificationProvider, signal: options.signal }
+                );
+
+                result = {
+                    ...result,
+                    questions: verification.questions,
+                    metadata: {
+                        ...result.metadata,
+                        answerVerification: verification.summary
+                    }
+                };
+            }
+
+            if (citeSources) {
+                result.metadata = { ...result.metadata, sources: this.sourceLocator.summarize(result.questions) };
+            }
+
+            // Record generation settings so exporters can map them to tags and categories
+            result = {
+                ...result,
+                metadata: {
+                    ...result.metadata,
+                    bloomLevel: options.bloomLevel || 'apply',
+                    questionType: options.questionType || 'multiple_choice',
+                    // Rubric points across the set, for short-answer and essay questions
+                    ...(QuestionValidator.isOpenResponse(options.questionType) ? {
+                        totalPoints: result.questions.reduce((sum, q) => sum + (q.maxPoints || 0), 0)
+                    } : {}),
+                    // Which part of a long document each question covers
+                    ...(chunked ? { chunking: this.documentChunker.summarize(text, chunks, result.questions) } : {}),
+                    ...(truncated ? { truncated } : {})
+                }
+            };
+
             // Store in cache (fire and forget)
             if (options.noCache !== true) {
                 this.cacheManager.set(text, cacheOptions, result).catch(err => {
@@ -338,11 +583,59 @@ class MultiProviderQuestionGenerator {
 
             return result;
         } catch (error) {
+            if (ErrorHandler.isCancellation(error)) {
+                if (keepPartial) {
+                    // Not cached: the set is missing the stages that didn't run
+                    console.log(`Generation cancelled during ${stage}, keeping ${result.questions.length} questions`);
+                    return partialResult(result);
+                }
+                throw error;
+            }
             console.error('Question generation failed:', error.message);
             throw error;
         }
     }
 
+    /**
+     * Generate questions from a structured document, optionally from some of its sections only
+     * @param {Object} document - Document model ({ files, sections }, see DocumentStructure.createDocument)
+     * @param {Object} options - Generation options
+     * @param {Array|string} options.sections - Sections to draw from, e.g. "chapter 3", "pages 10-20",
+     *   "slides 4-8" or a title (default: the whole document)
+     * @returns {Promise<Object>} - Generated questions, their sources pointing into the whole document (file, page
+     *   or slide, section); targeted results list the sections used in metadata.sections
+     */
+    async generateFromDocument(document, options = {}) {
+        const { sections: selector, ...generationOptions } = options;
+        const targeted = selector !== undefined && selector !== null && selector !== '';
+
+        const selection = targeted
+            ? DocumentStructure.select(document, selector)
+            : { sections: document.sections, text: DocumentStructure.toText(document.sections) };
+
+        if (targeted) {
+            console.log(`Generating from ${selection.sections.length}/${document.sections.length} sections (${selection.text.length} chars)`);
+        }
+
+        const generated = await this.generateQuestions(selection.text, generationOptions);
+        const result = {
+            ...generated,
+            questions: this.sourceLocator.mapToDocument(generated.questions, document, selection.sections)
+        };
+        if (!targeted) {
+            return result;
+        }
+
+        return {
+            ...result,
+            metadata: {
+                ...result.metadata,
+                sectionSelector: selector,
+                sections: DocumentStructure.getOutline(selection.sections)
+            }
+        };
+    }
+
     /**
      * Generate questions with parallel processing and progress callback
      * @param {string} text - Input text
@@ -475,8 +768,10 @@ class MultiProviderQuestionGenerator {
             return { valid: false, error: 'Text input must be at least 50 characters long' };
         }
 
-        if (trimmed.length > 50000) {
-            return { valid: false, error: 'Text input is too long (max 50,000 characters)' };
+        // Long documents are covered in chunks, so they may be much longer than one provider call takes
+        const maxChars = this.documentChunker.enabled ? this.documentChunker.maxDocumentChars : 50000;
+        if (trimmed.length > maxChars) {
+            return { valid: false, error: `Text input is too long (max ${maxChars.toLocaleString('en-US')} characters)` };
         }
 
         return { valid: true, text: trimmed };
@@ -485,7 +780,7 @@ class MultiProviderQuestionGenerator {
     /**
      * Generate questions from files
      * @param {Array} filePaths - Array of file paths
-     * @param {Object} options - Generation options
+     * @param {Object} options - Generation options (options.sections targets sections, see generateFromDocument)
      * @returns {Promise<Object>} - Generated questions
      */
     async generateFromFiles(filePaths, options = {}) {
@@ -510,14 +805,14 @@ class MultiProviderQuestionGenerator {
                 throw new Error('No text could be extracted from the provided files');
             }
 
-            console.log(`Extracted ${extractedText.length} characters of text`);
+            console.log(`Extracted ${extractedText.length} characters of text in ${extractionResult.document.sections.length} sections`);
 
             const validation = this.validateInput(extractedText);
             if (!validation.valid) {
                 throw new Error(`Invalid extracted text: ${validation.error}`);
             }
 
-            return await this.generateQuestions(validation.text, options);
+            return await this.generateFromDocument(extractionResult.document, options);
         } catch (error) {
             console.error('File processing failed:', error.message);
             throw error;
@@ -601,6 +896,13 @@ class MultiProviderQuestionGenerator {
         return this.parallelProcessor.getConfig();
     }
 
+    /**
+     * Get long-document chunking configuration
+     */
+    getChunkingConfig() {
+        return this.documentChunker.getConfig();
+    }
+
     /**
      * Estimate time savings for parallel processing
      * @param {number} numQuestions - Number of questions
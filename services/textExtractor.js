@@ -3,6 +3,8 @@ const path = require('path');
 const pdfParse = require('pdf-parse');
 const mammoth = require('mammoth');
 const officeParser = require('officeparser');
+const JSZip = require('jszip');
+const DocumentStructure = require('../utils/documentStructure');
 
 /**
  * Extract text from a PDF file
@@ -20,6 +22,38 @@ async function extractTextFromPDF(filePath) {
     }
 }
 
+/**
+ * Extract the pages of a PDF file
+ * @param {string} filePath - Path to the PDF file
+ * @returns {Promise<Array<string>>} - Text of each page, in page order
+ */
+async function extractPagesFromPDF(filePath) {
+    try {
+        const dataBuffer = await fs.readFile(filePath);
+        const pages = [];
+
+        // Same line joining as pdf-parse's default renderer, but keeping each page apart
+        await pdfParse(dataBuffer, {
+            pagerender: async pageData => {
+                const textContent = await pageData.getTextContent({ normalizeWhitespace: false, disableCombineTextItems: false });
+                let lastY;
+                let text = '';
+                for (const item of textContent.items) {
+                    text += lastY === item.transform[5] || !lastY ? item.str : `\n${item.str}`;
+                    lastY = item.transform[5];
+                }
+                pages[pageData.pageIndex] = text;
+                return text;
+            }
+        });
+
+        return Array.from(pages, page => page || '');
+    } catch (error) {
+        console.error('Error extracting text from PDF:', error);
+        throw new Error(`Failed to extract text from PDF: ${error.message}`);
+    }
+}
+
 /**
  * Extract text from a DOCX file
  * @param {string} filePath - Path to the DOCX file
@@ -35,6 +69,119 @@ async function extractTextFromDOCX(filePath) {
     }
 }
 
+/**
+ * Decode the character entities mammoth and Office XML use
+ * @param {string} text - Escaped text
+ * @returns {string}
+ */
+function decodeEntities(text) {
+    return text
+        .replace(/&#x([0-9a-f]+);/gi, (_, hex) => String.fromCodePoint(parseInt(hex, 16)))
+        .replace(/&#(\d+);/g, (_, code) => String.fromCodePoint(parseInt(code, 10)))
+        .replace(/&quot;/g, '"')
+        .replace(/&apos;/g, "'")
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&amp;/g, '&');
+}
+
+/**
+ * Extract the lines of a DOCX file with the heading levels its styles declare
+ * @param {string} filePath - Path to the DOCX file
+ * @returns {Promise<Array<Object>>} - Array of { text, level? } (level 1-6 for Heading 1-6)
+ */
+async function extractLinesFromDOCX(filePath) {
+    try {
+        const result = await mammoth.convertToHtml({ path: filePath });
+
+        // Mark headings, end every block on its own line, then drop the remaining markup
+        const text = result.value
+            .replace(/<h([1-6])[^>]*>/gi, '\n\u0001$1')
+            .replace(/<\/(h[1-6]|p|li|tr|table|ul|ol)>|<br\s*\/?>/gi, '\n')
+            .replace(/<\/t[dh]>/gi, '\t')
+            .replace(/<[^>]+>/g, '');
+
+        return decodeEntities(text).split('\n').map(line => {
+            const heading = line.match(/^\u0001([1-6])(.*)$/);
+            return heading ? { text: heading[2], level: parseInt(heading[1], 10) } : { text: line };
+        });
+    } catch (error) {
+        console.error('Error extracting text from DOCX:', error);
+        throw new Error(`Failed to extract text from DOCX: ${error.message}`);
+    }
+}
+
+/**
+ * Read the paragraphs of a slide (or notes) XML part
+ * @param {string} xml - Part XML
+ * @returns {Object} - { title, paragraphs }
+ */
+function readSlideXml(xml) {
+    const paragraphsOf = fragment => (fragment.match(/<a:p>[\s\S]*?<\/a:p>|<a:p\s[\s\S]*?<\/a:p>/g) || [])
+        .map(paragraph => decodeEntities((paragraph.match(/<a:t>([^<]*)<\/a:t>|<a:t\s[^>]*>([^<]*)<\/a:t>/g) || [])
+            .map(run => run.replace(/<[^>]+>/g, ''))
+            .join('')).trim())
+        .filter(Boolean);
+
+    const shapes = xml.match(/<p:sp>[\s\S]*?<\/p:sp>/g) || [];
+    const titleShape = shapes.find(shape => /<p:ph[^>]*type="(?:title|ctrTitle)"/.test(shape));
+
+    return {
+        title: titleShape ? paragraphsOf(titleShape).join(' ') : '',
+        paragraphs: paragraphsOf(xml)
+    };
+}
+
+/**
+ * Extract the slides of a PPTX file in presentation order, with their speaker notes
+ * @param {string} filePath - Path to the PPTX file
+ * @returns {Promise<Array<Object>>} - Array of { slide, title, text }
+ */
+async function extractSlidesFromPPTX(filePath) {
+    try {
+        const zip = await JSZip.loadAsync(await fs.readFile(filePath));
+        const read = async name => (zip.file(name) ? zip.file(name).async('string') : '');
+        const relationships = xml => Object.fromEntries(
+            [...xml.matchAll(/<Relationship\s[^>]*?Id="([^"]+)"[^>]*?Target="([^"]+)"/g)].map(match => [match[1], match[2]])
+        );
+
+        // Presentation order comes from presentation.xml; file names only number slides by creation
+        const presentationRels = relationships(await read('ppt/_rels/presentation.xml.rels'));
+        let slidePaths = [...(await read('ppt/presentation.xml')).matchAll(/<p:sldId\s[^>]*r:id="([^"]+)"/g)]
+            .map(match => presentationRels[match[1]])
+            .filter(Boolean)
+            .map(target => path.posix.join('ppt', target));
+        if (slidePaths.length === 0) {
+            slidePaths = Object.keys(zip.files)
+                .filter(name => /^ppt\/slides\/slide\d+\.xml$/.test(name))
+                .sort((a, b) => parseInt(a.match(/(\d+)\.xml$/)[1], 10) - parseInt(b.match(/(\d+)\.xml$/)[1], 10));
+        }
+
+        const slides = [];
+        for (const [index, slidePath] of slidePaths.entries()) {
+            const { title, paragraphs } = readSlideXml(await read(slidePath));
+
+            const slideRels = relationships(await read(path.posix.join(path.posix.dirname(slidePath), '_rels', `${path.posix.basename(slidePath)}.rels`)));
+            const notesTarget = Object.values(slideRels).find(target => /notesSlide\d+\.xml$/.test(target));
+            const notes = notesTarget
+                ? readSlideXml(await read(path.posix.join(path.posix.dirname(slidePath), notesTarget))).paragraphs
+                    .filter(paragraph => !/^\d+$/.test(paragraph)) // Drop the slide number placeholder
+                : [];
+
+            slides.push({
+                slide: index + 1,
+                title: title || paragraphs[0] || `Slide ${index + 1}`,
+                text: [...paragraphs, ...(notes.length > 0 ? ['Notes:', ...notes] : [])].join('\n')
+            });
+        }
+
+        return slides;
+    } catch (error) {
+        console.error('Error extracting text from PPTX:', error);
+        throw new Error(`Failed to extract text from PPTX: ${error.message}`);
+    }
+}
+
 /**
  * Extract text from PPTX, DOC, or other Office files
  * @param {string} filePath - Path to the file
@@ -100,26 +247,95 @@ async function extractTextFromFile(filePath, originalName) {
     }
 }
 
+/**
+ * Extract a file as structured sections: headings and pages for PDF, heading styles for DOCX,
+ * slides for PPTX, and detected headings for plain text. Other formats become one section.
+ * @param {string} filePath - Path to the file
+ * @param {string} originalName - Original filename
+ * @returns {Promise<Object>} - { name, type, pages?, slides?, sections }
+ */
+async function extractDocumentFromFile(filePath, originalName) {
+    const ext = path.extname(originalName).toLowerCase();
+    const type = ext.replace('.', '') || 'unknown';
+
+    console.log(`Extracting structure from ${originalName} (${ext})`);
+
+    try {
+        switch (ext) {
+            case '.pdf': {
+                const pages = await extractPagesFromPDF(filePath);
+                const lines = pages.flatMap((page, index) => page.split('\n').map(text => ({ text, page: index + 1 })));
+                return { name: originalName, type, pages: pages.length, sections: DocumentStructure.buildSections(lines, originalName) };
+            }
+
+            case '.docx':
+                return { name: originalName, type, sections: DocumentStructure.buildSections(await extractLinesFromDOCX(filePath), originalName) };
+
+            case '.pptx': {
+                const slides = await extractSlidesFromPPTX(filePath);
+                return {
+                    name: originalName,
+                    type,
+                    slides: slides.length,
+                    sections: slides
+                        .filter(slide => slide.text.trim() !== '')
+                        .map(slide => ({
+                            title: slide.title,
+                            number: null,
+                            level: 1,
+                            file: originalName,
+                            slide: slide.slide,
+                            text: slide.text
+                        }))
+                };
+            }
+
+            case '.txt':
+                return { name: originalName, type, sections: DocumentStructure.segmentText(await extractTextFromTXT(filePath), originalName) };
+
+            default: {
+                const text = await extractTextFromFile(filePath, originalName);
+                return {
+                    name: originalName,
+                    type,
+                    sections: text && text.trim() !== ''
+                        ? [{ title: originalName, number: null, level: 1, file: originalName, text: text.trim() }]
+                        : []
+                };
+            }
+        }
+    } catch (error) {
+        throw new Error(`Failed to extract text from ${originalName}: ${error.message}`);
+    }
+}
+
 /**
  * Process multiple files and extract text
  * @param {Array} files - Array of uploaded file objects
- * @returns {Promise<Object>} - Object with extracted texts and file information
+ * @returns {Promise<Object>} - Object with extracted texts, file information, and the structured
+ *   document model ({ files, sections }, see DocumentStructure.createDocument)
  */
 async function processFiles(files) {
     const extractedTexts = [];
     const fileInfo = [];
+    const documents = [];
 
     for (const file of files) {
         try {
             console.log(`Processing: ${file.originalname} (${(file.size / 1024).toFixed(2)} KB)`);
-            const text = await extractTextFromFile(file.path, file.originalname);
+            const extracted = await extractDocumentFromFile(file.path, file.originalname);
+            const text = DocumentStructure.toText(extracted.sections);
             
             if (text && text.trim().length > 0) {
                 extractedTexts.push(text);
+                documents.push(extracted);
                 fileInfo.push({
                     name: file.originalname,
                     size: file.size,
                     textLength: text.length,
+                    sections: extracted.sections.length,
+                    ...(extracted.pages ? { pages: extracted.pages } : {}),
+                    ...(extracted.slides ? { slides: extracted.slides } : {}),
                     status: 'success'
                 });
                 console.log(`✓ Extracted ${text.length} characters from ${file.originalname}`);
@@ -147,11 +363,13 @@ async function processFiles(files) {
         extractedTexts,
         fileInfo,
         combinedText: extractedTexts.join('\n\n'),
-        totalTextLength: extractedTexts.reduce((sum, text) => sum + text.length, 0)
+        totalTextLength: extractedTexts.reduce((sum, text) => sum + text.length, 0),
+        document: DocumentStructure.createDocument(documents)
     };
 }
 
 module.exports = {
     extractTextFromFile,
+    extractDocumentFromFile,
     processFiles
 };
\ No newline at end of file
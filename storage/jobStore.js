@@ -46,7 +46,7 @@ class JobStore {
     }
 
     /**
-     * Create jobs table
+     * Create jobs, webhook_deliveries and tenant_limits tables
      */
     async createTables() {
         const createTableSQL = `
@@ -66,21 +66,56 @@ class JobStore {
 
         const createIndexSQL = 'CREATE INDEX IF NOT EXISTS idx_status ON jobs(status)';
 
-        return new Promise((resolve, reject) => {
-            this.db.run(createTableSQL, (err) => {
-                if (err) {
-                    reject(new Error(`Failed to create jobs table: ${err.message}`));
-                    return;
-                }
+        // One row per webhook delivery attempt (see WebhookDispatcher)
+        const createDeliveriesSQL = `
+            CREATE TABLE IF NOT EXISTS webhook_deliveries (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                job_id TEXT NOT NULL,
+                delivery_id TEXT NOT NULL,
+                event TEXT NOT NULL,
+                url TEXT NOT NULL,
+                attempt INTEGER NOT NULL,
+                status_code INTEGER,
+                error TEXT,
+                delivered INTEGER NOT NULL,
+                will_retry INTEGER NOT NULL,
+                duration_ms INTEGER,
+                attempted_at INTEGER NOT NULL
+            )
+        `;
 
-                this.db.run(createIndexSQL, (err) => {
-                    if (err) {
+        const createDeliveriesIndexSQL = 'CREATE INDEX IF NOT EXISTS idx_deliveries_job ON webhook_deliveries(job_id)';
+
+        // Per-tenant concurrency caps (see JobQueue)
+        const createTenantLimitsSQL = `
+            CREATE TABLE IF NOT EXISTS tenant_limits (
+                tenant TEXT PRIMARY KEY,
+                max_concurrent INTEGER NOT NULL,
+                updated_at INTEGER NOT NULL
+            )
+        `;
+
+        const tables = [
+            { sql: createTableSQL, name: 'jobs table' },
+            { sql: createIndexSQL, optional: true },
+            { sql: createDeliveriesSQL, name: 'webhook_deliveries table' },
+            { sql: createDeliveriesIndexSQL, optional: true },
+            { sql: createTenantLimitsSQL, name: 'tenant_limits table' }
+        ];
+
+        for (const { sql, name, optional } of tables) {
+            await new Promise((resolve, reject) => {
+                this.db.run(sql, (err) => {
+                    if (err && optional) {
                         console.warn('Index creation warning:', err.message);
+                    } else if (err) {
+                        reject(new Error(`Failed to create ${name}: ${err.message}`));
+                        return;
                     }
                     resolve();
                 });
             });
-        });
+        }
     }
 
     /**
@@ -226,6 +261,159 @@ class JobStore {
         });
     }
 
+    /**
+     * Record a webhook delivery attempt
+     * @param {string} jobId - Job ID
+     * @param {Object} attempt - { deliveryId, event, url, attempt, statusCode, error, delivered, willRetry,
+     *   durationMs, attemptedAt }
+     */
+    async saveWebhookAttempt(jobId, attempt) {
+        if (!this.enabled || !this.db) {
+            return;
+        }
+
+        const query = `
+            INSERT INTO webhook_deliveries
+            (job_id, delivery_id, event, url, attempt, status_code, error, delivered, will_retry, duration_ms, attempted_at)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `;
+
+        const params = [
+            jobId,
+            attempt.deliveryId,
+            attempt.event,
+            attempt.url,
+            attempt.attempt,
+            attempt.statusCode || null,
+            attempt.error || null,
+            attempt.delivered ? 1 : 0,
+            attempt.willRetry ? 1 : 0,
+            attempt.durationMs ?? null,
+            attempt.attemptedAt
+        ];
+
+        return new Promise((resolve, reject) => {
+            this.db.run(query, params, (err) => {
+                if (err) {
+                    console.error('Webhook attempt save error:', err.message);
+                    reject(err);
+                } else {
+                    resolve();
+                }
+            });
+        });
+    }
+
+    /**
+     * Load a job's webhook delivery attempts, oldest first
+     * @param {string} jobId - Job ID
+     * @returns {Promise<Array>}
+     */
+    async loadWebhookAttempts(jobId) {
+        if (!this.enabled || !this.db) {
+            return [];
+        }
+
+        return new Promise((resolve, reject) => {
+            const query = 'SELECT * FROM webhook_deliveries WHERE job_id = ? ORDER BY id';
+
+            this.db.all(query, [jobId], (err, rows) => {
+                if (err) {
+                    console.error('Webhook attempts load error:', err.message);
+                    reject(err);
+                    return;
+                }
+
+                resolve(rows.map(row => ({
+                    deliveryId: row.delivery_id,
+                    event: row.event,
+                    url: row.url,
+                    attempt: row.attempt,
+                    statusCode: row.status_code,
+                    ...(row.error ? { error: row.error } : {}),
+                    delivered: row.delivered === 1,
+                    willRetry: row.will_retry === 1,
+                    durationMs: row.duration_ms,
+                    attemptedAt: row.attempted_at
+                })));
+            });
+        });
+    }
+
+    /**
+     * IDs of jobs whose last webhook attempt failed with a retry still to come
+     * @returns {Promise<Array<string>>}
+     */
+    async loadPendingWebhooks() {
+        if (!this.enabled || !this.db) {
+            return [];
+        }
+
+        return new Promise((resolve, reject) => {
+            const query = `
+                SELECT job_id FROM webhook_deliveries
+                WHERE id IN (SELECT MAX(id) FROM webhook_deliveries GROUP BY job_id)
+                AND will_retry = 1
+            `;
+
+            this.db.all(query, [], (err, rows) => {
+                if (err) {
+                    console.error('Pending webhooks load error:', err.message);
+                    reject(err);
+                    return;
+                }
+                resolve(rows.map(row => row.job_id));
+            });
+        });
+    }
+
+    /**
+     * Set a tenant's concurrency cap
+     * @param {string} tenant - Tenant
+     * @param {number|null} maxConcurrent - Cap, or null to remove it
+     */
+    async saveTenantLimit(tenant, maxConcurrent) {
+        if (!this.enabled || !this.db) {
+            return;
+        }
+
+        const [query, params] = maxConcurrent
+            ? ['INSERT OR REPLACE INTO tenant_limits (tenant, max_concurrent, updated_at) VALUES (?, ?, ?)', [tenant, maxConcurrent, Date.now()]]
+            : ['DELETE FROM tenant_limits WHERE tenant = ?', [tenant]];
+
+        return new Promise((resolve, reject) => {
+            this.db.run(query, params, (err) => {
+                if (err) {
+                    console.error('Tenant limit save error:', err.message);
+                    reject(err);
+                } else {
+                    resolve();
+                }
+            });
+        });
+    }
+
+    /**
+     * Load all tenant concurrency caps
+     * @returns {Promise<Array>} - { tenant, maxConcurrent }
+     */
+    async loadTenantLimits() {
+        if (!this.enabled || !this.db) {
+            return [];
+        }
+
+        return new Promise((resolve, reject) => {
+            this.db.all('SELECT tenant, max_concurrent FROM tenant_limits', [], (err, rows) => {
+                if (err) {
+                    console.error('Tenant limits load error:', err.message);
+                    reject(err);
+                    return;
+                }
+                resolve(rows.map(row => ({ tenant: row.tenant, maxConcurrent: row.max_concurrent })));
+            });
+        });
+    }
+
     /**
      * Delete old jobs
      * @param {number} olderThan - Delete jobs older than this (ms)
@@ -240,11 +428,12 @@ class JobStore {
         return new Promise((resolve, reject) => {
             const query = `
                 DELETE FROM jobs 
-                WHERE (status = 'completed' OR status = 'failed')
+                WHERE (status = 'completed' OR status = 'failed' OR status = 'cancelled')
                 AND completed_at < ?
             `;
 
-            this.db.run(query, [cutoff], function(err) {
+            const db = this.db;
+            db.run(query, [cutoff], function(err) {
                 if (err) {
                     console.error('Job cleanup error:', err.message);
                     reject(err);
@@ -252,7 +441,15 @@ class JobStore {
                     if (this.changes > 0) {
                         console.log(`Deleted ${this.changes} old jobs`);
                     }
-                    resolve(this.changes);
+                    const changes = this.changes;
+
+                    // Their webhook deliveries go with them
+                    db.run('DELETE FROM webhook_deliveries WHERE job_id NOT IN (SELECT id FROM jobs)', (err) => {
+                        if (err) {
+                            console.warn('Webhook delivery cleanup warning:', err.message);
+                        }
+                        resolve(changes);
+                    });
                 }
             });
         });
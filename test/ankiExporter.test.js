@@ -0,0 +1,81 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const sqlite3 = require('sqlite3');
+const JSZip = require('jszip');
+const AnkiExporter = require('../exporters/ankiExporter');
+const QuestionValidator = require('../utils/questionValidator');
+
+/**
+ * Anki .apkg decks, read back through the collection database they contain
+ */
+
+const questions = [
+    { questiontext: 'Which gas do plants <absorb>?', options: ['Oxygen', 'Carbon dioxide', 'Nitrogen', 'Helium'], correctanswer: 'B', rationale: 'Used in\nphotosynthesis' },
+    { questiontext: 'Plants make food by _____.', questionType: 'cloze', correctanswer: 'photosynthesis', alternativeAnswers: ['photosynthesizing'], rationale: 'Definition' },
+    { questiontext: 'Order the stages of mitosis.', questionType: 'ordering', sequence: ['Prophase', 'Metaphase', 'Anaphase', 'Telophase'], rationale: 'PMAT' }
+].map(question => QuestionValidator.normalize(question));
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'nlp-qg-anki-test-'));
+
+after(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+});
+
+/**
+ * Export a deck and query its collection
+ */
+async function readDeck(options = {}) {
+    const zip = await JSZip.loadAsync(await new AnkiExporter().export({ questions }, options));
+    assert.deepStrictEqual(Object.keys(zip.files).sort(), ['collection.anki2', 'media']);
+    assert.strictEqual(await zip.file('media').async('string'), '{}');
+
+    const dbPath = path.join(tempDir, `${Date.now()}-${Math.random()}.anki2`);
+    fs.writeFileSync(dbPath, await zip.file('collection.anki2').async('nodebuffer'));
+    const db = new sqlite3.Database(dbPath, sqlite3.OPEN_READONLY);
+    const all = sql => new Promise((resolve, reject) => db.all(sql, (error, rows) => (error ? reject(error) : resolve(rows))));
+
+    try {
+        return {
+            col: (await all('SELECT * FROM col'))[0],
+            notes: await all('SELECT * FROM notes ORDER BY id'),
+            cards: await all('SELECT * FROM cards ORDER BY id')
+        };
+    } finally {
+        await new Promise(resolve => db.close(resolve));
+    }
+}
+
+test('writes one note and card per question into the named deck', async () => {
+    const { col, notes, cards } = await readDeck({ deck: 'Biology' });
+    const decks = JSON.parse(col.decks);
+    const models = JSON.parse(col.models);
+    const deckId = Object.keys(decks).find(id => decks[id].name === 'Biology');
+
+    assert.ok(deckId);
+    assert.strictEqual(notes.length, questions.length);
+    assert.strictEqual(cards.length, questions.length);
+    assert.ok(cards.every((card, index) => String(card.did) === deckId && card.nid === notes[index].id));
+    assert.ok(notes.every(note => models[note.mid]));
+});
+
+test('renders escaped fronts and backs for each question type', async () => {
+    const { notes } = await readDeck();
+    const fields = notes.map(note => note.flds.split('\x1f'));
+
+    assert.ok(fields[0][0].includes('Which gas do plants &lt;absorb&gt;?'));
+    assert.ok(fields[0][1].includes('B. Carbon dioxide'));
+    assert.ok(fields[0][1].includes('Used in<br>photosynthesis'));
+    assert.ok(fields[1][1].includes('Also accepted: photosynthesizing'));
+    assert.ok(fields[2][1].includes('<li>Prophase</li><li>Metaphase</li>'));
+    assert.strictEqual(notes[0].csum, new AnkiExporter().checksum(questions[0].questiontext));
+});
+
+test('keeps note GUIDs stable so re-imports update the same notes', async () => {
+    const first = await readDeck();
+    const second = await readDeck();
+    assert.deepStrictEqual(first.notes.map(note => note.guid), second.notes.map(note => note.guid));
+    assert.strictEqual(new Set(first.notes.map(note => note.guid)).size, questions.length);
+});
@@ -0,0 +1,58 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const { isValidApiKey, getKeyId, getTenantId, isKeyId } = require('../middleware/auth');
+
+/**
+ * API keys and the tenants jobs are scheduled under
+ */
+
+const saved = {};
+
+beforeEach(() => {
+    for (const name of ['SERVER_API_KEY', 'SERVER_API_KEYS']) {
+        saved[name] = process.env[name];
+        delete process.env[name];
+    }
+});
+
+afterEach(() => {
+    for (const [name, value] of Object.entries(saved)) {
+        if (value === undefined) {
+            delete process.env[name];
+        } else {
+            process.env[name] = value;
+        }
+    }
+});
+
+test('accepts any key when none is configured', () => {
+    assert.strictEqual(isValidApiKey('anything'), true);
+});
+
+test('accepts SERVER_API_KEY and each of SERVER_API_KEYS', () => {
+    process.env.SERVER_API_KEY = 'main';
+    process.env.SERVER_API_KEYS = 'client-a, client-b';
+
+    assert.strictEqual(isValidApiKey('main'), true);
+    assert.strictEqual(isValidApiKey('client-a'), true);
+    assert.strictEqual(isValidApiKey('client-b'), true);
+    assert.strictEqual(isValidApiKey('client-c'), false);
+    assert.strictEqual(isValidApiKey(undefined), false);
+});
+
+test('gives each configured key its own tenant', () => {
+    process.env.SERVER_API_KEYS = 'client-a,client-b';
+
+    assert.strictEqual(getTenantId('client-a'), getKeyId('client-a'));
+    assert.notStrictEqual(getTenantId('client-a'), getTenantId('client-b'));
+    assert.ok(isKeyId(getTenantId('client-a')));
+});
+
+test('puts unknown and missing keys in the public tenant', () => {
+    assert.strictEqual(getTenantId('made-up-1'), 'public');
+    assert.strictEqual(getTenantId('made-up-2'), 'public');
+    assert.strictEqual(getTenantId(undefined), 'public');
+
+    process.env.SERVER_API_KEYS = 'client-a';
+    assert.strictEqual(getTenantId('client-b'), 'public');
+});
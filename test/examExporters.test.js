@@ -0,0 +1,54 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const ExamHtmlExporter = require('../exporters/examHtmlExporter');
+const ExamPdfExporter = require('../exporters/examPdfExporter');
+const QuestionValidator = require('../utils/questionValidator');
+
+/**
+ * Printable exams: forms and answer keys rendered as HTML and PDF
+ */
+
+const questions = [
+    { questiontext: 'Which gas do plants <absorb>?', options: ['Oxygen', 'Carbon dioxide', 'Nitrogen', 'Helium'], correctanswer: 'B', rationale: 'Used in photosynthesis' },
+    { questiontext: 'Explain photosynthesis.', questionType: 'short_answer', modelAnswer: 'Light to sugar', keyIdeas: ['light'], rubric: [{ criterion: 'Mentions light', points: 2, description: 'Energy source' }], rationale: 'Core' },
+    { questiontext: 'Match each organelle with its role.', questionType: 'matching', pairs: [{ premise: 'Mitochondrion', response: 'Energy' }, { premise: 'Nucleus', response: 'DNA' }, { premise: 'Ribosome', response: 'Protein' }], rationale: 'Cell biology' },
+    { questiontext: 'Speed for d={d} m and t={t} s?', questionType: 'numerical', formula: 'd / t', parameters: { d: { min: 10, max: 20, step: 1 }, t: { min: 1, max: 2, step: 1 } }, tolerance: 0.01, unit: 'm/s', rationale: 'Speed is distance over time' }
+].map(question => QuestionValidator.normalize(question));
+
+const sections = (html, name) => html.split(`<section class="${name}">`).length - 1;
+
+test('HTML: renders each form, then an answer key per form', async () => {
+    const html = await new ExamHtmlExporter().export({ questions }, { numForms: 2, seed: 'seed-1', title: 'Cells & Energy' });
+
+    assert.ok(html.startsWith('<!DOCTYPE html>'));
+    assert.strictEqual(sections(html, 'form'), 2);
+    assert.strictEqual(sections(html, 'answer-key'), 2);
+    assert.ok(html.includes('<title>Cells &amp; Energy</title>'));
+    assert.ok(html.includes('Which gas do plants &lt;absorb&gt;?'));
+    assert.ok(html.includes('<ol class="premises">'));
+    assert.ok(html.includes('(2 pts)'));
+    assert.ok(html.includes('Seed: seed-1'));
+    assert.ok(!/\{[dt]\}/.test(html), 'numerical placeholders are filled in');
+});
+
+test('HTML: the same seed prints the same forms, and keys can be left out', async () => {
+    const exporter = new ExamHtmlExporter();
+    const options = { numForms: 2, seed: 'seed-1' };
+    assert.strictEqual(await exporter.export({ questions }, options), await exporter.export({ questions }, options));
+
+    const html = await exporter.export({ questions }, { ...options, includeAnswerKey: 'false' });
+    assert.strictEqual(sections(html, 'form'), 2);
+    assert.strictEqual(sections(html, 'answer-key'), 0);
+});
+
+test('PDF: renders a page per form and per answer key', async () => {
+    const exporter = new ExamPdfExporter();
+    const pages = pdf => (pdf.toString('latin1').match(/\/Type \/Page\b/g) || []).length;
+
+    const pdf = await exporter.export({ questions }, { numForms: 2, seed: 'seed-1' });
+    assert.ok(Buffer.isBuffer(pdf));
+    assert.strictEqual(pdf.subarray(0, 5).toString(), '%PDF-');
+    assert.strictEqual(pages(pdf), 4);
+
+    assert.strictEqual(pages(await exporter.export({ questions }, { numForms: 2, includeAnswerKey: false })), 2);
+});
@@ -0,0 +1,58 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const ExpressionEvaluator = require('../utils/expressionEvaluator');
+
+/**
+ * Formula parsing and evaluation for numerical questions
+ */
+
+const evaluate = ExpressionEvaluator.evaluate.bind(ExpressionEvaluator);
+
+test('follows operator precedence and associativity', () => {
+    assert.strictEqual(evaluate('2 + 3 * 4'), 14);
+    assert.strictEqual(evaluate('(2 + 3) * 4'), 20);
+    assert.strictEqual(evaluate('2 ^ 3 ^ 2'), 512);
+    assert.strictEqual(evaluate('2 ** 3'), 8);
+    assert.strictEqual(evaluate('-2 ^ 2'), -4);
+    assert.strictEqual(evaluate('2 ^ -1'), 0.5);
+    assert.strictEqual(evaluate('10 - 4 - 3'), 3);
+    assert.strictEqual(evaluate('7 % 4'), 3);
+    assert.strictEqual(evaluate('1.5e2 + .5'), 150.5);
+});
+
+test('uses variables, constants and functions', () => {
+    assert.strictEqual(evaluate('sqrt(a^2 + b^2)', { a: 3, b: '4' }), 5);
+    assert.strictEqual(evaluate('round(PI, 2)'), 3.14);
+    assert.strictEqual(evaluate('max(x, 2, y)', { x: 1, y: 9 }), 9);
+    assert.deepStrictEqual(ExpressionEvaluator.getVariables('d / t + sin(d) * pi'), ['d', 't']);
+    assert.strictEqual(ExpressionEvaluator.isReserved('Sqrt'), true);
+    assert.strictEqual(ExpressionEvaluator.isReserved('speed'), false);
+});
+
+test('rejects formulas it doesn\'t understand', () => {
+    for (const [formula, message] of [
+        ['', /empty/],
+        ['2 +', /end of formula/],
+        ['(1 + 2', /end of formula/],
+        ['1 2', /"2" at position 3/],
+        ['a; process.exit()', /unexpected ";" at position 2/],
+        ['constructor(1)', /unknown function "constructor"/],
+        ['toString(1)', /unknown function/],
+        ['sqrt', /needs parentheses/],
+        ['pow(2)', /pow\(\) takes 2 argument/],
+        ['x'.repeat(ExpressionEvaluator.MAX_LENGTH + 1), /longer than/],
+        ['('.repeat(60) + '1' + ')'.repeat(60), /nested more than/]
+    ]) {
+        assert.throws(() => ExpressionEvaluator.parse(formula), message, formula.slice(0, 20));
+    }
+});
+
+test('refuses results that aren\'t finite numbers', () => {
+    assert.throws(() => evaluate('a / b', { a: 1, b: 0 }), /Division by zero/);
+    assert.throws(() => evaluate('a % 0', { a: 1 }), /Division by zero/);
+    assert.throws(() => evaluate('sqrt(-1)'), /not a finite number/);
+    assert.throws(() => evaluate('10 ^ 400'), /not a finite number/);
+    assert.throws(() => evaluate('x + 1'), /Unknown variable "x"/);
+    assert.throws(() => evaluate('x + 1', { x: 'abc' }), /"x" is not a number/);
+    assert.throws(() => evaluate('toString + 1', {}), /Unknown variable "toString"/);
+});
@@ -0,0 +1,105 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const GeminiProvider = require('../providers/geminiProvider');
+const ErrorHandler = require('../utils/errorHandler');
+
+/**
+ * Gemini provider request payloads, checked against the HTTP requests the SDK sends
+ * (global fetch is replaced, so nothing reaches the network)
+ */
+
+const originalFetch = global.fetch;
+let requests;
+let reply;
+
+beforeEach(() => {
+    requests = [];
+    reply = { ok: true };
+    global.fetch = async (url, init) => {
+        requests.push({ url: String(url), body: JSON.parse(init.body), signal: init.signal });
+        return new Response(JSON.stringify({
+            candidates: [{ content: { role: 'model', parts: [{ text: JSON.stringify(reply) }] }, finishReason: 'STOP' }]
+        }), { status: 200, headers: { 'Content-Type': 'application/json' } });
+    };
+});
+
+afterEach(() => {
+    global.fetch = originalFetch;
+});
+
+async function createProvider(config = {}) {
+    const provider = new GeminiProvider({ apiKey: 'test-key', model: 'gemini-2.5-flash', structuredOutput: true, ...config });
+    await provider.initialize();
+    return provider;
+}
+
+const schema = {
+    type: 'object',
+    properties: {
+        ok: { type: 'boolean' },
+        note: { type: ['string', 'null'] }
+    },
+    required: ['ok'],
+    additionalProperties: false
+};
+
+test('complete() sends the response schema to the v1beta API', async () => {
+    const provider = await createProvider();
+    const result = await provider.complete('Say ok', { system: 'Be brief.', temperature: 0, maxTokens: 50, responseSchema: schema });
+
+    assert.deepStrictEqual(result, { ok: true });
+    assert.strictEqual(requests.length, 1);
+    const { url, body } = requests[0];
+    assert.match(url, /\/v1beta\/models\/gemini-2\.5-flash:generateContent$/);
+    assert.deepStrictEqual(body.generationConfig, {
+        temperature: 0,
+        maxOutputTokens: 50,
+        responseMimeType: 'application/json',
+        responseSchema: {
+            type: 'object',
+            properties: {
+                ok: { type: 'boolean' },
+                note: { type: 'string', nullable: true }
+            },
+            required: ['ok']
+        }
+    });
+    assert.deepStrictEqual(body.systemInstruction.parts, [{ text: 'Be brief.' }]);
+    assert.deepStrictEqual(body.contents, [{ role: 'user', parts: [{ text: 'Say ok' }] }]);
+});
+
+test('complete() puts the schema in the prompt when structured output is off', async () => {
+    const provider = await createProvider({ structuredOutput: false });
+    await provider.complete('Say ok', { responseSchema: schema });
+
+    const { body } = requests[0];
+    assert.strictEqual(body.generationConfig.responseSchema, undefined);
+    assert.strictEqual(body.generationConfig.responseMimeType, undefined);
+    assert.match(body.contents[0].parts[0].text, /"ok"/);
+});
+
+test('generateQuestions() requests JSON matching the question schema', async () => {
+    const provider = await createProvider();
+    reply = { questions: [] };
+    await provider.generateQuestions('Photosynthesis turns light into chemical energy.', { numQuestions: 1 }).catch(() => {});
+
+    const { body } = requests[0];
+    assert.strictEqual(body.generationConfig.responseMimeType, 'application/json');
+    assert.strictEqual(body.generationConfig.responseSchema.type, 'object');
+    assert.ok(body.generationConfig.responseSchema.properties.questions);
+});
+
+test('an aborted signal cancels the request', async () => {
+    const provider = await createProvider();
+    const controller = new AbortController();
+    global.fetch = (url, init) => new Promise((resolve, reject) => {
+        requests.push({ signal: init.signal });
+        init.signal.addEventListener('abort', () => reject(new Error('aborted')));
+    });
+
+    const pending = provider.complete('Say ok', { signal: controller.signal });
+    setTimeout(() => controller.abort(), 10);
+
+    await assert.rejects(pending, error => ErrorHandler.isCancellation(error));
+    assert.strictEqual(requests[0].signal.aborted, true);
+});
@@ -0,0 +1,37 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const HashGenerator = require('../utils/hash');
+
+/**
+ * Cache keys: every option that changes the generated set must change the key
+ */
+
+const text = 'Mitochondria produce ATP.';
+const key = options => HashGenerator.generateCacheKey(text, { numQuestions: 5, ...options });
+
+test('options that change the result change the cache key', () => {
+    const base = key({});
+    for (const options of [
+        { strictGrounding: true },
+        { verifyAnswers: true },
+        { verifyAnswers: true, verificationPolicy: 'correct' },
+        { verifyAnswers: true, verificationProvider: 'openai' },
+        { qualityCheck: false },
+        { deduplicate: false },
+        { balanceDifficulty: false },
+        { citeSources: false },
+        { checkGrounding: false }
+    ]) {
+        assert.notStrictEqual(key(options), base, JSON.stringify(options));
+    }
+
+    assert.notStrictEqual(
+        key({ verifyAnswers: true, verificationPolicy: 'flag' }),
+        key({ verifyAnswers: true, verificationPolicy: 'correct' })
+    );
+});
+
+test('defaults and explicit defaults share a cache key', () => {
+    assert.strictEqual(key({}), key({ qualityCheck: true, deduplicate: true, citeSources: true, verifyAnswers: false }));
+    assert.strictEqual(key({ signal: new AbortController().signal, noCache: false }), key({}));
+});
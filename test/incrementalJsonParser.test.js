@@ -0,0 +1,64 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const IncrementalJSONParser = require('../utils/incrementalJsonParser');
+
+/**
+ * Incremental JSON parsing of streamed question sets
+ */
+
+/**
+ * Feed text in chunks of the given size, collecting the questions completed after each chunk
+ */
+function feedInChunks(parser, text, size) {
+    const batches = [];
+    for (let offset = 0; offset < text.length; offset += size) {
+        batches.push(parser.feed(text.slice(offset, offset + size)));
+    }
+    return batches;
+}
+
+const response = 'Here are your questions:\n```json\n' + JSON.stringify({
+    metadata: { questions: [{ note: 'not a question' }] },
+    questions: [
+        { questiontext: 'Which brace closes "{" in JSON?', options: [{ text: '}' }, { text: ']' }] },
+        { questiontext: 'A backslash \\ and a quote " in one string' }
+    ]
+}, null, 2) + '\n```\nLet me know if you need more.';
+
+test('emits each question once its object closes, whatever the chunk size', () => {
+    for (const size of [1, 7, response.length]) {
+        const parser = new IncrementalJSONParser();
+        const questions = feedInChunks(parser, response, size).flat();
+
+        assert.deepStrictEqual(questions.map(question => question.questiontext), [
+            'Which brace closes "{" in JSON?',
+            'A backslash \\ and a quote " in one string'
+        ], `chunk size ${size}`);
+        assert.strictEqual(questions[0].options.length, 2);
+        assert.strictEqual(parser.emitted, 2);
+        assert.strictEqual(parser.done, true);
+    }
+});
+
+test('hands over a question before the response ends', () => {
+    const parser = new IncrementalJSONParser();
+    assert.deepStrictEqual(parser.feed('{"questions": [{"questiontext": "One"}, {"questiontext": "Tw'), [{ questiontext: 'One' }]);
+    assert.deepStrictEqual(parser.feed('o"}'), [{ questiontext: 'Two' }]);
+    assert.deepStrictEqual(parser.feed(']}'), []);
+});
+
+test('reads a top-level array and stops at its end', () => {
+    const parser = new IncrementalJSONParser();
+    assert.deepStrictEqual(parser.feed('[{"a": 1}, {"a": 2}] [{"a": 3}]'), [{ a: 1 }, { a: 2 }]);
+    assert.strictEqual(parser.done, true);
+});
+
+test('skips questions that don\'t parse, recording the error', () => {
+    const parser = new IncrementalJSONParser();
+    const questions = parser.feed('{"questions": [{"a": 1,}, {"a": 2}]}');
+    assert.deepStrictEqual(questions, [{ a: 2 }]);
+    assert.strictEqual(parser.errors.length, 1);
+
+    const repairing = new IncrementalJSONParser(text => JSON.parse(text.replace(/,\s*}/g, '}')));
+    assert.deepStrictEqual(repairing.feed('{"questions": [{"a": 1,}]}'), [{ a: 1 }]);
+});
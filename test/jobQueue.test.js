@@ -0,0 +1,163 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const JobQueue = require('../utils/jobQueue');
+
+/**
+ * JobQueue scheduling: tenant round-robin, priorities, runAt, per-tenant limits and cancellation
+ */
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+let queue;
+let originalLog;
+
+beforeEach(() => {
+    originalLog = console.log;
+    console.log = () => {};
+});
+
+afterEach(() => {
+    queue?.stop();
+    queue = null;
+    console.log = originalLog;
+});
+
+/**
+ * Queue that isn't started yet, with a processor recording the order jobs start in
+ */
+function createQueue(config = {}, duration = 20) {
+    const started = [];
+    queue = new JobQueue({ enabled: false, ...config });
+    queue.setProcessor(async (data, onProgress, { signal }) => {
+        started.push(data.text);
+        await sleep(data.duration ?? duration);
+        if (signal.aborted) {
+            return null;
+        }
+        return { questions: [] };
+    });
+    return started;
+}
+
+async function waitFor(condition, timeout = 2000) {
+    const start = Date.now();
+    while (!condition()) {
+        if (Date.now() - start > timeout) {
+            throw new Error('Timed out waiting for the queue');
+        }
+        await sleep(5);
+    }
+}
+
+test('takes turns between tenants', async () => {
+    const started = createQueue({ maxConcurrent: 1 });
+    for (let i = 0; i < 4; i++) {
+        await queue.createJob({ text: `a${i}`, tenant: 'a' });
+    }
+    await queue.createJob({ text: 'b0', tenant: 'b' });
+    await queue.createJob({ text: 'b1', tenant: 'b' });
+
+    queue.start();
+    await waitFor(() => started.length === 6);
+    assert.deepStrictEqual(started, ['a0', 'b0', 'a1', 'b1', 'a2', 'a3']);
+});
+
+test('priority orders a tenant\'s own jobs only', async () => {
+    const started = createQueue({ maxConcurrent: 1 });
+    await queue.createJob({ text: 'b-normal', tenant: 'b' });
+    await queue.createJob({ text: 'a-low', tenant: 'a', priority: 'low' });
+    await queue.createJob({ text: 'a-normal', tenant: 'a' });
+    await queue.createJob({ text: 'a-high', tenant: 'a', priority: 'high' });
+
+    queue.start();
+    await waitFor(() => started.length === 4);
+    assert.deepStrictEqual(started, ['b-normal', 'a-high', 'a-normal', 'a-low']);
+});
+
+test('holds a job until its runAt', async () => {
+    const started = createQueue({ maxConcurrent: 2 });
+    const startedAt = {};
+    queue.on('event', event => {
+        if (event.type === 'status' && event.status === 'processing') {
+            startedAt[event.jobId] = Date.now();
+        }
+    });
+    const runAt = Date.now() + 150;
+    const later = await queue.createJob({ text: 'later', runAt });
+    const now = await queue.createJob({ text: 'now' });
+
+    const info = queue.getQueueInfo(later);
+    assert.strictEqual(info.position, null);
+    assert.strictEqual(info.estimatedStartAt, new Date(runAt).toISOString());
+
+    queue.start();
+    await waitFor(() => started.length === 2);
+    assert.deepStrictEqual(started, ['now', 'later']);
+    assert.ok(startedAt[now] < runAt);
+    assert.ok(startedAt[later] >= runAt);
+});
+
+test('reports queue position in scheduling order', async () => {
+    createQueue({ maxConcurrent: 1 });
+    await queue.createJob({ text: 'a0', tenant: 'a' });
+    await queue.createJob({ text: 'a1', tenant: 'a' });
+    const b0 = await queue.createJob({ text: 'b0', tenant: 'b' });
+
+    assert.strictEqual(queue.getQueueInfo(b0).position, 2);
+    assert.strictEqual(queue.getQueueInfo(b0).ahead, 1);
+});
+
+test('never runs more of a tenant\'s jobs than its limit', async () => {
+    createQueue({ maxConcurrent: 4 }, 30);
+    await queue.setTenantLimit('a', 1);
+    let peak = 0;
+    queue.on('event', () => {
+        peak = Math.max(peak, queue.countProcessing('a'));
+    });
+    for (let i = 0; i < 3; i++) {
+        await queue.createJob({ text: `a${i}`, tenant: 'a' });
+    }
+    const b0 = await queue.createJob({ text: 'b0', tenant: 'b' });
+
+    queue.start();
+    await sleep(10);
+    assert.strictEqual((await queue.getJob(b0)).status, 'processing');
+    await waitFor(() => [...queue.jobs.values()].every(job => job.status === 'completed'));
+    assert.strictEqual(peak, 1);
+});
+
+test('rejects inherited priority names', () => {
+    for (const priority of ['toString', 'constructor', '__proto__', 'hasOwnProperty']) {
+        assert.strictEqual(JobQueue.validateSchedulingOptions({ priority }).valid, false, priority);
+    }
+    assert.strictEqual(JobQueue.validateSchedulingOptions({ priority: 'high' }).valid, true);
+});
+
+test('a cancelled job keeps its slot until its processor stops', async () => {
+    const started = createQueue({ maxConcurrent: 1 });
+    const first = await queue.createJob({ text: 'slow', duration: 100 });
+    await queue.createJob({ text: 'next' });
+
+    queue.start();
+    await waitFor(() => started.length === 1);
+    assert.strictEqual(await queue.cancelJob(first), true);
+    assert.strictEqual((await queue.getJob(first)).status, 'cancelled');
+
+    // The aborted processor is still running, so the worker isn't free yet
+    await sleep(30);
+    assert.deepStrictEqual(started, ['slow']);
+    assert.strictEqual(queue.processing.size, 1);
+
+    await waitFor(() => started.length === 2);
+    assert.ok(!queue.processing.has(first));
+});
+
+test('forgets the turns of tenants with no jobs left', async () => {
+    const started = createQueue({ maxConcurrent: 2 }, 5);
+    for (let i = 0; i < 5; i++) {
+        await queue.createJob({ text: `t${i}`, tenant: `tenant-${i}` });
+    }
+
+    queue.start();
+    await waitFor(() => started.length === 5 && queue.processing.size === 0);
+    assert.strictEqual(queue.tenantTurns.size, 0);
+});
@@ -0,0 +1,125 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const http = require('node:http');
+const WebSocket = require('ws');
+const JobQueue = require('../utils/jobQueue');
+const JobSocket = require('../utils/jobSocket');
+const { getTenantId } = require('../middleware/auth');
+
+/**
+ * Job WebSocket channel: upgrade paths and keys, the message size cap, and keeping each
+ * tenant to its own jobs
+ */
+
+const saved = {};
+let server;
+let jobQueue;
+let jobSocket;
+let url;
+let originalLog;
+let originalWarn;
+
+before(async () => {
+    for (const name of ['API_MODE', 'SERVER_API_KEY', 'SERVER_API_KEYS']) {
+        saved[name] = process.env[name];
+    }
+    process.env.API_MODE = 'private';
+    delete process.env.SERVER_API_KEY;
+    process.env.SERVER_API_KEYS = 'key-a,key-b';
+
+    originalLog = console.log;
+    originalWarn = console.warn;
+    console.log = () => {};
+    console.warn = () => {};
+    jobQueue = new JobQueue({ enabled: false });
+    jobSocket = new JobSocket(jobQueue);
+    server = http.createServer();
+    jobSocket.attach(server);
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    url = `ws://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+    jobSocket.close();
+    server.close();
+    jobQueue.stop();
+    console.log = originalLog;
+    console.warn = originalWarn;
+    for (const [name, value] of Object.entries(saved)) {
+        if (value === undefined) {
+            delete process.env[name];
+        } else {
+            process.env[name] = value;
+        }
+    }
+});
+
+/**
+ * Open a socket, resolving with it or rejecting with the refused status code
+ */
+function connect(path, headers = {}) {
+    return new Promise((resolve, reject) => {
+        const socket = new WebSocket(`${url}${path}`, { headers });
+        socket.once('open', () => resolve(socket));
+        socket.once('unexpected-response', (req, res) => reject(Object.assign(new Error('Refused'), { status: res.statusCode })));
+        socket.once('error', reject);
+    });
+}
+
+/**
+ * Send a message and resolve with the reply: the next message that isn't a job event
+ */
+function request(socket, message) {
+    return new Promise(resolve => {
+        const onMessage = raw => {
+            const reply = JSON.parse(raw.toString());
+            if (['status', 'progress', 'stage', 'question'].includes(reply.type)) {
+                return;
+            }
+            socket.off('message', onMessage);
+            resolve(reply);
+        };
+        socket.on('message', onMessage);
+        socket.send(JSON.stringify(message));
+    });
+}
+
+test('refuses other paths and missing or unknown keys', async () => {
+    await assert.rejects(connect('/other', { 'x-api-key': 'key-a' }), { status: 404 });
+    await assert.rejects(connect(JobSocket.PATH), { status: 401 });
+    await assert.rejects(connect(`${JobSocket.PATH}?apiKey=made-up`), { status: 401 });
+
+    const socket = await connect(`${JobSocket.PATH}?apiKey=key-a`);
+    assert.deepStrictEqual(await request(socket, { type: 'ping' }), { type: 'pong' });
+    socket.close();
+});
+
+test('closes connections that send oversized messages', async () => {
+    const socket = await connect(JobSocket.PATH, { 'x-api-key': 'key-a' });
+    const code = await new Promise(resolve => {
+        socket.once('close', resolve);
+        socket.send('x'.repeat(JobSocket.MAX_PAYLOAD + 1));
+    });
+    assert.strictEqual(code, 1009);
+});
+
+test('doesn\'t show or cancel another tenant\'s jobs', async () => {
+    const jobId = await jobQueue.createJob({ text: 'a', tenant: getTenantId('key-a') });
+    const owner = await connect(JobSocket.PATH, { 'x-api-key': 'key-a' });
+    const other = await connect(JobSocket.PATH, { 'x-api-key': 'key-b' });
+
+    const unknown = await request(other, { type: 'subscribe', jobIds: ['no-such-job'] });
+    assert.deepStrictEqual(await request(other, { type: 'subscribe', jobIds: [jobId] }), { ...unknown, jobId });
+
+    const unknownCancel = await request(other, { type: 'cancel', jobId: 'no-such-job' });
+    assert.deepStrictEqual(await request(other, { type: 'cancel', jobId }), { ...unknownCancel, jobId });
+    assert.strictEqual((await jobQueue.getJob(jobId)).status, 'pending');
+
+    const snapshot = await request(owner, { type: 'subscribe', jobIds: [jobId] });
+    assert.strictEqual(snapshot.type, 'snapshot');
+    const cancel = await request(owner, { type: 'cancel', jobId });
+    assert.strictEqual(cancel.cancelled, true);
+
+    owner.close();
+    other.close();
+});
@@ -0,0 +1,142 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const sqlite3 = require('sqlite3');
+const JobStore = require('../storage/jobStore');
+const JobQueue = require('../utils/jobQueue');
+
+/**
+ * Job store: upgrading existing databases and persisting webhook deliveries and tenant limits
+ */
+
+let tempDir;
+let store;
+let originalLog;
+
+beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'nlp-qg-store-test-'));
+    originalLog = console.log;
+    console.log = () => {};
+});
+
+afterEach(async () => {
+    await store?.close();
+    store = null;
+    console.log = originalLog;
+    fs.rmSync(tempDir, { recursive: true, force: true });
+});
+
+/**
+ * Run statements against a database file outside the store
+ */
+function runSQL(dbPath, statements) {
+    return new Promise((resolve, reject) => {
+        const db = new sqlite3.Database(dbPath, error => {
+            if (error) {
+                reject(error);
+                return;
+            }
+            db.exec(statements.join(';\n'), execError => db.close(() => (execError ? reject(execError) : resolve())));
+        });
+    });
+}
+
+async function openStore(dbPath = path.join(tempDir, 'jobs.db')) {
+    store = new JobStore({ dbPath });
+    await store.initialize();
+    return store;
+}
+
+function createJob(id, overrides = {}) {
+    return { id, status: 'completed', data: { text: 'Text' }, progress: 100, createdAt: 1000, completedAt: 2000, ...overrides };
+}
+
+function createAttempt(overrides = {}) {
+    return {
+        deliveryId: 'd1', event: 'job.completed', url: 'https://example.com/hook', attempt: 1,
+        statusCode: 500, delivered: false, willRetry: true, durationMs: 12, attemptedAt: 3000, ...overrides
+    };
+}
+
+test('adds the webhook_deliveries table to a database that only has jobs', async () => {
+    const dbPath = path.join(tempDir, 'old.db');
+    await runSQL(dbPath, [
+        `CREATE TABLE jobs (
+            id TEXT PRIMARY KEY, status TEXT NOT NULL, input_text TEXT NOT NULL, options TEXT NOT NULL,
+            result TEXT, error TEXT, progress INTEGER DEFAULT 0, created_at INTEGER NOT NULL,
+            started_at INTEGER, completed_at INTEGER
+        )`,
+        `INSERT INTO jobs (id, status, input_text, options, progress, created_at) VALUES ('old', 'pending', 'Text', '{"text":"Text"}', 0, 1000)`
+    ]);
+
+    await openStore(dbPath);
+    assert.strictEqual((await store.loadJob('old')).status, 'pending');
+
+    await store.saveWebhookAttempt('old', createAttempt());
+    assert.strictEqual((await store.loadWebhookAttempts('old')).length, 1);
+
+    // Opening an up-to-date database again changes nothing
+    await store.close();
+    await openStore(dbPath);
+    assert.strictEqual((await store.loadWebhookAttempts('old')).length, 1);
+});
+
+test('stores delivery attempts and finds jobs with a retry to come', async () => {
+    await openStore();
+    await store.saveJob(createJob('retrying'));
+    await store.saveJob(createJob('delivered'));
+
+    await store.saveWebhookAttempt('retrying', createAttempt());
+    await store.saveWebhookAttempt('delivered', createAttempt());
+    await store.saveWebhookAttempt('delivered', createAttempt({ attempt: 2, statusCode: 204, delivered: true, willRetry: false, attemptedAt: 4000 }));
+
+    const attempts = await store.loadWebhookAttempts('delivered');
+    assert.deepStrictEqual(attempts.map(attempt => [attempt.attempt, attempt.delivered, attempt.willRetry]), [[1, false, true], [2, true, false]]);
+    assert.strictEqual(attempts[1].statusCode, 204);
+    assert.ok(!('error' in attempts[1]));
+    assert.deepStrictEqual(await store.loadPendingWebhooks(), ['retrying']);
+});
+
+test('deletes the deliveries of old jobs along with them', async () => {
+    await openStore();
+    await store.saveJob(createJob('old', { completedAt: 1000 }));
+    await store.saveJob(createJob('recent', { completedAt: Date.now() }));
+    await store.saveWebhookAttempt('old', createAttempt());
+    await store.saveWebhookAttempt('recent', createAttempt());
+
+    assert.strictEqual(await store.deleteOldJobs(60000), 1);
+    assert.deepStrictEqual(await store.loadWebhookAttempts('old'), []);
+    assert.strictEqual((await store.loadWebhookAttempts('recent')).length, 1);
+});
+
+test('adds the tenant_limits table to a database from before scheduling', async () => {
+    const dbPath = path.join(tempDir, 'webhooks.db');
+    await openStore(dbPath);
+    await store.close();
+    await runSQL(dbPath, ['DROP TABLE tenant_limits']);
+
+    await openStore(dbPath);
+    assert.deepStrictEqual(await store.loadTenantLimits(), []);
+    await store.saveTenantLimit('a', 2);
+    assert.deepStrictEqual(await store.loadTenantLimits(), [{ tenant: 'a', maxConcurrent: 2 }]);
+});
+
+test('replaces and clears tenant limits, and the queue restores them', async () => {
+    await openStore();
+    await store.saveTenantLimit('a', 2);
+    await store.saveTenantLimit('a', 3);
+    await store.saveTenantLimit('b', 1);
+    await store.saveTenantLimit('b', null);
+    assert.deepStrictEqual(await store.loadTenantLimits(), [{ tenant: 'a', maxConcurrent: 3 }]);
+
+    const queue = new JobQueue({ jobStore: store, maxConcurrent: 5 });
+    try {
+        await queue.restore();
+        assert.strictEqual(queue.getTenantLimit('a'), 3);
+        assert.strictEqual(queue.getTenantLimit('b'), 5);
+    } finally {
+        queue.stop();
+    }
+});
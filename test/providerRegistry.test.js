@@ -0,0 +1,48 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const ProviderRegistry = require('../providers/providerRegistry');
+const BaseAIProvider = require('../providers/baseProvider');
+
+/**
+ * Provider registry: configuration schemas of providers that can't be created unconfigured
+ */
+
+class KeyRequiredProvider extends BaseAIProvider {
+    constructor(config) {
+        super(config);
+        if (!config.apiKey) {
+            throw new Error('apiKey is required');
+        }
+    }
+
+    getConfigSchema() {
+        return { type: 'object', properties: { apiKey: { type: 'string' } } };
+    }
+}
+
+test('falls back to an empty schema when the provider can\'t be created', () => {
+    const registry = new ProviderRegistry();
+    registry.register({ name: 'needs-key', Provider: KeyRequiredProvider });
+
+    const originalWarn = console.warn;
+    const warnings = [];
+    console.warn = message => warnings.push(message);
+    try {
+        assert.deepStrictEqual(registry.getConfigSchema('needs-key'), { type: 'object', properties: {} });
+    } finally {
+        console.warn = originalWarn;
+    }
+    assert.match(warnings[0], /needs-key.*apiKey is required/);
+
+    // A loaded instance still answers for itself
+    const provider = new KeyRequiredProvider({ apiKey: 'k' });
+    assert.deepStrictEqual(Object.keys(registry.getConfigSchema('needs-key', provider).properties), ['apiKey']);
+});
+
+test('uses a declared configSchema without creating the provider', () => {
+    const registry = new ProviderRegistry();
+    const configSchema = { type: 'object', properties: { endpoint: { type: 'string' } } };
+    registry.register({ name: 'declared', Provider: KeyRequiredProvider, configSchema });
+
+    assert.strictEqual(registry.getConfigSchema('declared'), configSchema);
+});
@@ -0,0 +1,73 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const JSZip = require('jszip');
+const QtiExporter = require('../exporters/qtiExporter');
+const QuestionValidator = require('../utils/questionValidator');
+
+/**
+ * IMS QTI 2.1 and 3.0 content packages
+ */
+
+const questions = [
+    { questiontext: 'Which gas do plants absorb?', options: ['Oxygen', 'Carbon dioxide', 'Nitrogen', 'Helium'], correctanswer: 'B', rationale: 'Used in photosynthesis' },
+    { questiontext: 'Which are primary colours?', questionType: 'multi_select', options: ['Red', 'Green', 'Blue', 'Purple'], correctanswer: 'A,C', rationale: 'Paint primaries' },
+    { questiontext: 'Plants make food by _____.', questionType: 'cloze', correctanswer: 'photosynthesis', alternativeAnswers: ['photosynthesizing'], rationale: 'Definition' },
+    { questiontext: 'Explain photosynthesis & why it matters.', questionType: 'short_answer', modelAnswer: 'Light to sugar', keyIdeas: ['light'], rubric: [{ criterion: 'Mentions light', points: 2, description: 'Energy source' }], rationale: 'Core' },
+    { questiontext: 'Match each organelle with its role.', questionType: 'matching', pairs: [{ premise: 'Mitochondrion', response: 'Energy' }, { premise: 'Nucleus', response: 'DNA' }, { premise: 'Ribosome', response: 'Protein' }], rationale: 'Cell biology' },
+    { questiontext: 'Order the stages of mitosis.', questionType: 'ordering', sequence: ['Prophase', 'Metaphase', 'Anaphase', 'Telophase'], rationale: 'PMAT' },
+    { questiontext: 'Speed for d={d} m and t={t} s?', questionType: 'numerical', formula: 'd / t', parameters: { d: { min: 10, max: 20, step: 1 }, t: { min: 1, max: 2, step: 1 } }, tolerance: 0.01, unit: 'm/s', rationale: 'Speed is distance over time' }
+].map(question => QuestionValidator.normalize(question));
+
+/**
+ * Export a package and read back its files as text
+ */
+async function exportPackage(version, options = {}) {
+    const zip = await JSZip.loadAsync(await new QtiExporter({ version }).export({ questions }, options));
+    const files = {};
+    for (const name of Object.keys(zip.files).filter(name => !zip.files[name].dir)) {
+        files[name] = await zip.file(name).async('string');
+    }
+    return files;
+}
+
+const interactions = {
+    '2.1': ['choiceInteraction', 'choiceInteraction', 'textEntryInteraction', 'extendedTextInteraction', 'matchInteraction', 'orderInteraction', 'textEntryInteraction'],
+    '3.0': ['qti-choice-interaction', 'qti-choice-interaction', 'qti-text-entry-interaction', 'qti-extended-text-interaction', 'qti-match-interaction', 'qti-order-interaction', 'qti-text-entry-interaction']
+};
+
+for (const version of ['2.1', '3.0']) {
+    test(`QTI ${version}: packages one item per question with a manifest and test`, async () => {
+        const exporter = new QtiExporter({ version });
+        const spec = exporter.getSpec();
+        assert.strictEqual(exporter.name, version === '3.0' ? 'qti3' : 'qti');
+
+        const files = await exportPackage(version, { title: 'Cells & <Energy>' });
+        const items = questions.map((question, index) => `items/item-${index + 1}.xml`);
+        assert.deepStrictEqual(Object.keys(files).sort(), ['assessment.xml', 'imsmanifest.xml', ...items].sort());
+
+        assert.ok(files['imsmanifest.xml'].includes(`xmlns="${spec.manifestNamespace}"`));
+        assert.strictEqual(files['imsmanifest.xml'].split(`type="${spec.itemType}"`).length - 1, questions.length);
+        assert.ok(files['assessment.xml'].includes('title="Cells &amp; &lt;Energy&gt;"'));
+
+        items.forEach((name, index) => {
+            const xml = files[name];
+            assert.ok(xml.includes(`xmlns="${spec.namespace}"`), name);
+            assert.ok(xml.includes(`<${interactions[version][index]} `), `${name}: ${interactions[version][index]}`);
+            assert.ok(files['assessment.xml'].includes(`href="${name}"`), name);
+        });
+    });
+
+    test(`QTI ${version}: declares the correct responses`, async () => {
+        const files = await exportPackage(version);
+        const value = version === '3.0' ? 'qti-value' : 'value';
+        const values = xml => [...xml.matchAll(new RegExp(`<${value}>([^<]*)</${value}>`, 'g'))].map(match => match[1]);
+
+        assert.deepStrictEqual(values(files['items/item-1.xml']).slice(0, 1), ['B']);
+        assert.deepStrictEqual(values(files['items/item-2.xml']).slice(0, 2), ['A', 'C']);
+        assert.ok(files['items/item-3.xml'].includes('photosynthesizing'));
+        assert.deepStrictEqual(values(files['items/item-5.xml']).slice(0, 3), ['P1 R1', 'P2 R2', 'P3 R3']);
+        assert.deepStrictEqual(values(files['items/item-6.xml']).slice(0, 4), ['S1', 'S2', 'S3', 'S4']);
+        assert.ok(files['items/item-4.xml'].includes('Explain photosynthesis &amp; why it matters.'));
+        assert.ok(!/\{[dt]\}/.test(files['items/item-7.xml']), 'numerical placeholders are filled in');
+    });
+}
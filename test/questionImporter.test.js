@@ -0,0 +1,84 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const QuestionImporter = require('../utils/questionImporter');
+const QuestionValidator = require('../utils/questionValidator');
+const CsvExporter = require('../exporters/csvExporter');
+const XlsxExporter = require('../exporters/xlsxExporter');
+
+/**
+ * Spreadsheet import: CSV parsing, per-row validation and round trips through the exporters
+ */
+
+const questions = [
+    {
+        questiontext: 'Which gas do plants absorb, "mostly"?',
+        options: ['Oxygen', 'Carbon dioxide, CO2', 'Nitrogen', 'Helium'],
+        correctanswer: 'B',
+        difficulty: 'easy',
+        rationale: 'Line one\nline two'
+    },
+    {
+        questiontext: 'Explain photosynthesis.',
+        questionType: 'short_answer',
+        modelAnswer: 'Light to sugar',
+        keyIdeas: ['light', 'sugar'],
+        rubric: [{ criterion: 'Mentions light', points: 1, description: 'Light is the energy source' }],
+        rationale: 'Core idea'
+    },
+    {
+        questiontext: 'Speed for d={d} and t={t}?',
+        questionType: 'numerical',
+        formula: 'd / t',
+        parameters: { d: { min: 10, max: 20, step: 1 }, t: { min: 1, max: 2, step: 1 } },
+        tolerance: 0.01,
+        rationale: 'Speed is distance over time'
+    }
+].map(question => QuestionValidator.normalize(question));
+
+test('parses quoted CSV fields, escaped quotes and line breaks', () => {
+    const importer = new QuestionImporter();
+    assert.deepStrictEqual(importer.parseCSV('﻿a,b\r\n"x, y","say ""hi""\nthere"\n1,'), [
+        ['a', 'b'],
+        ['x, y', 'say "hi"\nthere'],
+        ['1', '']
+    ]);
+    assert.throws(() => importer.parseCSV('a,"open\n'), /unterminated quoted field/);
+});
+
+test('imports what the CSV and XLSX exporters write', async () => {
+    const importer = new QuestionImporter();
+    for (const [Exporter, filename] of [[CsvExporter, 'set.csv'], [XlsxExporter, 'set.xlsx']]) {
+        const exported = await new Exporter().export({ questions });
+        const report = await importer.import(Buffer.from(exported), filename);
+
+        assert.deepStrictEqual(report.errors, [], filename);
+        assert.deepStrictEqual(report.warnings, [], filename);
+        assert.deepStrictEqual(report.questions, questions, filename);
+    }
+});
+
+test('reports invalid rows by spreadsheet row number and keeps the valid ones', async () => {
+    const importer = new QuestionImporter();
+    const csv = [
+        'Question,optiona,optionb,optionc,Answer',
+        'Valid?,Yes,No,Maybe,A',
+        ',,,,',
+        'No answer?,Yes,No,Maybe,',
+        'Bad key?,Yes,No,Maybe,D'
+    ].join('\n');
+
+    const report = await importer.import(Buffer.from(csv), 'set.csv');
+    assert.strictEqual(report.totalRows, 3);
+    assert.strictEqual(report.validRows, 1);
+    assert.strictEqual(report.questions[0].questiontext, 'Valid?');
+    assert.deepStrictEqual([...new Set(report.errors.map(error => error.row))], [4, 5]);
+    assert.ok(report.errors.every(error => error.message.startsWith(`Row ${error.row} `)));
+});
+
+test('refuses unsupported files and too many rows', async () => {
+    await assert.rejects(new QuestionImporter().import(Buffer.from('x'), 'set.txt'), /Unsupported import file/);
+    await assert.rejects(new QuestionImporter().import(Buffer.from(''), 'set.csv'), /spreadsheet is empty/);
+
+    const rows = ['questiontext,optiona,optionb,optionc,correctanswer', 'One?,a,b,c,A', 'Two?,a,b,c,A'].join('\n');
+    await assert.rejects(new QuestionImporter({ maxRows: 1 }).import(Buffer.from(rows), 'set.csv'), /at most 1 rows/);
+});
@@ -0,0 +1,77 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const ResponseGrader = require('../utils/responseGrader');
+const JobProcessor = require('../utils/jobProcessor');
+const ErrorHandler = require('../utils/errorHandler');
+
+/**
+ * Grading jobs: cancellation reaches the provider request and stops the batch
+ */
+
+const { items } = ResponseGrader.validateRequest({
+    question: {
+        questionType: 'short_answer',
+        questiontext: 'Why do leaves change colour in autumn?',
+        rubric: [{ criterion: 'Chlorophyll breaks down', points: 2 }]
+    },
+    responses: ['The green pigment breaks down.', 'Because it gets cold.', 'Chlorophyll fades.']
+});
+
+/**
+ * Provider manager whose completions wait until aborted, recording each request's signal
+ */
+function createProviderManager() {
+    const signals = [];
+    return {
+        signals,
+        complete(prompt, options) {
+            signals.push(options.signal);
+            return new Promise((resolve, reject) => {
+                options.signal.addEventListener('abort', () => reject(ErrorHandler.createCancellationError()));
+            });
+        }
+    };
+}
+
+test('cancelling a grading job aborts the provider request and skips the rest', async () => {
+    const providerManager = createProviderManager();
+    const processor = new JobProcessor(null, { providerManager });
+    const controller = new AbortController();
+    const errors = [];
+    const originalError = console.error;
+    console.error = (...args) => errors.push(args);
+
+    try {
+        const job = processor.processGradingJob({ type: 'grade', items }, () => {}, { signal: controller.signal });
+        setTimeout(() => controller.abort(), 10);
+
+        await assert.rejects(job, error => ErrorHandler.isCancellation(error));
+    } finally {
+        console.error = originalError;
+    }
+
+    assert.strictEqual(providerManager.signals.length, 1);
+    assert.strictEqual(providerManager.signals[0], controller.signal);
+    assert.deepStrictEqual(errors, []);
+});
+
+test('a failed item doesn\'t fail the batch', async () => {
+    const grader = new ResponseGrader({
+        complete: async (prompt) => {
+            if (prompt.includes('gets cold')) {
+                throw new Error('Provider unavailable');
+            }
+            return { data: { criteria: [{ criterion: 'Chlorophyll breaks down', points: 2 }], confidence: 0.9 }, provider: 'test' };
+        }
+    });
+    const originalWarn = console.warn;
+    console.warn = () => {};
+
+    try {
+        const batch = await grader.gradeBatch(items);
+        assert.deepStrictEqual(batch.summary, { graded: 2, failed: 1, averagePercentage: 100 });
+        assert.strictEqual(batch.results[1].error, 'Provider unavailable');
+    } finally {
+        console.warn = originalWarn;
+    }
+});
@@ -0,0 +1,138 @@
+const { test, before, after, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const dns = require('node:dns');
+const http = require('node:http');
+const WebhookDispatcher = require('../utils/webhookDispatcher');
+const ErrorHandler = require('../utils/errorHandler');
+
+/**
+ * Webhook callbacks: URL validation, refusing local and private addresses when connecting, and
+ * signed delivery
+ */
+
+const originalLookup = dns.lookup;
+const received = [];
+let receiver;
+let port;
+let lookups;
+
+before(async () => {
+    receiver = http.createServer(async (req, res) => {
+        let body = '';
+        for await (const chunk of req) {
+            body += chunk;
+        }
+        received.push({ headers: req.headers, body });
+        res.writeHead(204);
+        res.end();
+    });
+    await new Promise(resolve => receiver.listen(0, '127.0.0.1', resolve));
+    port = receiver.address().port;
+});
+
+after(() => {
+    receiver.close();
+});
+
+beforeEach(() => {
+    received.length = 0;
+    lookups = [];
+});
+
+afterEach(() => {
+    dns.lookup = originalLookup;
+});
+
+/**
+ * Make dns.lookup answer with the given addresses, one per call
+ */
+function resolveTo(...answers) {
+    dns.lookup = (hostname, options, callback) => {
+        const address = answers[Math.min(lookups.length, answers.length - 1)];
+        lookups.push(hostname);
+        const family = address.includes(':') ? 6 : 4;
+        process.nextTick(() => options.all
+            ? callback(null, [{ address, family }])
+            : callback(null, address, family));
+    };
+}
+
+const meta = { deliveryId: 'd1', event: 'job.completed', secret: 'secret' };
+
+test('refuses local and private callback URLs', () => {
+    const dispatcher = new WebhookDispatcher({ secret: 's' });
+    for (const url of [
+        'http://localhost:3000/hook',
+        'http://127.0.0.1/hook',
+        'http://[::1]/hook',
+        'http://[::ffff:127.0.0.1]/hook',
+        'http://[::ffff:7f00:1]/hook',
+        'http://169.254.169.254/latest/meta-data',
+        'http://[::ffff:a9fe:a9fe]/hook',
+        'http://10.1.2.3/hook',
+        'http://192.168.1.5/hook',
+        'http://100.64.0.1/hook',
+        'http://[fe80::1]/hook',
+        'http://0.0.0.0/hook',
+        'ftp://example.com/hook',
+        'not a url'
+    ]) {
+        assert.strictEqual(dispatcher.validateCallbackUrl(url).valid, false, url);
+    }
+
+    assert.strictEqual(dispatcher.validateCallbackUrl('https://example.com/hook').valid, true);
+    assert.strictEqual(dispatcher.validateCallbackUrl('http://8.8.8.8/hook').valid, true);
+});
+
+test('refuses a host that resolves to a private address', async () => {
+    const dispatcher = new WebhookDispatcher({ secret: 's' });
+    resolveTo('127.0.0.1');
+    const url = `http://hooks.example.test:${port}/hook`;
+    assert.strictEqual(dispatcher.validateCallbackUrl(url).valid, true);
+
+    await assert.rejects(dispatcher.send(url, '{}', meta), error => {
+        assert.match(error.message, /local or private address \(127\.0\.0\.1\)/);
+        assert.strictEqual(ErrorHandler.isTransient(error), false);
+        return true;
+    });
+    assert.strictEqual(received.length, 0);
+});
+
+test('connects to the address it checked, so rebinding can\'t redirect a delivery', async () => {
+    const dispatcher = new WebhookDispatcher({ secret: 's', timeout: 300 });
+    // Public on the first lookup, loopback on any later one
+    resolveTo('203.0.113.10', '127.0.0.1');
+
+    await assert.rejects(dispatcher.send(`http://rebind.example.test:${port}/hook`, '{}', meta));
+    assert.strictEqual(lookups.length, 1);
+    assert.strictEqual(received.length, 0);
+});
+
+test('refuses private IP addresses when sending', async () => {
+    const dispatcher = new WebhookDispatcher({ secret: 's' });
+
+    await assert.rejects(dispatcher.send(`http://127.0.0.1:${port}/hook`, '{}', meta), /local or private address/);
+    assert.strictEqual(received.length, 0);
+});
+
+test('sends a signed request with the callback\'s Host header', async () => {
+    const dispatcher = new WebhookDispatcher({ secret: 's', allowPrivate: true });
+    resolveTo('127.0.0.1');
+    const body = JSON.stringify({ event: 'job.completed' });
+
+    const response = await dispatcher.send(`http://hooks.example.test:${port}/hook`, body, meta);
+    assert.strictEqual(response.status, 204);
+    assert.strictEqual(received.length, 1);
+
+    const { headers } = received[0];
+    assert.strictEqual(received[0].body, body);
+    assert.strictEqual(headers.host, `hooks.example.test:${port}`);
+    assert.strictEqual(headers['x-webhook-id'], 'd1');
+    assert.strictEqual(headers['x-webhook-signature'], WebhookDispatcher.sign('secret', headers['x-webhook-timestamp'], body));
+});
+
+test('derives a different signing secret for each key', () => {
+    const dispatcher = new WebhookDispatcher({ secret: 'master' });
+    assert.notStrictEqual(dispatcher.getSecret('a'), dispatcher.getSecret('b'));
+    assert.strictEqual(dispatcher.getSecret('a'), new WebhookDispatcher({ secret: 'master' }).getSecret('a'));
+});
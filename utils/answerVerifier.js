@@ -0,0 +1,404 @@
+const QuestionValidator = require('./questionValidator');
+const ErrorHandler = require('./errorHandler');
+
+/**
+ * Answer Verifier
+ * Catches wrong answer keys: a second model call answers each option-based question blind,
+ * from the source text alone, and questions where it disagrees with the key are flagged,
+ * corrected to the verifier's answer, or regenerated, depending on the policy.
+ */
+class AnswerVerifier {
+    /**
+     * What happens to a question whose key the verifier disagrees with
+     * - flag: keep it, marked as disputed
+     * - correct: switch the key to the verifier's answer when it is confident, otherwise flag
+     * - regenerate: replace it with a new question (verified in turn), flagging what still disagrees
+     */
+    static POLICIES = ['flag', 'correct', 'regenerate'];
+
+    /**
+     * Response schema for a batch of blind answers
+     */
+    static RESPONSE_SCHEMA = {
+        type: 'object',
+        properties: {
+            answers: {
+                type: 'array',
+                items: {
+                    type: 'object',
+                    properties: {
+                        question: { type: 'integer' },
+                        answer: { type: ['string', 'array'] },
+                        confidence: { type: 'number', minimum: 0, maximum: 1 },
+                        reason: { type: 'string' }
+                    },
+                    required: ['answer']
+                }
+            }
+        },
+        required: ['answers']
+    };
+
+    /**
+     * @param {ProviderManager} providerManager - Provider manager used for completions
+     * @param {Object} config - Verifier configuration
+     * @param {boolean} config.enabled - Verify answer keys (default: true)
+     * @param {string} config.policy - One of POLICIES (default: 'flag')
+     * @param {string} config.provider - Provider that answers blind, ideally not the one that generated
+     *   the questions (default: the current provider)
+     * @param {number} config.minConfidence - Verifier confidence (0-1) needed to auto-correct (default: 0.7)
+     * @param {number} config.batchSize - Questions answered per call (default: 5)
+     * @param {number} config.maxContextChars - Source text sent per call (default: 12000)
+     * @param {number} config.maxRetries - Regeneration rounds for the regenerate policy (default: 1)
+     */
+    constructor(providerManager, config = {}) {
+        this.providerManager = providerManager;
+        this.enabled = config.enabled !== false;
+        // Verification costs a call per batch, so requests opt in unless this is set
+        this.verifyByDefault = config.verifyByDefault === true;
+        this.policy = AnswerVerifier.POLICIES.includes(config.policy) ? config.policy : 'flag';
+        this.provider = config.provider || null;
+        this.minConfidence = config.minConfidence ?? 0.7;
+        this.batchSize = config.batchSize || 5;
+        this.maxContextChars = config.maxContextChars || 12000;
+        this.maxRetries = config.maxRetries ?? 1;
+    }
+
+    /**
+     * Whether a question has a keyed answer the verifier can check (multiple choice, true/false,
+     * select-all-that-apply); free-response, matching, ordering and numerical questions are skipped
+     * @param {Object} question - Standardized question
+     * @returns {boolean}
+     */
+    canVerify(question) {
+        return !QuestionValidator.isFreeResponse(question)
+            && !QuestionValidator.isArrangement(question)
+            && !QuestionValidator.isNumerical(question)
+            && QuestionValidator.extractOptions(question).length > 0;
+    }
+
+    /**
+     * Pick the provider that answers blind: the configured one when it is available,
+     * otherwise the current provider
+     * @param {string} requested - Provider name (default: config.provider)
+     * @returns {string|undefined} - Provider name, or undefined for the current provider
+     */
+    resolveProvider(requested = this.provider) {
+        if (!requested) {
+            return undefined;
+        }
+
+        const provider = this.providerManager.hasProvider(requested) ? this.providerManager.getProvider(requested) : null;
+        if (!provider || !provider.isConfigured()) {
+            console.warn(`⚠ Verification provider '${requested}' is not available, using the current provider`);
+            return undefined;
+        }
+
+        return requested;
+    }
+
+    /**
+     * Source text to answer a question from. Long texts are cut to the window around the
+     * question's cited passage, or to their beginning when it has none.
+     * @param {Object} question - Standardized question
+     * @param {string} text - Text the question was generated from
+     * @returns {string}
+     */
+    getContext(question, text) {
+        if (text.length <= this.maxContextChars) {
+            return text;
+        }
+
+        const source = question.source;
+        const center = source && source.verified
+            ? Math.round((source.start + source.end) / 2)
+            : Math.floor(this.maxContextChars / 2);
+        const start = Math.min(Math.max(0, center - Math.floor(this.maxContextChars / 2)), text.length - this.maxContextChars);
+
+        return text.slice(start, start + this.maxContextChars);
+    }
+
+    /**
+     * Build the blind-answering prompt for a batch of questions sharing a context
+     * @param {Array<Object>} questions - Standardized questions (answer keys are not included)
+     * @param {string} context - Source text
+     * @returns {string}
+     */
+    buildPrompt(questions, context) {
+        const listed = questions.map((question, index) => {
+            const options = QuestionValidator.getOptionList(question)
+                .map(option => `   ${option.key}. ${option.text}`)
+                .join('\n');
+            const kind = QuestionValidator.getTypeRules(question.questionType)?.multipleAnswers
+                ? ' (select ALL correct options)'
+                : ' (select ONE option)';
+            return `${index + 1}. ${question.questiontext}${kind}\n${options}`;
+        }).join('\n\n');
+
+        return `You are checking a quiz against its source text. Answer each question using ONLY the source text below, as a careful student who has read it would.
+
+SOURCE TEXT:
+"""
+${context}
+"""
+
+QUESTIONS:
+${listed}
+
+RULES:
+- Base every answer on the source text, not on outside knowledge.
+- Answer with option letters. For select-all questions give every correct letter, e.g. "A,C".
+- If no option is supported by the text, or more than one is equally correct for a single-answer question, answer "none" and say why.
+- Confidence (0-1) is how sure you are the text supports your answer.
+
+RESPONSE FORMAT (JSON only, no markdown):
+{
+  "answers": [
+    { "question": 1, "answer": "B", "confidence": 0.9, "reason": "One sentence citing the text" }
+  ]
+}
+
+Answer all ${questions.length} questions, in order.`;
+    }
+
+    /**
+     * Turn the verifier's JSON into one answer per question
+     * @param {Object} parsed - Response matching RESPONSE_SCHEMA
+     * @param {Array<Object>} questions - Questions in prompt order
+     * @returns {Array<Object>} - Array of { keys, confidence, reason } (keys is [] for "none", null if missing)
+     */
+    parseAnswers(parsed, questions) {
+        const answers = parsed.answers;
+
+        return questions.map((question, index) => {
+            const entry = answers.find(answer => Number(answer?.question) === index + 1) || answers[index];
+            if (!entry || entry.answer === undefined || entry.answer === null) {
+                return { keys: null, confidence: 0, reason: 'No answer returned' };
+            }
+
+            const raw = Array.isArray(entry.answer) ? entry.answer : entry.answer.toString();
+            const options = QuestionValidator.extractOptions(question);
+            const validKeys = QuestionValidator.OPTION_KEYS.slice(0, options.length);
+            const keys = /^\s*none\s*$/i.test(raw)
+                ? []
+                : QuestionValidator.parseAnswerKeys(raw, options).filter(key => validKeys.includes(key));
+            const confidence = Number(entry.confidence);
+
+            return {
+                keys,
+                confidence: Number.isFinite(confidence) ? Math.min(Math.max(confidence, 0), 1) : 0.5,
+                reason: (entry.reason || '').toString().trim()
+            };
+        });
+    }
+
+    /**
+     * Answer questions blind and compare with their keys
+     * @param {Array<Object>} questions - Standardized questions
+     * @param {string} text - Text they were generated from
+     * @param {Object} options - { provider, signal }
+     * @returns {Promise<Array<Object>>} - One check per question: { status: 'agreed'|'disagreed'|'skipped'|'failed',
+     *   answer, verifierAnswer, confidence, reason, provider }
+     */
+    async check(questions, text, options = {}) {
+        const checks = questions.map(() => ({ status: 'skipped' }));
+
+        // Questions that share a context are answered together
+        const groups = new Map();
+        questions.forEach((question, index) => {
+            if (!this.canVerify(question)) {
+                return;
+            }
+            const context = this.getContext(question, text);
+            if (!groups.has(context)) {
+                groups.set(context, []);
+            }
+            groups.get(context).push(index);
+        });
+
+        for (const [context, indexes] of groups) {
+            for (let offset = 0; offset < indexes.length; offset += this.batchSize) {
+                const batch = indexes.slice(offset, offset + this.batchSize);
+                const batchQuestions = batch.map(index => questions[index]);
+
+                try {
+                    const completion = await this.providerManager.complete(this.buildPrompt(batchQuestions, context), {
+                        provider: options.provider,
+                        system: 'You answer quiz questions strictly from the given text. Respond with only valid JSON.',
+                        temperature: 0,
+                        maxTokens: 300 + batch.length * 150,
+                        responseSchema: AnswerVerifier.RESPONSE_SCHEMA,
+                        signal: options.signal
+                    });
+                    const answers = this.parseAnswers(completion.data, batchQuestions);
+
+                    batch.forEach((questionIndex, position) => {
+                        const { keys, confidence, reason } = answers[position];
+                        const answer = QuestionValidator.getAnswerKeys(questions[questionIndex]).join(',');
+                        if (keys === null) {
+                            checks[questionIndex] = { status: 'failed', answer, reason, provider: completion.provider };
+                            return;
+                        }
+
+                        const verifierAnswer = keys.length > 0 ? keys.join(',') : 'none';
+                        checks[questionIndex] = {
+                            status: verifierAnswer === answer ? 'agreed' : 'disagreed',
+                            answer,
+                            verifierAnswer,
+                            confidence,
+                            reason,
+                            provider: completion.provider
+                        };
+                    });
+                } catch (error) {
+                    if (ErrorHandler.isCancellation(error)) {
+                        throw error;
+                    }
+                    console.warn(`⚠ Answer verification failed for ${batch.length} question(s): ${error.message}`);
+                    batch.forEach(questionIndex => {
+                        checks[questionIndex] = { status: 'failed', reason: error.message };
+                    });
+                }
+            }
+        }
+
+        return checks;
+    }
+
+    /**
+     * Verify answer keys and apply the policy to disagreements
+     * @param {Array<Object>} questions - Standardized questions
+     * @param {string} text - Text they were generated from
+     * @param {Function} regenerateFn - async (count) => new questions, for the regenerate policy
+     * @param {Object} options - { policy, provider } overriding the configuration, { signal } cancelling the checks
+     * @returns {Promise<Object>} - { questions, summary }; each checked question gets a verification object
+     */
+    async verify(questions, text, regenerateFn = null, options = {}) {
+        const policy = AnswerVerifier.POLICIES.includes(options.policy) ? options.policy : this.policy;
+        const provider = this.resolveProvider(options.provider || this.provider);
+        const summary = {
+            policy,
+            provider: provider || null,
+            checked: 0,
+            agreed: 0,
+            disagreed: 0,
+            corrected: 0,
+            regenerated: 0,
+            flagged: 0,
+            skipped: 0,
+            failed: 0,
+            disagreements: []
+        };
+
+        let current = [...questions];
+        let pending = current.map((_, index) => index);
+
+        for (let round = 0; pending.length > 0; round++) {
+            const checks = await this.check(pending.map(index => current[index]), text, { provider, signal: options.signal });
+            const replace = [];
+
+            checks.forEach((result, position) => {
+                const index = pending[position];
+                const question = current[index];
+
+                if (result.status === 'skipped' || result.status === 'failed') {
+                    summary[result.status]++;
+                    if (result.status === 'failed') {
+                        current[index] = { ...question, verification: { status: 'unverified', reason: result.reason } };
+                    }
+                    return;
+                }
+
+                summary.checked++;
+                const verification = {
+                    verifierAnswer: result.verifierAnswer,
+                    confidence: result.confidence,
+                    reason: result.reason,
+                    provider: result.provider
+                };
+
+                if (result.status === 'agreed') {
+                    summary.agreed++;
+                    current[index] = { ...question, verification: { status: 'agreed', ...verification } };
+                    return;
+                }
+
+                summary.disagreed++;
+                summary.disagreements.push({
+                    questiontext: question.questiontext,
+                    answer: result.answer,
+                    verifierAnswer: result.verifierAnswer,
+                    reason: result.reason
+                });
+
+                const confident = result.verifierAnswer !== 'none' && result.confidence >= this.minConfidence;
+                if (policy === 'correct' && confident) {
+                    summary.corrected++;
+                    current[index] = {
+                        ...question,
+                        correctanswer: result.verifierAnswer,
+                        verification: { status: 'corrected', originalAnswer: result.answer, ...verification }
+                    };
+                } else {
+                    current[index] = { ...question, verification: { status: 'disputed', answer: result.answer, ...verification } };
+                    if (policy === 'regenerate' && regenerateFn && round < this.maxRetries) {
+                        replace.push(index);
+                    } else {
+                        summary.flagged++;
+                    }
+                }
+            });
+
+            pending = [];
+            if (replace.length === 0) {
+                break;
+            }
+
+            // Drop the disputed questions and verify their replacements in the next round
+            let replacements = [];
+            try {
+                replacements = (await regenerateFn(replace.length)) || [];
+            } catch (error) {
+                if (ErrorHandler.isCancellation(error)) {
+                    throw error;
+                }
+                console.warn(`⚠ Regenerating questions with disputed answers failed: ${error.message}`);
+            }
+            replacements = replacements.slice(0, replace.length);
+            summary.regenerated += replacements.length;
+            // Disputed questions without a replacement stay, flagged
+            summary.flagged += replace.length - replacements.length;
+
+            const replaced = new Set(replace.slice(0, replacements.length));
+            const kept = current.filter((_, index) => !replaced.has(index));
+            pending = replacements.map((_, position) => kept.length + position);
+            current = [...kept, ...replacements];
+        }
+
+        if (summary.disagreed > 0) {
+            console.warn(`⚠ Verifier disagreed with ${summary.disagreed}/${summary.checked} answer keys (policy: ${policy})`);
+        } else if (summary.checked > 0) {
+            console.log(`✓ Verifier agreed with all ${summary.checked} answer keys`);
+        }
+
+        return { questions: current, summary };
+    }
+
+    /**
+     * Get verifier configuration
+     * @returns {Object}
+     */
+    getConfig() {
+        return {
+            enabled: this.enabled,
+            policy: this.policy,
+            provider: this.provider,
+            minConfidence: this.minConfidence,
+            batchSize: this.batchSize,
+            maxContextChars: this.maxContextChars,
+            maxRetries: this.maxRetries
+        };
+    }
+}
+
+module.exports = AnswerVerifier;
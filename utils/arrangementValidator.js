@@ -0,0 +1,328 @@
+const crypto = require('crypto');
+
+/**
+ * Arrangement Validator
+ * Validates matching questions (premises paired with responses) and ordering questions
+ * (steps put in sequence), and works out how their items are presented to learners.
+ * Used by QuestionValidator for these types in place of its option/answer-key checks.
+ */
+class ArrangementValidator {
+    /**
+     * Arrangement types, the field holding their items, and item count rules
+     */
+    static TYPES = {
+        matching: {
+            description: 'Match each premise with its response',
+            field: 'pairs',
+            minItems: 3,
+            maxItems: 8,
+            defaultItems: 4
+        },
+        ordering: {
+            description: 'Put the steps in the correct sequence',
+            field: 'sequence',
+            minItems: 3,
+            maxItems: 8,
+            defaultItems: 5
+        }
+    };
+
+    /**
+     * Separator between a premise and its response in spreadsheet cells
+     */
+    static PAIR_SEPARATOR = ' => ';
+
+    /**
+     * Whether a type is an arrangement type
+     * @param {string} questionType - Canonical type
+     * @returns {boolean}
+     */
+    static handles(questionType) {
+        return Object.prototype.hasOwnProperty.call(this.TYPES, questionType);
+    }
+
+    /**
+     * Turn a raw value into trimmed text
+     * @param {*} value - Raw value
+     * @returns {string}
+     */
+    static toText(value) {
+        return value === undefined || value === null ? '' : value.toString().trim();
+    }
+
+    /**
+     * Split a "a | b" spreadsheet cell into items
+     * @param {string} value - Cell value
+     * @returns {Array<string>}
+     */
+    static splitCell(value) {
+        return value.toString().split(/\s*[|\n]\s*/).filter(item => item !== '');
+    }
+
+    /**
+     * Parse matching pairs from an array of { premise, response } objects or [premise, response]
+     * tuples, a { premise: response } map, or a formatted spreadsheet cell
+     * ("Mitosis => Two identical cells | Meiosis => Four gametes", see formatPairs)
+     * @param {Array|Object|string} value - Raw pairs
+     * @returns {Array<Object>} - Array of { premise, response }
+     */
+    static parsePairs(value) {
+        if (value === undefined || value === null || value === '') {
+            return [];
+        }
+
+        let entries;
+        if (Array.isArray(value)) {
+            entries = value;
+        } else if (typeof value === 'object') {
+            entries = Object.entries(value);
+        } else {
+            entries = this.splitCell(value).map(cell => cell.split(/\s*(?:=>|->)\s*/));
+        }
+
+        return entries.map(entry => {
+            if (Array.isArray(entry)) {
+                return { premise: this.toText(entry[0]), response: this.toText(entry.slice(1).join(' => ')) };
+            }
+            if (typeof entry !== 'object' || entry === null) {
+                return { premise: this.toText(entry), response: '' };
+            }
+            return {
+                premise: this.toText(entry.premise ?? entry.left ?? entry.term ?? entry.prompt ?? entry.item),
+                response: this.toText(entry.response ?? entry.right ?? entry.definition ?? entry.match ?? entry.answer)
+            };
+        });
+    }
+
+    /**
+     * Parse an ordering sequence from an array (of strings, or { step, order } objects)
+     * or a "first | second" spreadsheet cell
+     * @param {Array|string} value - Raw sequence
+     * @returns {Array<string>} - Steps in the correct order
+     */
+    static parseSequence(value) {
+        if (value === undefined || value === null || value === '') {
+            return [];
+        }
+        if (!Array.isArray(value)) {
+            return this.splitCell(value).map(step => this.toText(step));
+        }
+
+        const steps = value.map((entry, index) => (entry && typeof entry === 'object'
+            ? { text: this.toText(entry.step ?? entry.text ?? entry.item), order: Number(entry.order ?? entry.position ?? index) }
+            : { text: this.toText(entry), order: index }));
+
+        // Stable sort: steps without a usable order keep their array position
+        return steps
+            .map((step, index) => ({ ...step, order: Number.isFinite(step.order) ? step.order : index }))
+            .sort((a, b) => a.order - b.order)
+            .map(step => step.text);
+    }
+
+    /**
+     * Format matching pairs as a single spreadsheet cell
+     * @param {Array<Object>} pairs - Matching pairs
+     * @returns {string} - e.g. "Mitosis => Two identical cells | Meiosis => Four gametes"
+     */
+    static formatPairs(pairs = []) {
+        return pairs.map(pair => `${pair.premise}${this.PAIR_SEPARATOR}${pair.response}`).join(' | ');
+    }
+
+    /**
+     * Get a question's items in their correct arrangement
+     * @param {Object} question - Standardized matching or ordering question
+     * @returns {Array} - Pairs for matching, steps for ordering
+     */
+    static getItems(question) {
+        const rules = this.TYPES[question.questionType];
+        return (rules && question[rules.field]) || [];
+    }
+
+    /**
+     * Map the field names providers (and spreadsheets) use onto the arrangement fields
+     * @param {Object} q - Raw question
+     * @param {string} questionType - Canonical arrangement type
+     * @returns {Object} - { pairs } or { sequence }, plus displayOrder when one was given
+     */
+    static normalize(q, questionType) {
+        const normalized = questionType === 'matching'
+            ? { pairs: this.parsePairs(q.pairs ?? q.matches ?? q.matchingPairs ?? q.matching_pairs) }
+            : { sequence: this.parseSequence(q.sequence ?? q.steps ?? q.correctOrder ?? q.correct_order ?? q.items) };
+
+        // Keep a presentation order chosen earlier (e.g. by ExamBuilder) when it still fits
+        const count = (normalized.pairs || normalized.sequence).length;
+        if (this.isPermutation(q.displayOrder, count)) {
+            normalized.displayOrder = [...q.displayOrder];
+        }
+
+        return normalized;
+    }
+
+    /**
+     * Validate the arrangement fields of a standardized question
+     * @param {Object} question - Standardized question
+     * @param {Object} options - Validation options ({ numOptions: exact item count expected })
+     * @param {Array} errors - Errors to append to ({ field, message })
+     */
+    static validate(question, options, errors) {
+        const rules = this.TYPES[question.questionType];
+        const field = rules.field;
+        const items = question[field] || [];
+        const noun = question.questionType === 'matching' ? 'pairs' : 'steps';
+
+        if (items.length === 0) {
+            errors.push({ field, message: `missing required field: ${field}` });
+            return;
+        }
+
+        if (options.numOptions && items.length !== options.numOptions) {
+            errors.push({ field, message: `has ${items.length} ${noun}, expected ${options.numOptions}` });
+        } else if (items.length < rules.minItems || items.length > rules.maxItems) {
+            errors.push({
+                field,
+                message: `has ${items.length} ${noun}, ${question.questionType} questions need ${rules.minItems}-${rules.maxItems}`
+            });
+        }
+
+        if (question.questionType === 'matching') {
+            items.forEach((pair, index) => {
+                if (!pair.premise || !pair.response) {
+                    errors.push({ field, message: `pair ${index + 1} needs both a premise and a response` });
+                }
+            });
+            this.checkUnique(items.map(pair => pair.premise), 'premise', field, errors);
+            this.checkUnique(items.map(pair => pair.response), 'response', field, errors);
+        } else {
+            items.forEach((step, index) => {
+                if (!step) {
+                    errors.push({ field, message: `step ${index + 1} is empty` });
+                }
+            });
+            this.checkUnique(items, 'step', field, errors);
+        }
+    }
+
+    /**
+     * Report repeated items, which would make more than one arrangement correct
+     * @param {Array<string>} texts - Item texts
+     * @param {string} label - Item label for messages
+     * @param {string} field - Field name for errors
+     * @param {Array} errors - Errors to append to
+     */
+    static checkUnique(texts, label, field, errors) {
+        const seen = new Set();
+        texts.filter(Boolean).forEach(text => {
+            const key = text.toLowerCase();
+            if (seen.has(key)) {
+                errors.push({ field, message: `repeats the ${label} "${text}"` });
+            }
+            seen.add(key);
+        });
+    }
+
+    /**
+     * Whether a value is an ordering of 0..count-1
+     * @param {*} order - Candidate order
+     * @param {number} count - Number of items
+     * @returns {boolean}
+     */
+    static isPermutation(order, count) {
+        return Array.isArray(order)
+            && order.length === count
+            && order.every(index => Number.isInteger(index) && index >= 0 && index < count)
+            && new Set(order).size === count;
+    }
+
+    /**
+     * Make sure a shuffled order doesn't give the answer away by matching the correct one
+     * @param {Array<number>} order - Shuffled item indices
+     * @returns {Array<number>} - The same order, rotated by one if it was the identity
+     */
+    static avoidIdentity(order) {
+        if (order.length > 1 && order.every((index, position) => index === position)) {
+            return [...order.slice(1), order[0]];
+        }
+        return order;
+    }
+
+    /**
+     * Get the order items are shown in: the question's displayOrder, or a scramble derived
+     * from its content so every export of the same question looks the same
+     * @param {Object} question - Standardized matching or ordering question
+     * @returns {Array<number>} - Item indices in display order
+     */
+    static getDisplayOrder(question) {
+        const items = this.getItems(question);
+        if (this.isPermutation(question.displayOrder, items.length)) {
+            return question.displayOrder;
+        }
+
+        const seed = question.questiontext || '';
+        const rank = index => crypto.createHash('sha256').update(`${seed}:${index}:${JSON.stringify(items[index])}`).digest('hex');
+        const order = items.map((_, index) => index).sort((a, b) => rank(a).localeCompare(rank(b)));
+
+        return this.avoidIdentity(order);
+    }
+
+    /**
+     * Letter label for a displayed item
+     * @param {number} position - Display position (0-based)
+     * @returns {string} - 'A', 'B', ...
+     */
+    static getLabel(position) {
+        return String.fromCharCode(65 + position);
+    }
+
+    /**
+     * Work out what learners see and the matching answer key.
+     * Matching: premises keep their order and are numbered; responses are scrambled and lettered.
+     * Ordering: steps are scrambled and lettered; the key lists the letters in the correct order.
+     * @param {Object} question - Standardized matching or ordering question
+     * @returns {Object} - { premises, choices: [{ key, text, index }], key }
+     */
+    static getPresentation(question) {
+        const order = this.getDisplayOrder(question);
+        const items = this.getItems(question);
+        const labelOf = index => this.getLabel(order.indexOf(index));
+
+        if (question.questionType === 'matching') {
+            return {
+                premises: items.map(pair => pair.premise),
+                choices: order.map((index, position) => ({ key: this.getLabel(position), text: items[index].response, index })),
+                key: items.map((_, index) => `${index + 1}-${labelOf(index)}`).join(', ')
+            };
+        }
+
+        return {
+            premises: [],
+            choices: order.map((index, position) => ({ key: this.getLabel(position), text: items[index], index })),
+            key: items.map((_, index) => labelOf(index)).join(', ')
+        };
+    }
+
+    /**
+     * Describe the correct arrangement in one line
+     * @param {Object} question - Standardized matching or ordering question
+     * @returns {string} - "Mitosis → Two identical cells; ..." or "Plan → Build → Test"
+     */
+    static getAnswerText(question) {
+        if (question.questionType === 'matching') {
+            return this.getItems(question).map(pair => `${pair.premise} → ${pair.response}`).join('; ');
+        }
+        return this.getItems(question).join(' → ');
+    }
+
+    /**
+     * Item texts used to compare two arrangement questions, independent of item order
+     * @param {Object} question - Standardized matching or ordering question
+     * @returns {string}
+     */
+    static getComparableText(question) {
+        return this.getItems(question)
+            .map(item => (typeof item === 'string' ? item : `${item.premise} ${item.response}`))
+            .sort()
+            .join(' ');
+    }
+}
+
+module.exports = ArrangementValidator;
@@ -0,0 +1,121 @@
+const QuestionValidator = require('./questionValidator');
+
+/**
+ * Cloze Grounding
+ * Verifies that cloze questions are blanked out of real sentences from the source text:
+ * the answer span, and the sentence with the answer filled back in, must both occur in it.
+ */
+class ClozeGrounding {
+    /**
+     * Normalize text for comparison: Unicode forms, curly quotes, dashes, whitespace and case
+     * @param {string} text - Raw text
+     * @returns {string}
+     */
+    normalize(text) {
+        return (text || '')
+            .toString()
+            .normalize('NFKC')
+            .replace(/[‘’]/g, "'")
+            .replace(/[“”]/g, '"')
+            .replace(/[–—]/g, '-')
+            .replace(/\s+/g, ' ')
+            .trim()
+            .toLowerCase();
+    }
+
+    /**
+     * Build a case-insensitive pattern matching a span on word boundaries, with flexible whitespace
+     * @param {string} span - Text to find
+     * @returns {RegExp}
+     */
+    spanPattern(span) {
+        const escaped = span
+            .trim()
+            .split(/\s+/)
+            .map(word => word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+            .join('\\s+');
+
+        return new RegExp(`(?<![\\p{L}\\p{N}])${escaped}(?![\\p{L}\\p{N}])`, 'iu');
+    }
+
+    /**
+     * Whether a span occurs in a text as whole words
+     * @param {string} text - Text to search
+     * @param {string} span - Span to find
+     * @returns {boolean}
+     */
+    containsSpan(text, span) {
+        const needle = this.normalize(span);
+        return needle !== '' && this.spanPattern(needle).test(this.normalize(text));
+    }
+
+    /**
+     * Check one cloze question against the source text
+     * When the filled-in question text isn't found but the model's sourceSentence is,
+     * the question is rebuilt from that sentence instead of being rejected.
+     * @param {Object} question - Standardized cloze question
+     * @param {string} sourceText - Text the question was generated from
+     * @returns {Object} - { grounded, question, repaired, reason }
+     */
+    check(question, sourceText) {
+        const answer = (question.correctanswer || '').toString().trim();
+
+        if (!this.containsSpan(sourceText, answer)) {
+            return { grounded: false, question, repaired: false, reason: `answer "${answer}" does not occur in the source text` };
+        }
+
+        const filled = question.questiontext.replace(QuestionValidator.BLANK, answer);
+        const source = this.normalize(sourceText);
+
+        if (source.includes(this.normalize(filled))) {
+            return {
+                grounded: true,
+                question: { ...question, sourceSentence: question.sourceSentence || filled },
+                repaired: false
+            };
+        }
+
+        const sentence = question.sourceSentence || '';
+        if (sentence && source.includes(this.normalize(sentence)) && this.containsSpan(sentence, answer)) {
+            const blanked = sentence.replace(this.spanPattern(answer), QuestionValidator.BLANK);
+            return {
+                grounded: true,
+                question: { ...question, questiontext: blanked, sourceSentence: sentence },
+                repaired: true
+            };
+        }
+
+        return { grounded: false, question, repaired: false, reason: 'sentence does not occur in the source text' };
+    }
+
+    /**
+     * Keep only the cloze questions grounded in the source text
+     * @param {Array} questions - Standardized questions
+     * @param {string} sourceText - Text the questions were generated from
+     * @returns {Object} - { questions, rejected: [{ index, questiontext, reason }], repaired }
+     */
+    filter(questions, sourceText) {
+        const grounded = [];
+        const rejected = [];
+        let repaired = 0;
+
+        questions.forEach((question, index) => {
+            if (question.questionType !== 'cloze') {
+                grounded.push(question);
+                return;
+            }
+
+            const result = this.check(question, sourceText);
+            if (result.grounded) {
+                grounded.push(result.question);
+                if (result.repaired) repaired++;
+            } else {
+                rejected.push({ index, questiontext: question.questiontext, reason: result.reason });
+            }
+        });
+
+        return { questions: grounded, rejected, repaired };
+    }
+}
+
+module.exports = ClozeGrounding;
@@ -4,49 +4,27 @@
  */
 class CostTracker {
     constructor() {
-        // Cost per 1K tokens (approximate, as of 2024)
-        this.providerCosts = {
-            gemini: {
-                input: 0.00015,   // Gemini Flash - very cheap
-                output: 0.0006,
-                speed: 'fast',
-                quality: 'good'
-            },
-            openai: {
-                input: 0.0005,    // GPT-3.5 Turbo
-                output: 0.0015,
-                speed: 'fast',
-                quality: 'good'
-            },
-            anthropic: {
-                input: 0.0008,    // Claude Haiku
-                output: 0.0024,
-                speed: 'fast',
-                quality: 'excellent'
-            },
-            deepseek: {
-                input: 0.00014,   // Very cheap
-                output: 0.00028,
-                speed: 'medium',
-                quality: 'good'
-            },
-            kimi: {
-                input: 0.0002,
-                output: 0.0006,
-                speed: 'fast',
-                quality: 'good'
-            },
-            kimicn: {
-                input: 0.0002,
-                output: 0.0006,
-                speed: 'fast',
-                quality: 'good'
-            }
-        };
+        // Cost per 1K tokens with speed and quality ratings, registered from each provider's
+        // definition as it loads (see ProviderRegistry)
+        this.providerCosts = {};
 
         this.usage = {}; // Track usage per provider
     }
 
+    /**
+     * Add or replace a provider's pricing, from its registry definition
+     * @param {string} provider - Provider name
+     * @param {Object} info - { input, output } cost per 1K tokens, plus speed and quality ratings
+     */
+    registerProvider(provider, info = {}) {
+        this.providerCosts[provider.toLowerCase()] = {
+            input: info.input || 0,
+            output: info.output || 0,
+            speed: info.speed || 'medium',
+            quality: info.quality || 'good'
+        };
+    }
+
     /**
      * Estimate tokens for text
      * @param {string} text - Text to estimate
@@ -1,4 +1,6 @@
 const TextSimilarity = require('./textSimilarity');
+const QuestionValidator = require('./questionValidator');
+const ArrangementValidator = require('./arrangementValidator');
 
 /**
  * Question Deduplication Engine
@@ -14,6 +16,8 @@ class Deduplicator {
 
     /**
      * Calculate similarity between two questions
+     * Matching and ordering questions are compared mostly on their pairs/steps, since their
+     * stems ("Match each term with its definition") say little about what they test.
      * @param {Object} q1 - First question
      * @param {Object} q2 - Second question
      * @returns {number} - Similarity score (0-100)
@@ -25,15 +29,30 @@ class Deduplicator {
             q2.questiontext
         );
 
+        if (QuestionValidator.isArrangement(q1) && q1.questionType === q2.questionType) {
+            const itemsSimilarity = TextSimilarity.combinedSimilarity(
+                ArrangementValidator.getComparableText(q1),
+                ArrangementValidator.getComparableText(q2)
+            );
+
+            return questionSimilarity * 0.3 + itemsSimilarity * 0.7;
+        }
+
         // If questions are very different, no need to check options
         if (questionSimilarity < 50) {
             return questionSimilarity;
         }
 
+        // True/false options are always the same pair, and free-response and arrangement questions have none,
+        // so they carry no signal
+        const comparable = q1.questionType !== 'true_false' && q2.questionType !== 'true_false'
+            && QuestionValidator.getOptionList(q1).length > 0 && QuestionValidator.getOptionList(q2).length > 0;
+
         // If comparing options is enabled, also check answer similarity
-        if (this.compareOptions) {
-            const options1 = [q1.optiona, q1.optionb, q1.optionc, q1.optiond].join(' ');
-            const options2 = [q2.optiona, q2.optionb, q2.optionc, q2.optiond].join(' ');
+        if (this.compareOptions && comparable) {
+            // Sort so the same options in a different order (or count) still match
+            const options1 = QuestionValidator.extractOptions(q1).sort().join(' ');
+            const options2 = QuestionValidator.extractOptions(q2).sort().join(' ');
             
             const optionsSimilarity = TextSimilarity.combinedSimilarity(options1, options2);
             
@@ -161,14 +180,12 @@ class Deduplicator {
             score += 20;
         }
 
-        // Longer options suggest more thought
-        const avgOptionLength = (
-            question.optiona.length +
-            question.optionb.length +
-            question.optionc.length +
-            question.optiond.length
-        ) / 4;
-        score += Math.min(avgOptionLength / 5, 20);
+        // Longer options suggest more thought (true/false options are fixed, so skip them)
+        const options = QuestionValidator.extractOptions(question);
+        if (question.questionType !== 'true_false' && options.length > 0) {
+            const avgOptionLength = options.reduce((sum, option) => sum + option.length, 0) / options.length;
+            score += Math.min(avgOptionLength / 5, 20);
+        }
 
         // Hard questions are often more valuable
         if (question.difficulty === 'hard') {
@@ -1,3 +1,5 @@
+const ErrorHandler = require('./errorHandler');
+
 /**
  * Difficulty Distribution Balancer
  * Ensures proper difficulty distribution in question sets
@@ -137,11 +139,12 @@ class DifficultyBalancer {
     /**
      * Balance questions by difficulty
      * @param {Array} questions - Questions to balance
-     * @param {Function} regenerateFn - Function to regenerate questions
+     * @param {Function} regenerateFn - Function to regenerate questions: (count, difficulty, questionType) => questions
      * @param {number} attempt - Current attempt number
+     * @param {AbortSignal} signal - Stops rebalancing between regenerations
      * @returns {Promise<Object>} - Balanced questions
      */
-    async balance(questions, regenerateFn = null, attempt = 1) {
+    async balance(questions, regenerateFn = null, attempt = 1, signal = null) {
         if (!this.enabled || questions.length === 0) {
             return {
                 questions,
@@ -204,8 +207,11 @@ class DifficultyBalancer {
         try {
             // Regenerate needed questions
             const newQuestions = [];
+            // Replacements keep the set's question type (true/false, multi-select, ...)
+            const questionType = this.getDominantType(questions);
             for (const { difficulty, count } of toRegenerate) {
-                const generated = await regenerateFn(count, difficulty);
+                ErrorHandler.throwIfCancelled(signal);
+                const generated = await regenerateFn(count, difficulty, questionType);
                 newQuestions.push(...generated);
             }
 
@@ -214,9 +220,12 @@ class DifficultyBalancer {
             
             // Combine and recursively balance
             const combined = [...balanced, ...newQuestions];
-            return await this.balance(combined, regenerateFn, attempt + 1);
+            return await this.balance(combined, regenerateFn, attempt + 1, signal);
 
         } catch (error) {
+            if (ErrorHandler.isCancellation(error)) {
+                throw error;
+            }
             console.warn('Rebalancing failed:', error.message);
             return {
                 questions,
@@ -349,6 +358,30 @@ class DifficultyBalancer {
         });
     }
 
+    /**
+     * Count questions per question type
+     * @param {Array} questions - Questions
+     * @returns {Object} - e.g. { multiple_choice: 8, true_false: 2 }
+     */
+    countQuestionTypes(questions) {
+        const counts = {};
+        questions.forEach(q => {
+            const questionType = q.questionType || 'multiple_choice';
+            counts[questionType] = (counts[questionType] || 0) + 1;
+        });
+        return counts;
+    }
+
+    /**
+     * Get the most common question type in a set
+     * @param {Array} questions - Questions
+     * @returns {string}
+     */
+    getDominantType(questions) {
+        const counts = this.countQuestionTypes(questions);
+        return Object.keys(counts).sort((a, b) => counts[b] - counts[a])[0] || 'multiple_choice';
+    }
+
     /**
      * Get configuration
      * @returns {Object}
@@ -379,6 +412,7 @@ class DifficultyBalancer {
                 hard: distribution.hard
             },
             percentages: distribution.percentages,
+            questionTypes: this.countQuestionTypes(questions),
             balanced: balanceCheck.isBalanced,
             maxDeviation: balanceCheck.maxDeviation,
             target: this.targetDistribution
@@ -0,0 +1,246 @@
+const ErrorHandler = require('./errorHandler');
+
+/**
+ * Document Chunker
+ * Covers long documents end to end instead of truncating them: the text is split into
+ * chunks, the requested questions are spread across the chunks by how much content each
+ * one holds, and the per-chunk results are merged with every question tagged by its chunk.
+ */
+class DocumentChunker {
+    /**
+     * Common words that carry no content, ignored when weighing chunks
+     */
+    static STOPWORDS = new Set([
+        'the', 'and', 'for', 'are', 'was', 'were', 'but', 'not', 'you', 'all', 'any', 'can', 'had',
+        'her', 'his', 'him', 'its', 'our', 'out', 'has', 'have', 'been', 'being', 'this', 'that',
+        'these', 'those', 'with', 'from', 'into', 'onto', 'than', 'then', 'them', 'they', 'their',
+        'there', 'here', 'what', 'which', 'who', 'whom', 'when', 'where', 'why', 'how', 'will',
+        'would', 'could', 'should', 'shall', 'may', 'might', 'must', 'also', 'such', 'each', 'other',
+        'some', 'more', 'most', 'very', 'only', 'just', 'over', 'under', 'about', 'after', 'before',
+        'between', 'through', 'while', 'does', 'did', 'doing', 'your', 'yours', 'she', 'one'
+    ]);
+
+    constructor(config = {}) {
+        this.enabled = config.enabled !== false;
+        this.threshold = config.threshold || 20000; // Texts longer than this (in characters) are chunked
+        this.chunkSize = config.chunkSize || 12000; // Maximum characters per chunk
+        this.maxWorkers = config.maxWorkers || 3; // Chunks generated at the same time
+        this.maxDocumentChars = config.maxDocumentChars || 500000; // Longest document accepted
+    }
+
+    /**
+     * Check if a text should be generated from in chunks
+     * @param {string} text - Input text
+     * @returns {boolean}
+     */
+    shouldChunk(text) {
+        return this.enabled && typeof text === 'string' && text.length > this.threshold;
+    }
+
+    /**
+     * Weigh a chunk by the content words it holds, so pages of tables, numbering or
+     * boilerplate get fewer questions than dense prose of the same length
+     * @param {string} text - Chunk text
+     * @returns {number} - Number of content words
+     */
+    getWeight(text) {
+        const words = (text || '').toLowerCase().match(/\p{L}[\p{L}\p{N}'-]*/gu) || [];
+        return words.filter(word => word.length >= 3 && !DocumentChunker.STOPWORDS.has(word)).length;
+    }
+
+    /**
+     * Split a document into chunks with their position and content weight
+     * @param {string} text - Full document text
+     * @param {Function} splitFn - (text, maxChars) => Array<string>, e.g. a provider's splitTextIntoChunks
+     * @returns {Array<Object>} - Array of { index, text, start, end, weight, requested, generated, errors }
+     */
+    split(text, splitFn) {
+        let cursor = 0;
+
+        return splitFn(text, this.chunkSize).map((chunkText, index) => {
+            // Chunks are trimmed sentence runs of the original, so find where each one starts
+            let start = text.indexOf(chunkText, cursor);
+            if (start === -1) {
+                start = text.indexOf(chunkText.slice(0, 40), cursor);
+            }
+            if (start === -1) {
+                start = cursor;
+            }
+            const end = Math.min(text.length, start + chunkText.length);
+            cursor = end;
+
+            return {
+                index,
+                text: chunkText,
+                start,
+                end,
+                weight: this.getWeight(chunkText),
+                requested: 0,
+                generated: 0,
+                errors: []
+            };
+        });
+    }
+
+    /**
+     * Spread a number of questions across chunks in proportion to their weight.
+     * Questions already taken from each chunk count towards its share, so top-up
+     * requests go to the chunks that are furthest behind.
+     * @param {Array<number>} weights - Chunk weights
+     * @param {number} count - Questions to allocate
+     * @param {Array<number>} existing - Questions each chunk already has (default: none)
+     * @returns {Array<number>} - Questions per chunk, summing to count
+     */
+    allocate(weights, count, existing = []) {
+        const totalWeight = weights.reduce((sum, weight) => sum + weight, 0);
+        const shares = weights.map(weight => (totalWeight > 0 ? weight / totalWeight : 1 / weights.length));
+        const have = weights.map((_, index) => existing[index] || 0);
+        const target = have.reduce((sum, value) => sum + value, 0) + count;
+
+        const deficits = shares.map((share, index) => Math.max(0, share * target - have[index]));
+        const totalDeficit = deficits.reduce((sum, deficit) => sum + deficit, 0);
+        const quotas = deficits.map((deficit, index) => (totalDeficit > 0
+            ? (deficit / totalDeficit) * count
+            : shares[index] * count));
+
+        // Largest remainder: round down, then hand the rest to the biggest fractions (heavier chunks on ties)
+        const allocation = quotas.map(quota => Math.floor(quota));
+        const remaining = count - allocation.reduce((sum, value) => sum + value, 0);
+        quotas
+            .map((_, index) => index)
+            .sort((a, b) => (quotas[b] - allocation[b]) - (quotas[a] - allocation[a]) || shares[b] - shares[a] || a - b)
+            .slice(0, remaining)
+            .forEach(index => allocation[index]++);
+
+        return allocation;
+    }
+
+    /**
+     * Generate questions across chunks and merge the results
+     * @param {Array<Object>} chunks - Chunks from split()
+     * @param {number} count - Total questions to generate
+     * @param {Function} generateFn - async (chunkText, options) => provider result
+     * @param {Object} options - Generation options
+     * @param {Array<Object>} existingQuestions - Questions already kept, tagged with sourceChunk (default: none)
+     * @returns {Promise<Object>} - Merged result; each question carries its sourceChunk index
+     */
+    async generate(chunks, count, generateFn, options = {}, existingQuestions = []) {
+        const existing = chunks.map(chunk => existingQuestions.filter(q => q.sourceChunk === chunk.index).length);
+        const allocation = this.allocate(chunks.map(chunk => chunk.weight), count, existing);
+        const tasks = chunks
+            .map((chunk, position) => ({ chunk, numQuestions: allocation[position] }))
+            .filter(task => task.numQuestions > 0);
+
+        console.log(`Generating ${count} questions from ${tasks.length}/${chunks.length} chunks: [${allocation.join(', ')}]`);
+
+        const results = [];
+        let next = 0;
+        const worker = async () => {
+            // A cancelled request starts no more chunks
+            while (next < tasks.length && !(options.signal && options.signal.aborted)) {
+                const task = tasks[next++];
+                const { chunk, numQuestions } = task;
+                chunk.requested += numQuestions;
+
+                try {
+                    const result = await generateFn(chunk.text, { ...options, numQuestions });
+                    const questions = (result.questions || []).map(q => ({ ...q, sourceChunk: chunk.index }));
+                    chunk.generated += questions.length;
+                    results.push({ chunk, result, questions });
+                } catch (error) {
+                    console.error(`✗ Chunk ${chunk.index + 1}/${chunks.length} failed:`, error.message);
+                    chunk.errors.push(error.message);
+                    results.push({ chunk, error });
+                }
+            }
+        };
+
+        await Promise.all(Array.from({ length: Math.min(this.maxWorkers, tasks.length) }, worker));
+        ErrorHandler.throwIfCancelled(options.signal);
+
+        // Keep document order regardless of which chunk finished first
+        results.sort((a, b) => a.chunk.index - b.chunk.index);
+        const succeeded = results.filter(entry => !entry.error);
+        if (tasks.length > 0 && succeeded.length === 0) {
+            throw results[0].error;
+        }
+
+        return this.mergeResults(succeeded, count);
+    }
+
+    /**
+     * Merge per-chunk provider results into one result
+     * @param {Array<Object>} entries - Successful { chunk, result, questions } entries in document order
+     * @param {number} expectedTotal - Questions requested
+     * @returns {Object} - Combined result
+     */
+    mergeResults(entries, expectedTotal) {
+        const questions = entries.flatMap(entry => entry.questions);
+        const first = entries[0]?.result || {};
+        const groundings = entries.map(entry => entry.result.metadata?.grounding).filter(Boolean);
+
+        return {
+            ...first,
+            questions,
+            analysis: entries.map(entry => entry.result.analysis).filter(Boolean).join(' '),
+            metadata: {
+                ...first.metadata,
+                num_questions: questions.length,
+                expected_questions: expectedTotal,
+                ...(groundings.length > 0 ? {
+                    grounding: {
+                        checked: groundings.reduce((sum, grounding) => sum + grounding.checked, 0),
+                        rejected: groundings.reduce((sum, grounding) => sum + grounding.rejected, 0),
+                        repaired: groundings.reduce((sum, grounding) => sum + grounding.repaired, 0),
+                        rejections: groundings.flatMap(grounding => grounding.rejections)
+                    }
+                } : {})
+            }
+        };
+    }
+
+    /**
+     * Describe how a document was covered, for result metadata
+     * @param {string} text - Full document text
+     * @param {Array<Object>} chunks - Chunks from split(), after generation
+     * @param {Array<Object>} questions - Final questions, tagged with sourceChunk
+     * @returns {Object} - Chunking metadata
+     */
+    summarize(text, chunks, questions) {
+        return {
+            enabled: true,
+            totalChars: text.length,
+            chunkSize: this.chunkSize,
+            numChunks: chunks.length,
+            chunks: chunks.map(chunk => ({
+                index: chunk.index,
+                start: chunk.start,
+                end: chunk.end,
+                chars: chunk.text.length,
+                weight: chunk.weight,
+                requested: chunk.requested,
+                generated: chunk.generated,
+                questions: questions.filter(q => q.sourceChunk === chunk.index).length,
+                ...(chunk.errors.length > 0 ? { errors: chunk.errors } : {})
+            })),
+            // Chunk each returned question came from, in question order
+            questionChunks: questions.map(q => (q.sourceChunk ?? null))
+        };
+    }
+
+    /**
+     * Get chunker configuration
+     * @returns {Object}
+     */
+    getConfig() {
+        return {
+            enabled: this.enabled,
+            threshold: this.threshold,
+            chunkSize: this.chunkSize,
+            maxWorkers: this.maxWorkers,
+            maxDocumentChars: this.maxDocumentChars
+        };
+    }
+}
+
+module.exports = DocumentChunker;
@@ -0,0 +1,377 @@
+/**
+ * Document Structure
+ * Builds the structured document model extraction returns (sections with titles, heading
+ * levels, page or slide numbers and source file) and selects sections for targeted
+ * generation, e.g. "chapter 3", "pages 10-20", "slides 4-8" or a title such as "Photosynthesis".
+ */
+class DocumentStructure {
+    /**
+     * Keywords that introduce a numbered heading, with the level they sit at
+     */
+    static HEADING_KEYWORDS = {
+        part: 1,
+        chapter: 1,
+        unit: 1,
+        module: 1,
+        lesson: 1,
+        section: 2
+    };
+
+    /**
+     * Longest line treated as a heading when detecting headings in plain text
+     */
+    static MAX_HEADING_LENGTH = 80;
+
+    /**
+     * Convert a Roman numeral to a number
+     * @param {string} value - Roman numeral, e.g. "IV"
+     * @returns {number|null} - Its value, or null if it isn't one
+     */
+    static parseRoman(value) {
+        const numerals = { i: 1, v: 5, x: 10, l: 50, c: 100, d: 500, m: 1000 };
+        const letters = value.toLowerCase().split('');
+        if (letters.length === 0 || !letters.every(letter => numerals[letter])) {
+            return null;
+        }
+
+        return letters.reduce((total, letter, index) => {
+            const current = numerals[letter];
+            const next = numerals[letters[index + 1]] || 0;
+            return total + (current < next ? -current : current);
+        }, 0);
+    }
+
+    /**
+     * Read the number of a heading ("Chapter 3: Cells" → "3", "3.1 Membranes" → "3.1", "Part IV" → "4")
+     * @param {string} title - Heading text
+     * @returns {string|null}
+     */
+    static getSectionNumber(title) {
+        const text = (title || '').trim();
+
+        const keyword = text.match(/^(part|chapter|ch\.?|unit|module|lesson|section)\s+(\d+(?:\.\d+)*|[ivxlcdm]+)\b/i);
+        if (keyword) {
+            const roman = /^\d/.test(keyword[2]) ? null : this.parseRoman(keyword[2]);
+            return roman !== null ? String(roman) : keyword[2];
+        }
+
+        const numbered = text.match(/^(\d+(?:\.\d+)*)(?:[.)]|\s)/);
+        return numbered ? numbered[1] : null;
+    }
+
+    /**
+     * Decide whether a plain-text line is a heading
+     * @param {string} line - Trimmed line
+     * @param {Object} options - { markdown: also accept "# Title" lines (plain text only; in PDFs they are
+     *   usually code comments) }
+     * @returns {Object|null} - { title, level } or null
+     */
+    static detectHeading(line, options = {}) {
+        const markdown = options.markdown && line.match(/^(#{1,6})\s+(.+?)\s*#*$/);
+        if (markdown) {
+            return { title: markdown[2], level: markdown[1].length };
+        }
+
+        // Long lines are prose; runs of spaces mean table columns
+        if (line.length > this.MAX_HEADING_LENGTH || /[.,;:!?]$/.test(line) || /\S\s{3,}\S/.test(line)) {
+            return null;
+        }
+
+        const keyword = line.match(/^(part|chapter|unit|module|lesson|section)\s+(\d+(?:\.\d+)*|[IVXLCDM]+)\b/i);
+        if (keyword) {
+            return { title: line, level: this.HEADING_KEYWORDS[keyword[1].toLowerCase()] };
+        }
+
+        // "3.1 Membranes" (numbered sub-headings) or "3 Cell Biology" (a bare chapter number, no list dot)
+        const numbered = line.match(/^(\d+(?:\.\d+)+)\.?\s+\p{Lu}/u) || line.match(/^(\d{1,2})\s\p{Lu}\p{Ll}/u);
+        if (numbered && line.split(/\s+/).length <= 12) {
+            return { title: line, level: numbered[1].split('.').length };
+        }
+
+        return null;
+    }
+
+    /**
+     * Group lines into sections at their headings
+     * @param {Array<Object>} lines - Array of { text, page?, level? }; level marks a heading the source
+     *   format declared (e.g. DOCX heading styles). When none do, headings are detected from the text.
+     * @param {string} file - Source file name
+     * @param {Object} options - Heading detection options (see detectHeading)
+     * @returns {Array<Object>} - Sections: { title, number, level, file, pageStart?, pageEnd?, pageOffsets?, text };
+     *   pageOffsets ([{ page, offset }]) says where each page starts in the text of a section spanning several
+     */
+    static buildSections(lines, file, options = {}) {
+        const entries = lines
+            .map(line => ({ ...line, text: (line.text || '').trim() }))
+            .filter(line => line.text !== '');
+        const declared = entries.some(line => line.level);
+        const hasPages = entries.some(line => line.page);
+
+        const sections = [];
+        let current = null;
+        let headings = 0;
+        const open = (title, level, page) => {
+            current = { title, number: this.getSectionNumber(title), level, file, lines: [], length: 0, pageOffsets: [] };
+            if (page) {
+                current.pageStart = page;
+                current.pageEnd = page;
+            }
+            sections.push(current);
+        };
+
+        for (const line of entries) {
+            const heading = declared
+                ? (line.level ? { title: line.text, level: line.level } : null)
+                : this.detectHeading(line.text, options);
+
+            // A running header repeats its heading on every page; keep it in the section it names
+            if (heading && !(current && current.title === heading.title)) {
+                headings++;
+                open(heading.title, heading.level, line.page);
+            } else if (!current) {
+                open(file, 1, line.page);
+            }
+
+            const offset = current.lines.length > 0 ? current.length + 1 : 0;
+            current.lines.push(line.text);
+            current.length = offset + line.text.length;
+            if (line.page) {
+                current.pageStart = current.pageStart || line.page;
+                current.pageEnd = line.page;
+                if (current.pageOffsets[current.pageOffsets.length - 1]?.page !== line.page) {
+                    current.pageOffsets.push({ page: line.page, offset });
+                }
+            }
+        }
+
+        // Without any headings, pages are the most useful unit a PDF has
+        if (hasPages && headings === 0) {
+            return this.buildPageSections(entries, file);
+        }
+
+        return sections.map(({ lines: sectionLines, length, pageOffsets, ...section }) => ({
+            ...section,
+            ...(pageOffsets.length > 1 ? { pageOffsets } : {}),
+            text: sectionLines.join('\n')
+        }));
+    }
+
+    /**
+     * One section per page, for documents without headings
+     * @param {Array<Object>} lines - Array of { text, page }
+     * @param {string} file - Source file name
+     * @returns {Array<Object>} - Sections
+     */
+    static buildPageSections(lines, file) {
+        const pages = new Map();
+        lines.forEach(line => {
+            if (!pages.has(line.page)) {
+                pages.set(line.page, []);
+            }
+            pages.get(line.page).push(line.text);
+        });
+
+        return [...pages.entries()].map(([page, pageLines]) => ({
+            title: `Page ${page}`,
+            number: null,
+            level: 1,
+            file,
+            pageStart: page,
+            pageEnd: page,
+            text: pageLines.join('\n')
+        }));
+    }
+
+    /**
+     * Segment plain text (TXT files, pasted text) into sections
+     * @param {string} text - Raw text
+     * @param {string} file - Source name (default: 'input')
+     * @returns {Array<Object>} - Sections
+     */
+    static segmentText(text, file = 'input') {
+        return this.buildSections((text || '').split(/\r?\n/).map(line => ({ text: line })), file, { markdown: true });
+    }
+
+    /**
+     * Build a document model from per-file sections, numbering sections across the document
+     * @param {Array<Object>} files - Array of { name, type, pages?, slides?, sections }
+     * @returns {Object} - { files: [{ name, type, pages?, slides?, sections }], sections: [{ id, ... }] }
+     */
+    static createDocument(files) {
+        let id = 0;
+        const sections = files.flatMap(file => file.sections.map(section => ({ id: ++id, ...section })));
+
+        return {
+            files: files.map(({ sections: fileSections, ...file }) => ({ ...file, sections: fileSections.length })),
+            sections
+        };
+    }
+
+    /**
+     * Join sections back into the text generation runs on
+     * @param {Array<Object>} sections - Sections
+     * @returns {string}
+     */
+    static toText(sections) {
+        return sections.map(section => section.text).join('\n\n');
+    }
+
+    /**
+     * Where each section starts in the text toText() builds from them
+     * @param {Array<Object>} sections - Sections
+     * @returns {Array<number>} - Character offsets, one per section
+     */
+    static getOffsets(sections) {
+        let offset = 0;
+        return sections.map(section => {
+            const start = offset;
+            offset += section.text.length + 2;
+            return start;
+        });
+    }
+
+    /**
+     * Page a character of a section's text is on
+     * @param {Object} section - Section
+     * @param {number} offset - Character offset in the section's text
+     * @returns {number|undefined} - Page number, if the section has pages
+     */
+    static getPage(section, offset) {
+        const pages = (section.pageOffsets || []).filter(entry => entry.offset <= offset);
+        return pages.length > 0 ? pages[pages.length - 1].page : section.pageStart;
+    }
+
+    /**
+     * Describe sections without their text, e.g. for API responses
+     * @param {Array<Object>} sections - Sections
+     * @returns {Array<Object>} - Array of { id, title, number, level, file, pageStart?, pageEnd?, slide?, chars }
+     */
+    static getOutline(sections) {
+        return sections.map(({ text, pageOffsets, ...section }) => ({ ...section, chars: text.length }));
+    }
+
+    /**
+     * Parse a section selector: an array (or JSON array text), or a comma-separated string, of
+     * "chapter 3" / "3.2" / "pages 10-20" / "slides 4-8" / "file:notes.pdf" / title text
+     * @param {Array|string} value - Raw selector
+     * @returns {Array<Object>} - Array of { type: 'number'|'pages'|'slides'|'file'|'title', value, from?, to?, label }
+     */
+    static parseSelector(value) {
+        // Form fields carry arrays as JSON text
+        if (typeof value === 'string' && value.trim().startsWith('[')) {
+            try {
+                value = JSON.parse(value);
+            } catch (error) {
+                // Not JSON after all; read it as a comma-separated list
+            }
+        }
+
+        const parts = Array.isArray(value)
+            ? value
+            : (value === undefined || value === null ? [] : value.toString().split(','));
+
+        return parts
+            .map(part => (part === undefined || part === null ? '' : part.toString().trim()))
+            .filter(part => part !== '')
+            .map(label => {
+                const range = label.match(/^(pages?|pp?\.?|slides?)\s*(\d+)(?:\s*(?:-|–|to)\s*(\d+))?$/i);
+                if (range) {
+                    const from = parseInt(range[2], 10);
+                    const to = range[3] ? parseInt(range[3], 10) : from;
+                    return {
+                        type: /^s/i.test(range[1]) ? 'slides' : 'pages',
+                        from: Math.min(from, to),
+                        to: Math.max(from, to),
+                        label
+                    };
+                }
+
+                const file = label.match(/^file:\s*(.+)$/i);
+                if (file) {
+                    return { type: 'file', value: file[1].toLowerCase(), label };
+                }
+
+                if (/^\d+(?:\.\d+)*$/.test(label)) {
+                    return { type: 'number', value: label, label };
+                }
+                const number = this.getSectionNumber(label);
+                if (number && /^(part|chapter|ch\.?|unit|module|lesson|section)\s+\S+$/i.test(label)) {
+                    return { type: 'number', value: number, label };
+                }
+
+                return { type: 'title', value: label.toLowerCase(), label };
+            });
+    }
+
+    /**
+     * Find the sections one selector picks. A numbered or titled section brings its
+     * sub-sections along (the sections after it with a deeper level).
+     * @param {Array<Object>} sections - Document sections
+     * @param {Object} selector - Parsed selector
+     * @returns {Array<Object>} - Matching sections
+     */
+    static matchSelector(sections, selector) {
+        const withChildren = matches => {
+            const picked = new Set();
+            sections.forEach((section, index) => {
+                if (!matches(section)) {
+                    return;
+                }
+                picked.add(section);
+                for (let next = index + 1; next < sections.length; next++) {
+                    const child = sections[next];
+                    if (child.file !== section.file || child.level <= section.level) {
+                        break;
+                    }
+                    picked.add(child);
+                }
+            });
+            return sections.filter(section => picked.has(section));
+        };
+
+        switch (selector.type) {
+        case 'pages':
+            return sections.filter(section => section.pageStart
+                && section.pageStart <= selector.to && section.pageEnd >= selector.from);
+        case 'slides':
+            return sections.filter(section => section.slide
+                && section.slide >= selector.from && section.slide <= selector.to);
+        case 'file':
+            return sections.filter(section => (section.file || '').toLowerCase().includes(selector.value));
+        case 'number':
+            return withChildren(section => section.number !== null && section.number !== undefined
+                && (section.number === selector.value || section.number.startsWith(`${selector.value}.`)));
+        default:
+            return withChildren(section => section.title.toLowerCase().includes(selector.value));
+        }
+    }
+
+    /**
+     * Select the sections a selector asks for, in document order
+     * @param {Object} document - Document model from createDocument()
+     * @param {Array|string} selector - Raw selector (see parseSelector)
+     * @returns {Object} - { sections, text }
+     * @throws {Error} - If the selector is empty or a part of it matches nothing
+     */
+    static select(document, selector) {
+        const selectors = this.parseSelector(selector);
+        if (selectors.length === 0) {
+            throw new Error('Invalid sections: give at least one section, e.g. "chapter 3" or "pages 10-20"');
+        }
+
+        const picked = new Set();
+        selectors.forEach(entry => {
+            const matches = this.matchSelector(document.sections, entry);
+            if (matches.length === 0) {
+                const titles = document.sections.slice(0, 10).map(section => `"${section.title}"`).join(', ');
+                throw new Error(`No section matches "${entry.label}". Sections include: ${titles}`);
+            }
+            matches.forEach(section => picked.add(section));
+        });
+
+        const sections = document.sections.filter(section => picked.has(section));
+        return { sections, text: this.toText(sections) };
+    }
+}
+
+module.exports = DocumentStructure;
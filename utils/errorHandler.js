@@ -15,6 +15,7 @@ class ErrorHandler {
         PROVIDER_ERROR: 'provider_error',
         PARSING_ERROR: 'parsing_error',
         CONFIGURATION: 'configuration',
+        CANCELLED: 'cancelled',
         UNKNOWN: 'unknown'
     };
 
@@ -27,6 +28,11 @@ class ErrorHandler {
         const message = error.message?.toLowerCase() || '';
         const status = error.status || error.statusCode || 0;
 
+        // Cancelled by the caller (checked first: an aborted request isn't a network failure)
+        if (this.isCancellation(error)) {
+            return this.ErrorTypes.CANCELLED;
+        }
+
         // Rate limiting
         if (status === 429 || message.includes('rate limit') || message.includes('too many requests')) {
             return this.ErrorTypes.RATE_LIMIT;
@@ -109,6 +115,7 @@ class ErrorHandler {
             [this.ErrorTypes.PROVIDER_ERROR]: 'AI provider is temporarily unavailable. Please try again.',
             [this.ErrorTypes.PARSING_ERROR]: 'Failed to parse response. Please try again.',
             [this.ErrorTypes.CONFIGURATION]: 'Configuration error. Please check your settings.',
+            [this.ErrorTypes.CANCELLED]: 'The request was cancelled.',
             [this.ErrorTypes.UNKNOWN]: 'An unexpected error occurred. Please try again.'
         };
 
@@ -212,6 +219,36 @@ class ErrorHandler {
         res.status(statusCode).json(response);
     }
 
+    /**
+     * Check if an error means the work was cancelled through an AbortSignal
+     * @param {Error} error - Error object
+     * @returns {boolean}
+     */
+    static isCancellation(error) {
+        return Boolean(error) && (error.type === this.ErrorTypes.CANCELLED || error.name === 'AbortError');
+    }
+
+    /**
+     * Create the error thrown when work is cancelled
+     * @param {string} message - Error message
+     * @returns {Error}
+     */
+    static createCancellationError(message = 'Generation cancelled') {
+        const error = this.createError(message, this.ErrorTypes.CANCELLED);
+        error.name = 'AbortError';
+        return error;
+    }
+
+    /**
+     * Throw a cancellation error if a signal has been aborted
+     * @param {AbortSignal} signal - Signal to check (may be undefined)
+     */
+    static throwIfCancelled(signal) {
+        if (signal && signal.aborted) {
+            throw this.createCancellationError();
+        }
+    }
+
     /**
      * Create error from message
      * @param {string} message - Error message
@@ -0,0 +1,200 @@
+const crypto = require('crypto');
+const QuestionValidator = require('./questionValidator');
+const ArrangementValidator = require('./arrangementValidator');
+const NumericalValidator = require('./numericalValidator');
+
+/**
+ * Exam Form Builder
+ * Assembles multiple shuffled forms of a question set with per-form answer keys.
+ * Forms are deterministic: the same questions and seed always produce the same forms.
+ */
+class ExamBuilder {
+    constructor(config = {}) {
+        this.maxForms = config.maxForms || 26; // One letter per form
+        this.shuffleQuestions = config.shuffleQuestions !== false;
+        this.shuffleOptions = config.shuffleOptions !== false;
+    }
+
+    /**
+     * Generate a random seed for callers that don't supply one
+     * @returns {string}
+     */
+    generateSeed() {
+        return crypto.randomBytes(6).toString('hex');
+    }
+
+    /**
+     * Create a seeded pseudo-random number generator (mulberry32)
+     * @param {string} seed - Seed string
+     * @returns {Function} - Returns floats in [0, 1)
+     */
+    createRandom(seed) {
+        let state = crypto.createHash('sha256').update(String(seed)).digest().readUInt32LE(0);
+
+        return () => {
+            state = (state + 0x6D2B79F5) >>> 0;
+            let t = state;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    }
+
+    /**
+     * Fisher-Yates shuffle using a seeded generator
+     * @param {Array} items - Items to shuffle
+     * @param {Function} random - Seeded generator
+     * @returns {Array} - New shuffled array
+     */
+    shuffle(items, random) {
+        const shuffled = [...items];
+        for (let i = shuffled.length - 1; i > 0; i--) {
+            const j = Math.floor(random() * (i + 1));
+            [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+        }
+        return shuffled;
+    }
+
+    /**
+     * Get the label for a form index
+     * @param {number} index - Form index (0-based)
+     * @returns {string} - 'A', 'B', ...
+     */
+    getFormLabel(index) {
+        return String.fromCharCode(65 + index);
+    }
+
+    /**
+     * Validate the number of forms parameter
+     * @param {number} numForms - Requested number of forms
+     * @returns {Object} - Validation result
+     */
+    validateNumForms(numForms) {
+        const parsed = parseInt(numForms, 10);
+
+        if (isNaN(parsed) || parsed < 1 || parsed > this.maxForms) {
+            return {
+                valid: false,
+                error: `Invalid input: num_forms must be between 1 and ${this.maxForms}`
+            };
+        }
+
+        return { valid: true, value: parsed };
+    }
+
+    /**
+     * Shuffle a question's options and remap its correct answer(s)
+     * True/false options keep their conventional True, False order; free-response questions have none.
+     * Matching responses and ordering steps get a new displayOrder instead.
+     * @param {Object} question - Standardized question
+     * @param {Function} random - Seeded generator
+     * @returns {Object} - Question with shuffled options
+     */
+    shuffleQuestionOptions(question, random) {
+        if (QuestionValidator.isArrangement(question)) {
+            const indices = ArrangementValidator.getItems(question).map((_, index) => index);
+            return { ...question, displayOrder: ArrangementValidator.avoidIdentity(this.shuffle(indices, random)) };
+        }
+
+        if (question.questionType === 'true_false' || QuestionValidator.isFreeResponse(question)) {
+            return { ...question };
+        }
+
+        const answerKeys = QuestionValidator.getAnswerKeys(question);
+        const options = QuestionValidator.extractOptions(question).map((text, index) => ({
+            text,
+            correct: answerKeys.includes(QuestionValidator.OPTION_KEYS[index])
+        }));
+
+        const shuffled = this.shuffle(options, random);
+        const remapped = { ...question, options: shuffled.map(option => option.text) };
+        const correctKeys = [];
+
+        shuffled.forEach((option, index) => {
+            const newKey = QuestionValidator.OPTION_KEYS[index];
+            remapped[`option${newKey.toLowerCase()}`] = option.text;
+            if (option.correct) {
+                correctKeys.push(newKey);
+            }
+        });
+
+        remapped.correctanswer = correctKeys.join(',');
+        return remapped;
+    }
+
+    /**
+     * Build exam forms from a question set
+     * Numerical templates get their own numbers on every form, drawn from the form's seeded stream.
+     * @param {Object|Array} source - Generation result or questions array
+     * @param {Object} options - Build options
+     * @param {number} options.numForms - Number of forms (default: 1)
+     * @param {string} options.seed - Seed for deterministic shuffling (random if omitted)
+     * @param {string} options.title - Exam title
+     * @param {boolean} options.shuffleQuestions - Shuffle question order per form
+     * @param {boolean} options.shuffleOptions - Shuffle answer options per form
+     * @returns {Object} - Exam with forms and answer keys
+     */
+    build(source, options = {}) {
+        const questions = Array.isArray(source) ? source : source?.questions;
+        if (!Array.isArray(questions) || questions.length === 0) {
+            throw new Error('Invalid input: a non-empty questions array is required');
+        }
+
+        const numFormsValidation = this.validateNumForms(options.numForms || 1);
+        if (!numFormsValidation.valid) {
+            throw new Error(numFormsValidation.error);
+        }
+
+        const seed = options.seed !== undefined && options.seed !== null && options.seed !== ''
+            ? String(options.seed)
+            : this.generateSeed();
+        const shuffleQuestions = options.shuffleQuestions !== undefined ? options.shuffleQuestions : this.shuffleQuestions;
+        const shuffleOptions = options.shuffleOptions !== undefined ? options.shuffleOptions : this.shuffleOptions;
+
+        const forms = [];
+        for (let formIndex = 0; formIndex < numFormsValidation.value; formIndex++) {
+            const form = this.getFormLabel(formIndex);
+            // Each form gets its own stream so adding forms never changes earlier ones
+            const random = this.createRandom(`${seed}:${form}`);
+
+            const indexed = questions.map((question, sourceIndex) => ({ question, sourceIndex }));
+            const ordered = shuffleQuestions ? this.shuffle(indexed, random) : indexed;
+
+            const formQuestions = ordered.map(({ question, sourceIndex }, position) => {
+                const concrete = NumericalValidator.instantiate(question, random);
+                return {
+                    ...(shuffleOptions ? this.shuffleQuestionOptions(concrete, random) : concrete),
+                    number: position + 1,
+                    sourceIndex
+                };
+            });
+
+            forms.push({
+                form,
+                questions: formQuestions,
+                answerKey: formQuestions.map(q => ({
+                    number: q.number,
+                    // Arrangement keys refer to the letters printed on this form ("1-C, 2-A" or "C, A, B")
+                    answer: QuestionValidator.isArrangement(q)
+                        ? ArrangementValidator.getPresentation(q).key
+                        : QuestionValidator.getAnswerText(q),
+                    ...(QuestionValidator.isOpenResponse(q) ? { points: q.maxPoints } : {}),
+                    sourceIndex: q.sourceIndex
+                }))
+            });
+        }
+
+        return {
+            title: options.title || 'Exam',
+            seed,
+            numForms: forms.length,
+            numQuestions: questions.length,
+            shuffleQuestions,
+            shuffleOptions,
+            generatedAt: new Date().toISOString(),
+            forms
+        };
+    }
+}
+
+module.exports = ExamBuilder;
@@ -0,0 +1,351 @@
+/**
+ * Expression Evaluator
+ * Parses and evaluates arithmetic formulas such as "d / t" or "sqrt(a^2 + b^2)" without
+ * eval() or Function(): only numbers, named variables, + - * / % ^, parentheses and a fixed
+ * set of math functions are understood, so a formula from a provider or a spreadsheet
+ * can never run code.
+ */
+class ExpressionEvaluator {
+    /**
+     * Longest formula accepted, in characters
+     */
+    static MAX_LENGTH = 500;
+
+    /**
+     * Deepest nesting of parentheses and operators accepted
+     */
+    static MAX_DEPTH = 50;
+
+    /**
+     * Functions formulas may call, with their argument counts
+     */
+    static FUNCTIONS = {
+        sqrt: { fn: Math.sqrt, minArgs: 1, maxArgs: 1 },
+        abs: { fn: Math.abs, minArgs: 1, maxArgs: 1 },
+        sin: { fn: Math.sin, minArgs: 1, maxArgs: 1 },
+        cos: { fn: Math.cos, minArgs: 1, maxArgs: 1 },
+        tan: { fn: Math.tan, minArgs: 1, maxArgs: 1 },
+        asin: { fn: Math.asin, minArgs: 1, maxArgs: 1 },
+        acos: { fn: Math.acos, minArgs: 1, maxArgs: 1 },
+        atan: { fn: Math.atan, minArgs: 1, maxArgs: 1 },
+        exp: { fn: Math.exp, minArgs: 1, maxArgs: 1 },
+        ln: { fn: Math.log, minArgs: 1, maxArgs: 1 },
+        log: { fn: Math.log10, minArgs: 1, maxArgs: 1 },
+        log10: { fn: Math.log10, minArgs: 1, maxArgs: 1 },
+        log2: { fn: Math.log2, minArgs: 1, maxArgs: 1 },
+        floor: { fn: Math.floor, minArgs: 1, maxArgs: 1 },
+        ceil: { fn: Math.ceil, minArgs: 1, maxArgs: 1 },
+        round: {
+            fn: (value, decimals = 0) => Math.round(value * 10 ** decimals) / 10 ** decimals,
+            minArgs: 1,
+            maxArgs: 2
+        },
+        min: { fn: Math.min, minArgs: 1, maxArgs: 20 },
+        max: { fn: Math.max, minArgs: 1, maxArgs: 20 },
+        pow: { fn: Math.pow, minArgs: 2, maxArgs: 2 }
+    };
+
+    /**
+     * Named constants formulas may use
+     */
+    static CONSTANTS = {
+        pi: Math.PI,
+        e: Math.E
+    };
+
+    /**
+     * Whether a name is taken by a function or constant (and so can't be a variable)
+     * @param {string} name - Identifier
+     * @returns {boolean}
+     */
+    static isReserved(name) {
+        const key = name.toLowerCase();
+        return Object.prototype.hasOwnProperty.call(this.FUNCTIONS, key)
+            || Object.prototype.hasOwnProperty.call(this.CONSTANTS, key);
+    }
+
+    /**
+     * Split a formula into tokens
+     * @param {string} expression - Formula text
+     * @returns {Array<Object>} - Array of { type: 'number'|'name'|'operator'|'(' |')'|',', value, position }
+     */
+    static tokenize(expression) {
+        const tokens = [];
+        const pattern = /\s*(?:(\d+\.?\d*(?:[eE][-+]?\d+)?|\.\d+(?:[eE][-+]?\d+)?)|([A-Za-z_][A-Za-z0-9_]*)|(\*\*|[-+*/%^])|([(),]))/y;
+        let position = 0;
+
+        while (position < expression.length) {
+            if (/^\s*$/.test(expression.slice(position))) {
+                break;
+            }
+
+            pattern.lastIndex = position;
+            const match = pattern.exec(expression);
+            if (!match) {
+                const offset = position + (expression.slice(position).length - expression.slice(position).trimStart().length);
+                throw new Error(`Invalid formula: unexpected "${expression[offset]}" at position ${offset + 1}`);
+            }
+
+            const [text, number, name, operator, punctuation] = match;
+            const start = position + text.length - text.trimStart().length;
+            if (number !== undefined) {
+                tokens.push({ type: 'number', value: Number(number), position: start });
+            } else if (name !== undefined) {
+                tokens.push({ type: 'name', value: name, position: start });
+            } else if (operator !== undefined) {
+                tokens.push({ type: 'operator', value: operator === '**' ? '^' : operator, position: start });
+            } else {
+                tokens.push({ type: punctuation, value: punctuation, position: start });
+            }
+            position = pattern.lastIndex;
+        }
+
+        return tokens;
+    }
+
+    /**
+     * Parse a formula into a syntax tree.
+     * Nodes: { type: 'number', value }, { type: 'variable', name }, { type: 'constant', name },
+     * { type: 'unary', operator, argument }, { type: 'binary', operator, left, right },
+     * { type: 'call', name, args }
+     * @param {string} expression - Formula text
+     * @returns {Object} - Root node
+     */
+    static parse(expression) {
+        const text = expression === undefined || expression === null ? '' : expression.toString();
+        if (text.trim() === '') {
+            throw new Error('Invalid formula: the formula is empty');
+        }
+        if (text.length > this.MAX_LENGTH) {
+            throw new Error(`Invalid formula: longer than ${this.MAX_LENGTH} characters`);
+        }
+
+        const tokens = this.tokenize(text);
+        let index = 0;
+        let depth = 0;
+
+        const peek = () => tokens[index];
+        const describe = token => (token ? `"${token.value}" at position ${token.position + 1}` : 'end of formula');
+        const fail = token => {
+            throw new Error(`Invalid formula: unexpected ${describe(token)}`);
+        };
+        const expect = type => {
+            const token = tokens[index];
+            if (!token || token.type !== type) {
+                fail(token);
+            }
+            index++;
+            return token;
+        };
+        const enter = () => {
+            if (++depth > this.MAX_DEPTH) {
+                throw new Error(`Invalid formula: nested more than ${this.MAX_DEPTH} levels deep`);
+            }
+        };
+
+        // expression := term (('+' | '-') term)*
+        const parseExpression = () => {
+            enter();
+            let node = parseTerm();
+            while (peek()?.type === 'operator' && ['+', '-'].includes(peek().value)) {
+                const operator = tokens[index++].value;
+                node = { type: 'binary', operator, left: node, right: parseTerm() };
+            }
+            depth--;
+            return node;
+        };
+
+        // term := unary (('*' | '/' | '%') unary)*
+        const parseTerm = () => {
+            let node = parseUnary();
+            while (peek()?.type === 'operator' && ['*', '/', '%'].includes(peek().value)) {
+                const operator = tokens[index++].value;
+                node = { type: 'binary', operator, left: node, right: parseUnary() };
+            }
+            return node;
+        };
+
+        // unary := ('-' | '+') unary | power, so -2^2 is -(2^2)
+        const parseUnary = () => {
+            if (peek()?.type === 'operator' && ['+', '-'].includes(peek().value)) {
+                const operator = tokens[index++].value;
+                enter();
+                const argument = parseUnary();
+                depth--;
+                return operator === '-' ? { type: 'unary', operator, argument } : argument;
+            }
+            return parsePower();
+        };
+
+        // power := primary ('^' unary)?, right-associative
+        const parsePower = () => {
+            const base = parsePrimary();
+            if (peek()?.type === 'operator' && peek().value === '^') {
+                index++;
+                enter();
+                const exponent = parseUnary();
+                depth--;
+                return { type: 'binary', operator: '^', left: base, right: exponent };
+            }
+            return base;
+        };
+
+        // primary := number | name | name '(' args ')' | '(' expression ')'
+        const parsePrimary = () => {
+            const token = peek();
+            if (!token) {
+                fail(token);
+            }
+
+            if (token.type === 'number') {
+                index++;
+                return { type: 'number', value: token.value };
+            }
+
+            if (token.type === '(') {
+                index++;
+                const node = parseExpression();
+                expect(')');
+                return node;
+            }
+
+            if (token.type !== 'name') {
+                fail(token);
+            }
+
+            index++;
+            const key = token.value.toLowerCase();
+
+            if (peek()?.type === '(') {
+                const definition = this.FUNCTIONS[key];
+                if (!Object.prototype.hasOwnProperty.call(this.FUNCTIONS, key)) {
+                    throw new Error(`Invalid formula: unknown function "${token.value}"`);
+                }
+
+                index++;
+                const args = [];
+                if (peek()?.type !== ')') {
+                    args.push(parseExpression());
+                    while (peek()?.type === ',') {
+                        index++;
+                        args.push(parseExpression());
+                    }
+                }
+                expect(')');
+
+                if (args.length < definition.minArgs || args.length > definition.maxArgs) {
+                    const expected = definition.minArgs === definition.maxArgs
+                        ? `${definition.minArgs}`
+                        : `${definition.minArgs}-${definition.maxArgs}`;
+                    throw new Error(`Invalid formula: ${key}() takes ${expected} argument(s), got ${args.length}`);
+                }
+                return { type: 'call', name: key, args };
+            }
+
+            if (Object.prototype.hasOwnProperty.call(this.CONSTANTS, key)) {
+                return { type: 'constant', name: key };
+            }
+            if (Object.prototype.hasOwnProperty.call(this.FUNCTIONS, key)) {
+                throw new Error(`Invalid formula: ${key} is a function and needs parentheses`);
+            }
+
+            return { type: 'variable', name: token.value };
+        };
+
+        const root = parseExpression();
+        if (index < tokens.length) {
+            fail(tokens[index]);
+        }
+        return root;
+    }
+
+    /**
+     * List the variables a formula uses
+     * @param {string|Object} expression - Formula text or parsed tree
+     * @returns {Array<string>} - Variable names, in order of first use
+     */
+    static getVariables(expression) {
+        const root = typeof expression === 'string' ? this.parse(expression) : expression;
+        const names = new Set();
+
+        const visit = node => {
+            if (node.type === 'variable') {
+                names.add(node.name);
+            } else if (node.type === 'unary') {
+                visit(node.argument);
+            } else if (node.type === 'binary') {
+                visit(node.left);
+                visit(node.right);
+            } else if (node.type === 'call') {
+                node.args.forEach(visit);
+            }
+        };
+
+        visit(root);
+        return [...names];
+    }
+
+    /**
+     * Evaluate a formula
+     * @param {string|Object} expression - Formula text or parsed tree
+     * @param {Object} variables - Variable values by name
+     * @returns {number} - Result
+     * @throws {Error} - If the formula is invalid, uses an unknown variable or has no finite result
+     */
+    static evaluate(expression, variables = {}) {
+        const root = typeof expression === 'string' ? this.parse(expression) : expression;
+
+        const visit = node => {
+            switch (node.type) {
+            case 'number':
+                return node.value;
+            case 'constant':
+                return this.CONSTANTS[node.name];
+            case 'variable': {
+                if (!Object.prototype.hasOwnProperty.call(variables, node.name)) {
+                    throw new Error(`Unknown variable "${node.name}" in formula`);
+                }
+                const value = Number(variables[node.name]);
+                if (!Number.isFinite(value)) {
+                    throw new Error(`Variable "${node.name}" is not a number`);
+                }
+                return value;
+            }
+            case 'unary':
+                return -visit(node.argument);
+            case 'call':
+                return this.FUNCTIONS[node.name].fn(...node.args.map(visit));
+            case 'binary': {
+                const left = visit(node.left);
+                const right = visit(node.right);
+                switch (node.operator) {
+                case '+': return left + right;
+                case '-': return left - right;
+                case '*': return left * right;
+                case '/':
+                    if (right === 0) {
+                        throw new Error('Division by zero in formula');
+                    }
+                    return left / right;
+                case '%':
+                    if (right === 0) {
+                        throw new Error('Division by zero in formula');
+                    }
+                    return left % right;
+                default: return left ** right;
+                }
+            }
+            default:
+                throw new Error(`Invalid formula node "${node.type}"`);
+            }
+        };
+
+        const result = visit(root);
+        if (!Number.isFinite(result)) {
+            throw new Error('Formula result is not a finite number');
+        }
+        return result;
+    }
+}
+
+module.exports = ExpressionEvaluator;
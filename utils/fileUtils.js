@@ -74,6 +74,18 @@ function validateNumQuestions(numQuestions) {
     };
 }
 
+/**
+ * Parse an optional boolean field from a JSON or multipart form body
+ * @param {*} value - Field value (true/false or 'true'/'false')
+ * @returns {boolean|undefined} - undefined when the field was left out, so defaults apply
+ */
+function parseBooleanField(value) {
+    if (value === undefined || value === null || value === '') {
+        return undefined;
+    }
+    return value === true || value === 'true';
+}
+
 /**
  * Create error response object
  * @param {string} message - Error message
@@ -101,11 +113,42 @@ function createSuccessResponse(data, metadata = null) {
     return response;
 }
 
+/**
+ * Send an exported question set as a file download
+ * @param {Object} res - Express response
+ * @param {Object} exported - Result of ExportManager.export
+ */
+function sendExportResponse(res, exported) {
+    // attachment() guesses a type from the extension, so set ours afterwards
+    res.attachment(exported.filename);
+    res.setHeader('Content-Type', exported.contentType);
+    res.send(exported.content);
+}
+
+/**
+ * AbortSignal that fires when the client goes away before the response is sent,
+ * so generation for a request nobody is waiting on stops
+ * @param {Object} res - Express response
+ * @returns {AbortSignal}
+ */
+function createDisconnectSignal(res) {
+    const controller = new AbortController();
+    res.on('close', () => {
+        if (!res.writableEnded) {
+            controller.abort();
+        }
+    });
+    return controller.signal;
+}
+
 module.exports = {
     cleanupFiles,
     ensureUploadsDirectory,
     validateTextInput,
     validateNumQuestions,
+    parseBooleanField,
     createErrorResponse,
-    createSuccessResponse
+    createSuccessResponse,
+    sendExportResponse,
+    createDisconnectSignal
 };
\ No newline at end of file
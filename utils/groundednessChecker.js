@@ -0,0 +1,466 @@
+const QuestionValidator = require('./questionValidator');
+const DocumentChunker = require('./documentChunker');
+const ErrorHandler = require('./errorHandler');
+
+/**
+ * Groundedness Checker
+ * Scores how well each question and its correct answer are supported by the source text, to catch
+ * questions that bring in outside facts. The lexical score combines how many of the question's
+ * terms occur in the text at all with how well a single passage supports the answer together with
+ * the question; an optional LLM judge adds its own verdict. In strict mode ungrounded questions
+ * are rejected (and replaced when possible); otherwise they are marked.
+ */
+class GroundednessChecker {
+    /**
+     * Words every question uses, which say nothing about where its content comes from
+     */
+    static QUESTION_WORDS = new Set([
+        'following', 'best', 'describes', 'describe', 'statement', 'statements', 'true', 'false',
+        'correct', 'incorrect', 'select', 'apply', 'option', 'options', 'answer', 'question', 'likely',
+        'according', 'text', 'passage', 'explain', 'identify', 'example', 'because', 'main'
+    ]);
+
+    /**
+     * Response schema for the LLM judge
+     */
+    static JUDGE_SCHEMA = {
+        type: 'object',
+        properties: {
+            judgments: {
+                type: 'array',
+                items: {
+                    type: 'object',
+                    properties: {
+                        question: { type: 'integer' },
+                        verdict: { type: 'string', enum: ['supported', 'partial', 'unsupported'] },
+                        score: { type: 'number', minimum: 0, maximum: 1 },
+                        reason: { type: 'string' }
+                    },
+                    required: ['verdict', 'score']
+                }
+            }
+        },
+        required: ['judgments']
+    };
+
+    /**
+     * @param {ProviderManager} providerManager - Provider manager, for the LLM judge
+     * @param {Object} config - Checker configuration
+     * @param {boolean} config.enabled - Score groundedness (default: true)
+     * @param {boolean} config.strict - Reject ungrounded questions by default (default: false)
+     * @param {number} config.minScore - Score (0-1) a question needs to count as grounded (default: 0.6)
+     * @param {boolean} config.judge - Also ask an LLM judge (default: false)
+     * @param {string} config.judgeProvider - Provider for the judge (default: the current provider)
+     * @param {number} config.batchSize - Questions judged per call (default: 5)
+     * @param {number} config.maxContextChars - Source text sent to the judge per call (default: 12000)
+     * @param {number} config.maxRetries - Rounds of replacements for rejected questions in strict mode (default: 1)
+     */
+    constructor(providerManager, config = {}) {
+        this.providerManager = providerManager;
+        this.enabled = config.enabled !== false;
+        this.strict = config.strict === true;
+        this.minScore = config.minScore ?? 0.6;
+        this.judge = config.judge === true;
+        this.judgeProvider = config.judgeProvider || null;
+        this.batchSize = config.batchSize || 5;
+        this.maxContextChars = config.maxContextChars || 12000;
+        this.maxRetries = config.maxRetries ?? 1;
+    }
+
+    /**
+     * Reduce a word to a rough stem so "cells"/"cell" and "produced"/"produces" match
+     * @param {string} word - Lowercase word
+     * @returns {string}
+     */
+    stem(word) {
+        if (word.length <= 4 || /^\d/.test(word)) {
+            return word;
+        }
+        return word
+            .replace(/ies$/, 'y')
+            .replace(/(ing|ed|es|s)$/, '')
+            .replace(/(.)\1$/, '$1');
+    }
+
+    /**
+     * Content terms of a text: stemmed words of three or more letters, and numbers
+     * @param {string} text - Text
+     * @returns {Map<string, string>} - Stem → first surface form
+     */
+    getTerms(text) {
+        const terms = new Map();
+        const words = (text || '').toLowerCase().match(/\d+(?:[.,]\d+)*|\p{L}[\p{L}\p{N}'-]*/gu) || [];
+
+        words.forEach(word => {
+            const cleaned = word.replace(/'s$/, '').replace(/^[-']+|[-']+$/g, '');
+            const isNumber = /^\d/.test(cleaned);
+            if (!isNumber && (cleaned.length < 3
+                || DocumentChunker.STOPWORDS.has(cleaned)
+                || GroundednessChecker.QUESTION_WORDS.has(cleaned))) {
+                return;
+            }
+            const stemmed = this.stem(cleaned);
+            if (!terms.has(stemmed)) {
+                terms.set(stemmed, cleaned);
+            }
+        });
+
+        return terms;
+    }
+
+    /**
+     * What a question claims: its stem, and the answer it treats as correct
+     * @param {Object} question - Standardized question
+     * @returns {Object} - { stem, answer } as text
+     */
+    getClaim(question) {
+        const stem = (question.questiontext || '').toString();
+
+        if (QuestionValidator.isNumerical(question)) {
+            // Values are drawn at random, so only the situation is checked
+            return { stem, answer: '' };
+        }
+        if (QuestionValidator.isArrangement(question)) {
+            const items = question.questionType === 'matching'
+                ? (question.pairs || []).map(pair => `${pair.premise} ${pair.response}`)
+                : (question.sequence || []);
+            return { stem, answer: items.join('. ') };
+        }
+        if (QuestionValidator.isOpenResponse(question)) {
+            return { stem, answer: question.modelAnswer || (question.keyIdeas || []).join('. ') };
+        }
+        if (QuestionValidator.isFreeResponse(question)) {
+            const answer = (question.correctanswer || '').toString();
+            return { stem: stem.replace(QuestionValidator.BLANK, answer), answer };
+        }
+        if (question.questionType === 'true_false') {
+            // The statement is the claim; "True"/"False" adds nothing to check
+            return { stem, answer: '' };
+        }
+
+        const answer = QuestionValidator.getOptionList(question)
+            .filter(option => option.correct)
+            .map(option => option.text)
+            .join('. ');
+        return { stem, answer };
+    }
+
+    /**
+     * Index a text for scoring: its vocabulary and the terms of each sentence
+     * @param {string} text - Source text
+     * @returns {Object} - { vocabulary: Set, sentences: Array<Set> }
+     */
+    buildIndex(text) {
+        const sentences = (text.match(/[^.!?\n]+(?:[.!?]+|$)/gm) || [])
+            .map(sentence => new Set(this.getTerms(sentence).keys()))
+            .filter(terms => terms.size > 0);
+        const vocabulary = new Set();
+        sentences.forEach(terms => terms.forEach(term => vocabulary.add(term)));
+
+        return { vocabulary, sentences };
+    }
+
+    /**
+     * Score a question lexically against an indexed text
+     * coverage: share of the question's and answer's terms found anywhere in the text.
+     * support: best share of the answer's terms (and, with less weight, the question's) found
+     * together in one run of up to three sentences, a rough stand-in for entailment.
+     * @param {Object} question - Standardized question
+     * @param {Object} index - Index from buildIndex()
+     * @returns {Object} - { score, coverage, support, unsupportedTerms }
+     */
+    scoreLexical(question, index) {
+        const claim = this.getClaim(question);
+        const stemTerms = this.getTerms(claim.stem);
+        const answerTerms = this.getTerms(claim.answer);
+        const allTerms = new Map([...stemTerms, ...answerTerms]);
+
+        if (allTerms.size === 0) {
+            return { score: 1, coverage: 1, support: 1, unsupportedTerms: [] };
+        }
+
+        const unsupportedTerms = [...allTerms.entries()]
+            .filter(([term]) => !index.vocabulary.has(term))
+            .map(([, surface]) => surface);
+        const coverage = 1 - unsupportedTerms.length / allTerms.size;
+
+        // Passage support: the answer's terms matter most; questions without one rely on the stem
+        const focus = answerTerms.size > 0 ? [...answerTerms.keys()] : [...stemTerms.keys()];
+        const context = answerTerms.size > 0 ? [...stemTerms.keys()] : [];
+        let support = 0;
+        for (let first = 0; first < index.sentences.length; first++) {
+            const window = new Set();
+            for (let size = 0; size < 3 && first + size < index.sentences.length; size++) {
+                index.sentences[first + size].forEach(term => window.add(term));
+
+                const focusShare = focus.filter(term => window.has(term)).length / focus.length;
+                const contextShare = context.length > 0 ? context.filter(term => window.has(term)).length / context.length : focusShare;
+                support = Math.max(support, focusShare * 0.7 + contextShare * 0.3);
+            }
+            if (support === 1) {
+                break;
+            }
+        }
+
+        return {
+            score: Math.round((coverage * 0.5 + support * 0.5) * 100) / 100,
+            coverage: Math.round(coverage * 100) / 100,
+            support: Math.round(support * 100) / 100,
+            unsupportedTerms: unsupportedTerms.slice(0, 10)
+        };
+    }
+
+    /**
+     * Source text the judge sees for a question: the whole text, or for long texts the window
+     * around the question's cited passage (its beginning when it has none)
+     * @param {Object} question - Standardized question
+     * @param {string} text - Source text
+     * @returns {string}
+     */
+    getContext(question, text) {
+        if (text.length <= this.maxContextChars) {
+            return text;
+        }
+
+        const source = question.source;
+        const center = source && source.verified
+            ? Math.round((source.start + source.end) / 2)
+            : Math.floor(this.maxContextChars / 2);
+        const start = Math.min(Math.max(0, center - Math.floor(this.maxContextChars / 2)), text.length - this.maxContextChars);
+
+        return text.slice(start, start + this.maxContextChars);
+    }
+
+    /**
+     * Build the judge prompt for a batch of questions sharing a context
+     * @param {Array<Object>} questions - Standardized questions
+     * @param {string} context - Source text
+     * @returns {string}
+     */
+    buildJudgePrompt(questions, context) {
+        const listed = questions.map((question, index) => {
+            const claim = this.getClaim(question);
+            return `${index + 1}. Question: ${claim.stem}${claim.answer ? `\n   Correct answer: ${claim.answer}` : ''}`;
+        }).join('\n\n');
+
+        return `You are checking whether quiz questions can be answered from their source text alone.
+
+SOURCE TEXT:
+"""
+${context}
+"""
+
+QUESTIONS WITH THEIR CORRECT ANSWERS:
+${listed}
+
+For each question, decide whether the source text states or directly implies everything needed to reach the correct answer.
+- "supported": the text alone is enough.
+- "partial": the core is in the text, but the question or answer adds facts, names, numbers or examples the text does not give.
+- "unsupported": answering needs knowledge from outside the text, or the text contradicts the answer.
+
+RESPONSE FORMAT (JSON only, no markdown):
+{
+  "judgments": [
+    { "question": 1, "verdict": "supported", "score": 0.9, "reason": "One sentence" }
+  ]
+}
+
+Score is 0-1: how fully the text supports the question and answer. Judge all ${questions.length} questions, in order.`;
+    }
+
+    /**
+     * Ask the LLM judge about a set of questions
+     * @param {Array<Object>} questions - Standardized questions
+     * @param {string} text - Source text
+     * @param {AbortSignal} signal - Cancels the judge calls
+     * @returns {Promise<Array<Object|null>>} - One { verdict, score, reason } per question, null where judging failed
+     */
+    async judgeQuestions(questions, text, signal = null) {
+        const judgments = questions.map(() => null);
+
+        const groups = new Map();
+        questions.forEach((question, index) => {
+            const context = this.getContext(question, text);
+            if (!groups.has(context)) {
+                groups.set(context, []);
+            }
+            groups.get(context).push(index);
+        });
+
+        for (const [context, indexes] of groups) {
+            for (let offset = 0; offset < indexes.length; offset += this.batchSize) {
+                const batch = indexes.slice(offset, offset + this.batchSize);
+                try {
+                    const completion = await this.providerManager.complete(
+                        this.buildJudgePrompt(batch.map(index => questions[index]), context),
+                        {
+                            provider: this.judgeProvider || undefined,
+                            system: 'You judge whether quiz content comes from a given text. Respond with only valid JSON.',
+                            temperature: 0,
+                            maxTokens: 300 + batch.length * 120,
+                            responseSchema: GroundednessChecker.JUDGE_SCHEMA,
+                            signal
+                        }
+                    );
+                    const entries = completion.data.judgments;
+
+                    batch.forEach((questionIndex, position) => {
+                        const entry = entries.find(judgment => Number(judgment?.question) === position + 1) || entries[position];
+                        const score = Number(entry?.score);
+                        if (!entry || !Number.isFinite(score)) {
+                            return;
+                        }
+                        judgments[questionIndex] = {
+                            verdict: (entry.verdict || '').toString().toLowerCase(),
+                            score: Math.min(Math.max(score, 0), 1),
+                            reason: (entry.reason || '').toString().trim()
+                        };
+                    });
+                } catch (error) {
+                    if (ErrorHandler.isCancellation(error)) {
+                        throw error;
+                    }
+                    console.warn(`⚠ Groundedness judge failed for ${batch.length} question(s): ${error.message}`);
+                }
+            }
+        }
+
+        return judgments;
+    }
+
+    /**
+     * Score questions against the source text
+     * @param {Array<Object>} questions - Standardized questions
+     * @param {string} text - Source text
+     * @param {AbortSignal} signal - Cancels the judge calls
+     * @returns {Promise<Array<Object>>} - Questions with a groundedness object:
+     *   { score, grounded, lexical: { score, coverage, support }, judge?, unsupportedTerms }
+     */
+    async score(questions, text, signal = null) {
+        const index = this.buildIndex(text);
+        const judgments = this.judge ? await this.judgeQuestions(questions, text, signal) : [];
+
+        return questions.map((question, position) => {
+            const { score: lexicalScore, unsupportedTerms, ...lexical } = this.scoreLexical(question, index);
+            const judgment = judgments[position];
+            // The judge reads meaning the word overlap can't, so it carries more weight when available
+            const score = judgment
+                ? Math.round((lexicalScore * 0.4 + judgment.score * 0.6) * 100) / 100
+                : lexicalScore;
+
+            return {
+                ...question,
+                groundedness: {
+                    score,
+                    grounded: score >= this.minScore && judgment?.verdict !== 'unsupported',
+                    lexical: { score: lexicalScore, ...lexical },
+                    ...(judgment ? { judge: judgment } : {}),
+                    unsupportedTerms
+                }
+            };
+        });
+    }
+
+    /**
+     * Score questions and enforce grounding: strict mode rejects ungrounded questions and asks for
+     * replacements (which must pass in turn), otherwise they are kept and marked
+     * @param {Array<Object>} questions - Standardized questions
+     * @param {string} text - Source text
+     * @param {Function} regenerateFn - async (count) => new questions, for replacements in strict mode
+     * @param {Object} options - { strict } overriding the configuration, { signal } cancelling the checks
+     * @returns {Promise<Object>} - { questions, summary }
+     */
+    async check(questions, text, regenerateFn = null, options = {}) {
+        const strict = options.strict ?? this.strict;
+        const summary = {
+            strict,
+            minScore: this.minScore,
+            judge: this.judge,
+            checked: 0,
+            grounded: 0,
+            ungrounded: 0,
+            rejected: 0,
+            regenerated: 0,
+            averageScore: null,
+            ungroundedQuestions: []
+        };
+
+        const kept = [];
+        let pending = questions;
+        const scores = [];
+
+        for (let round = 0; pending.length > 0; round++) {
+            const scored = await this.score(pending, text, options.signal);
+            let rejected = 0;
+
+            scored.forEach(question => {
+                summary.checked++;
+                scores.push(question.groundedness.score);
+
+                if (question.groundedness.grounded) {
+                    summary.grounded++;
+                    kept.push(question);
+                    return;
+                }
+
+                summary.ungrounded++;
+                summary.ungroundedQuestions.push({
+                    questiontext: question.questiontext,
+                    score: question.groundedness.score,
+                    unsupportedTerms: question.groundedness.unsupportedTerms,
+                    ...(question.groundedness.judge ? { reason: question.groundedness.judge.reason } : {}),
+                    action: strict ? 'rejected' : 'marked'
+                });
+
+                if (strict) {
+                    rejected++;
+                } else {
+                    kept.push(question);
+                }
+            });
+
+            summary.rejected += rejected;
+            pending = [];
+            if (!strict || rejected === 0 || !regenerateFn || round >= this.maxRetries) {
+                break;
+            }
+
+            try {
+                pending = ((await regenerateFn(rejected)) || []).slice(0, rejected);
+                summary.regenerated += pending.length;
+            } catch (error) {
+                if (ErrorHandler.isCancellation(error)) {
+                    throw error;
+                }
+                console.warn(`⚠ Replacing ungrounded questions failed: ${error.message}`);
+            }
+        }
+
+        summary.averageScore = scores.length > 0
+            ? Math.round((scores.reduce((sum, value) => sum + value, 0) / scores.length) * 100) / 100
+            : null;
+
+        if (summary.ungrounded > 0) {
+            console.warn(`⚠ ${summary.ungrounded}/${summary.checked} questions are not grounded in the source text (${strict ? 'rejected' : 'marked'})`);
+        }
+
+        return { questions: kept, summary };
+    }
+
+    /**
+     * Get checker configuration
+     * @returns {Object}
+     */
+    getConfig() {
+        return {
+            enabled: this.enabled,
+            strict: this.strict,
+            minScore: this.minScore,
+            judge: this.judge,
+            judgeProvider: this.judgeProvider,
+            maxRetries: this.maxRetries
+        };
+    }
+}
+
+module.exports = GroundednessChecker;
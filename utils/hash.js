@@ -59,7 +59,19 @@ class HashGenerator {
             numQuestions: options.numQuestions || 10,
             bloomLevel: options.bloomLevel || 'apply',
             difficulty: options.difficulty || 'mixed',
-            provider: options.provider || 'default'
+            questionType: options.questionType || 'multiple_choice',
+            numOptions: options.numOptions || null,
+            provider: options.provider || 'default',
+            strictGrounding: options.strictGrounding === true,
+            verifyAnswers: options.verifyAnswers === true,
+            verificationPolicy: options.verificationPolicy || null,
+            verificationProvider: options.verificationProvider || null,
+            // Post-processing stages a request can turn off change the result as much as the prompt does
+            qualityCheck: options.qualityCheck !== false,
+            deduplicate: options.deduplicate !== false,
+            balanceDifficulty: options.balanceDifficulty !== false,
+            citeSources: options.citeSources !== false,
+            checkGrounding: options.checkGrounding !== false
         };
 
         // Sort keys for consistent hashing
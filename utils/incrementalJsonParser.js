@@ -0,0 +1,146 @@
+/**
+ * Incremental JSON Parser
+ * Reads a question set as the model streams it and hands over each question the moment its
+ * object closes, without waiting for the rest of the response. Only the structure is tracked
+ * (strings, nesting and object keys), so text before the JSON, markdown fences and a truncated
+ * tail don't get in the way; each finished question is parsed on its own, with the provider's
+ * repair as a fallback. Questions are the objects of the "questions" array of the top-level
+ * object, or of a top-level array.
+ */
+class IncrementalJSONParser {
+    /**
+     * @param {Function} parse - Parses the text of one finished question (default: JSON.parse)
+     */
+    constructor(parse = JSON.parse) {
+        this.parse = parse;
+        this.text = '';
+        this.position = 0;
+        this.stack = []; // Open containers: { type: 'object'|'array', key, expectingKey, start }
+        this.inString = false;
+        this.escaped = false;
+        this.stringStart = 0;
+        this.started = false;
+        this.done = false;
+        this.emitted = 0;
+        this.errors = [];
+    }
+
+    /**
+     * Whether the container at the top of the stack is the questions array
+     * @returns {boolean}
+     */
+    inQuestions() {
+        const top = this.stack[this.stack.length - 1];
+        if (!top || top.type !== 'array') {
+            return false;
+        }
+        return this.stack.length === 1 || (this.stack.length === 2 && top.key === 'questions');
+    }
+
+    /**
+     * Add the next piece of streamed text
+     * @param {string} chunk - Text delta
+     * @returns {Array<Object>} - Questions completed by this chunk
+     */
+    feed(chunk) {
+        this.text += chunk;
+        const completed = [];
+
+        for (; this.position < this.text.length && !this.done; this.position++) {
+            const char = this.text[this.position];
+
+            if (this.inString) {
+                if (this.escaped) {
+                    this.escaped = false;
+                } else if (char === '\\') {
+                    this.escaped = true;
+                } else if (char === '"') {
+                    this.inString = false;
+                    const top = this.stack[this.stack.length - 1];
+                    if (top && top.type === 'object' && top.expectingKey) {
+                        top.key = this.text.slice(this.stringStart + 1, this.position);
+                        top.expectingKey = false;
+                    }
+                }
+                continue;
+            }
+
+            // Skip whatever precedes the JSON (prose, a ```json fence)
+            if (!this.started) {
+                if (char !== '{' && char !== '[') {
+                    continue;
+                }
+                this.started = true;
+            }
+
+            const top = this.stack[this.stack.length - 1];
+            switch (char) {
+                case '"':
+                    this.inString = true;
+                    this.stringStart = this.position;
+                    break;
+                case '{':
+                case '[': {
+                    const isQuestion = char === '{' && this.inQuestions();
+                    this.stack.push({
+                        type: char === '{' ? 'object' : 'array',
+                        key: char === '[' && top ? top.key : null,
+                        expectingKey: char === '{',
+                        start: this.position,
+                        isQuestion
+                    });
+                    break;
+                }
+                case '}':
+                case ']': {
+                    const closed = this.stack.pop();
+                    if (closed && closed.isQuestion) {
+                        const question = this.parseQuestion(this.text.slice(closed.start, this.position + 1));
+                        if (question) {
+                            completed.push(question);
+                        }
+                    }
+                    if (this.stack.length === 0) {
+                        this.done = true;
+                    }
+                    break;
+                }
+                case ',':
+                    if (top && top.type === 'object') {
+                        top.expectingKey = true;
+                    }
+                    break;
+                default:
+                    break;
+            }
+        }
+
+        this.emitted += completed.length;
+        return completed;
+    }
+
+    /**
+     * Parse the text of one finished question
+     * @param {string} text - Question object text
+     * @returns {Object|null} - Question, or null if it can't be parsed (recorded in errors)
+     */
+    parseQuestion(text) {
+        try {
+            const question = this.parse(text);
+            return question && typeof question === 'object' && !Array.isArray(question) ? question : null;
+        } catch (error) {
+            this.errors.push(error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Everything streamed so far
+     * @returns {string}
+     */
+    getText() {
+        return this.text;
+    }
+}
+
+module.exports = IncrementalJSONParser;
@@ -1,8 +1,24 @@
+const ResponseGrader = require('./responseGrader');
+const DocumentStructure = require('./documentStructure');
+const ErrorHandler = require('./errorHandler');
+
 /**
  * Background Job Processor
  * Processes jobs from the queue in the background
  */
 class JobProcessor {
+    // Job progress when each stage starts (stages after extraction come from QuestionGenerator)
+    static STAGE_PROGRESS = {
+        extraction: 5,
+        generating: 10,
+        quality: 60,
+        deduplication: 70,
+        balancing: 75,
+        citations: 80,
+        grounding: 83,
+        verification: 86
+    };
+
     constructor(jobQueue, questionGenerator) {
         this.jobQueue = jobQueue;
         this.questionGenerator = questionGenerator;
@@ -22,8 +38,8 @@ class JobProcessor {
         console.log('Job processor started');
 
         // Set the processor function on the queue
-        this.jobQueue.setProcessor(async (data, onProgress) => {
-            return await this.processJob(data, onProgress);
+        this.jobQueue.setProcessor(async (data, onProgress, context) => {
+            return await this.processJob(data, onProgress, context);
         });
     }
 
@@ -40,26 +56,59 @@ class JobProcessor {
      * Process a single job
      * @param {Object} data - Job data
      * @param {Function} onProgress - Progress callback
+     * @param {Object} context - { signal, emit } from the queue: the AbortSignal that cancels the job,
+     *   and emit(type, data) for 'stage' and 'question' events
      * @returns {Promise<Object>} - Job result
      */
-    async processJob(data, onProgress) {
+    async processJob(data, onProgress, context = {}) {
+        if (data.type === 'grade') {
+            return await this.processGradingJob(data, onProgress, context);
+        }
+
+        const emit = context.emit || (() => {});
+        const enterStage = (stage, message) => {
+            const progress = JobProcessor.STAGE_PROGRESS[stage];
+            emit('stage', { stage, message, progress });
+            if (progress !== undefined) {
+                onProgress(progress);
+            }
+        };
+
         try {
-            // Initial progress
-            onProgress(5);
+            enterStage('extraction', data.sections ? 'Selecting sections from the text' : 'Preparing text');
 
             // Validate input
             if (!data.text || data.text.trim().length === 0) {
                 throw new Error('Text is required');
             }
 
-            onProgress(10);
-
-            // Generate questions
-            const result = await this.questionGenerator.generateQuestions(data.text, {
-                numQuestions: data.numQuestions || 10,
+            const numQuestions = data.numQuestions || 10;
+            const options = {
+                numQuestions,
                 difficulty: data.difficulty || 'mixed',
-                bloomLevel: data.bloomLevel || 'apply'
-            });
+                bloomLevel: data.bloomLevel || 'apply',
+                questionType: data.questionType,
+                numOptions: data.numOptions,
+                strictGrounding: data.strictGrounding,
+                verifyAnswers: data.verifyAnswers,
+                signal: context.signal,
+                // A cancelled job keeps the questions generated so far as its result
+                keepPartial: data.keepPartial === true,
+                onProgress: ({ stage, message }) => enterStage(stage, message),
+                // Questions as they are generated; generation runs from 10% to 60%
+                onQuestion: (question, index) => {
+                    emit('question', { question, index, total: numQuestions });
+                    onProgress(10 + Math.round((Math.min(index + 1, numQuestions) / numQuestions) * 50));
+                }
+            };
+
+            // Generate questions, from the selected sections only when the job names some
+            const result = data.sections
+                ? await this.questionGenerator.generateFromDocument(
+                    DocumentStructure.createDocument([{ name: 'input', type: 'text', sections: DocumentStructure.segmentText(data.text) }]),
+                    { ...options, sections: data.sections }
+                )
+                : await this.questionGenerator.generateQuestions(data.text, options);
 
             onProgress(90);
 
@@ -78,7 +127,48 @@ class JobProcessor {
             return formattedResult;
 
         } catch (error) {
-            console.error('Job processing error:', error);
+            if (!context.signal || !context.signal.aborted) {
+                console.error('Job processing error:', error);
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Process a grading job queued by POST /api/grade
+     * @param {Object} data - Job data ({ type: 'grade', items, provider })
+     * @param {Function} onProgress - Progress callback
+     * @param {Object} context - { signal, emit } from the queue (see processJob)
+     * @returns {Promise<Object>} - Batch grading result
+     */
+    async processGradingJob(data, onProgress, context = {}) {
+        const emit = context.emit || (() => {});
+        try {
+            onProgress(5);
+
+            if (!Array.isArray(data.items) || data.items.length === 0) {
+                throw new Error('Nothing to grade');
+            }
+
+            emit('stage', { stage: 'grading', message: `Grading ${data.items.length} responses`, progress: 5 });
+            const grader = new ResponseGrader(this.questionGenerator.providerManager);
+            const batch = await grader.gradeBatch(data.items, { provider: data.provider, signal: context.signal }, async (done) => {
+                await onProgress(5 + Math.round((done / data.items.length) * 90));
+            });
+
+            onProgress(100);
+
+            return {
+                ...batch,
+                metadata: {
+                    processedAt: new Date().toISOString(),
+                    jobProcessing: true
+                }
+            };
+        } catch (error) {
+            if (!ErrorHandler.isCancellation(error)) {
+                console.error('Grading job error:', error);
+            }
             throw error;
         }
     }
@@ -1,11 +1,27 @@
+const EventEmitter = require('events');
 const { v4: uuidv4 } = require('uuid');
 
 /**
  * In-Memory Job Queue with SQLite Persistence
- * Manages async job processing with database backup
+ * Manages async job processing with database backup.
+ *
+ * Scheduling: jobs belong to a tenant (data.tenant, by default the API key that submitted them), and
+ * free workers go round-robin to the tenant served least recently, so one tenant's backlog can't
+ * starve the others. Each tenant runs at most its concurrency cap at once (tenantMaxConcurrent, or a
+ * per-tenant limit kept in the store). Within a tenant, jobs run by priority (data.priority: high,
+ * normal, low), then in order of submission. Jobs with data.runAt wait until then.
+ *
+ * Emits 'event' with { jobId, type, ...data } as jobs change: 'status' on every status transition,
+ * 'progress', and whatever the processor reports ('stage', 'question').
+ * Emits 'finished' with the job once it is completed, failed or cancelled and no longer running
  */
-class JobQueue {
+class JobQueue extends EventEmitter {
+    static PRIORITIES = { low: 0, normal: 1, high: 2 };
+    // Assumed job duration for ETAs until a job has completed
+    static DEFAULT_DURATION = 30000;
+
     constructor(config = {}) {
+        super();
         this.jobs = new Map(); // jobId -> job
         this.queue = []; // Array of jobIds waiting to be processed
         this.processing = new Set(); // Set of jobIds currently processing
@@ -13,6 +29,46 @@ class JobQueue {
         this.enabled = config.enabled !== false;
         this.jobStore = config.jobStore || null; // Required for persistence
         this.jobProcessor = null;
+        this.controllers = new Map(); // jobId -> AbortController of a processing job
+        this.tenantMaxConcurrent = config.tenantMaxConcurrent || this.maxConcurrent;
+        this.tenantLimits = new Map(); // tenant -> maxConcurrent overriding tenantMaxConcurrent
+        this.tenantTurns = new Map(); // tenant -> turn in which it last started a job
+        this.turn = 0;
+        this.averageDuration = null; // Moving average of completed jobs' run time (ms)
+        this.wakeTimer = null; // Fires when the next scheduled job is due
+    }
+
+    /**
+     * Check and normalize a job's scheduling options
+     * @param {Object} options - { priority, runAt (ISO date or epoch ms) }
+     * @returns {Object} - { valid, error, priority, runAt }; runAt in epoch ms
+     */
+    static validateSchedulingOptions(options = {}) {
+        const priority = options.priority ?? 'normal';
+        if (typeof priority !== 'string' || !Object.hasOwn(JobQueue.PRIORITIES, priority)) {
+            return { valid: false, error: `priority must be one of: ${Object.keys(JobQueue.PRIORITIES).join(', ')}` };
+        }
+
+        let runAt;
+        if (options.runAt !== undefined && options.runAt !== null && options.runAt !== '') {
+            const numeric = typeof options.runAt === 'number' || /^\d+$/.test(options.runAt);
+            runAt = numeric ? Number(options.runAt) : Date.parse(options.runAt);
+            if (!Number.isFinite(runAt)) {
+                return { valid: false, error: 'runAt must be an ISO 8601 date or a timestamp in milliseconds' };
+            }
+        }
+
+        return { valid: true, priority, runAt };
+    }
+
+    /**
+     * Tell listeners about a job
+     * @param {string} jobId - Job ID
+     * @param {string} type - Event type
+     * @param {Object} data - Event data
+     */
+    emitEvent(jobId, type, data = {}) {
+        this.emit('event', { jobId, type, ...data, timestamp: new Date().toISOString() });
     }
 
     /**
@@ -22,6 +78,9 @@ class JobQueue {
         if (!this.enabled || !this.jobStore) return;
 
         try {
+            const limits = await this.jobStore.loadTenantLimits();
+            limits.forEach(({ tenant, maxConcurrent }) => this.tenantLimits.set(tenant, maxConcurrent));
+
             console.log('Restoring pending jobs from database...');
             const pendingJobs = await this.jobStore.loadAllJobs({ status: 'pending' });
 
@@ -150,6 +209,7 @@ class JobQueue {
         const job = this.jobs.get(jobId);
         if (!job) return;
 
+        const previousStatus = job.status;
         job.status = status;
         Object.assign(job, updates);
 
@@ -157,14 +217,24 @@ class JobQueue {
             job.startedAt = Date.now();
         }
 
-        if (status === 'completed' || status === 'failed') {
+        // A job leaves this.processing only once processJob is done with it: a cancelled job's
+        // processor may still be winding down, and keeps its worker and tenant slot until it has
+        if (status === 'completed' || status === 'failed' || status === 'cancelled') {
             job.completedAt = Date.now();
-            this.processing.delete(jobId);
 
             // Optional: Remove from memory to save RAM, keep in store
             // this.jobs.delete(jobId); 
         }
 
+        if (status !== previousStatus) {
+            this.emitEvent(jobId, 'status', {
+                status,
+                previousStatus,
+                progress: job.progress,
+                ...(job.error ? { error: job.error } : {})
+            });
+        }
+
         // Persist to database
         if (this.jobStore) {
             await this.jobStore.saveJob(job).catch(err => {
@@ -173,22 +243,269 @@ class JobQueue {
         }
     }
 
+    /**
+     * Tenant a job is scheduled under
+     * @param {Object} job - Job
+     * @returns {string}
+     */
+    getTenant(job) {
+        return job.data?.tenant || 'public';
+    }
+
+    /**
+     * Most jobs a tenant may run at once
+     * @param {string} tenant - Tenant
+     * @returns {number}
+     */
+    getTenantLimit(tenant) {
+        return this.tenantLimits.get(tenant) || this.tenantMaxConcurrent;
+    }
+
+    /**
+     * Number of a tenant's jobs being processed
+     * @param {string} tenant - Tenant
+     * @returns {number}
+     */
+    countProcessing(tenant) {
+        let count = 0;
+        this.processing.forEach(jobId => {
+            const job = this.jobs.get(jobId);
+            if (job && this.getTenant(job) === tenant) {
+                count++;
+            }
+        });
+        return count;
+    }
+
+    /**
+     * Pending jobs that are due, grouped by tenant, each tenant's in the order they run
+     * @param {number} now - Current time (ms)
+     * @returns {Map<string, Array<Object>>}
+     */
+    getWaitingByTenant(now = Date.now()) {
+        const byTenant = new Map();
+        this.queue.forEach(jobId => {
+            const job = this.jobs.get(jobId);
+            if (!job || (job.data?.runAt && job.data.runAt > now)) {
+                return;
+            }
+            const tenant = this.getTenant(job);
+            if (!byTenant.has(tenant)) {
+                byTenant.set(tenant, []);
+            }
+            byTenant.get(tenant).push(job);
+        });
+
+        const priority = job => Object.hasOwn(JobQueue.PRIORITIES, job.data?.priority ?? '')
+            ? JobQueue.PRIORITIES[job.data.priority]
+            : JobQueue.PRIORITIES.normal;
+        byTenant.forEach(jobs => jobs.sort((a, b) => (priority(b) - priority(a)) || (a.createdAt - b.createdAt)));
+        return byTenant;
+    }
+
+    /**
+     * Pick the tenant whose turn it is: the one that started a job least recently, ties going to
+     * the tenant whose next job has waited longest
+     * @param {Map<string, Array<Object>>} byTenant - See getWaitingByTenant
+     * @param {Map<string, number>} turns - Tenant -> turn it last started a job
+     * @param {Function} canStart - (tenant) => whether the tenant may start another job
+     * @returns {string|null}
+     */
+    pickTenant(byTenant, turns, canStart = () => true) {
+        let next = null;
+        byTenant.forEach((jobs, tenant) => {
+            if (jobs.length === 0 || !canStart(tenant)) {
+                return;
+            }
+            if (next === null) {
+                next = tenant;
+                return;
+            }
+            const turn = turns.get(tenant) || 0;
+            const nextTurn = turns.get(next) || 0;
+            if (turn < nextTurn || (turn === nextTurn && jobs[0].createdAt < byTenant.get(next)[0].createdAt)) {
+                next = tenant;
+            }
+        });
+        return next;
+    }
+
     /**
      * Process the queue
      */
     async processQueue() {
         if (!this.enabled) return;
 
-        // Start workers if needed
-        while (this.processing.size < this.maxConcurrent && this.queue.length > 0) {
-            const jobId = this.queue.shift();
-            if (!jobId) continue;
+        // Start workers if needed, taking turns between tenants under their caps
+        const byTenant = this.getWaitingByTenant();
+        while (this.processing.size < this.maxConcurrent) {
+            const tenant = this.pickTenant(byTenant, this.tenantTurns, name => this.countProcessing(name) < this.getTenantLimit(name));
+            if (tenant === null) break;
 
-            this.processing.add(jobId);
-            this.processJob(jobId).catch(error => {
-                console.error(`Job ${jobId} processing error:`, error);
+            const job = byTenant.get(tenant).shift();
+            this.queue.splice(this.queue.indexOf(job.id), 1);
+            this.tenantTurns.set(tenant, ++this.turn);
+
+            this.processing.add(job.id);
+            this.processJob(job.id).catch(error => {
+                console.error(`Job ${job.id} processing error:`, error);
             });
         }
+
+        this.pruneTenantTurns();
+        this.scheduleWake();
+    }
+
+    /**
+     * Forget the turns of tenants with no pending or processing jobs, so tenantTurns only holds
+     * tenants that are active (a returning tenant starts with the earliest turn)
+     */
+    pruneTenantTurns() {
+        const active = new Set();
+        [...this.queue, ...this.processing].forEach(jobId => {
+            const job = this.jobs.get(jobId);
+            if (job) {
+                active.add(this.getTenant(job));
+            }
+        });
+        this.tenantTurns.forEach((turn, tenant) => {
+            if (!active.has(tenant)) {
+                this.tenantTurns.delete(tenant);
+            }
+        });
+    }
+
+    /**
+     * Run processQueue again when the next scheduled job is due
+     */
+    scheduleWake() {
+        if (this.wakeTimer) {
+            clearTimeout(this.wakeTimer);
+            this.wakeTimer = null;
+        }
+
+        const now = Date.now();
+        let nextRunAt = Infinity;
+        this.queue.forEach(jobId => {
+            const runAt = this.jobs.get(jobId)?.data?.runAt;
+            if (runAt && runAt > now && runAt < nextRunAt) {
+                nextRunAt = runAt;
+            }
+        });
+
+        if (this.enabled && nextRunAt !== Infinity) {
+            // setTimeout can't wait longer than ~24.8 days; it simply checks again then
+            this.wakeTimer = setTimeout(() => {
+                this.wakeTimer = null;
+                this.processQueue();
+            }, Math.min(nextRunAt - now, 0x7fffffff));
+            this.wakeTimer.unref();
+        }
+    }
+
+    /**
+     * Where a pending job stands in the queue
+     * @param {string} jobId - Job ID
+     * @returns {Object|null} - { position, ahead, estimatedStartAt, estimatedWaitSeconds }, position null for
+     *   jobs waiting for their runAt; null for jobs that aren't pending
+     */
+    getQueueInfo(jobId) {
+        const job = this.jobs.get(jobId);
+        if (!job || job.status !== 'pending') {
+            return null;
+        }
+
+        const now = Date.now();
+        const duration = this.averageDuration || JobQueue.DEFAULT_DURATION;
+        if (job.data?.runAt && job.data.runAt > now) {
+            return {
+                position: null,
+                ahead: null,
+                estimatedStartAt: new Date(job.data.runAt).toISOString(),
+                estimatedWaitSeconds: Math.ceil((job.data.runAt - now) / 1000)
+            };
+        }
+
+        // Replay the scheduler over the waiting jobs to find the order they start in
+        const byTenant = this.getWaitingByTenant(now);
+        const turns = new Map(this.tenantTurns);
+        let turn = this.turn;
+        const tenant = this.getTenant(job);
+        let ahead = 0;
+        let tenantAhead = 0;
+        for (;;) {
+            const next = this.pickTenant(byTenant, turns);
+            if (next === null) break;
+            const nextJob = byTenant.get(next).shift();
+            turns.set(next, ++turn);
+            if (nextJob.id === jobId) break;
+            ahead++;
+            if (next === tenant) {
+                tenantAhead++;
+            }
+        }
+
+        // A job starts once a worker is free and its tenant is under its cap; each wait is counted
+        // in rounds of average job durations
+        const workerRounds = Math.floor((this.processing.size + ahead) / this.maxConcurrent);
+        const tenantRounds = Math.floor((this.countProcessing(tenant) + tenantAhead) / this.getTenantLimit(tenant));
+        const wait = Math.max(workerRounds, tenantRounds) * duration;
+
+        return {
+            position: ahead + 1,
+            ahead,
+            estimatedStartAt: new Date(now + wait).toISOString(),
+            estimatedWaitSeconds: Math.ceil(wait / 1000)
+        };
+    }
+
+    /**
+     * Tenants with jobs or a limit of their own
+     * @returns {Array<Object>} - { tenant, maxConcurrent, customLimit, processing, pending }
+     */
+    getTenants() {
+        const tenants = new Map();
+        const entry = tenant => {
+            if (!tenants.has(tenant)) {
+                tenants.set(tenant, {
+                    tenant,
+                    maxConcurrent: this.getTenantLimit(tenant),
+                    customLimit: this.tenantLimits.has(tenant),
+                    processing: 0,
+                    pending: 0
+                });
+            }
+            return tenants.get(tenant);
+        };
+
+        this.tenantLimits.forEach((_, tenant) => entry(tenant));
+        this.jobs.forEach(job => {
+            if (job.status === 'pending' || job.status === 'processing') {
+                entry(this.getTenant(job))[job.status]++;
+            }
+        });
+
+        return Array.from(tenants.values());
+    }
+
+    /**
+     * Set or clear a tenant's concurrency cap, persisted in the store
+     * @param {string} tenant - Tenant
+     * @param {number|null} maxConcurrent - Cap, or null for the default (tenantMaxConcurrent)
+     */
+    async setTenantLimit(tenant, maxConcurrent) {
+        if (maxConcurrent) {
+            this.tenantLimits.set(tenant, maxConcurrent);
+        } else {
+            this.tenantLimits.delete(tenant);
+        }
+
+        if (this.jobStore) {
+            await this.jobStore.saveTenantLimit(tenant, maxConcurrent || null);
+        }
+
+        // A raised cap may let waiting jobs start
+        this.processQueue();
     }
 
     /**
@@ -199,6 +516,9 @@ class JobQueue {
         const job = this.jobs.get(jobId);
         if (!job) return;
 
+        const controller = new AbortController();
+        this.controllers.set(jobId, controller);
+
         try {
             await this.updateJob(jobId, 'processing');
             console.log(`Processing job: ${jobId}`);
@@ -209,28 +529,69 @@ class JobQueue {
             }
 
             const result = await this.jobProcessor(job.data, async (progress) => {
+                if (controller.signal.aborted || progress === job.progress) {
+                    return;
+                }
                 job.progress = progress;
+                this.emitEvent(jobId, 'progress', { progress });
                 // Don't await every progress update to avoid DB bottleneck
                 if (progress % 10 === 0) {
                     this.updateJob(jobId, 'processing', { progress }).catch(console.error);
                 }
+            }, {
+                signal: controller.signal,
+                emit: (type, data) => {
+                    if (!controller.signal.aborted) {
+                        this.emitEvent(jobId, type, data);
+                    }
+                }
             });
 
+            // A job cancelled while its last step finished keeps its cancelled status, along with
+            // whatever the processor kept (see keepPartial)
+            if (controller.signal.aborted) {
+                if (result) {
+                    await this.updateJob(jobId, 'cancelled', { result });
+                }
+                this.emit('finished', job);
+                return;
+            }
             await this.updateJob(jobId, 'completed', { result, progress: 100 });
             console.log(`✓ Job completed: ${jobId}`);
+            this.recordDuration(job.completedAt - job.startedAt);
+            this.emit('finished', job);
 
         } catch (error) {
+            if (controller.signal.aborted) {
+                console.log(`Job cancelled: ${jobId}`);
+                this.emit('finished', job);
+                return;
+            }
             await this.updateJob(jobId, 'failed', {
                 error: error.message,
                 progress: job.progress
             });
             console.error(`✗ Job failed: ${jobId} - ${error.message}`);
+            this.emit('finished', job);
         } finally {
+            this.controllers.delete(jobId);
+            this.processing.delete(jobId);
             // Process next job in queue
             this.processQueue();
         }
     }
 
+    /**
+     * Fold a completed job's run time into the average used for ETAs
+     * @param {number} duration - Run time (ms)
+     */
+    recordDuration(duration) {
+        if (!(duration >= 0)) return;
+        this.averageDuration = this.averageDuration === null
+            ? duration
+            : Math.round(this.averageDuration * 0.8 + duration * 0.2);
+    }
+
     /**
      * Set job processor function
      * @param {Function} processor - Async function to process jobs
@@ -243,7 +604,8 @@ class JobQueue {
     }
 
     /**
-     * Cancel a job
+     * Cancel a job: pending jobs leave the queue, processing jobs are aborted (the processor gets
+     * an AbortSignal, which stops provider requests in flight)
      * @param {string} jobId - Job ID
      * @returns {Promise<boolean>} - Success
      */
@@ -262,6 +624,14 @@ class JobQueue {
                 this.queue.splice(index, 1);
             }
             await this.updateJob(jobId, 'cancelled');
+            this.emit('finished', job);
+            return true;
+        }
+
+        // Finished once its processor has stopped (see processJob)
+        if (job.status === 'processing' && this.controllers.has(jobId)) {
+            this.controllers.get(jobId).abort();
+            await this.updateJob(jobId, 'cancelled');
             return true;
         }
 
@@ -283,7 +653,7 @@ class JobQueue {
         const toDelete = [];
 
         this.jobs.forEach((job, jobId) => {
-            if ((job.status === 'completed' || job.status === 'failed') &&
+            if ((job.status === 'completed' || job.status === 'failed' || job.status === 'cancelled') &&
                 job.completedAt &&
                 (now - job.completedAt) > olderThan) {
                 toDelete.push(jobId);
@@ -298,12 +668,17 @@ class JobQueue {
      * @returns {Promise<Object>} - Statistics
      */
     async getStats() {
+        const now = Date.now();
+        const scheduled = this.queue.filter(jobId => (this.jobs.get(jobId)?.data?.runAt || 0) > now).length;
+
         if (this.jobStore) {
             const stats = await this.jobStore.getStats();
             return {
                 ...stats,
                 queueLength: this.queue.length,
-                maxConcurrent: this.maxConcurrent
+                scheduled,
+                maxConcurrent: this.maxConcurrent,
+                tenantMaxConcurrent: this.tenantMaxConcurrent
             };
         }
 
@@ -315,7 +690,9 @@ class JobQueue {
             failed: 0,
             cancelled: 0,
             queueLength: this.queue.length,
-            maxConcurrent: this.maxConcurrent
+            scheduled,
+            maxConcurrent: this.maxConcurrent,
+            tenantMaxConcurrent: this.tenantMaxConcurrent
         };
 
         this.jobs.forEach(job => {
@@ -330,6 +707,10 @@ class JobQueue {
      */
     stop() {
         this.enabled = false;
+        if (this.wakeTimer) {
+            clearTimeout(this.wakeTimer);
+            this.wakeTimer = null;
+        }
         console.log('Job queue stopped');
     }
 
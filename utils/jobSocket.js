@@ -0,0 +1,280 @@
+const { WebSocketServer } = require('ws');
+const { isPrivateMode, isValidApiKey, getTenantId } = require('../middleware/auth');
+
+/**
+ * Job WebSocket Channel
+ * Live job updates at /api/jobs/ws, instead of polling GET /api/jobs/:id.
+ *
+ * Client messages (JSON):
+ *   { type: 'subscribe', jobIds: [...] }    Receive a snapshot of each job, then its events
+ *   { type: 'unsubscribe', jobIds: [...] }
+ *   { type: 'cancel', jobId }               Cancel a pending or processing job
+ *   { type: 'ping' }
+ *
+ * Server messages:
+ *   { type: 'snapshot', jobId, status, progress, ... }    Current state, on subscribing
+ *   { type: 'status', jobId, status, previousStatus, progress, error? }
+ *   { type: 'progress', jobId, progress }
+ *   { type: 'stage', jobId, stage, message, progress }    extraction, generating, quality, deduplication,
+ *                                                         balancing, citations, grounding, verification
+ *   { type: 'question', jobId, question, index, total }   Each question as it is generated
+ *   { type: 'cancel', jobId, cancelled }, { type: 'pong' }, { type: 'error', error, jobId? }
+ *
+ * In private mode the API key goes in the X-API-Key or Authorization header, or the apiKey query
+ * parameter for browsers, which can't set headers on a WebSocket. A connection only sees and cancels
+ * jobs of its key's tenant (see getTenantId); other jobs are reported as not found.
+ */
+class JobSocket {
+    static PATH = '/api/jobs/ws';
+    static MAX_SUBSCRIPTIONS = 100;
+    // Clients only send small control messages
+    static MAX_PAYLOAD = 64 * 1024;
+
+    /**
+     * @param {Object} jobQueue - JobQueue whose events are relayed
+     * @param {Object} config - { path }
+     */
+    constructor(jobQueue, config = {}) {
+        this.jobQueue = jobQueue;
+        this.path = config.path || JobSocket.PATH;
+        this.wss = new WebSocketServer({ noServer: true, maxPayload: JobSocket.MAX_PAYLOAD });
+        this.subscribers = new Map(); // jobId -> Set of sockets
+
+        this.wss.on('connection', socket => this.handleConnection(socket));
+        this.jobQueue.on('event', event => this.broadcast(event));
+    }
+
+    /**
+     * Accept WebSocket upgrades for the channel's path on an HTTP server. The server has no other
+     * WebSocket endpoints, so upgrades to any other path are refused.
+     * @param {http.Server} server - Server returned by app.listen()
+     */
+    attach(server) {
+        server.on('upgrade', (req, socket, head) => {
+            const url = new URL(req.url, 'http://localhost');
+            if (url.pathname !== this.path) {
+                socket.write('HTTP/1.1 404 Not Found\r\nConnection: close\r\n\r\n');
+                socket.destroy();
+                return;
+            }
+
+            const apiKey = this.getApiKey(req, url);
+            if (!this.isAuthorized(apiKey)) {
+                socket.write('HTTP/1.1 401 Unauthorized\r\nConnection: close\r\n\r\n');
+                socket.destroy();
+                return;
+            }
+
+            this.wss.handleUpgrade(req, socket, head, ws => {
+                ws.tenant = getTenantId(apiKey);
+                this.wss.emit('connection', ws, req);
+            });
+        });
+    }
+
+    /**
+     * API key of an upgrade request, from its headers or apiKey query parameter
+     * @param {Object} req - Upgrade request
+     * @param {URL} url - Parsed request URL
+     * @returns {string|null}
+     */
+    getApiKey(req, url) {
+        return req.headers['x-api-key']
+            || req.headers['authorization']?.replace('Bearer ', '')
+            || url.searchParams.get('apiKey');
+    }
+
+    /**
+     * Check the API key of an upgrade request (see middleware/auth)
+     * @param {string|null} apiKey - Key sent with the request
+     * @returns {boolean}
+     */
+    isAuthorized(apiKey) {
+        if (!isPrivateMode()) {
+            return true;
+        }
+        return Boolean(apiKey) && isValidApiKey(apiKey);
+    }
+
+    /**
+     * Get a job if it belongs to the socket's tenant
+     * @param {WebSocket} socket - Client socket
+     * @param {string} jobId - Job ID
+     * @returns {Promise<Object|null>} - The job, or null if it doesn't exist or belongs to another tenant
+     */
+    async getJob(socket, jobId) {
+        const job = await this.jobQueue.getJob(jobId);
+        if (!job || this.jobQueue.getTenant(job) !== (socket.tenant || 'public')) {
+            return null;
+        }
+        return job;
+    }
+
+    /**
+     * Set up a new connection
+     * @param {WebSocket} socket - Client socket
+     */
+    handleConnection(socket) {
+        socket.jobIds = new Set();
+
+        socket.on('message', async raw => {
+            let message;
+            try {
+                message = JSON.parse(raw.toString());
+            } catch {
+                this.send(socket, { type: 'error', error: 'Messages must be JSON' });
+                return;
+            }
+
+            try {
+                await this.handleMessage(socket, message);
+            } catch (error) {
+                console.error('Job socket error:', error.message);
+                this.send(socket, { type: 'error', error: error.message });
+            }
+        });
+
+        // Protocol errors such as an oversized message; ws closes the connection itself
+        socket.on('error', error => {
+            console.warn('Job socket connection error:', error.message);
+        });
+
+        socket.on('close', () => {
+            socket.jobIds.forEach(jobId => this.unsubscribe(socket, jobId));
+        });
+    }
+
+    /**
+     * Handle a client message
+     * @param {WebSocket} socket - Client socket
+     * @param {Object} message - Parsed message
+     */
+    async handleMessage(socket, message) {
+        switch (message && message.type) {
+            case 'subscribe':
+                for (const jobId of this.getJobIds(message)) {
+                    await this.subscribe(socket, jobId);
+                }
+                break;
+            case 'unsubscribe':
+                this.getJobIds(message).forEach(jobId => this.unsubscribe(socket, jobId));
+                break;
+            case 'cancel': {
+                if (!message.jobId) {
+                    throw new Error('cancel needs a jobId');
+                }
+                const job = await this.getJob(socket, message.jobId);
+                const cancelled = job ? await this.jobQueue.cancelJob(message.jobId) : false;
+                this.send(socket, {
+                    type: 'cancel',
+                    jobId: message.jobId,
+                    cancelled,
+                    ...(cancelled ? {} : { error: 'Job cannot be cancelled (not found or already finished)' })
+                });
+                break;
+            }
+            case 'ping':
+                this.send(socket, { type: 'pong' });
+                break;
+            default:
+                throw new Error(`Unknown message type: ${message && message.type}`);
+        }
+    }
+
+    /**
+     * Job IDs of a subscribe or unsubscribe message
+     * @param {Object} message - { jobIds } or { jobId }
+     * @returns {Array<string>}
+     */
+    getJobIds(message) {
+        const jobIds = Array.isArray(message.jobIds) ? message.jobIds : [message.jobId];
+        const valid = jobIds.filter(jobId => typeof jobId === 'string' && jobId);
+        if (valid.length === 0) {
+            throw new Error(`${message.type} needs jobIds`);
+        }
+        return valid;
+    }
+
+    /**
+     * Subscribe a socket to a job and send it the job's current state
+     * @param {WebSocket} socket - Client socket
+     * @param {string} jobId - Job ID
+     */
+    async subscribe(socket, jobId) {
+        const job = await this.getJob(socket, jobId);
+        if (!job) {
+            this.send(socket, { type: 'error', jobId, error: 'Job not found' });
+            return;
+        }
+        if (!socket.jobIds.has(jobId) && socket.jobIds.size >= JobSocket.MAX_SUBSCRIPTIONS) {
+            this.send(socket, { type: 'error', jobId, error: `At most ${JobSocket.MAX_SUBSCRIPTIONS} jobs per connection` });
+            return;
+        }
+
+        socket.jobIds.add(jobId);
+        if (!this.subscribers.has(jobId)) {
+            this.subscribers.set(jobId, new Set());
+        }
+        this.subscribers.get(jobId).add(socket);
+
+        this.send(socket, {
+            type: 'snapshot',
+            jobId,
+            jobType: job.data?.type || 'generate',
+            status: job.status,
+            progress: job.progress,
+            createdAt: new Date(job.createdAt).toISOString(),
+            startedAt: job.startedAt ? new Date(job.startedAt).toISOString() : null,
+            completedAt: job.completedAt ? new Date(job.completedAt).toISOString() : null,
+            error: job.error
+        });
+    }
+
+    /**
+     * Stop sending a job's events to a socket
+     * @param {WebSocket} socket - Client socket
+     * @param {string} jobId - Job ID
+     */
+    unsubscribe(socket, jobId) {
+        socket.jobIds.delete(jobId);
+        const sockets = this.subscribers.get(jobId);
+        if (sockets) {
+            sockets.delete(socket);
+            if (sockets.size === 0) {
+                this.subscribers.delete(jobId);
+            }
+        }
+    }
+
+    /**
+     * Send a queue event to the job's subscribers
+     * @param {Object} event - { jobId, type, ... } (see JobQueue)
+     */
+    broadcast(event) {
+        const sockets = this.subscribers.get(event.jobId);
+        if (sockets) {
+            sockets.forEach(socket => this.send(socket, event));
+        }
+    }
+
+    /**
+     * Send a message if the socket is still open
+     * @param {WebSocket} socket - Client socket
+     * @param {Object} message - Message
+     */
+    send(socket, message) {
+        if (socket.readyState === socket.OPEN) {
+            socket.send(JSON.stringify(message));
+        }
+    }
+
+    /**
+     * Close all connections
+     */
+    close() {
+        this.wss.clients.forEach(socket => socket.close(1001, 'Server shutting down'));
+        this.wss.close();
+    }
+}
+
+module.exports = JobSocket;
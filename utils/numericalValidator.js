@@ -0,0 +1,632 @@
+const ExpressionEvaluator = require('./expressionEvaluator');
+
+/**
+ * Numerical Validator
+ * Validates numerical (calculation) questions and expands parameterized templates such as
+ * "A car travels {d} km in {t} h..." into concrete instances. Answers are always computed
+ * from the question's formula with ExpressionEvaluator, never taken from the provider's
+ * own arithmetic. Used by QuestionValidator for this type in place of its option checks.
+ */
+class NumericalValidator {
+    /**
+     * Numerical types and their descriptions
+     */
+    static TYPES = {
+        numerical: {
+            description: 'Calculation with a numeric answer, optionally with varying parameters'
+        }
+    };
+
+    /**
+     * Decimal places answers are rounded to when the question doesn't say
+     */
+    static DEFAULT_DECIMALS = 2;
+
+    static MAX_DECIMALS = 10;
+
+    static MAX_PARAMETERS = 10;
+
+    /**
+     * Most instances expanded from one template in a single request
+     */
+    static MAX_VARIANTS = 100;
+
+    /**
+     * Attempts at drawing parameter values that give a finite answer (e.g. no division by zero)
+     */
+    static MAX_ATTEMPTS = 50;
+
+    /**
+     * Parameter placeholder in question text: {d}, { speed }
+     */
+    static PLACEHOLDER = /\{\s*([A-Za-z_][A-Za-z0-9_]*)\s*\}/g;
+
+    static TOLERANCE_TYPES = ['absolute', 'relative'];
+
+    /**
+     * Whether a type is a numerical type
+     * @param {string} questionType - Canonical type
+     * @returns {boolean}
+     */
+    static handles(questionType) {
+        return Object.prototype.hasOwnProperty.call(this.TYPES, questionType);
+    }
+
+    /**
+     * Turn a raw value into trimmed text
+     * @param {*} value - Raw value
+     * @returns {string}
+     */
+    static toText(value) {
+        return value === undefined || value === null ? '' : value.toString().trim();
+    }
+
+    /**
+     * Parse a number, ignoring a trailing unit ("60 km/h") and thousands separators
+     * @param {*} value - Raw value
+     * @returns {number} - The number, or NaN
+     */
+    static parseNumber(value) {
+        if (typeof value === 'number') {
+            return value;
+        }
+        const match = this.toText(value).replace(/(\d),(?=\d{3}\b)/g, '$1').match(/^[-+]?(?:\d+\.?\d*|\.\d+)(?:[eE][-+]?\d+)?/);
+        return match ? Number(match[0]) : NaN;
+    }
+
+    /**
+     * Round a number to a number of decimal places
+     * @param {number} value - Value
+     * @param {number} decimals - Decimal places
+     * @returns {number}
+     */
+    static round(value, decimals) {
+        const rounded = Number(Math.round(Number(`${value}e${decimals}`)) + `e-${decimals}`);
+        // Very large or small values don't survive the exponent trick
+        return Number.isFinite(rounded) ? rounded : Number(value.toFixed(decimals));
+    }
+
+    /**
+     * Format a number for question text and answer keys: rounded, without trailing zeros
+     * @param {number} value - Value
+     * @param {number} decimals - Maximum decimal places
+     * @returns {string}
+     */
+    static formatNumber(value, decimals = this.MAX_DECIMALS) {
+        return String(this.round(value, decimals));
+    }
+
+    /**
+     * Number of decimal places in a number as written (0.25 -> 2)
+     * @param {number} value - Value
+     * @returns {number}
+     */
+    static countDecimals(value) {
+        const match = String(value).match(/(?:\.(\d+))?(?:e([-+]\d+))?$/i);
+        const digits = match && match[1] ? match[1].length : 0;
+        const exponent = match && match[2] ? Number(match[2]) : 0;
+        return Math.max(0, digits - exponent);
+    }
+
+    /**
+     * Parse a tolerance given as a number, "0.5", "2%" or { value, type }
+     * @param {*} value - Raw tolerance
+     * @param {string} type - Explicit tolerance type, overriding a "%" suffix
+     * @returns {Object} - { tolerance, toleranceType }
+     */
+    static parseTolerance(value, type) {
+        let toleranceType = this.toText(type).toLowerCase();
+        let raw = value;
+
+        if (raw && typeof raw === 'object') {
+            toleranceType = toleranceType || this.toText(raw.type).toLowerCase();
+            raw = raw.value ?? raw.amount;
+        }
+
+        const text = this.toText(raw);
+        let tolerance = text === '' ? 0 : this.parseNumber(text);
+        if (text.endsWith('%')) {
+            toleranceType = toleranceType || 'relative';
+            tolerance /= 100;
+        }
+
+        return { tolerance, toleranceType: toleranceType || 'absolute' };
+    }
+
+    /**
+     * Format a tolerance as a spreadsheet cell: "0.5" or "2%"
+     * @param {Object} question - Standardized numerical question
+     * @returns {string}
+     */
+    static formatTolerance(question) {
+        const tolerance = question.tolerance || 0;
+        return question.toleranceType === 'relative'
+            ? `${this.formatNumber(tolerance * 100)}%`
+            : this.formatNumber(tolerance);
+    }
+
+    /**
+     * Parse one parameter definition
+     * @param {string} name - Parameter name
+     * @param {*} definition - { min, max, step }, { values }, an array of values, or a cell part
+     *   such as "60..300 step 10" or "2, 4, 8"
+     * @returns {Object} - { name, min, max, step } or { name, values }
+     */
+    static parseParameter(name, definition) {
+        if (Array.isArray(definition)) {
+            return { name, values: definition.map(value => this.parseNumber(value)) };
+        }
+
+        if (definition && typeof definition === 'object') {
+            if (Array.isArray(definition.values)) {
+                return { name, values: definition.values.map(value => this.parseNumber(value)) };
+            }
+            const step = definition.step ?? definition.increment;
+            return {
+                name,
+                min: this.parseNumber(definition.min ?? definition.minimum ?? definition.from),
+                max: this.parseNumber(definition.max ?? definition.maximum ?? definition.to),
+                step: step === undefined || step === null || step === '' ? 1 : this.parseNumber(step)
+            };
+        }
+
+        const text = this.toText(definition);
+        const range = text.match(/^(\S+)\s*(?:\.\.|to)\s*(\S+?)(?:\s+step\s+(\S+))?$/i);
+        if (range) {
+            return {
+                name,
+                min: this.parseNumber(range[1]),
+                max: this.parseNumber(range[2]),
+                step: range[3] === undefined ? 1 : this.parseNumber(range[3])
+            };
+        }
+        return { name, values: text.split(/\s*,\s*/).filter(Boolean).map(value => this.parseNumber(value)) };
+    }
+
+    /**
+     * Parse parameter definitions from an array of { name, min, max, step } / { name, values }
+     * objects, a { name: definition } map, or a formatted spreadsheet cell
+     * ("d = 60..300 step 10 | n = 2, 4, 8", see formatParameters)
+     * @param {Array|Object|string} value - Raw parameters
+     * @returns {Array<Object>}
+     */
+    static parseParameters(value) {
+        if (value === undefined || value === null || value === '') {
+            return [];
+        }
+
+        if (Array.isArray(value)) {
+            return value.map(entry => {
+                const definition = entry && typeof entry === 'object' ? entry : {};
+                return this.parseParameter(this.toText(definition.name ?? definition.variable ?? definition.symbol), definition);
+            });
+        }
+
+        if (typeof value === 'object') {
+            return Object.entries(value).map(([name, definition]) => this.parseParameter(name.trim(), definition));
+        }
+
+        return value.toString().split(/\s*[|\n;]\s*/).filter(Boolean).map(cell => {
+            const [name, ...rest] = cell.split('=');
+            return this.parseParameter(name.trim(), rest.join('=').trim());
+        });
+    }
+
+    /**
+     * Format parameter definitions as a single spreadsheet cell
+     * @param {Array<Object>} parameters - Parameter definitions
+     * @returns {string} - e.g. "d = 60..300 step 10 | n = 2, 4, 8"
+     */
+    static formatParameters(parameters = []) {
+        return parameters.map(parameter => (Array.isArray(parameter.values)
+            ? `${parameter.name} = ${parameter.values.join(', ')}`
+            : `${parameter.name} = ${parameter.min}..${parameter.max}${parameter.step !== 1 ? ` step ${parameter.step}` : ''}`))
+            .join(' | ');
+    }
+
+    /**
+     * Parse the parameter values of a concrete instance from a { name: value } map or a
+     * "d = 120 | t = 2" spreadsheet cell
+     * @param {Object|string} value - Raw values
+     * @returns {Object} - Values by name
+     */
+    static parseValues(value) {
+        if (value === undefined || value === null || value === '') {
+            return {};
+        }
+
+        const entries = typeof value === 'object'
+            ? Object.entries(value)
+            : value.toString().split(/\s*[|\n;,]\s*/).filter(Boolean).map(cell => cell.split('='));
+
+        return Object.fromEntries(entries.map(([name, number]) => [this.toText(name), this.parseNumber(number)]));
+    }
+
+    /**
+     * Format instance values as a single spreadsheet cell
+     * @param {Object} values - Values by name
+     * @returns {string} - e.g. "d = 120 | t = 2"
+     */
+    static formatValues(values = {}) {
+        return Object.entries(values).map(([name, value]) => `${name} = ${value}`).join(' | ');
+    }
+
+    /**
+     * List the parameter placeholders in a text
+     * @param {string} text - Question text
+     * @returns {Array<string>} - Names, in order of first use
+     */
+    static getPlaceholders(text) {
+        return [...new Set([...this.toText(text).matchAll(this.PLACEHOLDER)].map(match => match[1]))];
+    }
+
+    /**
+     * Whether a question is a template whose numbers still have to be drawn
+     * @param {Object} question - Standardized numerical question
+     * @returns {boolean}
+     */
+    static isTemplate(question) {
+        return this.handles(question?.questionType) && (question.parameters || []).length > 0;
+    }
+
+    /**
+     * Map the field names providers (and spreadsheets) use onto the numerical fields.
+     * The answer is computed from the formula whenever the formula can be evaluated;
+     * templates get theirs per instance (see instantiate).
+     * @param {Object} q - Raw question
+     * @returns {Object} - { formula, parameters, values, correctanswer, tolerance, toleranceType, unit, decimals }
+     */
+    static normalize(q) {
+        // "{d} / {t}" is accepted so formulas can be copied from the question text
+        const formula = this.toText(q.formula ?? q.expression ?? q.answerFormula ?? q.answer_formula)
+            .replace(this.PLACEHOLDER, '$1');
+        const parameters = this.parseParameters(q.parameters ?? q.params ?? q.variables);
+        const values = this.parseValues(q.values);
+        const rawDecimals = q.decimals ?? q.decimalPlaces ?? q.decimal_places;
+        const decimals = rawDecimals === undefined || rawDecimals === null || rawDecimals === ''
+            ? this.DEFAULT_DECIMALS
+            : this.parseNumber(rawDecimals);
+
+        const normalized = {
+            formula,
+            parameters,
+            values,
+            correctanswer: '',
+            ...this.parseTolerance(q.tolerance ?? q.margin, q.toleranceType ?? q.tolerance_type),
+            unit: this.toText(q.unit ?? q.units),
+            decimals
+        };
+
+        if (parameters.length === 0) {
+            const rawAnswer = q.correctanswer ?? q.correct_answer ?? q.answer;
+            const given = this.parseNumber(Array.isArray(rawAnswer) ? rawAnswer[0] : rawAnswer);
+            normalized.correctanswer = Number.isFinite(given) ? given : '';
+
+            if (formula) {
+                try {
+                    normalized.correctanswer = this.computeAnswer(normalized, values);
+                } catch (error) {
+                    // Left for validate() to report
+                }
+            }
+        }
+
+        return normalized;
+    }
+
+    /**
+     * Evaluate a question's formula and round the result to its decimals
+     * @param {Object} question - Standardized numerical question
+     * @param {Object} values - Parameter values by name
+     * @returns {number}
+     */
+    static computeAnswer(question, values) {
+        return this.round(ExpressionEvaluator.evaluate(question.formula, values), this.getDecimals(question));
+    }
+
+    /**
+     * Decimal places a question's answer is rounded to
+     * @param {Object} question - Standardized numerical question
+     * @returns {number}
+     */
+    static getDecimals(question) {
+        return Number.isInteger(question.decimals) ? question.decimals : this.DEFAULT_DECIMALS;
+    }
+
+    /**
+     * Number of distinct values a parameter can take
+     * @param {Object} parameter - Parameter definition
+     * @returns {number}
+     */
+    static countValues(parameter) {
+        if (Array.isArray(parameter.values)) {
+            return new Set(parameter.values).size;
+        }
+        return Math.floor((parameter.max - parameter.min) / parameter.step + 1e-9) + 1;
+    }
+
+    /**
+     * Draw a value for a parameter
+     * @param {Object} parameter - Parameter definition
+     * @param {Function} random - Generator returning floats in [0, 1)
+     * @returns {number}
+     */
+    static sampleValue(parameter, random) {
+        if (Array.isArray(parameter.values)) {
+            return parameter.values[Math.floor(random() * parameter.values.length)];
+        }
+
+        const position = Math.floor(random() * this.countValues(parameter));
+        const decimals = Math.max(this.countDecimals(parameter.min), this.countDecimals(parameter.step));
+        return this.round(parameter.min + position * parameter.step, decimals);
+    }
+
+    /**
+     * Replace the placeholders in a text with parameter values
+     * @param {string} text - Template text
+     * @param {Object} values - Values by name
+     * @returns {string}
+     */
+    static fillTemplate(text, values) {
+        return this.toText(text).replace(this.PLACEHOLDER, (placeholder, name) => (
+            Object.prototype.hasOwnProperty.call(values, name) ? this.formatNumber(values[name]) : placeholder
+        ));
+    }
+
+    /**
+     * Draw parameter values and build a concrete question from a template
+     * @param {Object} question - Standardized numerical template
+     * @param {Function} random - Generator returning floats in [0, 1) (e.g. ExamBuilder.createRandom)
+     * @returns {Object} - Numerical question with the numbers filled in, its values and computed answer
+     * @throws {Error} - If no drawn values give a finite answer
+     */
+    static instantiate(question, random) {
+        if (!this.isTemplate(question)) {
+            return { ...question };
+        }
+
+        let lastError = null;
+        for (let attempt = 0; attempt < this.MAX_ATTEMPTS; attempt++) {
+            const values = Object.fromEntries(question.parameters.map(parameter => [
+                parameter.name,
+                this.sampleValue(parameter, random)
+            ]));
+
+            try {
+                const correctanswer = this.computeAnswer(question, values);
+                return {
+                    ...question,
+                    questiontext: this.fillTemplate(question.questiontext, values),
+                    parameters: [],
+                    values,
+                    correctanswer,
+                    rationale: this.fillTemplate(question.rationale, values)
+                };
+            } catch (error) {
+                lastError = error;
+            }
+        }
+
+        throw new Error(`Could not draw parameter values with a valid answer: ${lastError.message}`);
+    }
+
+    /**
+     * Expand a template into distinct concrete questions. Fewer than count come back when the
+     * parameters can't take that many different value combinations.
+     * @param {Object} question - Standardized numerical template
+     * @param {number} count - Number of instances wanted
+     * @param {Function} random - Generator returning floats in [0, 1)
+     * @returns {Array<Object>} - Concrete numerical questions
+     */
+    static expand(question, count, random) {
+        if (!this.isTemplate(question)) {
+            return [{ ...question }];
+        }
+
+        const combinations = question.parameters.reduce((total, parameter) => total * this.countValues(parameter), 1);
+        const target = Math.min(count, combinations);
+        const instances = [];
+        const seen = new Set();
+
+        for (let attempt = 0; instances.length < target && attempt < target * 20; attempt++) {
+            const instance = this.instantiate(question, random);
+            const key = JSON.stringify(instance.values);
+            if (!seen.has(key)) {
+                seen.add(key);
+                instances.push(instance);
+            }
+        }
+
+        return instances;
+    }
+
+    /**
+     * Absolute margin around the answer that is still marked correct
+     * @param {Object} question - Standardized concrete numerical question
+     * @returns {number}
+     */
+    static getAbsoluteTolerance(question) {
+        const tolerance = question.tolerance || 0;
+        if (question.toleranceType !== 'relative') {
+            return tolerance;
+        }
+        return this.round(Math.abs(Number(question.correctanswer) || 0) * tolerance, this.MAX_DECIMALS);
+    }
+
+    /**
+     * Describe the answer in one line: "60 km/h (±0.5)", or the formula for templates
+     * @param {Object} question - Standardized numerical question
+     * @returns {string}
+     */
+    static getAnswerText(question) {
+        const unit = question.unit ? ` ${question.unit}` : '';
+        const tolerance = question.tolerance
+            ? ` (±${question.toleranceType === 'relative' ? this.formatTolerance(question) : this.formatNumber(question.tolerance)})`
+            : '';
+
+        if (this.isTemplate(question)) {
+            return `= ${question.formula}${unit}${tolerance}`;
+        }
+        if (question.correctanswer === '' || question.correctanswer === undefined || question.correctanswer === null) {
+            return '';
+        }
+        return `${this.formatNumber(question.correctanswer, this.getDecimals(question))}${unit}${tolerance}`;
+    }
+
+    /**
+     * Validate the numerical fields of a standardized question
+     * @param {Object} question - Standardized question
+     * @param {Array} errors - Errors to append to ({ field, message })
+     * @param {Array} warnings - Warnings to append to ({ field, message })
+     */
+    static validate(question, errors, warnings) {
+        const parameters = question.parameters || [];
+        const decimals = question.decimals;
+
+        if (!Number.isInteger(decimals) || decimals < 0 || decimals > this.MAX_DECIMALS) {
+            errors.push({ field: 'decimals', message: `has invalid decimals "${decimals}", must be a whole number from 0 to ${this.MAX_DECIMALS}` });
+        }
+
+        if (!Number.isFinite(question.tolerance) || question.tolerance < 0) {
+            errors.push({ field: 'tolerance', message: 'has an invalid tolerance, must be a number of 0 or more' });
+        } else if (!this.TOLERANCE_TYPES.includes(question.toleranceType)) {
+            errors.push({ field: 'tolerance', message: `has invalid tolerance type "${question.toleranceType}", must be absolute or relative` });
+        }
+
+        let formulaVariables = null;
+        if (question.formula) {
+            try {
+                formulaVariables = ExpressionEvaluator.getVariables(question.formula);
+            } catch (error) {
+                errors.push({ field: 'formula', message: `has an invalid formula: ${error.message.replace(/^Invalid formula: /, '')}` });
+            }
+        }
+
+        if (parameters.length === 0) {
+            this.validateConcrete(question, formulaVariables, errors);
+            return;
+        }
+
+        if (!question.formula) {
+            errors.push({ field: 'formula', message: 'missing required field: formula (templates compute their answer from it)' });
+        }
+
+        const parameterErrors = errors.length;
+        this.validateParameters(parameters, errors);
+
+        const names = parameters.map(parameter => parameter.name);
+        const placeholders = this.getPlaceholders(question.questiontext);
+
+        placeholders.filter(name => !names.includes(name)).forEach(name => {
+            errors.push({ field: 'questiontext', message: `uses {${name}}, which is not a parameter` });
+        });
+        names.filter(name => !placeholders.includes(name)).forEach(name => {
+            warnings.push({ field: 'parameters', message: `defines parameter "${name}" that the question text never shows` });
+        });
+        (formulaVariables || []).filter(name => !names.includes(name)).forEach(name => {
+            errors.push({ field: 'formula', message: `uses "${name}", which is not a parameter` });
+        });
+
+        // Only try drawing values once the definitions themselves are sound
+        if (errors.length === parameterErrors && formulaVariables) {
+            try {
+                this.instantiate(question, this.createFixedRandom());
+            } catch (error) {
+                errors.push({ field: 'formula', message: error.message.replace(/^Could not/, 'could not') });
+            }
+        }
+    }
+
+    /**
+     * Check a question with fixed numbers: it needs a numeric answer and no unfilled placeholders
+     * @param {Object} question - Standardized numerical question
+     * @param {Array<string>|null} formulaVariables - Variables the formula uses, null if it didn't parse
+     * @param {Array} errors - Errors to append to
+     */
+    static validateConcrete(question, formulaVariables, errors) {
+        const placeholders = this.getPlaceholders(question.questiontext);
+        if (placeholders.length > 0) {
+            errors.push({
+                field: 'parameters',
+                message: `uses ${placeholders.map(name => `{${name}}`).join(', ')} but defines no parameters`
+            });
+        }
+
+        if (formulaVariables) {
+            const missing = formulaVariables.filter(name => !Object.prototype.hasOwnProperty.call(question.values || {}, name));
+            if (missing.length > 0) {
+                errors.push({ field: 'formula', message: `uses ${missing.map(name => `"${name}"`).join(', ')} without parameters or values` });
+                return;
+            }
+            try {
+                this.computeAnswer(question, question.values || {});
+            } catch (error) {
+                errors.push({ field: 'formula', message: `can't be evaluated: ${error.message}` });
+                return;
+            }
+        }
+
+        if (typeof question.correctanswer !== 'number' || !Number.isFinite(question.correctanswer)) {
+            errors.push({ field: 'correctanswer', message: 'missing required field: correctanswer (a number, or a formula to compute it)' });
+        }
+    }
+
+    /**
+     * Check parameter names and ranges
+     * @param {Array<Object>} parameters - Parameter definitions
+     * @param {Array} errors - Errors to append to
+     */
+    static validateParameters(parameters, errors) {
+        if (parameters.length > this.MAX_PARAMETERS) {
+            errors.push({ field: 'parameters', message: `has ${parameters.length} parameters, the most allowed is ${this.MAX_PARAMETERS}` });
+        }
+
+        const seen = new Set();
+        parameters.forEach(parameter => {
+            const name = parameter.name;
+            const label = `parameter "${name}"`;
+
+            if (!/^[A-Za-z_][A-Za-z0-9_]*$/.test(name)) {
+                errors.push({ field: 'parameters', message: `has invalid parameter name "${name}" (use letters, digits and _)` });
+                return;
+            }
+            if (ExpressionEvaluator.isReserved(name)) {
+                errors.push({ field: 'parameters', message: `has ${label}, which is the name of a function or constant` });
+            }
+            if (seen.has(name)) {
+                errors.push({ field: 'parameters', message: `defines ${label} twice` });
+            }
+            seen.add(name);
+
+            if (Array.isArray(parameter.values)) {
+                if (parameter.values.length === 0 || parameter.values.some(value => !Number.isFinite(value))) {
+                    errors.push({ field: 'parameters', message: `has ${label} with a missing or non-numeric value` });
+                }
+                return;
+            }
+
+            if (![parameter.min, parameter.max, parameter.step].every(Number.isFinite)) {
+                errors.push({ field: 'parameters', message: `has ${label} without a numeric min, max and step` });
+            } else if (parameter.min > parameter.max) {
+                errors.push({ field: 'parameters', message: `has ${label} with min greater than max` });
+            } else if (parameter.step <= 0) {
+                errors.push({ field: 'parameters', message: `has ${label} with a step that isn't positive` });
+            }
+        });
+    }
+
+    /**
+     * Fixed-seed generator for test draws during validation and for example instances in
+     * prompts, so the same template always gives the same result
+     * @returns {Function} - Returns floats in [0, 1)
+     */
+    static createFixedRandom() {
+        let state = 1;
+        return () => {
+            state = (state * 16807) % 2147483647;
+            return (state - 1) / 2147483646;
+        };
+    }
+}
+
+module.exports = NumericalValidator;
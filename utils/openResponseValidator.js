@@ -0,0 +1,176 @@
+/**
+ * Open-Response Validator
+ * Validates short-answer and essay questions: a model answer, the key ideas a response
+ * should contain, and a point-based rubric. Used by QuestionValidator for these types
+ * in place of its option/answer-key checks.
+ */
+class OpenResponseValidator {
+    /**
+     * Open-response types and their rubric rules
+     */
+    static TYPES = {
+        short_answer: {
+            description: 'Short written answer (a few sentences)',
+            minCriteria: 1,
+            responseLines: 4
+        },
+        essay: {
+            description: 'Extended written response',
+            minCriteria: 2,
+            responseLines: 15
+        }
+    };
+
+    /**
+     * Whether a type is an open-response type
+     * @param {string} questionType - Canonical type
+     * @returns {boolean}
+     */
+    static handles(questionType) {
+        return Object.prototype.hasOwnProperty.call(this.TYPES, questionType);
+    }
+
+    /**
+     * Parse a points value
+     * @param {*} value - Raw points
+     * @returns {number} - Points, or NaN if not a number
+     */
+    static parsePoints(value) {
+        if (value === undefined || value === null || value === '') {
+            return NaN;
+        }
+        return Number(value);
+    }
+
+    /**
+     * Parse a list given as an array or a "a | b" spreadsheet cell
+     * @param {Array|string} value - Raw list
+     * @returns {Array<string>}
+     */
+    static parseList(value) {
+        if (value === undefined || value === null) {
+            return [];
+        }
+
+        const items = Array.isArray(value) ? value : value.toString().split(/\s*[|\n]\s*/);
+        return items
+            .map(item => (item === undefined || item === null ? '' : item.toString().trim()))
+            .filter(item => item !== '');
+    }
+
+    /**
+     * Parse a rubric from an array of criteria or a formatted spreadsheet cell
+     * ("Accuracy [3]: Explains X | Clarity [1]: ...", see formatRubric)
+     * @param {Array|string} value - Raw rubric
+     * @returns {Array<Object>} - Array of { criterion, points, description }
+     */
+    static parseRubric(value) {
+        if (value === undefined || value === null || value === '') {
+            return [];
+        }
+
+        const entries = Array.isArray(value)
+            ? value
+            : this.parseList(value).map(cell => {
+                const match = cell.match(/^(.*?)\s*\[([^\]]*)\]\s*(?::\s*(.*))?$/);
+                return match
+                    ? { criterion: match[1], points: match[2], description: match[3] || '' }
+                    : { criterion: cell, points: '' };
+            });
+
+        return entries.map(entry => {
+            if (typeof entry !== 'object' || entry === null) {
+                return { criterion: String(entry).trim(), points: NaN, description: '' };
+            }
+
+            return {
+                criterion: (entry.criterion || entry.name || entry.title || '').toString().trim(),
+                points: this.parsePoints(entry.points ?? entry.maxPoints ?? entry.score),
+                description: (entry.description || entry.descriptor || '').toString().trim()
+            };
+        });
+    }
+
+    /**
+     * Format a rubric as a single spreadsheet cell
+     * @param {Array<Object>} rubric - Rubric criteria
+     * @returns {string} - e.g. "Accuracy [3]: Explains X | Clarity [1]: Uses terms correctly"
+     */
+    static formatRubric(rubric = []) {
+        return rubric
+            .map(entry => `${entry.criterion} [${entry.points}]${entry.description ? `: ${entry.description}` : ''}`)
+            .join(' | ');
+    }
+
+    /**
+     * Total points available in a rubric
+     * @param {Array<Object>} rubric - Rubric criteria
+     * @returns {number}
+     */
+    static getMaxPoints(rubric = []) {
+        return rubric.reduce((sum, entry) => sum + (Number.isFinite(entry.points) ? entry.points : 0), 0);
+    }
+
+    /**
+     * Map the field names providers (and spreadsheets) use onto the open-response fields
+     * @param {Object} q - Raw question
+     * @returns {Object} - { modelAnswer, keyIdeas, rubric, maxPoints }
+     */
+    static normalize(q) {
+        const modelAnswer = q.modelAnswer ?? q.model_answer ?? q.modelanswer ?? q.sampleAnswer ?? q.correctanswer ?? q.answer;
+        const rubric = this.parseRubric(q.rubric);
+
+        return {
+            modelAnswer: modelAnswer === undefined || modelAnswer === null ? '' : modelAnswer.toString().trim(),
+            keyIdeas: this.parseList(q.keyIdeas ?? q.key_ideas ?? q.keyideas ?? q.keyPoints),
+            rubric,
+            maxPoints: this.getMaxPoints(rubric)
+        };
+    }
+
+    /**
+     * Validate the open-response fields of a standardized question
+     * @param {Object} question - Standardized question
+     * @param {Array} errors - Errors to append to ({ field, message })
+     * @param {Array} warnings - Warnings to append to ({ field, message })
+     */
+    static validate(question, errors, warnings) {
+        const rules = this.TYPES[question.questionType];
+
+        if (!question.modelAnswer || question.modelAnswer.toString().trim() === '') {
+            errors.push({ field: 'modelAnswer', message: 'missing required field: modelAnswer' });
+        }
+
+        const keyIdeas = question.keyIdeas || [];
+        if (keyIdeas.length === 0) {
+            errors.push({ field: 'keyIdeas', message: 'missing required field: keyIdeas' });
+        }
+
+        const rubric = question.rubric || [];
+        if (rubric.length < rules.minCriteria) {
+            errors.push({
+                field: 'rubric',
+                message: rubric.length === 0
+                    ? 'missing required field: rubric'
+                    : `has ${rubric.length} rubric criteria, ${question.questionType} questions need at least ${rules.minCriteria}`
+            });
+        }
+
+        rubric.forEach((entry, index) => {
+            if (!entry.criterion) {
+                errors.push({ field: 'rubric', message: `rubric criterion ${index + 1} is missing a name` });
+            }
+            if (!Number.isFinite(entry.points) || entry.points <= 0) {
+                errors.push({
+                    field: 'rubric',
+                    message: `rubric criterion ${index + 1} has invalid points "${entry.points}". Must be a positive number.`
+                });
+            }
+            if (!entry.description) {
+                warnings.push({ field: 'rubric', message: `rubric criterion ${index + 1} has no description` });
+            }
+        });
+    }
+}
+
+module.exports = OpenResponseValidator;
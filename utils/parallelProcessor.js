@@ -1,3 +1,5 @@
+const ErrorHandler = require('./errorHandler');
+
 /**
  * Parallel Question Generation Processor
  * Splits large requests into chunks and processes them in parallel
@@ -41,13 +43,15 @@ class ParallelProcessor {
      * Process chunks in parallel with concurrency limit
      * @param {Array} chunks - Array of chunk sizes
      * @param {Function} processFn - Async function to process each chunk
+     * @param {AbortSignal} signal - Stops starting chunks; running ones get it through their options
      * @returns {Promise<Array>} - Array of results
+     * @throws {Error} - A cancellation error once running chunks settle, if the signal aborted
      */
-    async processInParallel(chunks, processFn) {
+    async processInParallel(chunks, processFn, signal = null) {
         const results = [];
         const executing = [];
 
-        for (let i = 0; i < chunks.length; i++) {
+        for (let i = 0; i < chunks.length && !(signal && signal.aborted); i++) {
             const chunkSize = chunks[i];
             const chunkIndex = i;
 
@@ -58,7 +62,9 @@ class ParallelProcessor {
                     return result;
                 })
                 .catch(error => {
-                    console.error(`Chunk ${chunkIndex} failed:`, error.message);
+                    if (!ErrorHandler.isCancellation(error)) {
+                        console.error(`Chunk ${chunkIndex} failed:`, error.message);
+                    }
                     const errorResult = {
                         success: false,
                         error: error.message,
@@ -81,6 +87,7 @@ class ParallelProcessor {
 
         // Wait for remaining promises
         await Promise.all(executing);
+        ErrorHandler.throwIfCancelled(signal);
 
         return results;
     }
@@ -128,7 +135,7 @@ class ParallelProcessor {
                 console.error(`✗ Chunk ${chunkIndex + 1} failed:`, error.message);
                 throw error;
             }
-        });
+        }, options.signal);
 
         const endTime = Date.now();
         const duration = ((endTime - startTime) / 1000).toFixed(2);
@@ -251,7 +258,7 @@ class ParallelProcessor {
                 }
                 throw error;
             }
-        });
+        }, options.signal);
 
         const endTime = Date.now();
         const duration = ((endTime - startTime) / 1000).toFixed(2);
@@ -12,6 +12,20 @@ class ProviderRouter {
         this.enabled = config.enabled !== false;
     }
 
+    /**
+     * Make a provider known to routing decisions
+     * @param {string} provider - Provider name
+     * @param {Object} pricing - { input, output } cost per 1K tokens
+     * @param {Object} characteristics - Speed and quality ratings (see config/providerPriority.js)
+     */
+    registerProvider(provider, pricing = {}, characteristics = {}) {
+        this.costTracker.registerProvider(provider, {
+            ...pricing,
+            speed: characteristics.speed,
+            quality: characteristics.quality
+        });
+    }
+
     /**
      * Select best provider based on routing strategy
      * @param {Array} availableProviders - List of available provider names
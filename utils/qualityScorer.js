@@ -1,4 +1,7 @@
 const ScoringPrompts = require('./scoringPrompts');
+const ErrorHandler = require('./errorHandler');
+
+const SCORER_SYSTEM_PROMPT = 'You are an expert educational assessment evaluator. Respond with only valid JSON.';
 
 /**
  * Question Quality Scoring Engine
@@ -10,16 +13,17 @@ class QualityScorer {
         this.minScore = config.minScore || 6;
         this.maxRetries = config.maxRetries || 2;
         this.batchSize = config.batchSize || 5;
-        this.scorerProvider = config.scorerProvider || null; // Provider instance for scoring
+        this.scorerProvider = config.scorerProvider || null; // Provider instance for scoring (through its complete())
         this.useQuickScore = config.useQuickScore || false;
     }
 
     /**
      * Score a single question
      * @param {Object} question - Question to score
+     * @param {AbortSignal} signal - Cancels the scoring call
      * @returns {Promise<Object>} - Score result
      */
-    async scoreQuestion(question) {
+    async scoreQuestion(question, signal = null) {
         if (!this.enabled || !this.scorerProvider) {
             return {
                 score: 10,
@@ -33,48 +37,20 @@ class QualityScorer {
                 ? ScoringPrompts.getQuickScorePrompt(question)
                 : ScoringPrompts.getSingleQuestionPrompt(question);
 
-            // Call provider directly to get raw text response
-            const response = await this.scorerProvider.generateQuestions(prompt, {
-                numQuestions: 1,
-                noCache: true,
-                qualityCheck: false, // Don't score the scoring request!
-                deduplicate: false
+            // A plain JSON completion, so the scores come back as the provider wrote them
+            const scoreData = await this.scorerProvider.complete(prompt, {
+                system: SCORER_SYSTEM_PROMPT,
+                temperature: 0,
+                maxTokens: 500,
+                responseSchema: ScoringPrompts.SCORE_SCHEMA,
+                signal
             });
 
-            // The response will be in the questions array, but it's actually score data
-            // Try to extract JSON from the response
-            let scoreData;
-            if (response.questions && response.questions.length > 0) {
-                const firstQuestion = response.questions[0];
-                // The AI might put the JSON in questiontext or we need to parse the whole thing
-                const textToParse = firstQuestion.questiontext || JSON.stringify(firstQuestion);
-                scoreData = this.extractJSON(textToParse);
-            } else {
-                throw new Error('No response from scorer');
-            }
-
-            if (!scoreData || typeof scoreData.score === 'undefined') {
-                // If we can't get a proper score, pass the question
-                return {
-                    score: this.minScore,
-                    passed: true,
-                    skipped: true,
-                    reason: 'parse_error'
-                };
-            }
-
-            return {
-                score: scoreData.score || 0,
-                clarity: scoreData.clarity,
-                distractors: scoreData.distractors,
-                relevance: scoreData.relevance,
-                correctness: scoreData.correctness,
-                issues: scoreData.issues || [],
-                strengths: scoreData.strengths || [],
-                recommendation: scoreData.recommendation || 'reject',
-                passed: scoreData.score >= this.minScore
-            };
+            return this.toScore(scoreData);
         } catch (error) {
+            if (ErrorHandler.isCancellation(error)) {
+                throw error;
+            }
             // On error, pass the question (don't block generation)
             // Only log in development
             if (process.env.NODE_ENV === 'development') {
@@ -92,9 +68,10 @@ class QualityScorer {
     /**
      * Score multiple questions in batch
      * @param {Array} questions - Questions to score
+     * @param {AbortSignal} signal - Cancels the scoring calls
      * @returns {Promise<Array>} - Array of score results
      */
-    async scoreQuestions(questions) {
+    async scoreQuestions(questions, signal = null) {
         if (!this.enabled || !this.scorerProvider || questions.length === 0) {
             return questions.map(() => ({
                 score: 10,
@@ -108,18 +85,22 @@ class QualityScorer {
         // Process in batches
         for (let i = 0; i < questions.length; i += this.batchSize) {
             const batch = questions.slice(i, i + this.batchSize);
+            ErrorHandler.throwIfCancelled(signal);
 
             try {
                 if (batch.length === 1) {
                     // Single question
-                    const score = await this.scoreQuestion(batch[0]);
+                    const score = await this.scoreQuestion(batch[0], signal);
                     scores.push(score);
                 } else {
                     // Batch scoring
-                    const batchScores = await this.scoreBatch(batch);
+                    const batchScores = await this.scoreBatch(batch, signal);
                     scores.push(...batchScores);
                 }
             } catch (error) {
+                if (ErrorHandler.isCancellation(error)) {
+                    throw error;
+                }
                 console.warn(`Batch scoring failed for questions ${i}-${i + batch.length}:`, error.message);
                 // Pass all questions in failed batch
                 batch.forEach(() => {
@@ -138,105 +119,55 @@ class QualityScorer {
     /**
      * Score a batch of questions together
      * @param {Array} questions - Batch of questions
+     * @param {AbortSignal} signal - Cancels the scoring calls
      * @returns {Promise<Array>} - Scores
      */
-    async scoreBatch(questions) {
+    async scoreBatch(questions, signal = null) {
         try {
-            const prompt = ScoringPrompts.getBatchScoringPrompt(questions);
-
-            const response = await this.scorerProvider.generateQuestions(prompt, {
-                numQuestions: 1,
-                noCache: true,
-                qualityCheck: false,
-                deduplicate: false
+            const scoreData = await this.scorerProvider.complete(ScoringPrompts.getBatchScoringPrompt(questions), {
+                system: SCORER_SYSTEM_PROMPT,
+                temperature: 0,
+                maxTokens: 300 + questions.length * 250,
+                responseSchema: ScoringPrompts.BATCH_SCORE_SCHEMA,
+                signal
             });
 
-            const scoreData = this.parseBatchScoreResponse(response);
-
-            return scoreData.scores.map(s => ({
-                score: s.score || 0,
-                clarity: s.clarity,
-                distractors: s.distractors,
-                relevance: s.relevance,
-                correctness: s.correctness,
-                issues: s.issues || [],
-                strengths: s.strengths || [],
-                recommendation: s.recommendation || 'reject',
-                passed: s.score >= this.minScore
-            }));
+            if (scoreData.scores.length !== questions.length) {
+                throw new Error(`Expected ${questions.length} scores, got ${scoreData.scores.length}`);
+            }
+
+            return questions.map((question, index) => this.toScore(
+                scoreData.scores.find(entry => entry.questionIndex === index) || scoreData.scores[index]
+            ));
         } catch (error) {
+            if (ErrorHandler.isCancellation(error)) {
+                throw error;
+            }
             console.warn('Batch scoring parse error:', error.message);
             // Fall back to individual scoring
-            return await Promise.all(questions.map(q => this.scoreQuestion(q)));
-        }
-    }
-
-    /**
-     * Extract JSON from text that might contain other content
-     * @param {string} text - Text containing JSON
-     * @returns {Object} - Parsed JSON
-     */
-    extractJSON(text) {
-        // First try direct parse
-        try {
-            return JSON.parse(text);
-        } catch {
-            // Try to find JSON object in text
-            const jsonMatch = text.match(/\{[\s\S]*\}/);
-            if (jsonMatch) {
-                try {
-                    return JSON.parse(jsonMatch[0]);
-                } catch {
-                    // If that fails, try to extract just the score
-                    const scoreMatch = text.match(/"score"\s*:\s*(\d+)/);
-                    if (scoreMatch) {
-                        return {
-                            score: parseInt(scoreMatch[1]),
-                            recommendation: parseInt(scoreMatch[1]) >= 7 ? 'accept' : 'reject'
-                        };
-                    }
-                }
-            }
-            throw new Error('Could not extract JSON from response');
-        }
-    }
-
-    /**
-     * Parse score response from AI
-     * @param {Object} response - AI response
-     * @returns {Object} - Parsed score data
-     */
-    parseScoreResponse(response) {
-        // Try to extract JSON from response
-        let scoreData;
-
-        if (response.questions && response.questions.length > 0) {
-            // Response is in questions format, try to parse the text
-            const firstQuestion = response.questions[0];
-            const text = firstQuestion.questiontext || JSON.stringify(firstQuestion);
-            scoreData = this.extractJSON(text);
-        } else if (typeof response === 'object') {
-            scoreData = response;
-        } else {
-            throw new Error('Invalid score response format');
+            return await Promise.all(questions.map(q => this.scoreQuestion(q, signal)));
         }
-
-        return scoreData;
     }
 
     /**
-     * Parse batch score response
-     * @param {Object} response - AI response
-     * @returns {Object} - Parsed batch scores
+     * Turn a scorer response into a score result
+     * @param {Object} scoreData - One entry of the scorer's JSON
+     * @returns {Object} - Score result
      */
-    parseBatchScoreResponse(response) {
-        const scoreData = this.parseScoreResponse(response);
+    toScore(scoreData) {
+        const mainIssue = scoreData.mainIssue && scoreData.mainIssue.toLowerCase() !== 'none' ? [scoreData.mainIssue] : [];
 
-        if (!scoreData.scores || !Array.isArray(scoreData.scores)) {
-            throw new Error('Invalid batch score format');
-        }
-
-        return scoreData;
+        return {
+            score: scoreData.score || 0,
+            clarity: scoreData.clarity,
+            distractors: scoreData.distractors,
+            relevance: scoreData.relevance,
+            correctness: scoreData.correctness,
+            issues: scoreData.issues || mainIssue,
+            strengths: scoreData.strengths || [],
+            recommendation: scoreData.recommendation || 'reject',
+            passed: scoreData.score >= this.minScore
+        };
     }
 
     /**
@@ -284,9 +215,10 @@ class QualityScorer {
      * @param {Array} questions - Questions to evaluate
      * @param {Function} regenerateFn - Function to regenerate questions
      * @param {number} attempt - Current attempt number
+     * @param {AbortSignal} signal - Cancels scoring and regeneration
      * @returns {Promise<Object>} - Filtered and improved questions
      */
-    async scoreAndImprove(questions, regenerateFn = null, attempt = 1) {
+    async scoreAndImprove(questions, regenerateFn = null, attempt = 1, signal = null) {
         if (!this.enabled) {
             return {
                 questions,
@@ -297,7 +229,7 @@ class QualityScorer {
 
         console.log(`Scoring ${questions.length} questions (attempt ${attempt}/${this.maxRetries + 1})...`);
 
-        const scores = await this.scoreQuestions(questions);
+        const scores = await this.scoreQuestions(questions, signal);
         const filtered = this.filterByScore(questions, scores);
 
         const avgScore = scores.reduce((sum, s) => sum + (s.score || 0), 0) / scores.length;
@@ -316,7 +248,8 @@ class QualityScorer {
                 const improved = await this.scoreAndImprove(
                     newQuestions,
                     regenerateFn,
-                    attempt + 1
+                    attempt + 1,
+                    signal
                 );
 
                 // Combine accepted questions with improved ones
@@ -328,6 +261,9 @@ class QualityScorer {
                     attempts: improved.attempts
                 };
             } catch (error) {
+                if (ErrorHandler.isCancellation(error)) {
+                    throw error;
+                }
                 console.warn('Regeneration failed:', error.message);
                 // Return what we have
                 return {
@@ -0,0 +1,205 @@
+const path = require('path');
+const ExcelJS = require('exceljs');
+const QuestionValidator = require('./questionValidator');
+
+/**
+ * Question Importer
+ * Reads reviewed question sets back from CSV/XLSX spreadsheets and validates each row
+ */
+class QuestionImporter {
+    constructor(config = {}) {
+        this.maxRows = config.maxRows || 1000;
+    }
+
+    /**
+     * Detect the spreadsheet type from a filename
+     * @param {string} filename - Original filename
+     * @returns {string|null} - 'csv', 'xlsx' or null
+     */
+    detectType(filename) {
+        const ext = path.extname(filename || '').toLowerCase();
+        if (ext === '.csv') return 'csv';
+        if (ext === '.xlsx') return 'xlsx';
+        return null;
+    }
+
+    /**
+     * Parse CSV text into rows of cells (RFC 4180: quoted fields, "" escapes, embedded line breaks)
+     * @param {string} text - CSV text
+     * @returns {Array<Array<string>>}
+     */
+    parseCSV(text) {
+        const input = text.replace(/^\uFEFF/, '');
+        const rows = [];
+        let row = [];
+        let cell = '';
+        let inQuotes = false;
+
+        for (let i = 0; i < input.length; i++) {
+            const char = input[i];
+
+            if (inQuotes) {
+                if (char === '"' && input[i + 1] === '"') {
+                    cell += '"';
+                    i++;
+                } else if (char === '"') {
+                    inQuotes = false;
+                } else {
+                    cell += char;
+                }
+            } else if (char === '"') {
+                inQuotes = true;
+            } else if (char === ',') {
+                row.push(cell);
+                cell = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && input[i + 1] === '\n') i++;
+                row.push(cell);
+                rows.push(row);
+                row = [];
+                cell = '';
+            } else {
+                cell += char;
+            }
+        }
+
+        if (inQuotes) {
+            throw new Error('Invalid CSV: unterminated quoted field');
+        }
+
+        if (cell !== '' || row.length > 0) {
+            row.push(cell);
+            rows.push(row);
+        }
+
+        return rows;
+    }
+
+    /**
+     * Parse the first worksheet of an XLSX workbook into rows of cells
+     * @param {Buffer} buffer - Workbook contents
+     * @returns {Promise<Array<Array<string>>>}
+     */
+    async parseXLSX(buffer) {
+        const workbook = new ExcelJS.Workbook();
+        await workbook.xlsx.load(buffer);
+
+        const sheet = workbook.worksheets[0];
+        if (!sheet) {
+            throw new Error('Invalid XLSX: workbook has no worksheets');
+        }
+
+        const rows = [];
+        for (let rowNumber = 1; rowNumber <= sheet.rowCount; rowNumber++) {
+            const row = sheet.getRow(rowNumber);
+            const cells = [];
+            for (let column = 1; column <= sheet.columnCount; column++) {
+                cells.push(row.getCell(column).text || '');
+            }
+            rows.push(cells);
+        }
+
+        return rows;
+    }
+
+    /**
+     * Parse a spreadsheet into rows
+     * @param {Buffer} buffer - File contents
+     * @param {string} type - 'csv' or 'xlsx'
+     * @returns {Promise<Array<Array<string>>>}
+     */
+    async parse(buffer, type) {
+        if (type === 'csv') {
+            return this.parseCSV(buffer.toString('utf8'));
+        }
+        if (type === 'xlsx') {
+            return await this.parseXLSX(buffer);
+        }
+        throw new Error(`Unsupported import type: '${type}'. Supported types: csv, xlsx`);
+    }
+
+    /**
+     * Validate spreadsheet rows as standardized questions
+     * The first row is the header; column names match the exported fields
+     * (aliases accepted by standardizeResponse, e.g. "question" or "answer", also work).
+     * @param {Array<Array<string>>} rows - Parsed rows including the header
+     * @returns {Object} - { questions, errors, warnings, totalRows, validRows, invalidRows }
+     */
+    validateRows(rows) {
+        if (rows.length === 0) {
+            throw new Error('Invalid input: spreadsheet is empty');
+        }
+
+        const header = rows[0].map(name => name.toString().trim().toLowerCase());
+
+        const dataRows = rows.slice(1);
+        if (dataRows.length > this.maxRows) {
+            throw new Error(`Invalid input: at most ${this.maxRows} rows can be imported at once`);
+        }
+
+        const questions = [];
+        const errors = [];
+        const warnings = [];
+        let totalRows = 0;
+
+        dataRows.forEach((cells, index) => {
+            // Spreadsheet row number, counting the header as row 1
+            const rowNumber = index + 2;
+            if (cells.every(cell => cell.toString().trim() === '')) {
+                return;
+            }
+            totalRows++;
+
+            const raw = {};
+            header.forEach((name, column) => {
+                if (name) {
+                    raw[name] = (cells[column] || '').toString().trim();
+                }
+            });
+
+            const question = QuestionValidator.normalize(raw, { defaultAnswer: false });
+            const validation = QuestionValidator.validate(question);
+
+            validation.errors.forEach(error => {
+                errors.push({ row: rowNumber, field: error.field, message: `Row ${rowNumber} ${error.message}` });
+            });
+            validation.warnings.forEach(warning => {
+                warnings.push({ row: rowNumber, field: warning.field, message: `Row ${rowNumber} ${warning.message}` });
+            });
+
+            if (validation.valid) {
+                if (!QuestionValidator.DIFFICULTIES.includes(question.difficulty)) {
+                    question.difficulty = 'medium';
+                }
+                questions.push(question);
+            }
+        });
+
+        return {
+            questions,
+            errors,
+            warnings,
+            totalRows,
+            validRows: questions.length,
+            invalidRows: totalRows - questions.length
+        };
+    }
+
+    /**
+     * Import a spreadsheet file
+     * @param {Buffer} buffer - File contents
+     * @param {string} filename - Original filename (used to detect the type)
+     * @returns {Promise<Object>} - Validation report, see validateRows
+     */
+    async import(buffer, filename) {
+        const type = this.detectType(filename);
+        if (!type) {
+            throw new Error(`Unsupported import file: ${filename}. Allowed: CSV, XLSX`);
+        }
+
+        const rows = await this.parse(buffer, type);
+        return this.validateRows(rows);
+    }
+}
+
+module.exports = QuestionImporter;
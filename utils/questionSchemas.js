@@ -0,0 +1,144 @@
+const QuestionValidator = require('./questionValidator');
+
+/**
+ * Question Schemas
+ * JSON Schemas for the question set each question type is generated as, matching the output
+ * format buildPrompt asks for. Providers pass them to their native structured output (OpenAI
+ * json_schema, Gemini responseSchema, Anthropic tool input, Ollama format). Every object lists
+ * all its properties as required and allows no others, as OpenAI's strict mode expects; fields
+ * a question may leave out are nullable instead.
+ */
+class QuestionSchemas {
+    /**
+     * An object schema in strict form: all properties required, no others allowed
+     * @param {Object} properties - Property schemas
+     * @returns {Object}
+     */
+    static object(properties) {
+        return {
+            type: 'object',
+            properties,
+            required: Object.keys(properties),
+            additionalProperties: false
+        };
+    }
+
+    /**
+     * An array of strings
+     * @returns {Object}
+     */
+    static strings() {
+        return { type: 'array', items: { type: 'string' } };
+    }
+
+    /**
+     * Schema for the type-specific fields of one question
+     * @param {string} questionType - Question type
+     * @param {number} numOptions - Options per question
+     * @returns {Object} - Property schemas
+     */
+    static getTypeProperties(questionType, numOptions) {
+        const rules = QuestionValidator.getTypeRules(questionType) || QuestionValidator.getTypeRules(QuestionValidator.DEFAULT_TYPE);
+        const keys = QuestionValidator.OPTION_KEYS.slice(0, numOptions || rules.defaultOptions);
+
+        switch (questionType) {
+            case 'true_false':
+                return {
+                    options: { type: 'array', items: { type: 'string', enum: ['True', 'False'] } },
+                    correctanswer: { type: 'string', enum: ['A', 'B'] }
+                };
+            case 'multi_select':
+                return {
+                    options: this.strings(),
+                    correctanswer: { type: 'array', items: { type: 'string', enum: keys } }
+                };
+            case 'cloze':
+                return {
+                    sourceSentence: { type: 'string' },
+                    correctanswer: { type: 'string' },
+                    alternativeAnswers: this.strings()
+                };
+            case 'short_answer':
+            case 'essay':
+                return {
+                    modelAnswer: { type: 'string' },
+                    keyIdeas: this.strings(),
+                    rubric: {
+                        type: 'array',
+                        items: this.object({
+                            criterion: { type: 'string' },
+                            points: { type: 'integer' },
+                            description: { type: 'string' }
+                        })
+                    }
+                };
+            case 'matching':
+                return {
+                    pairs: {
+                        type: 'array',
+                        items: this.object({
+                            premise: { type: 'string' },
+                            response: { type: 'string' }
+                        })
+                    }
+                };
+            case 'ordering':
+                return {
+                    sequence: this.strings()
+                };
+            case 'numerical':
+                return {
+                    parameters: {
+                        type: 'array',
+                        items: this.object({
+                            name: { type: 'string' },
+                            min: { type: ['number', 'null'] },
+                            max: { type: ['number', 'null'] },
+                            step: { type: ['number', 'null'] },
+                            values: { type: ['array', 'null'], items: { type: 'number' } }
+                        })
+                    },
+                    formula: { type: 'string' },
+                    unit: { type: 'string' },
+                    decimals: { type: 'integer' },
+                    tolerance: { type: ['number', 'string'] }
+                };
+            default:
+                return {
+                    options: this.strings(),
+                    correctanswer: { type: 'string', enum: keys }
+                };
+        }
+    }
+
+    /**
+     * Schema for one generated question
+     * @param {string} questionType - Question type (default: multiple_choice)
+     * @param {number} numOptions - Options per question
+     * @returns {Object}
+     */
+    static getQuestionSchema(questionType = QuestionValidator.DEFAULT_TYPE, numOptions) {
+        return this.object({
+            questiontext: { type: 'string' },
+            ...this.getTypeProperties(questionType, numOptions),
+            difficulty: { type: 'string', enum: QuestionValidator.DIFFICULTIES },
+            rationale: { type: 'string' },
+            evidence: { type: 'string' }
+        });
+    }
+
+    /**
+     * Schema for a whole generation response: the analysis and the questions
+     * @param {string} questionType - Question type (default: multiple_choice)
+     * @param {number} numOptions - Options per question
+     * @returns {Object}
+     */
+    static getResponseSchema(questionType = QuestionValidator.DEFAULT_TYPE, numOptions) {
+        return this.object({
+            analysis: { type: 'string' },
+            questions: { type: 'array', items: this.getQuestionSchema(questionType, numOptions) }
+        });
+    }
+}
+
+module.exports = QuestionSchemas;
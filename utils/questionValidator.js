@@ -0,0 +1,740 @@
+const OpenResponseValidator = require('./openResponseValidator');
+const ArrangementValidator = require('./arrangementValidator');
+const NumericalValidator = require('./numericalValidator');
+
+/**
+ * Question Validator
+ * Single source of truth for the standardized question shape, shared by
+ * provider response parsing and spreadsheet imports.
+ */
+class QuestionValidator {
+    /**
+     * Standardized question fields, in column order
+     */
+    static FIELDS = [
+        'questiontext', 'questionType',
+        'optiona', 'optionb', 'optionc', 'optiond', 'optione',
+        'correctanswer', 'alternativeAnswers', 'modelAnswer', 'keyIdeas', 'rubric',
+        'pairs', 'sequence',
+        'formula', 'parameters', 'values', 'tolerance', 'unit', 'decimals',
+        'difficulty', 'rationale', 'sourceSentence'
+    ];
+
+    static REQUIRED_FIELDS = ['questiontext', 'correctanswer'];
+
+    static OPTION_KEYS = ['A', 'B', 'C', 'D', 'E'];
+
+    static DIFFICULTIES = ['easy', 'medium', 'hard'];
+
+    static DEFAULT_TYPE = 'multiple_choice';
+
+    /**
+     * Blank marker in cloze question text
+     */
+    static BLANK = '_____';
+
+    /**
+     * Separator for list fields (alternativeAnswers) in spreadsheet cells
+     */
+    static LIST_SEPARATOR = ' | ';
+
+    /**
+     * Supported question types and their option rules
+     */
+    static QUESTION_TYPES = {
+        multiple_choice: {
+            description: 'Single best answer',
+            minOptions: 3,
+            maxOptions: 5,
+            defaultOptions: 4,
+            multipleAnswers: false
+        },
+        true_false: {
+            description: 'True or false statement',
+            minOptions: 2,
+            maxOptions: 2,
+            defaultOptions: 2,
+            multipleAnswers: false,
+            fixedOptions: ['True', 'False']
+        },
+        multi_select: {
+            description: 'Select all that apply',
+            minOptions: 3,
+            maxOptions: 5,
+            defaultOptions: 5,
+            multipleAnswers: true
+        },
+        cloze: {
+            description: 'Fill in the blank in a sentence from the source text',
+            minOptions: 0,
+            maxOptions: 0,
+            defaultOptions: 0,
+            multipleAnswers: false,
+            freeResponse: true
+        },
+        short_answer: {
+            description: OpenResponseValidator.TYPES.short_answer.description,
+            minOptions: 0,
+            maxOptions: 0,
+            defaultOptions: 0,
+            multipleAnswers: false,
+            freeResponse: true,
+            openResponse: true
+        },
+        essay: {
+            description: OpenResponseValidator.TYPES.essay.description,
+            minOptions: 0,
+            maxOptions: 0,
+            defaultOptions: 0,
+            multipleAnswers: false,
+            freeResponse: true,
+            openResponse: true
+        },
+        matching: {
+            description: ArrangementValidator.TYPES.matching.description,
+            minOptions: ArrangementValidator.TYPES.matching.minItems,
+            maxOptions: ArrangementValidator.TYPES.matching.maxItems,
+            defaultOptions: ArrangementValidator.TYPES.matching.defaultItems,
+            multipleAnswers: false,
+            arrangement: true
+        },
+        ordering: {
+            description: ArrangementValidator.TYPES.ordering.description,
+            minOptions: ArrangementValidator.TYPES.ordering.minItems,
+            maxOptions: ArrangementValidator.TYPES.ordering.maxItems,
+            defaultOptions: ArrangementValidator.TYPES.ordering.defaultItems,
+            multipleAnswers: false,
+            arrangement: true
+        },
+        numerical: {
+            description: NumericalValidator.TYPES.numerical.description,
+            minOptions: 0,
+            maxOptions: 0,
+            defaultOptions: 0,
+            multipleAnswers: false,
+            freeResponse: true,
+            numerical: true
+        }
+    };
+
+    static TYPE_ALIASES = {
+        mcq: 'multiple_choice',
+        multichoice: 'multiple_choice',
+        single_choice: 'multiple_choice',
+        truefalse: 'true_false',
+        true_or_false: 'true_false',
+        tf: 'true_false',
+        boolean: 'true_false',
+        multiselect: 'multi_select',
+        multiple_select: 'multi_select',
+        multiple_response: 'multi_select',
+        select_all: 'multi_select',
+        checkbox: 'multi_select',
+        fill_in_the_blank: 'cloze',
+        fill_in_blank: 'cloze',
+        fill_blank: 'cloze',
+        gap_fill: 'cloze',
+        short: 'short_answer',
+        shortanswer: 'short_answer',
+        short_response: 'short_answer',
+        open_ended: 'short_answer',
+        long_answer: 'essay',
+        extended_response: 'essay',
+        match: 'matching',
+        matching_pairs: 'matching',
+        pairing: 'matching',
+        sequence: 'ordering',
+        sequencing: 'ordering',
+        order: 'ordering',
+        ranking: 'ordering',
+        numeric: 'numerical',
+        number: 'numerical',
+        calculated: 'numerical',
+        calculation: 'numerical',
+        formula: 'numerical'
+    };
+
+    /**
+     * Resolve a question type name or alias ("true/false", "multi-select", ...)
+     * @param {string} value - Requested type
+     * @returns {string} - Canonical type, the cleaned value if unknown, or '' if empty
+     */
+    static normalizeType(value) {
+        if (value === undefined || value === null) {
+            return '';
+        }
+
+        const cleaned = value.toString().trim().toLowerCase().replace(/[\s/-]+/g, '_');
+        return this.TYPE_ALIASES[cleaned] || cleaned;
+    }
+
+    /**
+     * Get the rules for a question type
+     * @param {string} questionType - Canonical type
+     * @returns {Object|null}
+     */
+    static getTypeRules(questionType) {
+        return this.QUESTION_TYPES[questionType] || null;
+    }
+
+    /**
+     * Whether a question (or type name) is answered in free text rather than by picking options
+     * @param {Object|string} question - Standardized question or canonical type
+     * @returns {boolean}
+     */
+    static isFreeResponse(question) {
+        const questionType = typeof question === 'string' ? question : question?.questionType;
+        return Boolean(this.getTypeRules(questionType)?.freeResponse);
+    }
+
+    /**
+     * Whether a question (or type name) is graded against a rubric (short answer, essay)
+     * @param {Object|string} question - Standardized question or canonical type
+     * @returns {boolean}
+     */
+    static isOpenResponse(question) {
+        const questionType = typeof question === 'string' ? question : question?.questionType;
+        return Boolean(this.getTypeRules(questionType)?.openResponse);
+    }
+
+    /**
+     * Whether a question (or type name) is answered by arranging items (matching, ordering)
+     * @param {Object|string} question - Standardized question or canonical type
+     * @returns {boolean}
+     */
+    static isArrangement(question) {
+        const questionType = typeof question === 'string' ? question : question?.questionType;
+        return Boolean(this.getTypeRules(questionType)?.arrangement);
+    }
+
+    /**
+     * Whether a question (or type name) has a numeric answer, possibly computed from a parameterized template
+     * @param {Object|string} question - Standardized question or canonical type
+     * @returns {boolean}
+     */
+    static isNumerical(question) {
+        const questionType = typeof question === 'string' ? question : question?.questionType;
+        return Boolean(this.getTypeRules(questionType)?.numerical);
+    }
+
+    /**
+     * Validate the questionType/numOptions generation options
+     * For matching and ordering questions numOptions is the number of pairs or steps.
+     * @param {Object} options - { questionType, numOptions }
+     * @returns {Object} - { valid, questionType, numOptions } or { valid: false, error }
+     */
+    static validateGenerationOptions(options = {}) {
+        const questionType = this.normalizeType(options.questionType) || this.DEFAULT_TYPE;
+        const rules = this.getTypeRules(questionType);
+
+        if (!rules) {
+            return {
+                valid: false,
+                error: `Invalid input: questionType must be one of ${Object.keys(this.QUESTION_TYPES).join(', ')}`
+            };
+        }
+
+        // Free-response types have no options, so num_options doesn't apply
+        if (rules.freeResponse) {
+            return { valid: true, questionType, numOptions: null };
+        }
+
+        if (options.numOptions === undefined || options.numOptions === null || options.numOptions === '') {
+            return { valid: true, questionType, numOptions: rules.defaultOptions };
+        }
+
+        const numOptions = parseInt(options.numOptions, 10);
+        if (isNaN(numOptions) || numOptions < rules.minOptions || numOptions > rules.maxOptions) {
+            const range = rules.minOptions === rules.maxOptions
+                ? `${rules.minOptions}`
+                : `between ${rules.minOptions} and ${rules.maxOptions}`;
+            return {
+                valid: false,
+                error: `Invalid input: num_options for ${questionType} questions must be ${range}`
+            };
+        }
+
+        return { valid: true, questionType, numOptions };
+    }
+
+    /**
+     * Read option texts from an options array, an { A, B, ... } map, or flat optiona..optione fields
+     * @param {Object} q - Raw question
+     * @returns {Array<string>}
+     */
+    static extractOptions(q) {
+        if (Array.isArray(q.options)) {
+            return q.options.map(option => {
+                const text = option && typeof option === 'object' ? (option.text ?? option.value) : option;
+                return text === undefined || text === null ? '' : text.toString();
+            });
+        }
+
+        const map = q.options && typeof q.options === 'object' ? q.options : null;
+        const texts = this.OPTION_KEYS.map(key => {
+            const text = map
+                ? (map[key] || map[key.toLowerCase()])
+                : (q[`option${key.toLowerCase()}`] || q[`option${key}`] || q[key]);
+            return text === undefined || text === null ? '' : text.toString();
+        });
+
+        // Drop unused trailing slots so 3- and 4-option questions don't report missing D/E
+        while (texts.length > 0 && texts[texts.length - 1].trim() === '') {
+            texts.pop();
+        }
+
+        return texts;
+    }
+
+    /**
+     * Parse a correct answer into option keys
+     * Accepts "B", "A,C", ["A", "C"], or option text such as "True"
+     * @param {string|Array} value - Raw answer
+     * @param {Array<string>} options - Option texts
+     * @returns {Array<string>} - Sorted, de-duplicated keys
+     */
+    static parseAnswerKeys(value, options = []) {
+        if (value === undefined || value === null) {
+            return [];
+        }
+
+        const parts = Array.isArray(value) ? value : value.toString().split(/[,;\s]+/);
+        const keys = parts
+            .map(part => (part === undefined || part === null ? '' : part.toString().trim()))
+            .filter(part => part !== '')
+            .map(part => {
+                const upper = part.toUpperCase();
+                if (upper.length === 1) {
+                    return upper;
+                }
+                // Answers given as option text (common for true/false)
+                const index = options.findIndex(option => option.trim().toLowerCase() === part.toLowerCase());
+                return index >= 0 ? this.OPTION_KEYS[index] : upper;
+            });
+
+        return [...new Set(keys)].sort();
+    }
+
+    /**
+     * Get the correct option keys of a standardized question
+     * @param {Object} question - Standardized question
+     * @returns {Array<string>} - e.g. ['B'] or ['A', 'C']
+     */
+    static getAnswerKeys(question) {
+        return this.parseAnswerKeys(question.correctanswer, this.extractOptions(question));
+    }
+
+    /**
+     * Get the lettered options of a standardized question
+     * @param {Object} question - Standardized question
+     * @returns {Array<Object>} - Array of { key, text, correct }
+     */
+    static getOptionList(question) {
+        const answerKeys = this.getAnswerKeys(question);
+
+        return this.extractOptions(question)
+            .map((text, index) => ({
+                key: this.OPTION_KEYS[index],
+                text,
+                correct: answerKeys.includes(this.OPTION_KEYS[index])
+            }))
+            .filter(option => option.text.trim() !== '');
+    }
+
+    /**
+     * Get every answer accepted for a free-response question: the answer, then its alternatives
+     * @param {Object} question - Standardized question
+     * @returns {Array<string>}
+     */
+    static getAcceptedAnswers(question) {
+        const answers = [question.correctanswer, ...(question.alternativeAnswers || [])]
+            .map(answer => (answer === undefined || answer === null ? '' : answer.toString().trim()))
+            .filter(answer => answer !== '');
+
+        const seen = new Set();
+        return answers.filter(answer => {
+            const key = answer.toLowerCase();
+            if (seen.has(key)) return false;
+            seen.add(key);
+            return true;
+        });
+    }
+
+    /**
+     * Describe a question's answer in one line: option keys, accepted answers, the model answer,
+     * the correct pairs/sequence, or the number and its tolerance
+     * @param {Object} question - Standardized question
+     * @returns {string}
+     */
+    static getAnswerText(question) {
+        if (this.isArrangement(question)) {
+            return ArrangementValidator.getAnswerText(question);
+        }
+        if (this.isNumerical(question)) {
+            return NumericalValidator.getAnswerText(question);
+        }
+        if (this.isOpenResponse(question)) {
+            return question.modelAnswer || '';
+        }
+        if (this.isFreeResponse(question)) {
+            // "mitochondria / mitochondrion"
+            return this.getAcceptedAnswers(question).join(' / ');
+        }
+        return question.correctanswer || '';
+    }
+
+    /**
+     * Parse a list field given as an array or a "a | b" spreadsheet cell
+     * @param {Array|string} value - Raw list
+     * @returns {Array<string>}
+     */
+    static parseList(value) {
+        if (value === undefined || value === null) {
+            return [];
+        }
+
+        const items = Array.isArray(value) ? value : value.toString().split(/\s*[|\n]\s*/);
+        return items
+            .map(item => (item === undefined || item === null ? '' : item.toString().trim()))
+            .filter(item => item !== '');
+    }
+
+    /**
+     * Replace blank markers ("___", "[blank]", "{{blank}}") with the standard BLANK
+     * @param {string} text - Question text
+     * @returns {string}
+     */
+    static normalizeBlanks(text) {
+        return text.replace(/_{3,}|\[blank\]|\{\{\s*blank\s*\}\}/gi, this.BLANK);
+    }
+
+    /**
+     * Count the blanks in a question text
+     * @param {string} text - Question text
+     * @returns {number}
+     */
+    static countBlanks(text) {
+        return (text || '').toString().split(this.BLANK).length - 1;
+    }
+
+    /**
+     * Render a question field as a spreadsheet cell (lists are joined with LIST_SEPARATOR,
+     * rubrics use OpenResponseValidator.formatRubric, pairs ArrangementValidator.formatPairs, and
+     * numerical parameters, values and tolerances their NumericalValidator formats)
+     * @param {Object} question - Standardized question
+     * @param {string} field - Field name from FIELDS
+     * @returns {string}
+     */
+    static formatField(question, field) {
+        const value = question[field];
+        if (value === undefined || value === null) {
+            return '';
+        }
+        if (field === 'rubric') {
+            return OpenResponseValidator.formatRubric(value);
+        }
+        if (field === 'pairs') {
+            return ArrangementValidator.formatPairs(value);
+        }
+        if (field === 'parameters') {
+            return NumericalValidator.formatParameters(value);
+        }
+        if (field === 'values') {
+            return NumericalValidator.formatValues(value);
+        }
+        if (field === 'tolerance') {
+            return NumericalValidator.formatTolerance(question);
+        }
+        return Array.isArray(value) ? value.join(this.LIST_SEPARATOR) : String(value);
+    }
+
+    /**
+     * Format keys for messages: "A, B, C, or D"
+     * @param {Array<string>} keys - Option keys
+     * @returns {string}
+     */
+    static formatKeys(keys) {
+        if (keys.length <= 2) {
+            return keys.join(' or ');
+        }
+        return `${keys.slice(0, -1).join(', ')}, or ${keys[keys.length - 1]}`;
+    }
+
+    /**
+     * Map the field names providers (and spreadsheets) use onto the standardized shape
+     * @param {Object} q - Raw question
+     * @param {Object} options - Normalization options
+     * @param {string} options.questionType - Type to assume when the question doesn't state one
+     * @param {boolean} options.defaultAnswer - Assume "A" when no answer is given (default: true);
+     *   imports turn this off so a cleared answer cell is reported instead of silently becoming "A"
+     * @returns {Object} - Standardized question (not yet validated)
+     */
+    static normalize(q, options = {}) {
+        const fallbackAnswer = options.defaultAnswer === false ? '' : 'A';
+        const questionType = this.normalizeType(q.questionType || q.questiontype || q.question_type || q.type)
+            || this.normalizeType(options.questionType)
+            || this.DEFAULT_TYPE;
+
+        const rules = this.getTypeRules(questionType);
+        if (rules?.numerical) {
+            return this.normalizeNumerical(q, questionType);
+        }
+        if (rules?.freeResponse) {
+            return this.normalizeFreeResponse(q, questionType);
+        }
+        if (rules?.arrangement) {
+            return this.normalizeArrangement(q, questionType);
+        }
+
+        let optionTexts = this.extractOptions(q).map(text => text.trim());
+        if (optionTexts.length === 0 && rules?.fixedOptions) {
+            optionTexts = [...rules.fixedOptions];
+        }
+
+        const rawAnswer = q.correctanswer ?? q.correct_answer ?? q.correctAnswers ?? q.answer;
+        const hasAnswer = Array.isArray(rawAnswer)
+            ? rawAnswer.length > 0
+            : rawAnswer !== undefined && rawAnswer !== null && rawAnswer.toString().trim() !== '';
+        const answerKeys = this.parseAnswerKeys(hasAnswer ? rawAnswer : fallbackAnswer, optionTexts);
+
+        const standardized = {
+            questiontext: q.questiontext || q.question || q.text || '',
+            questionType,
+            options: optionTexts
+        };
+
+        // Flat optiona..optione fields stay available for existing consumers
+        optionTexts.forEach((text, index) => {
+            standardized[`option${this.OPTION_KEYS[index].toLowerCase()}`] = text;
+        });
+
+        standardized.correctanswer = answerKeys.join(',');
+        standardized.difficulty = (q.difficulty || q.level || 'medium').toString().trim().toLowerCase();
+        standardized.rationale = q.rationale || q.explanation || '';
+
+        return standardized;
+    }
+
+    /**
+     * Standardize a free-response question: the answer is text (cloze) or a rubric-graded
+     * model answer (short answer, essay), not option keys
+     * @param {Object} q - Raw question
+     * @param {string} questionType - Canonical free-response type
+     * @returns {Object} - Standardized question (not yet validated)
+     */
+    static normalizeFreeResponse(q, questionType) {
+        const questiontext = (q.questiontext || q.question || q.text || '').toString();
+
+        const standardized = {
+            questiontext: questionType === 'cloze' ? this.normalizeBlanks(questiontext) : questiontext,
+            questionType,
+            options: []
+        };
+
+        if (OpenResponseValidator.handles(questionType)) {
+            Object.assign(standardized, OpenResponseValidator.normalize(q));
+        } else {
+            const rawAnswer = q.correctanswer ?? q.correct_answer ?? q.answer;
+            const answer = Array.isArray(rawAnswer) ? rawAnswer[0] : rawAnswer;
+            standardized.correctanswer = answer === undefined || answer === null ? '' : answer.toString().trim();
+
+            const alternatives = this.parseList(
+                q.alternativeAnswers ?? q.alternative_answers ?? q.alternativeanswers ?? q.alternatives ?? q.acceptableAnswers
+            );
+            standardized.alternativeAnswers = this.getAcceptedAnswers({ ...standardized, alternativeAnswers: alternatives })
+                .slice(standardized.correctanswer ? 1 : 0);
+        }
+
+        if (questionType === 'cloze') {
+            standardized.sourceSentence = (q.sourceSentence ?? q.source_sentence ?? q.sourcesentence ?? '').toString().trim();
+        }
+
+        standardized.difficulty = (q.difficulty || q.level || 'medium').toString().trim().toLowerCase();
+        standardized.rationale = q.rationale || q.explanation || '';
+
+        return standardized;
+    }
+
+    /**
+     * Standardize a matching or ordering question: the answer is the arrangement of its
+     * pairs or steps, not option keys
+     * @param {Object} q - Raw question
+     * @param {string} questionType - Canonical arrangement type
+     * @returns {Object} - Standardized question (not yet validated)
+     */
+    static normalizeArrangement(q, questionType) {
+        return {
+            questiontext: (q.questiontext || q.question || q.text || '').toString(),
+            questionType,
+            options: [],
+            ...ArrangementValidator.normalize(q, questionType),
+            difficulty: (q.difficulty || q.level || 'medium').toString().trim().toLowerCase(),
+            rationale: q.rationale || q.explanation || ''
+        };
+    }
+
+    /**
+     * Standardize a numerical question: a number with a tolerance, or a template whose
+     * {placeholders} are filled from parameters and whose answer comes from its formula
+     * @param {Object} q - Raw question
+     * @param {string} questionType - Canonical numerical type
+     * @returns {Object} - Standardized question (not yet validated)
+     */
+    static normalizeNumerical(q, questionType) {
+        const questiontext = (q.questiontext || q.question || q.text || '').toString();
+
+        return {
+            // "{ d }" becomes "{d}", the form Moodle's calculated questions expect
+            questiontext: questiontext.replace(NumericalValidator.PLACEHOLDER, '{$1}'),
+            questionType,
+            options: [],
+            ...NumericalValidator.normalize(q),
+            difficulty: (q.difficulty || q.level || 'medium').toString().trim().toLowerCase(),
+            rationale: q.rationale || q.explanation || ''
+        };
+    }
+
+    /**
+     * Validate a standardized question
+     * @param {Object} question - Standardized question
+     * @param {Object} options - Validation options
+     * @param {number} options.numOptions - Exact number of options (or matching pairs/ordering steps)
+     *   expected (default: any count the type allows)
+     * @returns {Object} - { valid, errors: [{ field, message }], warnings: [{ field, message }] }
+     */
+    static validate(question, options = {}) {
+        const errors = [];
+        const warnings = [];
+
+        if (!question.questiontext || question.questiontext.toString().trim() === '') {
+            errors.push({ field: 'questiontext', message: 'missing required field: questiontext' });
+        }
+
+        const questionType = question.questionType || this.DEFAULT_TYPE;
+        const rules = this.getTypeRules(questionType);
+        if (!rules) {
+            errors.push({
+                field: 'questionType',
+                message: `has invalid question type "${questionType}". Must be one of ${Object.keys(this.QUESTION_TYPES).join(', ')}.`
+            });
+            return { valid: false, errors, warnings };
+        }
+
+        if (rules.openResponse) {
+            OpenResponseValidator.validate(question, errors, warnings);
+            this.validateCommon(question, warnings);
+            return { valid: errors.length === 0, errors, warnings };
+        }
+
+        if (rules.arrangement) {
+            ArrangementValidator.validate(question, options, errors);
+            this.validateCommon(question, warnings);
+            return { valid: errors.length === 0, errors, warnings };
+        }
+
+        if (rules.numerical) {
+            NumericalValidator.validate(question, errors, warnings);
+            this.validateCommon(question, warnings);
+            return { valid: errors.length === 0, errors, warnings };
+        }
+
+        if (rules.freeResponse) {
+            this.validateFreeResponse(question, errors);
+            this.validateCommon(question, warnings);
+            return { valid: errors.length === 0, errors, warnings };
+        }
+
+        const optionTexts = this.extractOptions(question);
+        optionTexts.forEach((text, index) => {
+            if (text.trim() === '') {
+                const field = `option${this.OPTION_KEYS[index].toLowerCase()}`;
+                errors.push({ field, message: `missing required field: ${field}` });
+            }
+        });
+
+        if (optionTexts.length === 0) {
+            errors.push({ field: 'optiona', message: 'missing required field: optiona' });
+        } else if (options.numOptions && optionTexts.length !== options.numOptions) {
+            errors.push({
+                field: 'options',
+                message: `has ${optionTexts.length} options, expected ${options.numOptions}`
+            });
+        } else if (optionTexts.length < rules.minOptions || optionTexts.length > rules.maxOptions) {
+            const range = rules.minOptions === rules.maxOptions
+                ? `${rules.minOptions}`
+                : `${rules.minOptions}-${rules.maxOptions}`;
+            errors.push({
+                field: 'options',
+                message: `has ${optionTexts.length} options, ${questionType} questions need ${range}`
+            });
+        }
+
+        const answerKeys = this.parseAnswerKeys(question.correctanswer, optionTexts);
+        const validKeys = this.OPTION_KEYS.slice(0, Math.max(optionTexts.length, 1));
+
+        if (answerKeys.length === 0) {
+            errors.push({ field: 'correctanswer', message: 'missing required field: correctanswer' });
+        } else if (answerKeys.some(key => !validKeys.includes(key))) {
+            errors.push({
+                field: 'correctanswer',
+                message: `has invalid correct answer: "${question.correctanswer}". Must be ${this.formatKeys(validKeys)}.`
+            });
+        } else if (!rules.multipleAnswers && answerKeys.length > 1) {
+            errors.push({
+                field: 'correctanswer',
+                message: `has ${answerKeys.length} correct answers, but ${questionType} questions have exactly one`
+            });
+        } else if (rules.multipleAnswers && answerKeys.length === optionTexts.length) {
+            warnings.push({ field: 'correctanswer', message: 'marks every option as correct' });
+        }
+
+        this.validateCommon(question, warnings);
+
+        return { valid: errors.length === 0, errors, warnings };
+    }
+
+    /**
+     * Check the answer (and, for cloze, the blank) of a free-response question
+     * @param {Object} question - Standardized question
+     * @param {Array} errors - Errors to append to
+     */
+    static validateFreeResponse(question, errors) {
+        const answer = question.correctanswer === undefined || question.correctanswer === null
+            ? ''
+            : question.correctanswer.toString().trim();
+
+        if (answer === '') {
+            errors.push({ field: 'correctanswer', message: 'missing required field: correctanswer' });
+        }
+
+        if (question.questionType === 'cloze' && question.questiontext) {
+            const blanks = this.countBlanks(question.questiontext);
+            if (blanks !== 1) {
+                errors.push({
+                    field: 'questiontext',
+                    message: `has ${blanks} blanks, cloze questions need exactly one (${this.BLANK})`
+                });
+            }
+        }
+    }
+
+    /**
+     * Warnings shared by every question type
+     * @param {Object} question - Standardized question
+     * @param {Array} warnings - Warnings to append to
+     */
+    static validateCommon(question, warnings) {
+        if (!this.DIFFICULTIES.includes(question.difficulty)) {
+            warnings.push({
+                field: 'difficulty',
+                message: `has invalid difficulty "${question.difficulty}", defaulting to "medium"`
+            });
+        }
+
+        if (!question.rationale || question.rationale.toString().trim() === '') {
+            warnings.push({ field: 'rationale', message: 'is missing a rationale' });
+        }
+    }
+}
+
+module.exports = QuestionValidator;
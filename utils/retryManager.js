@@ -37,16 +37,35 @@ class RetryManager {
     /**
      * Sleep for specified duration
      * @param {number} ms - Milliseconds to sleep
+     * @param {AbortSignal} signal - Cuts the sleep short with a cancellation error
      * @returns {Promise}
      */
-    sleep(ms) {
-        return new Promise(resolve => setTimeout(resolve, ms));
+    sleep(ms, signal = null) {
+        return new Promise((resolve, reject) => {
+            if (signal && signal.aborted) {
+                reject(ErrorHandler.createCancellationError());
+                return;
+            }
+            const onAbort = () => {
+                clearTimeout(timer);
+                reject(ErrorHandler.createCancellationError());
+            };
+            const timer = setTimeout(() => {
+                if (signal) {
+                    signal.removeEventListener('abort', onAbort);
+                }
+                resolve();
+            }, ms);
+            if (signal) {
+                signal.addEventListener('abort', onAbort, { once: true });
+            }
+        });
     }
 
     /**
      * Execute function with retry logic
      * @param {Function} fn - Async function to execute
-     * @param {Object} options - Retry options
+     * @param {Object} options - Retry options (signal: AbortSignal that stops further attempts and waits)
      * @returns {Promise} - Result of function
      */
     async executeWithRetry(fn, options = {}) {
@@ -54,11 +73,13 @@ class RetryManager {
         const onRetry = options.onRetry || null;
         const shouldRetry = options.shouldRetry || ((error) => ErrorHandler.isTransient(error));
         const context = options.context || {};
+        const signal = options.signal || null;
 
         let lastError;
 
         for (let attempt = 1; attempt <= maxRetries + 1; attempt++) {
             try {
+                ErrorHandler.throwIfCancelled(signal);
                 const result = await fn(attempt);
                 
                 // Success - log if we had retries
@@ -68,6 +89,11 @@ class RetryManager {
                 
                 return result;
             } catch (error) {
+                // Cancelled - nothing to log or retry
+                if (ErrorHandler.isCancellation(error)) {
+                    throw error;
+                }
+
                 lastError = error;
                 const isLastAttempt = attempt === maxRetries + 1;
                 const category = ErrorHandler.categorizeError(error);
@@ -105,7 +131,7 @@ class RetryManager {
                     await onRetry(attempt, error, delay);
                 }
                 
-                await this.sleep(delay);
+                await this.sleep(delay, signal);
             }
         }
 
@@ -124,6 +150,9 @@ class RetryManager {
         try {
             return await this.executeWithRetry(fn, options);
         } catch (error) {
+            if (ErrorHandler.isCancellation(error)) {
+                throw error;
+            }
             console.warn('⚠️  Primary function failed, trying fallback...');
             
             try {
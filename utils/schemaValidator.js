@@ -0,0 +1,86 @@
+/**
+ * Schema Validator
+ * Checks parsed model output against the subset of JSON Schema used for structured responses:
+ * type (or a list of types), properties, required, items, minItems, enum, minimum and maximum.
+ */
+class SchemaValidator {
+    /**
+     * JSON Schema type of a value
+     * @param {*} value - Parsed value
+     * @returns {string} - null, array, integer, number, string, boolean or object
+     */
+    static getType(value) {
+        if (value === null) {
+            return 'null';
+        }
+        if (Array.isArray(value)) {
+            return 'array';
+        }
+        if (Number.isInteger(value)) {
+            return 'integer';
+        }
+        return typeof value;
+    }
+
+    /**
+     * Check a value against a schema
+     * @param {*} value - Parsed value
+     * @param {Object} schema - JSON Schema
+     * @param {string} path - Where the value sits in the response, for error messages
+     * @returns {Array<string>} - Problems found (empty when the value matches)
+     */
+    static validate(value, schema, path = '$') {
+        if (!schema) {
+            return [];
+        }
+
+        if (schema.type) {
+            const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+            const type = this.getType(value);
+            if (!types.some(expected => expected === type || (expected === 'number' && type === 'integer'))) {
+                return [`${path} should be ${types.join(' or ')}, got ${type}`];
+            }
+        }
+
+        const errors = [];
+
+        if (schema.enum && !schema.enum.includes(value)) {
+            errors.push(`${path} should be one of ${schema.enum.map(entry => JSON.stringify(entry)).join(', ')}`);
+        }
+
+        if (typeof value === 'number') {
+            if (schema.minimum !== undefined && value < schema.minimum) {
+                errors.push(`${path} should be at least ${schema.minimum}`);
+            }
+            if (schema.maximum !== undefined && value > schema.maximum) {
+                errors.push(`${path} should be at most ${schema.maximum}`);
+            }
+        }
+
+        if (Array.isArray(value)) {
+            if (schema.minItems !== undefined && value.length < schema.minItems) {
+                errors.push(`${path} should have at least ${schema.minItems} items`);
+            }
+            if (schema.items) {
+                value.forEach((item, index) => {
+                    errors.push(...this.validate(item, schema.items, `${path}[${index}]`));
+                });
+            }
+        } else if (value && typeof value === 'object') {
+            (schema.required || []).forEach(key => {
+                if (value[key] === undefined) {
+                    errors.push(`${path}.${key} is required`);
+                }
+            });
+            Object.entries(schema.properties || {}).forEach(([key, property]) => {
+                if (value[key] !== undefined) {
+                    errors.push(...this.validate(value[key], property, `${path}.${key}`));
+                }
+            });
+        }
+
+        return errors;
+    }
+}
+
+module.exports = SchemaValidator;
@@ -1,24 +1,158 @@
+const QuestionValidator = require('./questionValidator');
+const ArrangementValidator = require('./arrangementValidator');
+const NumericalValidator = require('./numericalValidator');
+
 /**
  * Scoring Prompt Templates
  * Prompts for evaluating question quality
  */
 
 class ScoringPrompts {
+    /**
+     * Response schema for scoring one question (the quick prompt fills in fewer fields)
+     */
+    static SCORE_SCHEMA = {
+        type: 'object',
+        properties: {
+            score: { type: 'number', minimum: 0, maximum: 10 },
+            clarity: { type: 'number' },
+            distractors: { type: 'number' },
+            relevance: { type: 'number' },
+            correctness: { type: 'number' },
+            issues: { type: 'array', items: { type: 'string' } },
+            strengths: { type: 'array', items: { type: 'string' } },
+            recommendation: { type: 'string', enum: ['accept', 'revise', 'reject'] },
+            mainIssue: { type: 'string' }
+        },
+        required: ['score', 'recommendation']
+    };
+
+    /**
+     * Response schema for scoring a batch of questions
+     */
+    static BATCH_SCORE_SCHEMA = {
+        type: 'object',
+        properties: {
+            scores: {
+                type: 'array',
+                items: {
+                    ...ScoringPrompts.SCORE_SCHEMA,
+                    properties: { questionIndex: { type: 'integer' }, ...ScoringPrompts.SCORE_SCHEMA.properties }
+                }
+            },
+            summary: { type: 'object' }
+        },
+        required: ['scores']
+    };
+
+    /**
+     * Render a question's lettered options, one per line (or the alternative answers of cloze
+     * questions, the key ideas and rubric of open-response questions, the items learners
+     * arrange in matching and ordering questions, or the formula and parameters of numerical questions)
+     * @param {Object} question - Question
+     * @returns {string}
+     */
+    static formatOptions(question) {
+        if (QuestionValidator.isArrangement(question)) {
+            const presentation = ArrangementValidator.getPresentation(question);
+            const premises = presentation.premises.map((premise, index) => `${index + 1}. ${premise}`);
+            const choices = presentation.choices.map(choice => `${choice.key}) ${choice.text}`);
+            return [...premises, ...choices].join('\n');
+        }
+
+        if (QuestionValidator.isNumerical(question)) {
+            const lines = question.formula ? [`Formula: ${question.formula}`] : [];
+            if (NumericalValidator.isTemplate(question)) {
+                lines.push(`Parameters: ${NumericalValidator.formatParameters(question.parameters)}`);
+                try {
+                    const example = NumericalValidator.instantiate(question, NumericalValidator.createFixedRandom());
+                    lines.push(`Example instance: ${example.questiontext} Answer: ${NumericalValidator.getAnswerText(example)}`);
+                } catch (error) {
+                    lines.push(`Example instance: none (${error.message})`);
+                }
+            }
+            return lines.join('\n');
+        }
+
+        if (QuestionValidator.isOpenResponse(question)) {
+            const rubric = (question.rubric || [])
+                .map(entry => `- ${entry.criterion} (${entry.points} pts): ${entry.description}`)
+                .join('\n');
+            return `Key ideas: ${(question.keyIdeas || []).join('; ')}\nRubric:\n${rubric}`;
+        }
+
+        if (QuestionValidator.isFreeResponse(question)) {
+            const alternatives = QuestionValidator.getAcceptedAnswers(question).slice(1);
+            return alternatives.length > 0 ? `Also accepted: ${alternatives.join(', ')}` : '';
+        }
+
+        return QuestionValidator.getOptionList(question)
+            .map(option => `${option.key}) ${option.text}`)
+            .join('\n');
+    }
+
+    /**
+     * Describe a question's type for the scorer
+     * @param {Object} question - Question
+     * @returns {string}
+     */
+    static describeType(question) {
+        const labels = {
+            multiple_choice: 'multiple-choice',
+            true_false: 'true/false',
+            multi_select: 'select-all-that-apply',
+            cloze: 'fill-in-the-blank',
+            short_answer: 'short-answer',
+            essay: 'essay',
+            matching: 'matching',
+            ordering: 'ordering (sequence)',
+            numerical: 'numerical (calculation)'
+        };
+        return labels[question.questionType] || labels.multiple_choice;
+    }
+
+    /**
+     * What "correct" means for a question's type
+     * @param {Object} question - Question
+     * @returns {string}
+     */
+    static describeCorrectness(question) {
+        if (question.questionType === 'multi_select') {
+            return 'Is every option marked correct actually correct, and every other option clearly incorrect?';
+        }
+        if (question.questionType === 'matching') {
+            return 'Does each premise match exactly one response, with no response fitting a second premise?';
+        }
+        if (question.questionType === 'ordering') {
+            return 'Does the text fix this exact order, with no two steps that could reasonably be swapped?';
+        }
+        if (QuestionValidator.isNumerical(question)) {
+            return 'Does the formula compute what the question asks, with realistic parameter ranges, a sensible unit and tolerance, and every number the learner needs given in the text?';
+        }
+        if (QuestionValidator.isOpenResponse(question)) {
+            return 'Is the model answer accurate and complete, and do the key ideas and rubric points match what the question asks?';
+        }
+        if (question.questionType === 'cloze') {
+            return 'Does only the answer (or an accepted alternative) fit the blank, and is it a key term rather than a filler word?';
+        }
+        if (question.questionType === 'true_false') {
+            return 'Is the statement unambiguously true or false according to the source?';
+        }
+        return 'Is there exactly one clearly correct answer?';
+    }
+
     /**
      * Get prompt for scoring a single question
      * @param {Object} question - Question to score
      * @returns {string} - Scoring prompt
      */
     static getSingleQuestionPrompt(question) {
-        return `You are an expert educational assessment evaluator. Score this multiple-choice question on a scale of 0-10.
+        return `You are an expert educational assessment evaluator. Score this ${this.describeType(question)} question on a scale of 0-10.
 
 QUESTION TO EVALUATE:
 Question: ${question.questiontext}
-A) ${question.optiona}
-B) ${question.optionb}
-C) ${question.optionc}
-D) ${question.optiond}
-Correct Answer: ${question.correctanswer}
+${this.formatOptions(question)}
+Correct Answer: ${QuestionValidator.getAnswerText(question)}
 Difficulty: ${question.difficulty}
 
 SCORING CRITERIA (0-10 scale):
@@ -38,7 +172,7 @@ SCORING CRITERIA (0-10 scale):
    - Is it aligned with the stated difficulty level?
 
 4. CORRECTNESS (0-2 points)
-   - Is there exactly one clearly correct answer?
+   - ${this.describeCorrectness(question)}
    - Are all options grammatically consistent?
    - No ambiguity in the correct answer?
 
@@ -69,17 +203,14 @@ Provide your evaluation now:`;
      */
     static getBatchScoringPrompt(questions) {
         const questionsText = questions.map((q, idx) => `
-QUESTION ${idx + 1}:
+QUESTION ${idx + 1} (${this.describeType(q)}):
 ${q.questiontext}
-A) ${q.optiona}
-B) ${q.optionb}
-C) ${q.optionc}
-D) ${q.optiond}
-Correct: ${q.correctanswer}
+${this.formatOptions(q)}
+Correct: ${QuestionValidator.getAnswerText(q)}
 Difficulty: ${q.difficulty}
 `).join('\n---\n');
 
-        return `You are an expert educational assessment evaluator. Score these ${questions.length} multiple-choice questions.
+        return `You are an expert educational assessment evaluator. Score these ${questions.length} questions.
 
 ${questionsText}
 
@@ -87,7 +218,7 @@ For each question, evaluate on these criteria (0-10 scale):
 1. Clarity (0-3): Clear, unambiguous, appropriate language
 2. Distractors (0-3): Plausible wrong answers based on misconceptions
 3. Relevance (0-2): Tests important concepts, aligned with difficulty
-4. Correctness (0-2): One clear correct answer, no ambiguity
+4. Correctness (0-2): The marked answer(s) are clearly correct and the rest clearly wrong, no ambiguity
 
 RESPONSE FORMAT (JSON only, no markdown):
 {
@@ -125,12 +256,9 @@ Provide your evaluation now:`;
     static getQuickScorePrompt(question) {
         return `Rate this question 0-10 based on clarity, distractor quality, and correctness.
 
-Question: ${question.questiontext}
-A) ${question.optiona}
-B) ${question.optionb}
-C) ${question.optionc}
-D) ${question.optiond}
-Correct: ${question.correctanswer}
+Question (${this.describeType(question)}): ${question.questiontext}
+${this.formatOptions(question)}
+Correct: ${QuestionValidator.getAnswerText(question)}
 
 Respond with JSON only:
 {
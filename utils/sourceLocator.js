@@ -0,0 +1,288 @@
+const TextSimilarity = require('./textSimilarity');
+const DocumentStructure = require('./documentStructure');
+
+/**
+ * Source Locator
+ * Cites the source of each question: the passage the model quoted as evidence is looked up
+ * in the text the question was generated from, word for word first and then by fuzzy matching
+ * with TextSimilarity, giving its character span. For structured documents the span is mapped
+ * to its file, page or slide and section. Questions whose evidence can't be found are flagged.
+ */
+class SourceLocator {
+    constructor(config = {}) {
+        this.enabled = config.enabled !== false;
+        this.threshold = config.threshold || 70; // Minimum similarity (0-100) for a fuzzy match
+        this.maxCandidates = config.maxCandidates || 5; // Passages compared in full per question
+    }
+
+    /**
+     * Normalize text for matching (case, curly quotes, dashes, whitespace runs), keeping
+     * where each normalized character came from in the original
+     * @param {string} text - Raw text
+     * @returns {Object} - { text, map } where map[i] is the original index of normalized character i
+     */
+    normalizeWithMap(text) {
+        const replacements = { '‘': "'", '’': "'", '“': '"', '”': '"', '–': '-', '—': '-' };
+        const chars = [];
+        const map = [];
+        let space = true; // Drops leading whitespace and collapses runs
+
+        for (let index = 0; index < text.length; index++) {
+            const char = text[index];
+            if (/\s/.test(char)) {
+                if (space) {
+                    continue;
+                }
+                space = true;
+                chars.push(' ');
+            } else {
+                space = false;
+                chars.push((replacements[char] || char).toLowerCase());
+            }
+            map.push(index);
+        }
+
+        return { text: chars.join(''), map };
+    }
+
+    /**
+     * Content words of a passage, for cheaply ranking candidate passages
+     * @param {string} text - Passage
+     * @returns {Set<string>}
+     */
+    getWords(text) {
+        const words = (text || '').toLowerCase().match(/[\p{L}\p{N}]{3,}/gu) || [];
+        return new Set(words);
+    }
+
+    /**
+     * Index a text for repeated lookups: its normalized form and its sentences. Lines count as
+     * sentences too, so headings stay apart from the text under them; a sentence wrapped over
+     * several lines is put back together by the runs locateFuzzy() compares.
+     * @param {string} text - Text the questions were generated from
+     * @returns {Object} - { text, normalized, sentences: [{ start, end, words }] }
+     */
+    buildIndex(text) {
+        const sentences = [];
+        const pattern = /[^.!?\n]+(?:[.!?]+|$)/gm;
+        let match;
+        while ((match = pattern.exec(text)) !== null) {
+            if (match[0].trim() === '') {
+                continue;
+            }
+            const leading = match[0].length - match[0].trimStart().length;
+            const start = match.index + leading;
+            const end = match.index + match[0].trimEnd().length;
+            sentences.push({ start, end, words: this.getWords(text.slice(start, end)) });
+        }
+
+        return { text, normalized: this.normalizeWithMap(text), sentences };
+    }
+
+    /**
+     * Find a passage in an indexed text
+     * @param {Object} index - Index from buildIndex()
+     * @param {string} evidence - Passage to find
+     * @returns {Object|null} - { start, end, match: 'exact'|'fuzzy', similarity } or null if not found
+     */
+    locate(index, evidence) {
+        const needle = this.normalizeWithMap(evidence.trim()).text;
+        if (needle === '') {
+            return null;
+        }
+
+        const position = index.normalized.text.indexOf(needle);
+        if (position !== -1) {
+            const { map } = index.normalized;
+            return { start: map[position], end: map[position + needle.length - 1] + 1, match: 'exact', similarity: 100 };
+        }
+
+        return this.locateFuzzy(index, evidence);
+    }
+
+    /**
+     * Find the run of sentences most similar to a paraphrased or slightly misquoted passage
+     * Runs are ranked by the share of the passage's words they contain, and only the best few are
+     * compared in full with TextSimilarity.
+     * @param {Object} index - Index from buildIndex()
+     * @param {string} evidence - Passage to find
+     * @returns {Object|null} - { start, end, match: 'fuzzy', similarity } or null below the threshold
+     */
+    locateFuzzy(index, evidence) {
+        const words = this.getWords(evidence);
+        if (words.size === 0) {
+            return null;
+        }
+
+        const sentenceCount = Math.max(1, (evidence.match(/[.!?]+(\s|$)/g) || []).length);
+        const maxLength = evidence.length * 2 + 100;
+        const candidates = [];
+
+        for (let size = 1; size <= sentenceCount + 3; size++) {
+            for (let first = 0; first + size <= index.sentences.length; first++) {
+                const run = index.sentences.slice(first, first + size);
+                const start = run[0].start;
+                const end = run[run.length - 1].end;
+                if (end - start > maxLength) {
+                    continue;
+                }
+
+                let shared = 0;
+                words.forEach(word => {
+                    if (run.some(sentence => sentence.words.has(word))) shared++;
+                });
+                const overlap = shared / words.size;
+                if (overlap >= 0.5) {
+                    candidates.push({ start, end, overlap });
+                }
+            }
+        }
+
+        let best = null;
+        candidates
+            .sort((a, b) => b.overlap - a.overlap || (a.end - a.start) - (b.end - b.start))
+            .slice(0, this.maxCandidates)
+            .forEach(candidate => {
+                const similarity = TextSimilarity.combinedSimilarity(evidence, index.text.slice(candidate.start, candidate.end));
+                if (!best || similarity > best.similarity) {
+                    best = { start: candidate.start, end: candidate.end, match: 'fuzzy', similarity };
+                }
+            });
+
+        if (!best || best.similarity < this.threshold) {
+            return null;
+        }
+
+        return { ...best, similarity: Math.round(best.similarity) };
+    }
+
+    /**
+     * Cite the source of each question in the text it was generated from
+     * The model's evidence (or, for cloze questions, their source sentence) moves into
+     * question.source with the span it was found at.
+     * @param {Array<Object>} questions - Standardized questions
+     * @param {string} text - Text the questions were generated from
+     * @returns {Object} - { questions, summary: { checked, verified, exact, fuzzy, unverified, flagged } }
+     */
+    cite(questions, text) {
+        if (!this.enabled) {
+            return { questions, summary: this.summarize([]) };
+        }
+
+        const index = this.buildIndex(text);
+        const cited = questions.map(question => {
+            const { evidence: quoted, ...rest } = question;
+            const evidence = (quoted || question.sourceSentence || '').toString().trim();
+
+            const found = evidence ? this.locate(index, evidence) : null;
+            if (!found) {
+                const reason = evidence ? 'evidence not found in the source text' : 'no evidence given';
+                return { ...rest, source: { evidence, verified: false, reason } };
+            }
+
+            return {
+                ...rest,
+                source: {
+                    start: found.start,
+                    end: found.end,
+                    passage: text.slice(found.start, found.end),
+                    evidence,
+                    verified: true,
+                    match: found.match,
+                    similarity: found.similarity
+                }
+            };
+        });
+
+        const summary = this.summarize(cited);
+        if (summary.unverified > 0) {
+            console.warn(`⚠ ${summary.unverified}/${summary.checked} questions cite evidence that could not be found in the source text`);
+        }
+
+        return { questions: cited, summary };
+    }
+
+    /**
+     * Count how a set of cited questions fared
+     * @param {Array<Object>} questions - Questions with source citations
+     * @returns {Object} - { checked, verified, exact, fuzzy, unverified, flagged: [{ index, questiontext, reason }] }
+     */
+    summarize(questions) {
+        const summary = { checked: 0, verified: 0, exact: 0, fuzzy: 0, unverified: 0, flagged: [] };
+
+        questions.forEach((question, index) => {
+            const source = question.source;
+            if (!source) {
+                return;
+            }
+
+            summary.checked++;
+            if (source.verified) {
+                summary.verified++;
+                summary[source.match]++;
+            } else {
+                summary.unverified++;
+                summary.flagged.push({ index, questiontext: question.questiontext, reason: source.reason });
+            }
+        });
+
+        return summary;
+    }
+
+    /**
+     * Map citations made against the text of some sections onto the whole document: spans become
+     * offsets in the document's extracted text, and gain their file, page or slide and section
+     * @param {Array<Object>} questions - Questions cited against DocumentStructure.toText(sections)
+     * @param {Object} document - Document model ({ files, sections })
+     * @param {Array<Object>} sections - Sections the questions were generated from (default: all)
+     * @returns {Array<Object>} - Questions with document-level sources
+     */
+    mapToDocument(questions, document, sections = document.sections) {
+        const starts = DocumentStructure.getOffsets(sections);
+        const documentStarts = DocumentStructure.getOffsets(document.sections);
+
+        return questions.map(question => {
+            const source = question.source;
+            if (!source || !source.verified) {
+                return question;
+            }
+
+            let position = starts.length - 1;
+            while (position > 0 && starts[position] > source.start) {
+                position--;
+            }
+            const section = sections[position];
+            const offset = source.start - starts[position];
+            const shift = documentStarts[document.sections.indexOf(section)] - starts[position];
+            const page = DocumentStructure.getPage(section, offset);
+
+            return {
+                ...question,
+                source: {
+                    file: section.file,
+                    ...(page ? { page } : {}),
+                    ...(section.slide ? { slide: section.slide } : {}),
+                    section: section.title,
+                    sectionId: section.id,
+                    ...source,
+                    start: source.start + shift,
+                    end: source.end + shift
+                }
+            };
+        });
+    }
+
+    /**
+     * Get locator configuration
+     * @returns {Object}
+     */
+    getConfig() {
+        return {
+            enabled: this.enabled,
+            threshold: this.threshold,
+            maxCandidates: this.maxCandidates
+        };
+    }
+}
+
+module.exports = SourceLocator;
@@ -0,0 +1,406 @@
+const crypto = require('crypto');
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const { v4: uuidv4 } = require('uuid');
+const RetryManager = require('./retryManager');
+const ErrorHandler = require('./errorHandler');
+
+// Callbacks may not reach these: unspecified, loopback, private, carrier-grade NAT, link-local,
+// benchmarking, multicast and reserved ranges. BlockList also matches IPv4-mapped IPv6 addresses,
+// in either notation (::ffff:127.0.0.1 or ::ffff:7f00:1), against the IPv4 ranges.
+const PRIVATE_ADDRESSES = new net.BlockList();
+[
+    ['0.0.0.0', 8, 'ipv4'],
+    ['10.0.0.0', 8, 'ipv4'],
+    ['100.64.0.0', 10, 'ipv4'],
+    ['127.0.0.0', 8, 'ipv4'],
+    ['169.254.0.0', 16, 'ipv4'],
+    ['172.16.0.0', 12, 'ipv4'],
+    ['192.0.0.0', 24, 'ipv4'],
+    ['192.168.0.0', 16, 'ipv4'],
+    ['198.18.0.0', 15, 'ipv4'],
+    ['224.0.0.0', 3, 'ipv4'],
+    ['::', 128, 'ipv6'],
+    ['::1', 128, 'ipv6'],
+    ['fc00::', 7, 'ipv6'],
+    ['fe80::', 10, 'ipv6'],
+    ['ff00::', 8, 'ipv6']
+].forEach(([address, prefix, type]) => PRIVATE_ADDRESSES.addSubnet(address, prefix, type));
+
+/**
+ * Job Webhooks
+ * POSTs a job's outcome to its callbackUrl once it completes, fails or is cancelled, so clients
+ * don't have to poll. Transient failures (network errors, timeouts, 429, 5xx) are retried with
+ * backoff, and every attempt is recorded in the job store.
+ *
+ * Request headers:
+ *   X-Webhook-Id          Delivery ID, the same for every attempt of a delivery
+ *   X-Webhook-Event       job.completed, job.failed or job.cancelled
+ *   X-Webhook-Timestamp   Unix time in seconds when the attempt was sent
+ *   X-Webhook-Signature   sha256=<hex HMAC-SHA256 of "<timestamp>.<body>">
+ *
+ * Each API key signs with its own secret, derived from WEBHOOK_SECRET; GET /api/jobs/webhook-secret
+ * returns the secret for the calling key.
+ *
+ * Callbacks to local and private addresses are refused twice: the URL when the job is submitted, and
+ * every address its host resolves to when each attempt connects. The request connects to the address
+ * that was checked, so a name can't be re-pointed at an internal address after it was accepted.
+ */
+class WebhookDispatcher {
+    static EVENTS = {
+        completed: 'job.completed',
+        failed: 'job.failed',
+        cancelled: 'job.cancelled'
+    };
+
+    /**
+     * @param {Object} config - { enabled, secret, maxRetries, baseDelay, timeout, allowPrivate, jobStore }
+     */
+    constructor(config = {}) {
+        this.enabled = config.enabled !== false;
+        this.timeout = config.timeout || 10000;
+        this.allowPrivate = config.allowPrivate === true;
+        this.jobStore = config.jobStore || null;
+        this.retryManager = new RetryManager({
+            maxRetries: config.maxRetries || 5,
+            baseDelay: config.baseDelay || 2000,
+            maxDelay: config.maxDelay || 300000
+        });
+
+        this.secret = config.secret;
+        if (this.enabled && !this.secret) {
+            console.warn('⚠ WEBHOOK_SECRET is not set; webhook signing secrets will change when the server restarts');
+            this.secret = crypto.randomBytes(32).toString('hex');
+        }
+    }
+
+    /**
+     * Deliver webhooks for a queue's jobs as they finish, and resume deliveries that were still
+     * being retried when the server stopped
+     * @param {Object} jobQueue - JobQueue emitting 'finished'
+     */
+    async attach(jobQueue) {
+        jobQueue.on('finished', job => {
+            this.dispatch(job).catch(error => console.error('Webhook dispatch error:', error.message));
+        });
+
+        if (!this.enabled || !this.jobStore) {
+            return;
+        }
+
+        try {
+            const jobIds = await this.jobStore.loadPendingWebhooks();
+            for (const jobId of jobIds) {
+                const job = await jobQueue.getJob(jobId);
+                if (job) {
+                    this.dispatch(job).catch(error => console.error('Webhook dispatch error:', error.message));
+                }
+            }
+            if (jobIds.length > 0) {
+                console.log(`Resumed ${jobIds.length} webhook deliveries`);
+            }
+        } catch (error) {
+            console.error('Failed to resume webhook deliveries:', error.message);
+        }
+    }
+
+    /**
+     * Signing secret for an API key
+     * @param {string} keyId - ID of the API key (see middleware/auth getKeyId)
+     * @returns {string} - Hex secret
+     */
+    getSecret(keyId) {
+        return crypto.createHmac('sha256', this.secret).update(`webhook:${keyId || 'public'}`).digest('hex');
+    }
+
+    /**
+     * Sign a webhook body
+     * @param {string} secret - Signing secret
+     * @param {number} timestamp - Unix time in seconds
+     * @param {string} body - Request body
+     * @returns {string} - Value of the X-Webhook-Signature header
+     */
+    static sign(secret, timestamp, body) {
+        return `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+    }
+
+    /**
+     * Check a callback URL: http(s) only, and no loopback or private network addresses unless
+     * WEBHOOK_ALLOW_PRIVATE is set
+     * @param {*} value - URL from the request
+     * @returns {Object} - { valid, url, error }
+     */
+    validateCallbackUrl(value) {
+        let url;
+        try {
+            url = new URL(String(value));
+        } catch {
+            return { valid: false, error: 'callbackUrl must be an absolute URL' };
+        }
+
+        if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+            return { valid: false, error: 'callbackUrl must use http or https' };
+        }
+
+        if (!this.allowPrivate && WebhookDispatcher.isPrivateHost(url.hostname)) {
+            return { valid: false, error: 'callbackUrl must not point to a local or private network address' };
+        }
+
+        return { valid: true, url: url.toString() };
+    }
+
+    /**
+     * Whether a hostname is localhost or a local or private IP address
+     * @param {string} hostname - URL hostname
+     * @returns {boolean}
+     */
+    static isPrivateHost(hostname) {
+        const host = hostname.replace(/^\[|\]$/g, '').toLowerCase();
+        if (host === 'localhost' || host.endsWith('.localhost')) {
+            return true;
+        }
+        return net.isIP(host) !== 0 && WebhookDispatcher.isPrivateAddress(host);
+    }
+
+    /**
+     * Whether an IP address is in a local or private range
+     * @param {string} address - IPv4 or IPv6 address
+     * @returns {boolean}
+     */
+    static isPrivateAddress(address) {
+        return PRIVATE_ADDRESSES.check(address, net.isIPv4(address) ? 'ipv4' : 'ipv6');
+    }
+
+    /**
+     * dns.lookup for callback requests, failing when the host resolves to a local or private address
+     * (unless WEBHOOK_ALLOW_PRIVATE). The socket connects to the addresses returned here.
+     * @param {string} hostname - Host to resolve
+     * @param {Object} options - dns.lookup options from the socket
+     * @param {Function} callback - (error, address, family), or (error, addresses) with options.all
+     */
+    lookup(hostname, options, callback) {
+        dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+            if (error) {
+                callback(error);
+                return;
+            }
+
+            const refused = this.allowPrivate
+                ? null
+                : addresses.find(({ address }) => WebhookDispatcher.isPrivateAddress(address));
+            if (refused) {
+                callback(WebhookDispatcher.createRefusedError(refused.address));
+            } else if (options.all) {
+                callback(null, addresses);
+            } else {
+                callback(null, addresses[0].address, addresses[0].family);
+            }
+        });
+    }
+
+    /**
+     * Error for a callback that resolves to a refused address; not retried, since that isn't a
+     * transient failure
+     * @param {string} address - Refused address
+     * @returns {Error}
+     */
+    static createRefusedError(address) {
+        return new Error(`Callback host resolves to a local or private address (${address})`);
+    }
+
+    /**
+     * Send a finished job's webhook, retrying transient failures
+     * @param {Object} job - Job in a terminal state with data.callbackUrl
+     */
+    async dispatch(job) {
+        const url = job.data?.callbackUrl;
+        const event = WebhookDispatcher.EVENTS[job.status];
+        if (!this.enabled || !url || !event) {
+            return;
+        }
+
+        // A resumed delivery keeps its ID and attempt count
+        const previous = await this.getAttempts(job);
+        const last = previous[previous.length - 1];
+        const deliveryId = last && last.willRetry ? last.deliveryId : uuidv4();
+        const firstAttempt = last && last.willRetry ? last.attempt + 1 : 1;
+        job.webhookAttempts = previous;
+
+        const body = JSON.stringify(this.buildPayload(job, event, deliveryId));
+        const secret = this.getSecret(job.data.callbackKeyId);
+        const maxAttempts = this.retryManager.maxRetries + 1;
+        // Decided per attempt, so a resumed delivery only gets the attempts it has left
+        let willRetry = false;
+
+        try {
+            await this.retryManager.executeWithRetry(async (retry) => {
+                const attempt = firstAttempt + retry - 1;
+                const startedAt = Date.now();
+                const record = { deliveryId, event, url, attempt, attemptedAt: startedAt };
+
+                try {
+                    const response = await this.send(url, body, { deliveryId, event, secret });
+                    await this.record(job, { ...record, statusCode: response.status, delivered: true, willRetry: false, durationMs: Date.now() - startedAt });
+                } catch (error) {
+                    willRetry = attempt < maxAttempts && ErrorHandler.isTransient(error);
+                    await this.record(job, {
+                        ...record,
+                        statusCode: error.status || null,
+                        error: error.message,
+                        delivered: false,
+                        willRetry,
+                        durationMs: Date.now() - startedAt
+                    });
+                    throw error;
+                }
+            }, {
+                shouldRetry: () => willRetry,
+                context: { operation: 'webhook', jobId: job.id }
+            });
+            console.log(`✓ Webhook delivered: ${job.id} (${event})`);
+        } catch (error) {
+            console.error(`✗ Webhook delivery failed: ${job.id} - ${error.message}`);
+        }
+    }
+
+    /**
+     * POST a webhook body. Redirects aren't followed, so a callback can't be bounced to an address
+     * validation refused.
+     * @param {string} url - Callback URL
+     * @param {string} body - JSON body
+     * @param {Object} meta - { deliveryId, event, secret }
+     * @returns {Promise<Object>} - { status } of a 2xx response; anything else throws with error.status
+     */
+    send(url, body, { deliveryId, event, secret }) {
+        const target = new URL(url);
+        // IP addresses are connected to without a lookup, so they are checked here
+        const host = target.hostname.replace(/^\[|\]$/g, '');
+        if (!this.allowPrivate && net.isIP(host) && WebhookDispatcher.isPrivateAddress(host)) {
+            return Promise.reject(WebhookDispatcher.createRefusedError(host));
+        }
+
+        const timestamp = Math.floor(Date.now() / 1000);
+        const client = target.protocol === 'https:' ? https : http;
+
+        return new Promise((resolve, reject) => {
+            const request = client.request(target, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Content-Length': Buffer.byteLength(body),
+                    'User-Agent': 'nlp-qg-webhooks',
+                    'X-Webhook-Id': deliveryId,
+                    'X-Webhook-Event': event,
+                    'X-Webhook-Timestamp': String(timestamp),
+                    'X-Webhook-Signature': WebhookDispatcher.sign(secret, timestamp, body)
+                },
+                lookup: (hostname, options, callback) => this.lookup(hostname, options, callback)
+            }, response => {
+                // The receiver's body isn't needed
+                response.resume();
+                clearTimeout(timer);
+
+                if (response.statusCode < 200 || response.statusCode >= 300) {
+                    const error = new Error(`Callback responded ${response.statusCode}`);
+                    error.status = response.statusCode;
+                    reject(error);
+                    return;
+                }
+                resolve({ status: response.statusCode });
+            });
+
+            const timer = setTimeout(() => {
+                request.destroy(new Error(`Callback timed out after ${this.timeout}ms`));
+            }, this.timeout);
+
+            request.on('error', error => {
+                clearTimeout(timer);
+                reject(error);
+            });
+            request.end(body);
+        });
+    }
+
+    /**
+     * Webhook payload for a finished job
+     * @param {Object} job - Job
+     * @param {string} event - Event name
+     * @param {string} deliveryId - Delivery ID
+     * @returns {Object}
+     */
+    buildPayload(job, event, deliveryId) {
+        return {
+            id: deliveryId,
+            event,
+            job: {
+                id: job.id,
+                type: job.data?.type || 'generate',
+                status: job.status,
+                progress: job.progress,
+                createdAt: new Date(job.createdAt).toISOString(),
+                startedAt: job.startedAt ? new Date(job.startedAt).toISOString() : null,
+                completedAt: job.completedAt ? new Date(job.completedAt).toISOString() : null,
+                error: job.error || null,
+                result: job.result || null
+            }
+        };
+    }
+
+    /**
+     * Record a delivery attempt on the job and in the store
+     * @param {Object} job - Job
+     * @param {Object} attempt - Attempt record
+     */
+    async record(job, attempt) {
+        job.webhookAttempts = [...(job.webhookAttempts || []), attempt];
+        if (this.jobStore) {
+            await this.jobStore.saveWebhookAttempt(job.id, attempt).catch(error => {
+                console.warn('Webhook attempt persistence error:', error.message);
+            });
+        }
+    }
+
+    /**
+     * Delivery attempts of a job, from memory or the store
+     * @param {Object} job - Job
+     * @returns {Promise<Array<Object>>}
+     */
+    async getAttempts(job) {
+        if (job.webhookAttempts) {
+            return job.webhookAttempts;
+        }
+        return this.jobStore ? await this.jobStore.loadWebhookAttempts(job.id) : [];
+    }
+
+    /**
+     * Webhook state for the job status endpoint
+     * @param {Object} job - Job
+     * @returns {Promise<Object|null>} - { url, state: 'waiting'|'retrying'|'delivered'|'failed', attempts } or
+     *   null without a callbackUrl
+     */
+    async getStatus(job) {
+        if (!job.data?.callbackUrl) {
+            return null;
+        }
+
+        const attempts = await this.getAttempts(job);
+        const last = attempts[attempts.length - 1];
+        let state = 'waiting';
+        if (last) {
+            state = last.delivered ? 'delivered' : last.willRetry ? 'retrying' : 'failed';
+        }
+
+        return {
+            url: job.data.callbackUrl,
+            state,
+            attempts: attempts.map(attempt => ({
+                ...attempt,
+                attemptedAt: new Date(attempt.attemptedAt).toISOString()
+            }))
+        };
+    }
+}
+
+module.exports = WebhookDispatcher;